@@ -0,0 +1,147 @@
+// feat: the CLI's command line — options and the input file patterns (bin/neuroscan.mjs)
+// docs: kept apart from the entry point, which runs on import, so it can be tested on its own
+// chore: Node built-ins only
+import fs from "node:fs";
+import path from "node:path";
+
+const FORMATS = ["json", "csv"];
+const COMMANDS = ["analyze", "evaluate", "serve"];
+
+// feat: usage / setup problems — reported with exit code 2, before any file is analysed
+export class UsageError extends Error {}
+
+// ─────────────────────────────────────────────────────────────
+// feat: command line → { command, patterns, format, out, port, host, ..., model, settings, norms, profile, quiet }
+// ─────────────────────────────────────────────────────────────
+export function parseArgs(argv) {
+  const options = {
+    command: null, patterns: [], format: "json", out: null,
+    port: 8787, host: "127.0.0.1", allowOrigins: [], maxAnalyses: 100, maxUploadMB: 200,
+    model: null, settings: null, norms: null, profile: null, age: null, sex: null, quiet: false,
+  };
+  const valueOf = (flag, i) => {
+    if (i >= argv.length || argv[i].startsWith("--")) throw new UsageError(`${flag} needs a value.`);
+    return argv[i];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    // feat: --format=csv and --format csv are both accepted
+    const [flag, inline] = arg.startsWith("--") && arg.includes("=") ? [arg.slice(0, arg.indexOf("=")), arg.slice(arg.indexOf("=") + 1)] : [arg, null];
+    const value = () => (inline !== null ? inline : valueOf(flag, ++i));
+    const positive = () => {
+      const n = Number(value());
+      if (!Number.isInteger(n) || n < 1) throw new UsageError(`${flag} must be a positive whole number.`);
+      return n;
+    };
+
+    if (flag === "-h" || flag === "--help") options.help = true;
+    else if (flag === "-v" || flag === "--version") options.version = true;
+    else if (flag === "--quiet") options.quiet = true;
+    else if (flag === "--format") options.format = value().toLowerCase();
+    else if (flag === "--out") options.out = value();
+    else if (flag === "--model") options.model = value();
+    else if (flag === "--settings") options.settings = value();
+    else if (flag === "--norms") options.norms = value();
+    else if (flag === "--profile") options.profile = value();
+    else if (flag === "--age") {
+      options.age = Number(value());
+      if (!Number.isFinite(options.age) || options.age < 0) throw new UsageError("--age must be a number of years.");
+    } else if (flag === "--sex") {
+      options.sex = value().toUpperCase();
+      if (options.sex !== "F" && options.sex !== "M") throw new UsageError("--sex must be F or M.");
+    }
+    else if (flag === "--port") {
+      options.port = Number(value());
+      if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) throw new UsageError("--port must be a port number (0 picks a free one).");
+    }
+    else if (flag === "--host") options.host = value();
+    else if (flag === "--allow-origin") options.allowOrigins.push(value());
+    else if (flag === "--max-analyses") options.maxAnalyses = positive();
+    else if (flag === "--max-upload") options.maxUploadMB = positive();
+    else if (flag.startsWith("-")) throw new UsageError(`Unknown option ${flag}.`);
+    else if (!options.command) options.command = arg;
+    else options.patterns.push(arg);
+  }
+
+  if (options.help || options.version) return options;
+  if (!COMMANDS.includes(options.command)) {
+    throw new UsageError(options.command ? `Unknown command "${options.command}".` : "No command given.");
+  }
+  if (options.command === "serve") {
+    if (options.patterns.length) throw new UsageError("serve takes no file arguments — POST recordings to /analyses.");
+    return options;
+  }
+  if (options.command === "evaluate") {
+    if (options.patterns.length !== 1) throw new UsageError("evaluate takes exactly one manifest file.");
+    options.out = options.out || "neuroscan-validation";
+    return options;
+  }
+  options.out = options.out || "neuroscan-results";
+  if (!FORMATS.includes(options.format)) throw new UsageError(`--format must be one of ${FORMATS.join(", ")}.`);
+  if (options.patterns.length === 0) throw new UsageError("No recordings given.");
+  return options;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: minimal glob expansion — *, ? within a path segment and ** across directories
+// docs: a pattern without wildcards is returned as is, so a missing file is reported per file
+// ─────────────────────────────────────────────────────────────
+const hasWildcard = (segment) => /[*?]/.test(segment);
+
+const segmentRegex = (segment) =>
+  new RegExp(`^${segment.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, "[^/]*").replace(/\?/g, "[^/]")}$`);
+
+function readDir(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true });
+  } catch (err) {
+    return [];
+  }
+}
+
+function walk(dir, segments, matches) {
+  if (segments.length === 0) {
+    if (fs.existsSync(dir) && fs.statSync(dir).isFile()) matches.push(dir);
+    return;
+  }
+  const [segment, ...rest] = segments;
+  if (segment === "**") {
+    walk(dir, rest, matches);
+    readDir(dir)
+      .filter((entry) => entry.isDirectory() && !entry.name.startsWith("."))
+      .forEach((entry) => walk(path.join(dir, entry.name), segments, matches));
+    return;
+  }
+  if (!hasWildcard(segment)) {
+    walk(path.join(dir, segment), rest, matches);
+    return;
+  }
+  const regex = segmentRegex(segment);
+  readDir(dir)
+    // docs: like a shell, * does not match hidden files
+    .filter((entry) => regex.test(entry.name) && (!entry.name.startsWith(".") || segment.startsWith(".")))
+    .forEach((entry) => walk(path.join(dir, entry.name), rest, matches));
+}
+
+export function expandPatterns(patterns) {
+  const files = [];
+  patterns.forEach((pattern) => {
+    if (!hasWildcard(pattern)) {
+      files.push(pattern);
+      return;
+    }
+    const segments = pattern.split(/[\\/]/);
+    const start = segments.findIndex(hasWildcard);
+    const base = segments.slice(0, start).join("/") || (pattern.startsWith("/") ? "/" : ".");
+    const matches = [];
+    walk(base, segments.slice(start), matches);
+    if (matches.length === 0) {
+      // docs: an empty glob is reported like a missing file rather than silently ignored
+      files.push(pattern);
+      return;
+    }
+    files.push(...matches.sort());
+  });
+  return [...new Set(files)];
+}
@@ -0,0 +1,126 @@
+// feat: the CLI's output tables — per-file metric,value CSV, cohort summary rows and statistics
+// docs: kept apart from the entry point, which runs on import, so it can be tested on its own
+// chore: names shown for the norm group and profile, and the measures the tables list
+import { describeNormative } from "../src/utils/norms.js";
+import { profileLabel } from "../src/utils/profiles.js";
+import { SPECTRAL_MEASURES } from "../src/utils/spectralFeatures.js";
+import { COMPLEXITY_MEASURES } from "../src/utils/complexity.js";
+
+const BANDS = ["delta", "theta", "alpha", "beta", "gamma"];
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (header, rows) => [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+
+const round = (value, digits = 4) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+// feat: spectral features as feature.<model feature name> rows — whole head, then regions, then electrodes
+function spectralRows(features) {
+  if (!features) return [];
+  const rows = [];
+  const add = (values, location) => {
+    const name = (base) => (location ? `${base}_${location}` : base);
+    rows.push([`feature.${name("ratio_theta_beta")}`, values.tbr]);
+    BANDS.forEach((band) => rows.push([`feature.${name(`rel_${band}`)}`, values.rel[band]]));
+    Object.keys(SPECTRAL_MEASURES).forEach((m) => rows.push([`feature.${name(m)}`, values[m]]));
+  };
+  add(features.global, null);
+  Object.entries(features.regions).forEach(([region, values]) => add(values, region));
+  Object.entries(features.channels).forEach(([channel, values]) => add(values, channel));
+  return rows;
+}
+
+// feat: complexity as complexity.<measure> (head mean) and complexity.<channel>.<measure>(.sd) rows
+// docs: the per-epoch values are only in the JSON output
+function complexityRows(complexity) {
+  if (!complexity) return [];
+  const measures = Object.keys(COMPLEXITY_MEASURES);
+  const rows = measures.map((m) => [`complexity.${m}`, complexity.global[m]]);
+  Object.entries(complexity.channels).forEach(([channel, values]) => {
+    measures.forEach((m) => {
+      rows.push([`complexity.${channel}.${m}`, values[m].mean]);
+      rows.push([`complexity.${channel}.${m}.sd`, values[m].sd]);
+    });
+  });
+  return rows;
+}
+
+// feat: one file's results as a long metric,value table
+export function resultsToCsv(results) {
+  const rows = [
+    ["riskScore", results.riskScore],
+    ["riskScoreLower", results.uncertainty.lower],
+    ["riskScoreUpper", results.uncertainty.upper],
+    ["confidence", results.confidence],
+    ["classification", results.classification.level],
+    ["indeterminate", results.classification.indeterminate],
+    ["keyMarker", results.keyMarker],
+    ["keyDeviation", results.keyDeviation],
+    ["model", results.model.name],
+    ["norms", describeNormative(results.normative)],
+    ["profile", profileLabel(results.profile)],
+    ["epochsKept", results.artifacts ? results.artifacts.kept : null],
+    ["epochsTotal", results.artifacts ? results.artifacts.total : null],
+  ];
+  BANDS.forEach((band) => rows.push([`power.${band}`, round(results.bandPowers[band])]));
+  BANDS.forEach((band) => rows.push([`z.${band}`, round(results.normative.bands[band], 2)]));
+  Object.entries(results.channelBandPowers || {}).forEach(([channel, powers]) => {
+    BANDS.forEach((band) => rows.push([`power.${channel}.${band}`, round(powers[band])]));
+  });
+  ((results.coherence && results.coherence.pairs) || []).forEach((pair) => {
+    Object.entries(pair.bands).forEach(([band, value]) => rows.push([`coherence.${pair.pair}.${band}`, round(value)]));
+  });
+  spectralRows(results.spectralFeatures).forEach((row) => rows.push(row));
+  complexityRows(results.complexity).forEach((row) => rows.push(row));
+  if (results.shapExplanation) {
+    rows.push(["shap.method", results.shapExplanation.method]);
+    rows.push(["shap.approximate", results.shapExplanation.approximate]);
+  }
+  (results.shapValues || []).forEach((s) => rows.push([`shap.${s.feature}`, round(s.value)]));
+  return toCsv(["metric", "value"], rows);
+}
+
+// feat: one cohort summary row per input file, failed files included with their error
+export function summaryRow(file, outcome) {
+  const { results } = outcome;
+  const trace = results && results.eegSignal;
+  return {
+    file,
+    status: results ? "ok" : "error",
+    error: outcome.error || null,
+    format: outcome.format || null,
+    channels: results ? results.channels.length : null,
+    sampleRate: trace ? round(trace.sampleRate, 2) : null,
+    durationSeconds: trace ? round(trace.length / trace.sampleRate, 2) : null,
+    epochsKept: results && results.artifacts ? results.artifacts.kept : null,
+    epochsTotal: results && results.artifacts ? results.artifacts.total : null,
+    riskScore: results ? results.riskScore : null,
+    riskScoreLower: results ? results.uncertainty.lower : null,
+    riskScoreUpper: results ? results.uncertainty.upper : null,
+    confidence: results ? results.confidence : null,
+    classification: results ? results.classification.level : null,
+    indeterminate: results ? results.classification.indeterminate : null,
+    keyMarker: results ? results.keyMarker : null,
+    ...Object.fromEntries(BANDS.map((band) => [band, results ? round(results.bandPowers[band]) : null])),
+    ...Object.fromEntries(Object.keys(COMPLEXITY_MEASURES).map((m) => [m, results && results.complexity ? results.complexity.global[m] : null])),
+    model: results ? results.model.name : null,
+    profile: results ? profileLabel(results.profile) : null,
+  };
+}
+
+// feat: cohort aggregates printed after the per-file table
+export function cohortStats(rows) {
+  const scores = rows.filter((r) => r.status === "ok").map((r) => r.riskScore);
+  const mean = scores.reduce((sum, s) => sum + s, 0) / (scores.length || 1);
+  const sd = Math.sqrt(scores.reduce((sum, s) => sum + (s - mean) ** 2, 0) / Math.max(1, scores.length - 1));
+  const byClass = {};
+  rows.forEach((r) => {
+    if (r.classification) byClass[r.classification] = (byClass[r.classification] || 0) + 1;
+  });
+  const indeterminate = rows.filter((r) => r.indeterminate).length;
+  return { analysed: scores.length, failed: rows.length - scores.length, meanRisk: round(mean, 1), sdRisk: round(sd, 1), byClass, indeterminate };
+}
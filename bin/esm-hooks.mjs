@@ -0,0 +1,27 @@
+// feat: Node module hooks that let the CLI import the app's analysis modules unchanged
+// docs: src/ is written for the webpack build — ES modules in .js files with extensionless
+// docs: relative imports ("./eegUtils"); Node needs the extension and an explicit module format
+
+const SRC_URL = new URL("../src/", import.meta.url).href;
+
+const isSourceUrl = (url) => typeof url === "string" && url.startsWith(SRC_URL);
+
+// feat: "./eegUtils" → "./eegUtils.js" for relative imports made from inside src/
+// docs: JSON imported from src/ (the FHIR schema) is loaded as JSON — webpack needs no import attribute, Node does
+export async function resolve(specifier, context, nextResolve) {
+  if (isSourceUrl(context.parentURL) && specifier.endsWith(".json")) {
+    return { ...(await nextResolve(specifier, context)), importAttributes: { ...context.importAttributes, type: "json" } };
+  }
+  if (isSourceUrl(context.parentURL) && /^\.{1,2}\//.test(specifier) && !/\.[cm]?js$/.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+// feat: src/**/*.js are ES modules even though package.json has no "type": "module"
+export async function load(url, context, nextLoad) {
+  if (isSourceUrl(url) && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+// feat: headless batch analysis — the same parsing, preprocessing, scoring and Shapley
+// docs: code the browser app runs (src/utils/pipeline.js), driven from the command line
+// docs: usage: neuroscan analyze <files/globs...> [--format json|csv] [--out dir]
+// docs:        neuroscan evaluate <manifest> [--out dir] — model validation on labeled recordings
+// docs:        neuroscan serve [--port 8787] [--host 127.0.0.1] — local REST service (server/)
+// docs: exit codes: 0 all files analysed, 1 at least one file failed (or no AUC could be measured),
+// docs: 2 usage / setup error
+// chore: Node built-ins only — no extra dependencies for the CLI
+import { register } from "node:module";
+import fs from "node:fs";
+import path from "node:path";
+// chore: command line and input patterns
+import { UsageError, parseArgs, expandPatterns } from "./cliArgs.mjs";
+
+// chore: extensionless ESM imports in src/ (see esm-hooks.mjs)
+register("./esm-hooks.mjs", import.meta.url);
+
+const { analyzeRecording, mergeAnalysisSettings, DEFAULT_ANALYSIS_SETTINGS } = await import("../src/utils/pipeline.js");
+const { BUILTIN_MODEL, parseModel, describeModel, withProfile } = await import("../src/utils/models.js");
+const { BUILTIN_NORMS, parseNorms } = await import("../src/utils/norms.js");
+const { DEFAULT_PROFILE, parseProfile, profileLabel } = await import("../src/utils/profiles.js");
+const { isEDFFileName } = await import("../src/utils/edfParser.js");
+const { validatePreprocessing } = await import("../src/utils/filters.js");
+const { resultsToJson } = await import("../src/utils/fhir.js");
+const { APP_NAME, APP_VERSION } = await import("../src/utils/version.js");
+const { parseManifest, validationCase, buildValidation } = await import("../src/utils/validation.js");
+// docs: the output tables import from src/ too, so they load after the hooks as well
+const { toCsv, resultsToCsv, summaryRow, cohortStats } = await import("./cliTables.mjs");
+
+const USAGE = `${APP_NAME} ${APP_VERSION} — batch EEG analysis and local analysis service
+
+Usage:
+  neuroscan analyze <files/globs...> [options]
+  neuroscan evaluate <manifest> [options]
+  neuroscan serve [options]
+
+Analyze options:
+  --format json|csv   per-file result and cohort summary format (default: json)
+  --out <dir>         output directory (default: ./neuroscan-results)
+  --age <years>       subject age — selects the norm group the z-scores use
+  --sex F|M           subject sex — selects the norm group the z-scores use
+
+Evaluate options:
+  --out <dir>         output directory (default: ./neuroscan-validation)
+                      — validation-report.json / .pdf and validation-cases.csv
+
+Serve options:
+  --port <n>          port to listen on (default: 8787; 0 picks a free port)
+  --host <address>    interface to bind (default: 127.0.0.1, this machine only)
+  --allow-origin <o>  extra browser origin allowed to call the API (repeatable;
+                      http://localhost:* is always allowed)
+  --max-analyses <n>  analyses kept in memory (default: 100)
+  --max-upload <MB>   largest accepted request body (default: 200)
+
+Common options:
+  --model <file>      XGBoost or logistic model JSON (default: built-in formula)
+  --settings <file>   analysis settings JSON, merged over the app defaults
+  --norms <file>      normative database JSON for analyze and serve (default:
+                      built-in reference) — validation scores don't depend on it
+  --profile <file>    scoring profile JSON — band edges, weights, risk levels and
+                      finding rules (default: the standard profile)
+  --quiet             only print errors
+  -h, --help          show this help
+  -v, --version       show the version
+
+Recordings ending in .edf/.edf+/.rec are read as EDF, everything else as CSV.
+A manifest lists one recording per line as "file,label" (healthy/control/0 or
+sz/schizophrenia/1); relative paths are resolved from the manifest's folder.
+Quote globs ("data/**/*.csv") so the pattern reaches neuroscan unexpanded.
+The API is described at http://<host>:<port>/openapi.json once the server runs.`;
+
+// ─────────────────────────────────────────────────────────────
+// feat: settings, model and norm files
+// ─────────────────────────────────────────────────────────────
+function readText(file, what) {
+  try {
+    return fs.readFileSync(file, "utf8");
+  } catch (err) {
+    throw new UsageError(`Cannot read ${what} ${file}: ${err.code === "ENOENT" ? "file not found" : err.message}.`);
+  }
+}
+
+function loadSettings(file) {
+  if (!file) return DEFAULT_ANALYSIS_SETTINGS;
+  let json;
+  try {
+    json = JSON.parse(readText(file, "settings file"));
+  } catch (err) {
+    if (err instanceof UsageError) throw err;
+    throw new UsageError(`Settings file ${file} is not valid JSON.`);
+  }
+  const unknown = Object.keys(json).filter((group) => !(group in DEFAULT_ANALYSIS_SETTINGS));
+  if (unknown.length) {
+    throw new UsageError(`Settings file ${file} has unknown groups: ${unknown.join(", ")} (expected ${Object.keys(DEFAULT_ANALYSIS_SETTINGS).join(", ")}).`);
+  }
+  const settings = mergeAnalysisSettings(json);
+  // fix: pass band, notch and order are checked once up front; the high cut-off against
+  // docs: each recording's sample rate fails only that file (see processSignal)
+  const invalid = validatePreprocessing(settings.preprocessing);
+  if (invalid) throw new UsageError(`Settings file ${file}: ${invalid}`);
+  return settings;
+}
+
+function loadModel(file) {
+  if (!file) return BUILTIN_MODEL;
+  const { model, error } = parseModel(readText(file, "model file"), path.basename(file));
+  if (error) throw new UsageError(`Model ${file}: ${error}`);
+  return model;
+}
+
+function loadNorms(file) {
+  if (!file) return BUILTIN_NORMS;
+  const { norms, error } = parseNorms(readText(file, "norm file"), path.basename(file));
+  if (error) throw new UsageError(`Norms ${file}: ${error}`);
+  return norms;
+}
+
+function loadProfile(file) {
+  if (!file) return DEFAULT_PROFILE;
+  const { profile, error } = parseProfile(readText(file, "profile file"), path.basename(file));
+  if (error) throw new UsageError(`Profile ${file}: ${error}`);
+  return profile;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: analyse one file — same recording shape the upload worker receives
+// docs: returns { results } or { error } with a message naming what went wrong — errors are
+// docs: counted as failed files in the summary and the exit code
+// ─────────────────────────────────────────────────────────────
+function analyzeFile(file, settings, model, reference, profile) {
+  let buffer;
+  try {
+    buffer = fs.readFileSync(file);
+  } catch (err) {
+    return { error: err.code === "ENOENT" ? "file not found" : err.code === "EISDIR" ? "is a directory" : err.message };
+  }
+  const format = isEDFFileName(file) ? "EDF" : "CSV";
+  // fix: EDF parser expects its own ArrayBuffer, not the Buffer's shared pool
+  const source = format === "EDF"
+    ? buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength)
+    : buffer.toString("utf8");
+
+  try {
+    const results = analyzeRecording({ format, source, overrides: {} }, settings, model, reference, profile);
+    if (results.error) return { format, error: results.error };
+    // fix: a result without a finite score is never reported as "ok" (no clean epochs ends in an error before this)
+    if (!Number.isFinite(results.riskScore)) return { format, error: "no valid risk score" };
+    return { format, results };
+  } catch (err) {
+    return { format, error: `analysis failed: ${err.message}` };
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: output files and the console table (the tables themselves are in cliTables.mjs)
+// ─────────────────────────────────────────────────────────────
+// feat: "neuroscan-results/rec01.json" — suffixed when two inputs share a base name
+function outputName(file, extension, used) {
+  const base = path.basename(file).replace(/\.[^.]+$/, "").replace(/[^A-Za-z0-9._-]+/g, "-") || "recording";
+  let name = `${base}.${extension}`;
+  for (let n = 2; used.has(name); n++) name = `${base}-${n}.${extension}`;
+  used.add(name);
+  return name;
+}
+
+function printTable(rows) {
+  const columns = [
+    ["file", (r) => r.file],
+    ["status", (r) => r.status],
+    ["risk", (r) => (r.riskScore ?? "")],
+    ["95% CI", (r) => (r.riskScoreLower !== null && r.riskScoreLower !== undefined ? `${r.riskScoreLower}–${r.riskScoreUpper}` : "")],
+    ["class", (r) => (r.classification ? `${r.classification}${r.indeterminate ? " (indeterminate)" : ""}` : "")],
+    ["epochs", (r) => (r.epochsTotal ? `${r.epochsKept}/${r.epochsTotal}` : "")],
+  ];
+  const cells = rows.map((r) => columns.map(([, get]) => String(get(r))));
+  const widths = columns.map(([title], i) => Math.max(title.length, ...cells.map((c) => c[i].length)));
+  const line = (values) => values.map((v, i) => v.padEnd(widths[i])).join("  ").trimEnd();
+  console.log(line(columns.map(([title]) => title)));
+  cells.forEach((c) => console.log(line(c)));
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: analyze command
+// ─────────────────────────────────────────────────────────────
+function runAnalyze(options) {
+  const settings = loadSettings(options.settings);
+  const model = loadModel(options.model);
+  // docs: one subject's demographics for every file — analyse subjects separately when they differ
+  const reference = { norms: loadNorms(options.norms), demographics: { age: options.age, sex: options.sex } };
+  const profile = loadProfile(options.profile);
+  const files = expandPatterns(options.patterns);
+
+  try {
+    fs.mkdirSync(options.out, { recursive: true });
+  } catch (err) {
+    throw new UsageError(`Cannot create output directory ${options.out}: ${err.message}.`);
+  }
+
+  const used = new Set([`cohort-summary.${options.format}`]);
+  const rows = files.map((file, i) => {
+    if (!options.quiet) process.stderr.write(`[${i + 1}/${files.length}] ${file}\n`);
+    const outcome = analyzeFile(file, settings, model, reference, profile);
+
+    if (outcome.error) {
+      console.error(`error: ${file}: ${outcome.error}`);
+    } else {
+      const name = outputName(file, options.format, used);
+      const report = {
+        results: outcome.results,
+        subject: null,
+        recording: { label: path.basename(file), source: path.resolve(file), isSZ: null, analyzedAt: Date.now() },
+      };
+      const content = options.format === "csv"
+        ? resultsToCsv(outcome.results)
+        : JSON.stringify(resultsToJson(report), null, 2);
+      fs.writeFileSync(path.join(options.out, name), content);
+    }
+    return summaryRow(file, outcome);
+  });
+
+  const stats = cohortStats(rows);
+  const summaryFile = path.join(options.out, `cohort-summary.${options.format}`);
+  if (options.format === "csv") {
+    const header = Object.keys(rows[0]);
+    fs.writeFileSync(summaryFile, toCsv(header, rows.map((r) => header.map((key) => r[key]))));
+  } else {
+    const summary = {
+      software: { name: APP_NAME, version: APP_VERSION },
+      generatedAt: new Date().toISOString(),
+      model: describeModel(withProfile(model, profile)),
+      profile: profileLabel(profile),
+      norms: { name: reference.norms.name, version: reference.norms.version, demographics: reference.demographics },
+      settings,
+      cohort: stats,
+      files: rows,
+    };
+    fs.writeFileSync(summaryFile, JSON.stringify(summary, null, 2));
+  }
+
+  if (!options.quiet) {
+    console.log("");
+    printTable(rows);
+    console.log("");
+    const classes = Object.entries(stats.byClass).map(([level, n]) => `${level}: ${n}`).join(", ");
+    console.log(
+      `${stats.analysed} analysed, ${stats.failed} failed${stats.analysed ? ` · risk ${stats.meanRisk} ± ${stats.sdRisk}` : ""}` +
+      `${classes ? ` · ${classes}` : ""}${stats.indeterminate ? ` · ${stats.indeterminate} indeterminate` : ""}`
+    );
+    console.log(`Results written to ${options.out}${path.sep} (summary: ${path.basename(summaryFile)})`);
+  }
+  return stats.failed > 0 ? 1 : 0;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: evaluate command — every manifest recording through the pipeline, then the metrics
+// docs: the same validation the app's Model Validation view runs (src/utils/validation.js)
+// ─────────────────────────────────────────────────────────────
+async function runEvaluate(options) {
+  const settings = loadSettings(options.settings);
+  const model = loadModel(options.model);
+  const profile = loadProfile(options.profile);
+  const manifestFile = options.patterns[0];
+  const { entries, error } = parseManifest(readText(manifestFile, "manifest"));
+  if (error) throw new UsageError(`Manifest ${manifestFile}: ${error}`);
+
+  try {
+    fs.mkdirSync(options.out, { recursive: true });
+  } catch (err) {
+    throw new UsageError(`Cannot create output directory ${options.out}: ${err.message}.`);
+  }
+
+  const baseDir = path.dirname(manifestFile);
+  const cases = entries.map((entry, i) => {
+    if (!options.quiet) process.stderr.write(`[${i + 1}/${entries.length}] ${entry.file}\n`);
+    const outcome = analyzeFile(path.resolve(baseDir, entry.file), settings, model, undefined, profile);
+    if (outcome.error) console.error(`error: ${entry.file}: ${outcome.error}`);
+    return validationCase(entry, outcome.results || { error: outcome.error });
+  });
+
+  const validation = buildValidation({
+    manifestName: path.basename(manifestFile),
+    model: describeModel(withProfile(model, profile)),
+    profile,
+    settings,
+    cases,
+  });
+  // docs: imported here so `analyze` doesn't load jsPDF
+  const { buildValidationPdf, validationToJson, validationCasesCsv, formatAuc } = await import("../src/utils/validationReport.js");
+  const pdf = await buildValidationPdf(validation);
+  fs.writeFileSync(path.join(options.out, "validation-report.pdf"), Buffer.from(pdf.output("arraybuffer")));
+  fs.writeFileSync(path.join(options.out, "validation-report.json"), JSON.stringify(validationToJson(validation), null, 2));
+  fs.writeFileSync(path.join(options.out, "validation-cases.csv"), validationCasesCsv(validation));
+
+  const { metrics } = validation;
+  if (metrics.error) console.error(`neuroscan: ${metrics.error}`);
+  if (!options.quiet) {
+    console.log("");
+    console.log(`${metrics.n} analysed (${metrics.positives} SZ, ${metrics.negatives} healthy), ${metrics.failed} failed`);
+    if (!metrics.error) {
+      const pct = (m) => `${(m.value * 100).toFixed(1)}%`;
+      console.log(`AUC ${formatAuc(metrics.auc)}`);
+      metrics.thresholds.forEach((t) => {
+        console.log(`score >= ${t.threshold}: sensitivity ${pct(t.sensitivity)}, specificity ${pct(t.specificity)} (TP ${t.tp} FP ${t.fp} TN ${t.tn} FN ${t.fn})`);
+      });
+      console.log(`Brier ${metrics.calibration.brier.toFixed(3)} · ECE ${metrics.calibration.ece.toFixed(3)}`);
+    }
+    console.log(`Report written to ${options.out}${path.sep}`);
+  }
+  return metrics.failed > 0 || metrics.error ? 1 : 0;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: serve command — runs until interrupted (Ctrl+C)
+// ─────────────────────────────────────────────────────────────
+async function runServe(options) {
+  const settings = loadSettings(options.settings);
+  const model = loadModel(options.model);
+  // docs: imported here so `analyze` doesn't load the report and HTTP code
+  const { createAnalysisServer } = await import("../server/analysisServer.mjs");
+  const server = createAnalysisServer({
+    allowOrigins: options.allowOrigins,
+    maxAnalyses: options.maxAnalyses,
+    maxUploadBytes: options.maxUploadMB * 1024 * 1024,
+    settings,
+    model,
+    norms: loadNorms(options.norms),
+    profile: loadProfile(options.profile),
+    log: options.quiet ? () => {} : (line) => console.log(`${new Date().toISOString()} ${line}`),
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", (err) => {
+      reject(new UsageError(err.code === "EADDRINUSE"
+        ? `Port ${options.port} is already in use — pick another with --port.`
+        : `Cannot listen on ${options.host}:${options.port}: ${err.message}.`));
+    });
+    server.listen(options.port, options.host, resolve);
+  });
+  const host = options.host.includes(":") ? `[${options.host}]` : options.host;
+  // docs: the port actually bound — --port 0 lets the system pick one
+  const { port } = server.address();
+  console.log(`${APP_NAME} ${APP_VERSION} analysis service on http://${host}:${port} (model: ${model.name})`);
+  console.log(`API description: http://${host}:${port}/openapi.json`);
+
+  // chore: finish in-flight requests on Ctrl+C / SIGTERM
+  const stop = () => server.close(() => process.exit(0));
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: entry point
+// ─────────────────────────────────────────────────────────────
+try {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+  } else if (options.version) {
+    console.log(APP_VERSION);
+  } else if (options.command === "serve") {
+    await runServe(options);
+  } else if (options.command === "evaluate") {
+    process.exitCode = await runEvaluate(options);
+  } else {
+    process.exitCode = runAnalyze(options);
+  }
+} catch (err) {
+  if (!(err instanceof UsageError)) throw err;
+  console.error(`neuroscan: ${err.message}`);
+  console.error("Run neuroscan --help for usage.");
+  process.exitCode = 2;
+}
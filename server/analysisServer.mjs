@@ -0,0 +1,526 @@
+// feat: local REST analysis service — the app's analysis modules behind HTTP
+// docs: for other tools (LIMS, notebooks) and for the app itself when it is set to use a server
+// docs: backend; started with `neuroscan serve` (bin/neuroscan.mjs), documented in openapi.json
+// docs: analyses are kept in memory, newest maxAnalyses only — nothing is written to disk
+// docs: routes:
+// docs:   GET    /health                  service status and version
+// docs:   GET    /openapi.json            OpenAPI 3 description of this API
+// docs:   GET    /analyses                summaries, newest first
+// docs:   POST   /analyses                analyse an upload (CSV/EDF) or a simulation
+// docs:   GET    /analyses/:id            one analysis (?trace=true adds the display trace)
+// docs:   DELETE /analyses/:id            forget an analysis
+// docs:   GET    /analyses/:id/report     FHIR R4 bundle (default), results JSON or PDF (?format=)
+// docs: the analyses themselves run in a worker thread (analysisWorker.mjs), one at a time
+// chore: Node built-ins only
+import http from "node:http";
+import fs from "node:fs";
+import { randomUUID } from "node:crypto";
+import { Worker } from "node:worker_threads";
+
+// chore: analysis pipeline, models and exports shared with the app (see bin/esm-hooks.mjs)
+import { mergeAnalysisSettings, DEFAULT_ANALYSIS_SETTINGS } from "../src/utils/pipeline.js";
+import { BUILTIN_MODEL, parseModel } from "../src/utils/models.js";
+import { isEDFFileName } from "../src/utils/edfParser.js";
+import { validatePreprocessing } from "../src/utils/filters.js";
+import { validateSubject } from "../src/utils/subjects.js";
+import { BUILTIN_NORMS, parseNorms, subjectDemographics } from "../src/utils/norms.js";
+import { DEFAULT_PROFILE, parseProfile, profileLabel } from "../src/utils/profiles.js";
+import { buildFhirBundle, validateFhirBundle, resultsToJson } from "../src/utils/fhir.js";
+import { buildReportPdf } from "../src/utils/reportPdf.js";
+import { exportFileName } from "../src/utils/download.js";
+import { encodeTrace } from "../src/utils/transport.js";
+import { APP_NAME, APP_VERSION } from "../src/utils/version.js";
+
+const OPENAPI_URL = new URL("./openapi.json", import.meta.url);
+const WORKER_URL = new URL("./analysisWorker.mjs", import.meta.url);
+
+export const DEFAULT_SERVER_OPTIONS = {
+  // docs: browser origins allowed to call the API (CORS); localhost origins are always allowed
+  allowOrigins: [],
+  maxAnalyses: 100,
+  maxUploadBytes: 200 * 1024 * 1024,
+  // docs: defaults for requests that don't send their own settings / model / norm set / scoring profile
+  settings: DEFAULT_ANALYSIS_SETTINGS,
+  model: BUILTIN_MODEL,
+  norms: BUILTIN_NORMS,
+  profile: DEFAULT_PROFILE,
+  log: () => {},
+};
+
+const REPORT_FORMATS = {
+  fhir: "application/fhir+json",
+  json: "application/json",
+  pdf: "application/pdf",
+};
+
+// feat: request problems — reported as { error: { status, message } }
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const isLocalOrigin = (origin) => /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/.test(origin);
+
+// fix: the EDF parser needs a buffer of its own, not a view into Node's shared Buffer pool
+const toArrayBuffer = (buffer) => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+
+// ─────────────────────────────────────────────────────────────
+// feat: check a request value against an openapi.json schema
+// docs: covers what the request schemas use — $ref, type, nullable, enum, minimum/maximum
+// docs: (exclusiveMinimum as the OpenAPI 3.0 boolean), multipleOf, properties and
+// docs: additionalProperties: false; returns the first problem ("settings.spectral must be an object.") or null
+// ─────────────────────────────────────────────────────────────
+function schemaError(value, schema, schemas, where) {
+  if (schema.$ref) return schemaError(value, schemas[schema.$ref.split("/").pop()], schemas, where);
+  if (value === null) return schema.nullable ? null : `${where} must not be null.`;
+  const { type } = schema;
+  if (type === "object") {
+    if (typeof value !== "object" || Array.isArray(value)) return `${where} must be an object.`;
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      if (!(key in properties)) {
+        if (schema.additionalProperties === false) return `${where}.${key} is not a known setting (expected ${Object.keys(properties).join(", ")}).`;
+        continue;
+      }
+      const error = schemaError(item, properties[key], schemas, `${where}.${key}`);
+      if (error) return error;
+    }
+    return null;
+  }
+  if (type === "string" || type === "boolean") {
+    if (typeof value !== type) return `${where} must be a ${type}.`;
+  } else if (type === "number" || type === "integer") {
+    if (typeof value !== "number" || !Number.isFinite(value)) return `${where} must be a number.`;
+    if (type === "integer" && !Number.isInteger(value)) return `${where} must be a whole number.`;
+    if (schema.minimum !== undefined && (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum)) {
+      return `${where} must be ${schema.exclusiveMinimum ? "greater than" : "at least"} ${schema.minimum}.`;
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) return `${where} must be at most ${schema.maximum}.`;
+    if (schema.multipleOf && value % schema.multipleOf !== 0) return `${where} must be a multiple of ${schema.multipleOf}.`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) return `${where} must be one of ${schema.enum.join(", ")}.`;
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: request bodies
+// ─────────────────────────────────────────────────────────────
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => new HttpError(413, `Upload exceeds the server limit of ${Math.round(limit / 1024 / 1024)} MB.`);
+    // fix: a declared size over the limit is refused before any of the body is read
+    if (Number(req.headers["content-length"]) > limit) {
+      req.resume();
+      reject(tooLarge());
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        // fix: drain the rest instead of destroying the socket, so the client still gets the 413
+        req.removeAllListeners("data");
+        req.resume();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+// feat: POST /analyses body → { recording | simulation, settings, modelSource, normsSource, profileSource, subject }
+// docs: application/json carries everything (see AnalysisRequest in openapi.json); a raw text/csv or
+// docs: application/edf / application/octet-stream body is one recording analysed with the server defaults
+// docs: schemas = openapi.json's components.schemas — settings are checked against Settings
+function parseAnalysisRequest(req, body, query, schemas) {
+  const type = (req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+
+  if (type !== "application/json") {
+    const fileName = query.get("fileName") || "";
+    if (type === "text/csv" || type === "text/plain") {
+      return { recording: { fileName: fileName || "upload.csv", format: "CSV", source: body.toString("utf8"), overrides: {} } };
+    }
+    if (type === "application/edf" || type === "application/octet-stream") {
+      const format = fileName && !isEDFFileName(fileName) ? "CSV" : "EDF";
+      const source = format === "EDF" ? toArrayBuffer(body) : body.toString("utf8");
+      return { recording: { fileName: fileName || "upload.edf", format, source, overrides: {} } };
+    }
+    throw new HttpError(415, "Send application/json (see the AnalysisRequest schema), text/csv, or application/edf.");
+  }
+
+  let json;
+  try {
+    json = JSON.parse(body.toString("utf8"));
+  } catch (err) {
+    throw new HttpError(400, "Request body is not valid JSON.");
+  }
+  if (!json || typeof json !== "object" || Array.isArray(json)) throw new HttpError(400, "Request body must be a JSON object.");
+  if (!json.recording === !json.simulation) throw new HttpError(400, "Send exactly one of recording or simulation.");
+
+  const request = {};
+  if (json.recording) {
+    const { fileName = "", data, encoding, overrides = {} } = json.recording;
+    if (typeof data !== "string") throw new HttpError(400, "recording.data must be a string (CSV text or base64 EDF).");
+    const format = json.recording.format || (isEDFFileName(fileName) ? "EDF" : "CSV");
+    if (format !== "CSV" && format !== "EDF") throw new HttpError(400, 'recording.format must be "CSV" or "EDF".');
+    const base64 = (encoding || (format === "EDF" ? "base64" : "utf8")) === "base64";
+    if (format === "EDF" && !base64) throw new HttpError(400, 'EDF recordings must be sent with encoding "base64".');
+    const source = format === "EDF"
+      ? toArrayBuffer(Buffer.from(data, "base64"))
+      : (base64 ? Buffer.from(data, "base64").toString("utf8") : data);
+    if (typeof overrides !== "object" || Array.isArray(overrides)) throw new HttpError(400, "recording.overrides must be an object.");
+    request.recording = { fileName: fileName || `upload.${format.toLowerCase()}`, format, source, overrides };
+  } else {
+    const { isSZ, seed } = json.simulation;
+    if (typeof isSZ !== "boolean" || !Number.isInteger(seed)) {
+      throw new HttpError(400, "simulation needs isSZ (boolean) and seed (integer).");
+    }
+    request.simulation = { isSZ, seed };
+  }
+
+  if (json.settings !== undefined) {
+    if (!json.settings || typeof json.settings !== "object") throw new HttpError(400, "settings must be an object.");
+    const unknown = Object.keys(json.settings).filter((group) => !(group in DEFAULT_ANALYSIS_SETTINGS));
+    if (unknown.length) throw new HttpError(400, `Unknown settings groups: ${unknown.join(", ")}.`);
+    // fix: values are checked too — a string group or a text filter order is a bad request, not a stored analysis
+    const error = schemaError(json.settings, schemas.Settings, schemas, "settings");
+    if (error) throw new HttpError(400, error);
+    request.settings = json.settings;
+  }
+  if (json.model) {
+    if (typeof json.model.text !== "string") throw new HttpError(400, "model.text must be the model file's JSON text.");
+    request.modelSource = { text: json.model.text, fileName: json.model.fileName || "" };
+  }
+  if (json.norms) {
+    if (typeof json.norms.text !== "string") throw new HttpError(400, "norms.text must be the norm file's JSON text.");
+    request.normsSource = { text: json.norms.text, fileName: json.norms.fileName || "" };
+  }
+  if (json.profile) {
+    if (typeof json.profile.text !== "string") throw new HttpError(400, "profile.text must be the profile file's JSON text.");
+    request.profileSource = { text: json.profile.text, fileName: json.profile.fileName || "" };
+  }
+  if (json.subject) {
+    const error = validateSubject(json.subject);
+    if (error) throw new HttpError(400, error);
+    request.subject = json.subject;
+  }
+  return request;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: responses
+// ─────────────────────────────────────────────────────────────
+const isoTime = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+// feat: an analysis as returned by the API — the display trace only on request (it is most of the size)
+function serializeAnalysis(analysis, { trace = false } = {}) {
+  let results = null;
+  if (analysis.results) {
+    const { eegSignal, ...rest } = analysis.results;
+    results = trace && eegSignal ? { ...rest, eegSignal: encodeTrace(eegSignal) } : rest;
+  }
+  return {
+    id: analysis.id,
+    status: analysis.status,
+    createdAt: isoTime(analysis.createdAt),
+    completedAt: isoTime(analysis.completedAt),
+    recording: analysis.recording,
+    simulation: analysis.simulation,
+    subject: analysis.subject,
+    settings: analysis.settings,
+    error: analysis.error,
+    results,
+    links: { self: `/analyses/${analysis.id}`, report: `/analyses/${analysis.id}/report` },
+  };
+}
+
+function summarizeAnalysis(analysis) {
+  const { results } = analysis;
+  return {
+    id: analysis.id,
+    status: analysis.status,
+    createdAt: isoTime(analysis.createdAt),
+    label: analysis.recording ? analysis.recording.fileName : `Seed ${analysis.simulation.seed}`,
+    subjectId: analysis.subject ? analysis.subject.id : null,
+    riskScore: results ? results.riskScore : null,
+    classification: results ? results.classification.level : null,
+    indeterminate: results ? Boolean(results.classification.indeterminate) : null,
+    model: results ? results.model.name : null,
+    profile: results && results.profile ? profileLabel(results.profile) : null,
+    error: analysis.error,
+    links: { self: `/analyses/${analysis.id}`, report: `/analyses/${analysis.id}/report` },
+  };
+}
+
+// feat: the report input the app's exporters take
+const reportOf = (analysis) => ({
+  results: analysis.results,
+  subject: analysis.subject,
+  recording: {
+    label: analysis.recording ? analysis.recording.fileName : `Seed ${analysis.simulation.seed}`,
+    source: analysis.recording ? analysis.recording.format : "simulated",
+    isSZ: analysis.simulation ? analysis.simulation.isSZ : null,
+    analyzedAt: analysis.completedAt,
+  },
+});
+
+// ─────────────────────────────────────────────────────────────
+// feat: the service
+// ─────────────────────────────────────────────────────────────
+export function createAnalysisServer(userOptions = {}) {
+  const options = { ...DEFAULT_SERVER_OPTIONS, ...userOptions };
+  const openapi = JSON.parse(fs.readFileSync(OPENAPI_URL, "utf8"));
+  openapi.info.version = APP_VERSION;
+
+  // docs: insertion-ordered, so the first key is always the oldest analysis
+  const analyses = new Map();
+  // perf: the last parsed request model — a notebook sends the same model with every recording
+  let cachedModel = { text: null, model: null };
+
+  const resolveModel = (modelSource) => {
+    if (!modelSource) return options.model;
+    if (cachedModel.text !== modelSource.text) {
+      const { model, error } = parseModel(modelSource.text, modelSource.fileName);
+      if (error) throw new HttpError(400, `Model: ${error}`);
+      cachedModel = { text: modelSource.text, model };
+    }
+    return cachedModel.model;
+  };
+
+  // perf: same for the request norm set
+  let cachedNorms = { text: null, norms: null };
+
+  const resolveNorms = (normsSource) => {
+    if (!normsSource) return options.norms;
+    if (cachedNorms.text !== normsSource.text) {
+      const { norms, error } = parseNorms(normsSource.text, normsSource.fileName);
+      if (error) throw new HttpError(400, `Norms: ${error}`);
+      cachedNorms = { text: normsSource.text, norms };
+    }
+    return cachedNorms.norms;
+  };
+
+  // perf: and for the request scoring profile
+  let cachedProfile = { text: null, profile: null };
+
+  const resolveProfile = (profileSource) => {
+    if (!profileSource) return options.profile;
+    if (cachedProfile.text !== profileSource.text) {
+      const { profile, error } = parseProfile(profileSource.text, profileSource.fileName);
+      if (error) throw new HttpError(400, `Profile: ${error}`);
+      cachedProfile = { text: profileSource.text, profile };
+    }
+    return cachedProfile.profile;
+  };
+
+  const store = (analysis) => {
+    analyses.set(analysis.id, analysis);
+    while (analyses.size > options.maxAnalyses) analyses.delete(analyses.keys().next().value);
+  };
+
+  const find = (id) => {
+    const analysis = analyses.get(id);
+    if (!analysis) throw new HttpError(404, `No analysis ${id} (analyses are kept in memory until the server restarts).`);
+    return analysis;
+  };
+
+  // feat: the analysis worker thread — started with the first analysis, replaced when it dies
+  let worker = null;
+  let jobCount = 0;
+  const jobs = new Map();
+
+  const startWorker = () => {
+    const thread = new Worker(WORKER_URL);
+    thread.on("message", ({ id, results, error }) => {
+      const job = jobs.get(id);
+      jobs.delete(id);
+      if (error) job.reject(new Error(error));
+      else job.resolve(results);
+    });
+    // docs: a crash fails the analyses waiting on it; the next analysis starts a new thread
+    const fail = (err) => {
+      if (worker === thread) worker = null;
+      jobs.forEach((job) => job.reject(err));
+      jobs.clear();
+    };
+    thread.on("error", fail);
+    thread.on("exit", (code) => fail(new Error(`the analysis worker stopped (exit code ${code})`)));
+    return thread;
+  };
+
+  const runAnalysis = (job) => new Promise((resolve, reject) => {
+    worker = worker || startWorker();
+    const id = ++jobCount;
+    jobs.set(id, { resolve, reject });
+    // perf: an EDF upload is handed over, not copied
+    const { source } = job.recording || {};
+    worker.postMessage({ ...job, id }, source instanceof ArrayBuffer ? [source] : []);
+  });
+
+  // feat: POST /analyses — analyses run to completion (in the worker) before the response is sent
+  const createAnalysis = async (request) => {
+    const settings = request.settings ? mergeAnalysisSettings(request.settings, options.settings) : options.settings;
+    // fix: a pass band, notch or filter order that can't be designed is a bad request, not a NaN score
+    const invalid = validatePreprocessing(settings.preprocessing);
+    if (invalid) throw new HttpError(400, `settings.preprocessing: ${invalid}`);
+    const model = resolveModel(request.modelSource);
+    // docs: deviations are z-scored against the norm group matching the subject's age and sex
+    const reference = { norms: resolveNorms(request.normsSource), demographics: subjectDemographics(request.subject) };
+    const profile = resolveProfile(request.profileSource);
+    const { recording, simulation } = request;
+    const analysis = {
+      id: randomUUID(),
+      status: "completed",
+      createdAt: Date.now(),
+      completedAt: null,
+      recording: recording
+        ? { fileName: recording.fileName, format: recording.format, bytes: recording.source.byteLength ?? Buffer.byteLength(recording.source) }
+        : null,
+      simulation: simulation || null,
+      subject: request.subject || null,
+      settings,
+      error: null,
+      results: null,
+    };
+
+    try {
+      const results = await runAnalysis({
+        recording: recording || null,
+        simulation: simulation || null,
+        settings,
+        modelSource: model.source,
+        reference,
+        profile,
+      });
+      if (results.error) {
+        analysis.status = "failed";
+        analysis.error = results.error;
+      } else if (!Number.isFinite(results.riskScore)) {
+        // fix: "completed" promises a report — an analysis without a finite score has none
+        analysis.status = "failed";
+        analysis.error = "The analysis produced no valid risk score.";
+      } else {
+        analysis.results = results;
+      }
+    } catch (err) {
+      analysis.status = "failed";
+      analysis.error = `Analysis failed: ${err.message}`;
+    }
+    analysis.completedAt = Date.now();
+    store(analysis);
+    return analysis;
+  };
+
+  // feat: GET /analyses/:id/report
+  const buildReport = async (analysis, format) => {
+    if (analysis.status !== "completed") throw new HttpError(409, `Analysis ${analysis.id} failed — there is no report.`);
+    const report = reportOf(analysis);
+    if (format === "pdf") {
+      const doc = await buildReportPdf(report);
+      return { body: Buffer.from(doc.output("arraybuffer")), fileName: exportFileName(report, "report", "pdf") };
+    }
+    if (format === "json") return { body: JSON.stringify(resultsToJson(report), null, 2) };
+    const bundle = buildFhirBundle(report, analysis.completedAt);
+    const errors = await validateFhirBundle(bundle);
+    if (errors.length) throw new HttpError(500, `FHIR bundle failed validation — ${errors.slice(0, 3).join("; ")}`);
+    return { body: JSON.stringify(bundle, null, 2) };
+  };
+
+  const route = async (req, res, url) => {
+    const { pathname, searchParams } = url;
+    const send = (status, body, type = "application/json", headers = {}) => {
+      res.writeHead(status, { "Content-Type": type, ...headers });
+      res.end(typeof body === "string" || Buffer.isBuffer(body) ? body : JSON.stringify(body));
+      return status;
+    };
+    const match = pathname.match(/^\/analyses\/([^/]+)(\/report)?$/);
+
+    if (req.method === "GET" && pathname === "/health") {
+      return send(200, { status: "ok", software: { name: APP_NAME, version: APP_VERSION }, analyses: analyses.size });
+    }
+    if (req.method === "GET" && pathname === "/openapi.json") return send(200, openapi);
+
+    if (pathname === "/analyses") {
+      if (req.method === "GET") {
+        const list = [...analyses.values()].reverse().map(summarizeAnalysis);
+        return send(200, { analyses: list, total: list.length });
+      }
+      if (req.method === "POST") {
+        const body = await readBody(req, options.maxUploadBytes);
+        const analysis = await createAnalysis(parseAnalysisRequest(req, body, searchParams, openapi.components.schemas));
+        // docs: a recording that doesn't parse is still stored, so a batch can list what failed
+        return send(analysis.status === "completed" ? 201 : 422, serializeAnalysis(analysis, { trace: searchParams.get("trace") === "true" }), "application/json", {
+          Location: `/analyses/${analysis.id}`,
+        });
+      }
+      throw new HttpError(405, `${req.method} is not allowed on /analyses.`);
+    }
+
+    if (match && !match[2]) {
+      if (req.method === "GET") return send(200, serializeAnalysis(find(match[1]), { trace: searchParams.get("trace") === "true" }));
+      if (req.method === "DELETE") {
+        find(match[1]);
+        analyses.delete(match[1]);
+        res.writeHead(204);
+        res.end();
+        return 204;
+      }
+      throw new HttpError(405, `${req.method} is not allowed on /analyses/:id.`);
+    }
+
+    if (match && req.method === "GET") {
+      const format = searchParams.get("format") || (req.headers.accept === "application/pdf" ? "pdf" : "fhir");
+      if (!REPORT_FORMATS[format]) throw new HttpError(400, `format must be one of ${Object.keys(REPORT_FORMATS).join(", ")}.`);
+      const { body, fileName } = await buildReport(find(match[1]), format);
+      return send(200, body, REPORT_FORMATS[format], fileName ? { "Content-Disposition": `attachment; filename="${fileName}"` } : {});
+    }
+
+    throw new HttpError(404, `No route for ${req.method} ${pathname}.`);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const started = Date.now();
+    const url = new URL(req.url, "http://localhost");
+
+    // feat: CORS for the app (and other browser tools) on allowed origins
+    const { origin } = req.headers;
+    if (origin && (isLocalOrigin(origin) || options.allowOrigins.includes(origin))) {
+      res.setHeader("Access-Control-Allow-Origin", origin);
+      res.setHeader("Vary", "Origin");
+      res.setHeader("Access-Control-Expose-Headers", "Location, Content-Disposition");
+    }
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, {
+        "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type, Accept",
+        "Access-Control-Max-Age": "600",
+      });
+      res.end();
+      return;
+    }
+
+    let status;
+    try {
+      status = await route(req, res, url);
+    } catch (err) {
+      status = err instanceof HttpError ? err.status : 500;
+      if (!res.headersSent) {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: { status, message: err.message } }));
+      }
+    }
+    options.log(`${req.method} ${url.pathname}${url.search} → ${status} (${Date.now() - started} ms)`);
+  });
+
+  // chore: the worker thread goes with the server
+  server.on("close", () => {
+    if (worker) worker.terminate();
+  });
+  return server;
+}
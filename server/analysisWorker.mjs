@@ -0,0 +1,42 @@
+// feat: worker thread running the analysis pipeline for the REST service (analysisServer.mjs)
+// docs: analyses are synchronous and a long recording takes seconds — run on the server's own thread
+// docs: they would hold up every other request; here /health, listings and reports are answered
+// docs: meanwhile, and analyses queue behind each other, one at a time
+// docs: message protocol:
+// docs:   in:  { id, recording | null, simulation | null, settings, modelSource: { text, fileName } | null,
+// docs:          reference: { norms, demographics }, profile }
+// docs:   out: { id, results } | { id, error }
+// docs: the model travels as its file (functions can't be posted to a worker); the rest is plain data
+// chore: Node built-ins only
+import { parentPort } from "node:worker_threads";
+import { register } from "node:module";
+
+// chore: same module hooks as the CLI — the worker has a module loader of its own (see bin/esm-hooks.mjs)
+register("../bin/esm-hooks.mjs", import.meta.url);
+const { analyzeRecording, analyzeSimulated } = await import("../src/utils/pipeline.js");
+const { BUILTIN_MODEL, parseModel } = await import("../src/utils/models.js");
+
+// perf: the last parsed model file — a notebook sends the same model with every recording
+let cachedModel = { text: null, model: BUILTIN_MODEL };
+
+function resolveModel(modelSource) {
+  if (!modelSource) return BUILTIN_MODEL;
+  if (cachedModel.text !== modelSource.text) {
+    const { model, error } = parseModel(modelSource.text, modelSource.fileName);
+    if (error) throw new Error(error);
+    cachedModel = { text: modelSource.text, model };
+  }
+  return cachedModel.model;
+}
+
+parentPort.on("message", ({ id, recording, simulation, settings, modelSource, reference, profile }) => {
+  try {
+    const model = resolveModel(modelSource);
+    const results = recording
+      ? analyzeRecording(recording, settings, model, reference, profile)
+      : analyzeSimulated(simulation.isSZ, simulation.seed, settings, model, reference, profile);
+    parentPort.postMessage({ id, results });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message || String(err) });
+  }
+});
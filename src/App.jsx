@@ -1,30 +1,59 @@
 // feat: root app component with global state management
-// docs: manages subject type, seed, analysis results, CSV upload, and session history
-// docs: orchestrates the full EEG analysis pipeline (simulated or real CSV data)
+// docs: manages subject type, seed, analysis results, CSV/EDF upload, and session history
+// docs: orchestrates the full EEG analysis pipeline (simulated or real CSV data) through the analysis worker,
+// docs: or through the local analysis server when that backend is selected
 
 // chore: React core imports
-import React, { useState, useCallback } from "react";
+import React, { useState, useCallback, useRef, useEffect, useMemo } from "react";
 // chore: UI component imports
 import TopBar from "./components/TopBar";
 import Sidebar from "./components/Sidebar";
 import MetricCard from "./components/MetricCard";
 import EEGChart from "./components/EEGChart";
+import ComplexityChart from "./components/ComplexityChart";
 import BandPowerChart from "./components/BandPowerChart";
 import BrainMap from "./components/BrainMap";
+import PSDChart from "./components/PSDChart";
+import CoherenceChart from "./components/CoherenceChart";
+import SpectralFeaturesTable from "./components/SpectralFeaturesTable";
 import SHAPChart from "./components/SHAPChart";
+import WhatIfPanel from "./components/WhatIfPanel";
 import ClinicalReport from "./components/ClinicalReport";
 import AboutModal from "./components/AboutModal";
-// chore: EEG simulation utilities
+import AnalysisProgress from "./components/AnalysisProgress";
+import LongitudinalView from "./components/LongitudinalView";
+import ValidationView from "./components/ValidationView";
+// chore: default Shapley attribution settings
+import { DEFAULT_SHAP_SETTINGS } from "./utils/shapley";
+// chore: pluggable risk models (built-in formula, XGBoost, logistic)
+import { BUILTIN_MODEL, parseModel, describeModel, withProfile } from "./utils/models";
+// chore: normative database — the reference every deviation is z-scored against
+import { BUILTIN_NORMS, parseNorms, normativeOf } from "./utils/norms";
+// chore: scoring profiles — band edges, weights, risk levels, finding rules and recommendation text
+import { DEFAULT_PROFILE, parseProfile, profileOf, profileLabel, loadSavedProfiles, saveProfiles } from "./utils/profiles";
+// chore: epoch-resampling interval of the risk score
+import { UNCERTAINTY_METHODS, formatInterval, indeterminateNote } from "./utils/uncertainty";
+// chore: extended spectral features (computed from the stored spectrum for older results)
+import { spectralFeaturesOf } from "./utils/spectralFeatures";
+// chore: persistent analysis history (IndexedDB)
 import {
-  generateEEGSignal,
-  computeBandPowers,
-  computeRiskScore,
-  generateSHAPValues,
-  computeCoherence,
-  classifyRisk,
-} from "./utils/eegUtils";
-// chore: CSV parsing and real-data analysis utilities
-import { parseCSV, analyzeCSV } from "./utils/csvAnalysis";
+  listHistory, saveAnalysis, loadAnalysis, deleteAnalysis, clearHistory, storageEstimate,
+  listSubjects, saveSubject, deleteSubject, assignSubject, loadResults,
+} from "./utils/historyStore";
+// chore: per-visit metrics for longitudinal tracking
+import { visitMetrics } from "./utils/subjects";
+// chore: report exports — printable PDF (jsPDF loaded on first export), FHIR R4 bundle, plain JSON
+import { exportReportPdf } from "./utils/reportPdf";
+import { exportFhirBundle, exportResultsJson } from "./utils/fhir";
+// chore: parsing and analysis run in a Web Worker
+import { createAnalysisClient } from "./utils/analysisClient";
+import { isEDFFileName } from "./utils/edfParser";
+// chore: optional local REST analysis service as the analysis backend
+import { createServerClient, checkServer, loadBackendPreference, saveBackendPreference } from "./utils/serverClient";
+import { ANALYSIS_STAGES, DEFAULT_ANALYSIS_SETTINGS, mergeAnalysisSettings } from "./utils/pipeline";
+// chore: model validation on a labeled manifest — metrics and exports
+import { parseManifest, manifestFileName, validationCase, buildValidation } from "./utils/validation";
+import { exportValidationPdf, exportValidationJson, exportValidationCsv } from "./utils/validationReport";
 // style: global stylesheet import
 import "./App.css";
 
@@ -32,15 +61,40 @@ import "./App.css";
 const EMPTY_RESULTS = {
   riskScore: null,
   confidence: null,
+  uncertainty: null,
   keyMarker: null,
   keyDeviation: null,
+  normative: null,
   classification: null,
-  eegSignal: [],
+  eegSignal: null,
   bandPowers: {},
+  channelBandPowers: {},
+  spectralFeatures: null,
+  complexity: null,
   shapValues: [],
-  coherence: {},
+  shapExplanation: null,
+  coherence: null,
+  annotations: [],
+  channels: [],
+  psd: null,
+  preprocessing: null,
+  artifacts: null,
+  model: null,
+  profile: null,
 };
 
+// feat: a profile list with `profile` added — replacing a loaded profile of the same name and version
+const withLoadedProfile = (profiles, profile) => [
+  ...profiles.filter((p) => profileLabel(p) !== profileLabel(profile)),
+  profile,
+];
+
+// feat: uploaded recording for a manifest line — matched by file name, case-insensitively as a fallback
+function findManifestFile(files, entry) {
+  const name = manifestFileName(entry.file);
+  return files[name] || Object.values(files).find((f) => f.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
 export default function App() {
   // feat: core subject configuration state
   const [isSZ, setIsSZ] = useState(false);
@@ -51,97 +105,620 @@ export default function App() {
   const [isLoading, setIsLoading] = useState(false);
   const [hasRun, setHasRun] = useState(false);
 
+  // feat: analysis settings applied to both pipelines and recorded with each result
+  const [analysisSettings, setAnalysisSettings] = useState(DEFAULT_ANALYSIS_SETTINGS);
+
   // feat: UI state
   const [showAbout, setShowAbout] = useState(false);
-  const [sessionHistory, setSessionHistory] = useState([]);
+
+  // feat: persistent history — entry summaries, the entry on screen, storage usage and messages
+  const [history, setHistory] = useState([]);
+  const [activeHistoryId, setActiveHistoryId] = useState(null);
+  const [historyStatus, setHistoryStatus] = useState({ estimate: null, notice: null, error: null });
+
+  // feat: subject registry — new analyses are filed under the active subject
+  const [subjects, setSubjects] = useState([]);
+  const [activeSubjectId, setActiveSubjectId] = useState(null);
+  // docs: metrics for entries saved before per-visit metrics existed ({ id: metrics | null })
+  const [legacyMetrics, setLegacyMetrics] = useState({});
+
+  // feat: comparison mode — a stored result shown against the one on screen ({ entryId, label, results })
+  const [comparison, setComparison] = useState(null);
 
   // feat: CSV Upload state
   const [csvData, setCsvData] = useState(null);
   const [csvFileName, setCsvFileName] = useState("");
   const [csvError, setCsvError] = useState(null);
+  // feat: recording metadata for the uploaded file (format, EDF header, annotations, channel mapping)
+  const [recordingInfo, setRecordingInfo] = useState(null);
+  // feat: raw uploaded file + user channel mapping overrides ({ label: electrode | null })
+  const [uploadSource, setUploadSource] = useState(null);
+  const [channelOverrides, setChannelOverrides] = useState({});
+
+  // feat: active risk model — built-in formula until a model file is loaded
+  const [model, setModel] = useState(BUILTIN_MODEL);
+  const [modelError, setModelError] = useState(null);
+
+  // feat: active norm set — built-in reference until a norm file is loaded
+  const [norms, setNorms] = useState(BUILTIN_NORMS);
+  const [normsError, setNormsError] = useState(null);
 
-  // feat: run full EEG analysis pipeline
-  // perf: simulates 1.5s processing delay for realistic UX
-  const handleAnalyze = useCallback(() => {
+  // feat: scoring profiles — loaded files (remembered across reloads) and the one new analyses use
+  const [savedProfiles] = useState(loadSavedProfiles);
+  const [profiles, setProfiles] = useState(savedProfiles.profiles);
+  const [profile, setProfile] = useState(
+    () => savedProfiles.profiles.find((p) => profileLabel(p) === savedProfiles.active) || DEFAULT_PROFILE
+  );
+  const [profileError, setProfileError] = useState(null);
+  useEffect(() => {
+    saveProfiles(profiles, profile === DEFAULT_PROFILE ? null : profileLabel(profile));
+  }, [profiles, profile]);
+  // docs: the model as it scores under the active profile — the formula takes the profile's weights
+  const scoringModel = useMemo(() => withProfile(model, profile), [model, profile]);
+
+  // feat: analysis worker client — one per app, started lazily on the first job
+  const clientRef = useRef(null);
+  if (!clientRef.current) clientRef.current = createAnalysisClient();
+  useEffect(() => () => clientRef.current.dispose(), []);
+
+  // feat: analysis backend — { mode: "browser" | "server", url } — and the server's last health check
+  const [backend, setBackend] = useState(loadBackendPreference);
+  const [serverStatus, setServerStatus] = useState(null);
+  const serverClient = useMemo(() => createServerClient(backend.url), [backend.url]);
+  useEffect(() => () => serverClient.dispose(), [serverClient]);
+
+  // feat: check the server whenever it becomes the backend or its address changes
+  const refreshServerStatus = useCallback(async () => {
+    setServerStatus({ state: "checking" });
+    const { ok, software, error } = await checkServer(backend.url);
+    setServerStatus(ok ? { state: "ok", software } : { state: "error", error });
+  }, [backend.url]);
+
+  useEffect(() => {
+    if (backend.mode === "server") refreshServerStatus();
+  }, [backend.mode, refreshServerStatus]);
+
+  const handleBackendChange = useCallback((next) => {
+    setBackend(next);
+    saveBackendPreference(next);
+  }, []);
+
+  // feat: model validation — manifest + uploaded recordings, run progress ({ index, total, file }),
+  // docs: and the finished run shown in the Model Validation section
+  const [validationSetup, setValidationSetup] = useState({ manifestName: null, entries: [], files: {}, error: null });
+  const [validationProgress, setValidationProgress] = useState(null);
+  const [validation, setValidation] = useState(null);
+  const validationCancelled = useRef(false);
+
+  // feat: live pipeline progress ({ stage, label, index, total }) and the last analysis failure
+  const [progress, setProgress] = useState(null);
+  const [analysisError, setAnalysisError] = useState(null);
+  // fix: only the latest upload/re-mapping may update the recording state
+  const parseSeq = useRef(0);
+
+  // feat: reload the history list and storage usage
+  const refreshHistory = useCallback(async () => {
+    try {
+      const [entries, registry, estimate] = await Promise.all([listHistory(), listSubjects(), storageEstimate()]);
+      setHistory(entries);
+      setSubjects(registry);
+      setHistoryStatus((prev) => ({ ...prev, estimate }));
+    } catch (err) {
+      setHistoryStatus((prev) => ({ ...prev, error: err.message }));
+    }
+  }, []);
+
+  // feat: history survives reloads — list it on startup
+  useEffect(() => {
+    refreshHistory();
+  }, [refreshHistory]);
+
+  // feat: save a finished analysis with its settings, model file and input file
+  const recordHistory = useCallback(async (record) => {
+    try {
+      const { entry, pruned } = await saveAnalysis(record);
+      setActiveHistoryId(entry.id);
+      setHistoryStatus((prev) => ({
+        ...prev,
+        error: null,
+        notice: pruned
+          ? `Storage full — removed the ${pruned} oldest analys${pruned === 1 ? "is" : "es"} to make room.`
+          : null,
+      }));
+    } catch (err) {
+      setActiveHistoryId(null);
+      setHistoryStatus((prev) => ({ ...prev, error: `Not saved to history: ${err.message}` }));
+    }
+    await refreshHistory();
+  }, [refreshHistory]);
+
+  // feat: run full EEG analysis pipeline in the worker (or on the server), reporting each stage as it starts
+  const handleAnalyze = useCallback(async () => {
+    const hadResults = results.riskScore !== null;
     setIsLoading(true);
     setHasRun(true);
+    setAnalysisError(null);
+    setProgress({ stage: ANALYSIS_STAGES[0].id, label: ANALYSIS_STAGES[0].label, index: 0, total: ANALYSIS_STAGES.length });
 
-    // chore: simulate async processing delay
-    setTimeout(() => {
-      let analysisResults;
-
-      if (csvData) {
-        // feat: analyze real uploaded CSV data (overrides simulation)
-        analysisResults = analyzeCSV(csvData);
-      } else {
-        // feat: run synthetic simulation pipeline using seed + subject type
-        const eegSignal = generateEEGSignal(isSZ, seed);
-        const bandPowers = computeBandPowers(isSZ, seed);
-        const { score, confidence, keyMarker, keyDeviation } = computeRiskScore(bandPowers, seed);
-        const classification = classifyRisk(score);
-        const shapValues = generateSHAPValues(isSZ, seed);
-        const coherence = computeCoherence(isSZ, seed);
-
-        analysisResults = {
-          riskScore: score,
-          confidence,
-          keyMarker,
-          keyDeviation,
-          classification,
-          eegSignal,
-          bandPowers,
-          shapValues,
-          coherence,
-        };
-      }
+    try {
+      const client = backend.mode === "server" ? serverClient : clientRef.current;
+      const analysisResults = await client.run({
+        type: "analyze",
+        // docs: uploads are re-parsed in the worker from the raw source (cheaper to post than samples)
+        recording: csvData && uploadSource
+          ? { format: uploadSource.format, source: uploadSource.source, overrides: channelOverrides, fileName: uploadSource.fileName }
+          : null,
+        isSZ,
+        seed,
+        settings: analysisSettings,
+        modelSource: model.source,
+        normsSource: norms.source,
+        profileSource: profile.source,
+        // docs: age and sex pick the norm group the deviations are measured against
+        subject: subjects.find((s) => s.id === activeSubjectId) || null,
+      }, setProgress);
+      if (analysisResults.error) throw new Error(analysisResults.error);
 
       // feat: update results state
       setResults(analysisResults);
 
-      // feat: add to session history (max 5 items, FIFO — oldest dropped)
-      setSessionHistory((prev) => {
-        const entry = {
-          seed: csvData ? "CSV" : seed,
-          isSZ: csvData ? (analysisResults.riskScore > 50) : isSZ,
+      // feat: persist to history — the whole result, settings, model file and input file
+      const upload = csvData && uploadSource;
+      recordHistory({
+        summary: {
+          createdAt: Date.now(),
+          source: upload ? uploadSource.format : "simulated",
+          label: upload ? uploadSource.fileName : `Seed ${seed}`,
+          seed: upload ? null : seed,
+          isSZ: upload ? null : isSZ,
           score: analysisResults.riskScore,
           level: analysisResults.classification.level,
           color: analysisResults.classification.color,
-          time: new Date().toLocaleTimeString(),
-        };
-        return [entry, ...prev].slice(0, 5);
+          modelName: model.name,
+          profileName: profileLabel(profile),
+          subjectId: activeSubjectId,
+          metrics: visitMetrics(analysisResults),
+        },
+        snapshot: {
+          results: analysisResults,
+          settings: analysisSettings,
+          modelSource: model.source,
+          normsSource: norms.source,
+          profileSource: profile.source,
+          overrides: upload ? channelOverrides : {},
+        },
+        file: upload ? { name: uploadSource.fileName, format: uploadSource.format, source: uploadSource.source } : null,
       });
-
+    } catch (err) {
+      if (!err.cancelled) setAnalysisError(err.message);
+      // fix: a cancelled/failed first run goes back to the empty state instead of empty charts
+      setHasRun(hadResults);
+    } finally {
       setIsLoading(false);
-    }, 1500);
-  }, [isSZ, seed, csvData]);
+      setProgress(null);
+    }
+  }, [isSZ, seed, csvData, uploadSource, channelOverrides, analysisSettings, model, norms, profile, results, recordHistory, subjects, activeSubjectId, backend.mode, serverClient]);
 
-  // feat: CSV upload handler — receives already-read text + filename from Sidebar
-  const handleCSVUpload = useCallback((text, fileName) => {
-    const { signal, error } = parseCSV(text);
-    if (error) {
-      setCsvError(error);
+  // feat: stop the running analysis — terminates the worker (or abandons the server request),
+  // docs: previous results stay on screen
+  const handleCancel = useCallback(() => {
+    if (backend.mode === "server") serverClient.cancel();
+    else clientRef.current.cancel();
+  }, [backend.mode, serverClient]);
+
+  // feat: parse an uploaded file (in the worker) with the current channel mapping overrides
+  // docs: keeps the raw source so the user can re-map channels without re-uploading
+  const loadUpload = useCallback(async (format, source, fileName, overrides) => {
+    const seq = ++parseSeq.current;
+    let parsed;
+    try {
+      parsed = await clientRef.current.run({ type: "parse", format, source, overrides });
+    } catch (err) {
+      if (err.cancelled) return;
+      parsed = { error: err.message };
+    }
+    if (seq !== parseSeq.current) return;
+
+    setUploadSource({ format, source, fileName });
+    setChannelOverrides(overrides);
+    setRecordingInfo({
+      format,
+      header: parsed.header,
+      annotations: parsed.annotations || [],
+      mapping: parsed.mapping,
+    });
+    if (parsed.error) {
+      setCsvError(parsed.error);
       setCsvData(null);
       setCsvFileName("");
     } else {
-      setCsvData(signal);
+      setCsvData(parsed.signal);
       setCsvFileName(fileName);
       setCsvError(null);
     }
   }, []);
 
+  // feat: CSV upload handler — receives already-read text + filename from Sidebar
+  const handleCSVUpload = useCallback((text, fileName) => {
+    loadUpload("CSV", text, fileName, {});
+  }, [loadUpload]);
+
+  // feat: EDF upload handler — receives the raw ArrayBuffer + filename from Sidebar
+  const handleEDFUpload = useCallback((buffer, fileName) => {
+    loadUpload("EDF", buffer, fileName, {});
+  }, [loadUpload]);
+
+  // feat: user maps a column/signal label to an electrode (or null to ignore it)
+  const handleChannelMap = useCallback((label, electrode) => {
+    if (!uploadSource) return;
+    loadUpload(uploadSource.format, uploadSource.source, uploadSource.fileName, {
+      ...channelOverrides,
+      [label]: electrode,
+    });
+  }, [uploadSource, channelOverrides, loadUpload]);
+
   // feat: clear uploaded CSV and revert to simulated mode
   const handleCSVClear = useCallback(() => {
+    parseSeq.current++;
     setCsvData(null);
     setCsvFileName("");
     setCsvError(null);
+    setRecordingInfo(null);
+    setUploadSource(null);
+    setChannelOverrides({});
+  }, []);
+
+  // feat: load a model file (XGBoost JSON / dump or logistic JSON) for local inference
+  const handleModelUpload = useCallback((text, fileName) => {
+    const { model: loaded, error } = parseModel(text, fileName);
+    if (error) {
+      setModelError(error);
+      return;
+    }
+    setModel(loaded);
+    setModelError(null);
+    // fix: a background sample only exists for some models — reset the SHAP background if needed
+    setAnalysisSettings((prev) => (
+      prev.explain.background === "model" && !loaded.background
+        ? { ...prev, explain: DEFAULT_SHAP_SETTINGS }
+        : prev
+    ));
+  }, []);
+
+  // feat: go back to the built-in formula
+  const handleModelReset = useCallback(() => {
+    setModel(BUILTIN_MODEL);
+    setModelError(null);
+    setAnalysisSettings((prev) => (
+      prev.explain.background === "model" ? { ...prev, explain: DEFAULT_SHAP_SETTINGS } : prev
+    ));
+  }, []);
+
+  // feat: load a normative database file (mean/SD per band by age and sex)
+  const handleNormsUpload = useCallback((text, fileName) => {
+    const { norms: loaded, error } = parseNorms(text, fileName);
+    if (error) {
+      setNormsError(error);
+      return;
+    }
+    setNorms(loaded);
+    setNormsError(null);
+  }, []);
+
+  // feat: go back to the built-in reference
+  const handleNormsReset = useCallback(() => {
+    setNorms(BUILTIN_NORMS);
+    setNormsError(null);
+  }, []);
+
+  // feat: load a scoring profile file — added to the picker and made active
+  const handleProfileUpload = useCallback((text, fileName) => {
+    const { profile: loaded, error } = parseProfile(text, fileName);
+    if (error) {
+      setProfileError(error);
+      return;
+    }
+    setProfiles((prev) => withLoadedProfile(prev, loaded));
+    setProfile(loaded);
+    setProfileError(null);
+  }, []);
+
+  // feat: pick a profile by label (null = the standard profile)
+  const handleProfileSelect = useCallback((label) => {
+    setProfile(profiles.find((p) => profileLabel(p) === label) || DEFAULT_PROFILE);
+    setProfileError(null);
+  }, [profiles]);
+
+  // feat: forget a loaded profile — results already scored with it keep their copy
+  const handleProfileRemove = useCallback((label) => {
+    setProfiles((prev) => prev.filter((p) => profileLabel(p) !== label));
+    setProfile((prev) => (profileLabel(prev) === label ? DEFAULT_PROFILE : prev));
+  }, []);
+
+  // ─────────────────────────────────────────────────────────────
+  // feat: reopen a past analysis exactly as it was
+  // docs: restores the stored result (nothing is recomputed), plus the settings, model and input
+  // docs: (uploaded file + channel mapping, or seed + subject type) so Analyze reproduces it
+  // ─────────────────────────────────────────────────────────────
+  const handleLoadHistory = useCallback(async (entry) => {
+    try {
+      const { snapshot, file } = await loadAnalysis(entry.id);
+
+      if (snapshot.modelSource) {
+        const { model: restored, error } = parseModel(snapshot.modelSource.text, snapshot.modelSource.fileName);
+        setModel(restored || BUILTIN_MODEL);
+        setModelError(error ? `Saved model couldn't be restored: ${error}` : null);
+      } else {
+        setModel(BUILTIN_MODEL);
+        setModelError(null);
+      }
+      if (snapshot.normsSource) {
+        const { norms: restored, error } = parseNorms(snapshot.normsSource.text, snapshot.normsSource.fileName);
+        setNorms(restored || BUILTIN_NORMS);
+        setNormsError(error ? `Saved norm set couldn't be restored: ${error}` : null);
+      } else {
+        setNorms(BUILTIN_NORMS);
+        setNormsError(null);
+      }
+      // docs: the entry's profile is added to the picker if it isn't loaded any more
+      if (snapshot.profileSource) {
+        const { profile: restored, error } = parseProfile(snapshot.profileSource.text, snapshot.profileSource.fileName);
+        if (restored) setProfiles((prev) => withLoadedProfile(prev, restored));
+        setProfile(restored || DEFAULT_PROFILE);
+        setProfileError(error ? `Saved profile couldn't be restored: ${error}` : null);
+      } else {
+        setProfile(DEFAULT_PROFILE);
+        setProfileError(null);
+      }
+      setAnalysisSettings(mergeAnalysisSettings(snapshot.settings));
+
+      if (file) {
+        await loadUpload(file.format, file.source, file.name, snapshot.overrides || {});
+      } else {
+        handleCSVClear();
+        setIsSZ(entry.isSZ);
+        setSeed(entry.seed);
+      }
+
+      setResults({ ...EMPTY_RESULTS, ...snapshot.results });
+      setHasRun(true);
+      setAnalysisError(null);
+      setActiveHistoryId(entry.id);
+      setActiveSubjectId(entry.subjectId || null);
+      setComparison((prev) => (prev && prev.entryId === entry.id ? null : prev));
+    } catch (err) {
+      setHistoryStatus((prev) => ({ ...prev, error: err.message }));
+      refreshHistory();
+    }
+  }, [loadUpload, handleCSVClear, refreshHistory]);
+
+  // ─────────────────────────────────────────────────────────────
+  // feat: compare the result on screen (A) with a stored analysis (B) — again to stop comparing
+  // docs: B is shown exactly as stored; A can change (new run, another entry) while B stays
+  // ─────────────────────────────────────────────────────────────
+  const handleCompareHistory = useCallback(async (entry) => {
+    if (comparison && comparison.entryId === entry.id) {
+      setComparison(null);
+      return;
+    }
+    try {
+      const { snapshot } = await loadAnalysis(entry.id);
+      setComparison({
+        entryId: entry.id,
+        label: entry.label,
+        createdAt: entry.createdAt,
+        results: { ...EMPTY_RESULTS, ...snapshot.results },
+      });
+    } catch (err) {
+      setHistoryStatus((prev) => ({ ...prev, error: err.message }));
+      refreshHistory();
+    }
+  }, [comparison, refreshHistory]);
+
+  // feat: delete one history entry (its stored file goes with the last entry using it)
+  const handleDeleteHistory = useCallback(async (id) => {
+    try {
+      await deleteAnalysis(id);
+      if (id === activeHistoryId) setActiveHistoryId(null);
+      setComparison((prev) => (prev && prev.entryId === id ? null : prev));
+      setHistoryStatus((prev) => ({ ...prev, notice: null, error: null }));
+    } catch (err) {
+      setHistoryStatus((prev) => ({ ...prev, error: err.message }));
+    }
+    refreshHistory();
+  }, [activeHistoryId, refreshHistory]);
+
+  // ─────────────────────────────────────────────────────────────
+  // feat: subject registry handlers
+  // docs: onSave resolves with an error message for the form, or null on success
+  // ─────────────────────────────────────────────────────────────
+  const handleSaveSubject = useCallback(async (subject, isNew) => {
+    try {
+      await saveSubject(subject, isNew);
+      setActiveSubjectId(subject.id);
+      await refreshHistory();
+      return null;
+    } catch (err) {
+      return err.message;
+    }
+  }, [refreshHistory]);
+
+  const handleDeleteSubject = useCallback(async (id) => {
+    try {
+      await deleteSubject(id);
+      setActiveSubjectId(null);
+    } catch (err) {
+      setHistoryStatus((prev) => ({ ...prev, error: err.message }));
+    }
+    refreshHistory();
+  }, [refreshHistory]);
+
+  // feat: file an existing analysis under a subject (or unassign it)
+  const handleAssignSubject = useCallback(async (entryId, subjectId) => {
+    try {
+      await assignSubject(entryId, subjectId);
+    } catch (err) {
+      setHistoryStatus((prev) => ({ ...prev, error: err.message }));
+    }
+    refreshHistory();
+  }, [refreshHistory]);
+
+  // feat: compare the subject's visits against another baseline visit
+  const handleSetBaseline = useCallback(async (entryId) => {
+    const subject = subjects.find((s) => s.id === activeSubjectId);
+    if (!subject) return;
+    await handleSaveSubject({ ...subject, baselineId: entryId }, false);
+  }, [subjects, activeSubjectId, handleSaveSubject]);
+
+  // feat: the active subject's visits, with metrics backfilled for older entries
+  const activeSubject = subjects.find((s) => s.id === activeSubjectId) || null;
+  const subjectVisits = activeSubject
+    ? history
+      .filter((e) => e.subjectId === activeSubject.id)
+      .map((e) => ({ ...e, metrics: e.metrics || legacyMetrics[e.id] }))
+      .filter((v) => v.metrics)
+    : [];
+
+  // docs: the report names the subject the analysis on screen is filed under
+  const openEntry = history.find((e) => e.id === activeHistoryId);
+  const reportSubject = openEntry ? subjects.find((s) => s.id === openEntry.subjectId) || null : null;
+
+  // perf: z-scores and spectral features of the result on screen — results saved before norm sets or
+  // docs: spectral features existed get them computed once
+  const normative = useMemo(() => normativeOf(results), [results]);
+  const spectralFeatures = useMemo(() => spectralFeaturesOf(results), [results]);
+  // docs: score interval — null for results saved before it was estimated
+  const uncertainty = results.uncertainty || null;
+
+  // feat: comparison inputs for the charts — null outside comparison mode
+  const compareResults = comparison ? comparison.results : null;
+  const compareLabels = comparison
+    ? { a: openEntry ? openEntry.label : "Current analysis", b: comparison.label }
+    : null;
+
+  // ─────────────────────────────────────────────────────────────
+  // feat: download the report on screen — "pdf", "fhir" (R4 Bundle) or "json" (plain result)
+  // docs: recording metadata comes from its history entry, or the current inputs if it wasn't saved
+  // ─────────────────────────────────────────────────────────────
+  const handleExportReport = useCallback(async (format) => {
+    const report = {
+      results,
+      subject: reportSubject,
+      recording: openEntry
+        ? { label: openEntry.label, source: openEntry.source, isSZ: openEntry.isSZ, analyzedAt: openEntry.createdAt }
+        : {
+          label: csvData ? csvFileName : `Seed ${seed}`,
+          source: csvData && uploadSource ? uploadSource.format : "simulated",
+          isSZ,
+          analyzedAt: null,
+        },
+    };
+    if (format === "fhir") await exportFhirBundle(report);
+    else if (format === "json") exportResultsJson(report);
+    else await exportReportPdf(report);
+  }, [results, reportSubject, openEntry, csvData, csvFileName, uploadSource, seed, isSZ]);
+
+  // ─────────────────────────────────────────────────────────────
+  // feat: model validation — manifest, recordings, run, export
+  // ─────────────────────────────────────────────────────────────
+  const handleValidationManifest = useCallback((text, fileName) => {
+    const { entries, error } = parseManifest(text);
+    setValidationSetup((prev) => ({ ...prev, manifestName: fileName, entries, error }));
   }, []);
 
-  // feat: load a previous session from history
-  const handleLoadHistory = useCallback((entry) => {
-    setIsSZ(entry.isSZ);
-    setSeed(entry.seed);
+  // docs: File objects are kept (not read) until the run, so large cohorts don't sit in memory twice
+  const handleValidationFiles = useCallback((files) => {
+    setValidationSetup((prev) => ({
+      ...prev,
+      files: { ...prev.files, ...Object.fromEntries(files.map((f) => [f.name, f])) },
+    }));
   }, []);
 
+  // feat: every manifest recording through the active backend, one at a time, then the metrics
+  // docs: a recording that fails (unreadable, not uploaded) is kept as a failed case, not fatal
+  const handleRunValidation = useCallback(async () => {
+    const { manifestName, entries, files } = validationSetup;
+    const client = backend.mode === "server" ? serverClient : clientRef.current;
+    validationCancelled.current = false;
+    setValidationSetup((prev) => ({ ...prev, error: null }));
+
+    const cases = [];
+    try {
+      for (let i = 0; i < entries.length; i++) {
+        if (validationCancelled.current) return;
+        const entry = entries[i];
+        setValidationProgress({ index: i, total: entries.length, file: entry.file });
+        const file = findManifestFile(files, entry);
+        if (!file) {
+          cases.push(validationCase(entry, { error: "recording not uploaded" }));
+          continue;
+        }
+        const format = isEDFFileName(file.name) ? "EDF" : "CSV";
+        let results;
+        try {
+          const source = format === "EDF" ? await file.arrayBuffer() : await file.text();
+          results = await client.run({
+            type: "analyze",
+            recording: { format, source, overrides: {}, fileName: file.name },
+            settings: analysisSettings,
+            modelSource: model.source,
+            normsSource: norms.source,
+            profileSource: profile.source,
+          });
+        } catch (err) {
+          if (err.cancelled) return;
+          results = { error: err.message };
+        }
+        cases.push(validationCase(entry, results));
+      }
+      setValidation(buildValidation({ manifestName, model: describeModel(scoringModel), profile, settings: analysisSettings, cases }));
+    } finally {
+      setValidationProgress(null);
+    }
+  }, [validationSetup, backend.mode, serverClient, analysisSettings, model, norms, profile, scoringModel]);
+
+  const handleCancelValidation = useCallback(() => {
+    validationCancelled.current = true;
+    if (backend.mode === "server") serverClient.cancel();
+    else clientRef.current.cancel();
+  }, [backend.mode, serverClient]);
+
+  const handleExportValidation = useCallback(async (format) => {
+    if (format === "json") exportValidationJson(validation);
+    else if (format === "csv") exportValidationCsv(validation);
+    else await exportValidationPdf(validation);
+  }, [validation]);
+
+  // feat: load metrics for visits saved before entries carried them
+  useEffect(() => {
+    if (!activeSubjectId) return;
+    const missing = history
+      .filter((e) => e.subjectId === activeSubjectId && !e.metrics && !(e.id in legacyMetrics))
+      .map((e) => e.id);
+    if (missing.length === 0) return;
+    loadResults(missing)
+      .then((stored) => setLegacyMetrics((prev) => {
+        const next = { ...prev };
+        // fix: record misses as null so a missing snapshot isn't requested again on every render
+        missing.forEach((id, i) => { next[id] = stored[i] ? visitMetrics(stored[i]) : null; });
+        return next;
+      }))
+      .catch(() => {});
+  }, [history, activeSubjectId, legacyMetrics]);
+
+  // feat: wipe the whole history
+  const handleClearHistory = useCallback(async () => {
+    try {
+      await clearHistory();
+      setActiveHistoryId(null);
+      setComparison(null);
+      setHistoryStatus((prev) => ({ ...prev, notice: null, error: null }));
+    } catch (err) {
+      setHistoryStatus((prev) => ({ ...prev, error: err.message }));
+    }
+    refreshHistory();
+  }, [refreshHistory]);
+
   return (
     <div className="app">
       {/* refactor: topbar is purely presentational */}
@@ -155,18 +732,65 @@ export default function App() {
           seed={seed}
           setSeed={setSeed}
           onAnalyze={handleAnalyze}
+          onCancel={handleCancel}
           isLoading={isLoading}
-          sessionHistory={sessionHistory}
+          progress={progress}
+          history={history}
+          historyStatus={historyStatus}
+          activeHistoryId={activeHistoryId}
           onLoadHistory={handleLoadHistory}
+          onDeleteHistory={handleDeleteHistory}
+          onClearHistory={handleClearHistory}
+          compareId={comparison ? comparison.entryId : null}
+          onCompareHistory={hasRun ? handleCompareHistory : null}
+          subjects={subjects}
+          activeSubjectId={activeSubjectId}
+          onSelectSubject={setActiveSubjectId}
+          onSaveSubject={handleSaveSubject}
+          onDeleteSubject={handleDeleteSubject}
+          onAssignSubject={handleAssignSubject}
           csvData={csvData}
           csvFileName={csvFileName}
           csvError={csvError}
           onCSVUpload={handleCSVUpload}
           onCSVClear={handleCSVClear}
+          recordingInfo={recordingInfo}
+          onEDFUpload={handleEDFUpload}
+          onChannelMap={handleChannelMap}
+          analysisSettings={analysisSettings}
+          setAnalysisSettings={setAnalysisSettings}
+          model={scoringModel}
+          modelError={modelError}
+          onModelUpload={handleModelUpload}
+          onModelReset={handleModelReset}
+          norms={norms}
+          normsError={normsError}
+          onNormsUpload={handleNormsUpload}
+          onNormsReset={handleNormsReset}
+          profile={profile}
+          profiles={profiles}
+          profileError={profileError}
+          onProfileUpload={handleProfileUpload}
+          onProfileSelect={handleProfileSelect}
+          onProfileRemove={handleProfileRemove}
+          backend={backend}
+          onBackendChange={handleBackendChange}
+          serverStatus={serverStatus}
+          onCheckServer={refreshServerStatus}
+          validationSetup={validationSetup}
+          validationProgress={validationProgress}
+          validation={validation}
+          onValidationManifest={handleValidationManifest}
+          onValidationFiles={handleValidationFiles}
+          onRunValidation={handleRunValidation}
+          onCancelValidation={handleCancelValidation}
         />
 
         {/* feat: main scrollable content area */}
         <main className="main-content">
+          {/* feat: last analysis failure (parse error, bad model, worker crash) */}
+          {analysisError && <div className="analysis-error">⚠️ Analysis failed: {analysisError}</div>}
+
           {!hasRun ? (
             // feat: empty state before first analysis
             <div className="empty-state">
@@ -176,6 +800,25 @@ export default function App() {
             </div>
           ) : (
             <>
+              {/* feat: live stage-by-stage progress above the skeletons */}
+              {isLoading && <AnalysisProgress progress={progress} onCancel={handleCancel} />}
+
+              {/* feat: comparison mode banner — what A and B are, and a way out */}
+              {comparison && !isLoading && (
+                <div className="comparison-bar">
+                  <span>
+                    <strong>A</strong> {compareLabels.a}
+                    <span style={{ color: results.classification?.color }}> {results.riskScore}</span>
+                  </span>
+                  <span className="comparison-vs">vs</span>
+                  <span>
+                    <strong>B</strong> {compareLabels.b} · {new Date(comparison.createdAt).toLocaleString()}
+                    <span style={{ color: comparison.results.classification?.color }}> {comparison.results.riskScore}</span>
+                  </span>
+                  <button className="model-btn" onClick={() => setComparison(null)}>Exit comparison</button>
+                </div>
+              )}
+
               {/* feat: SECTION 1 — risk assessment metric cards */}
               <section className="section">
                 <div className="section-label">Risk Assessment</div>
@@ -184,22 +827,26 @@ export default function App() {
                     title="RISK SCORE"
                     value={results.riskScore}
                     suffix="/100"
+                    sub={formatInterval(uncertainty)}
                     color={results.classification?.color}
                     isLoading={isLoading}
                     showBar
-                    tooltip="Weighted deviation of delta, theta, alpha, and gamma from healthy baseline. Alpha suppression carries 35% weight."
+                    interval={uncertainty && uncertainty.lower !== null ? [uncertainty.lower, uncertainty.upper] : null}
+                    tooltip="Weighted deviation of delta, theta, alpha, and gamma from healthy baseline. Alpha suppression carries 35% weight. The marked span is the 95% interval from resampling the recording's clean epochs."
                   />
                   <MetricCard
                     title="CONFIDENCE"
-                    value={results.confidence}
-                    suffix="%"
+                    value={results.confidence ?? "—"}
+                    suffix={results.confidence === null ? "" : "%"}
+                    sub={uncertainty && (uncertainty.reason || `${UNCERTAINTY_METHODS[uncertainty.method]}, ${uncertainty.epochs} epochs`)}
                     color="#7c3aed"
                     isLoading={isLoading}
+                    tooltip="Share of epoch resamples whose score falls in the reported risk level."
                   />
                   <MetricCard
                     title="CLASSIFICATION"
                     value={results.classification?.level}
-                    sub={results.classification?.recommendation}
+                    sub={indeterminateNote(uncertainty) || results.classification?.recommendation}
                     color={results.classification?.color}
                     isLoading={isLoading}
                     isBadge
@@ -217,7 +864,16 @@ export default function App() {
               {/* feat: SECTION 2 — multi-channel EEG waveform visualization */}
               <section className="section">
                 <div className="section-label">EEG Signal Monitor</div>
-                <EEGChart data={results.eegSignal} isLoading={isLoading} />
+                <EEGChart
+                  data={results.eegSignal}
+                  annotations={results.annotations}
+                  artifacts={results.artifacts}
+                  isLoading={isLoading}
+                />
+                {/* feat: fractal dimension, entropy and Lempel-Ziv complexity per channel and clean epoch */}
+                <div style={{ marginTop: 16 }}>
+                  <ComplexityChart complexity={results.complexity} isLoading={isLoading} />
+                </div>
               </section>
 
               {/* feat: SECTION 3 — frequency band power chart + cortical activity map */}
@@ -226,13 +882,32 @@ export default function App() {
                 <div className="two-col">
                   <BandPowerChart
                     bandPowers={results.bandPowers}
+                    normative={normative}
+                    compareTo={compareResults}
+                    labels={compareLabels}
                     isLoading={isLoading}
                   />
                   <BrainMap
                     bandPowers={results.bandPowers}
+                    channelBandPowers={results.channelBandPowers}
+                    normative={normative}
+                    compareTo={compareResults}
+                    labels={compareLabels}
                     isLoading={isLoading}
                   />
                 </div>
+                {/* feat: full Welch spectrum behind the band powers */}
+                <div style={{ marginTop: 16 }}>
+                  <PSDChart psd={results.psd} bands={profileOf(results).bands} isLoading={isLoading} />
+                </div>
+                {/* feat: measured coherence between recorded channel pairs, per band */}
+                <div style={{ marginTop: 16 }}>
+                  <CoherenceChart coherence={results.coherence} isLoading={isLoading} />
+                </div>
+                {/* feat: θ/β, relative power, alpha peak, spectral edge and 1/f slope per region and electrode */}
+                <div style={{ marginTop: 16 }}>
+                  <SpectralFeaturesTable features={spectralFeatures} isLoading={isLoading} />
+                </div>
               </section>
 
               {/* feat: SECTION 4 — AI explainability via SHAP analysis */}
@@ -240,8 +915,15 @@ export default function App() {
                 <div className="section-label">AI Explainability</div>
                 <SHAPChart
                   shapValues={results.shapValues}
+                  explanation={results.shapExplanation}
+                  compareTo={compareResults}
+                  labels={compareLabels}
                   isLoading={isLoading}
                 />
+                {/* feat: counterfactuals and what-if sliders on the same scorer */}
+                <div style={{ marginTop: 16 }}>
+                  <WhatIfPanel results={results} model={scoringModel} isLoading={isLoading} />
+                </div>
               </section>
 
               {/* feat: SECTION 5 — clinical findings summary and recommendations */}
@@ -249,12 +931,41 @@ export default function App() {
                 <div className="section-label">Clinical Report</div>
                 <ClinicalReport
                   results={results}
+                  subject={reportSubject}
+                  compareTo={compareResults}
+                  onExport={handleExportReport}
                   isSZ={isSZ}
                   isLoading={isLoading}
                 />
               </section>
             </>
           )}
+
+          {/* feat: SECTION 6 — the active subject's visits over time */}
+          {activeSubject && subjectVisits.length > 0 && (
+            <section className="section">
+              <div className="section-label">Longitudinal Tracking</div>
+              <LongitudinalView
+                subject={activeSubject}
+                visits={subjectVisits}
+                activeEntryId={activeHistoryId}
+                onOpenVisit={handleLoadHistory}
+                onSetBaseline={handleSetBaseline}
+              />
+            </section>
+          )}
+
+          {/* feat: SECTION 7 — the active model measured on a labeled manifest */}
+          {validation && (
+            <section className="section">
+              <div className="section-label">Model Validation</div>
+              <ValidationView
+                validation={validation}
+                onExport={handleExportValidation}
+                onClose={() => setValidation(null)}
+              />
+            </section>
+          )}
         </main>
       </div>
 
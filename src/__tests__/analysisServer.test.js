@@ -0,0 +1,229 @@
+/**
+ * @jest-environment node
+ */
+// docs: server/analysisServer.mjs through `neuroscan serve` — the server and its worker are ES modules
+// docs: loaded with the CLI's module hooks, so they run in a node process of their own, not in Jest
+import { spawn } from "child_process";
+import fs from "fs";
+import http from "http";
+import path from "path";
+
+const ROOT = path.resolve(__dirname, "../..");
+const CSV = fs.readFileSync(path.join(ROOT, "test_sz.csv"), "utf8");
+
+// feat: `neuroscan serve --port 0 ...` → { url, stop }
+function startServer(args = []) {
+  const child = spawn(process.execPath, [path.join(ROOT, "bin/neuroscan.mjs"), "serve", "--port", "0", ...args], { cwd: ROOT });
+  return new Promise((resolve, reject) => {
+    let output = "";
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      const match = output.match(/analysis service on (http:\/\/\S+)/);
+      if (match) resolve({ url: match[1], stop: () => new Promise((done) => { child.once("exit", done); child.kill(); }) });
+    });
+    child.stderr.on("data", (chunk) => { output += chunk; });
+    child.once("exit", (code) => reject(new Error(`server exited (${code}): ${output}`)));
+  });
+}
+
+// feat: one request → { status, headers, body (Buffer), json() }
+function request(base, method, route, { body, headers = {}, chunked = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(new URL(route, base), { method, headers }, (res) => {
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => {
+        const buffer = Buffer.concat(chunks);
+        resolve({ status: res.statusCode, headers: res.headers, body: buffer, json: () => JSON.parse(buffer.toString("utf8")) });
+      });
+    });
+    req.on("error", reject);
+    if (body !== undefined && chunked) {
+      // docs: no Content-Length — the limit has to be enforced while the body streams in
+      for (let i = 0; i < body.length; i += 65536) req.write(body.subarray(i, i + 65536));
+      req.end();
+    } else {
+      // docs: end(body) sends it with its Content-Length
+      req.end(body);
+    }
+  });
+}
+
+const postJson = (base, json) => request(base, "POST", "/analyses", {
+  body: typeof json === "string" ? json : JSON.stringify(json),
+  headers: { "Content-Type": "application/json" },
+});
+
+let server;
+const call = (...args) => request(server.url, ...args);
+
+beforeAll(async () => {
+  server = await startServer(["--quiet", "--max-upload", "1", "--allow-origin", "https://lab.example"]);
+}, 30000);
+
+afterAll(() => server && server.stop());
+
+describe("routing", () => {
+  it("reports health and serves the API description", async () => {
+    const health = await call("GET", "/health");
+    expect(health.status).toBe(200);
+    expect(health.json()).toMatchObject({ status: "ok", software: { name: expect.any(String) } });
+    const openapi = await call("GET", "/openapi.json");
+    expect(openapi.json()).toMatchObject({ openapi: expect.stringMatching(/^3\./), paths: expect.any(Object) });
+  });
+
+  it("answers unknown routes with 404 and unsupported methods with 405", async () => {
+    expect((await call("GET", "/nothing")).status).toBe(404);
+    expect((await call("PUT", "/analyses")).status).toBe(405);
+    expect((await call("POST", "/analyses/some-id")).status).toBe(405);
+    const missing = await call("GET", "/analyses/some-id");
+    expect(missing.status).toBe(404);
+    expect(missing.json().error).toEqual({ status: 404, message: expect.stringMatching(/No analysis some-id/) });
+  });
+});
+
+describe("POST /analyses", () => {
+  it("analyses a simulation", async () => {
+    const res = await postJson(server.url, { simulation: { isSZ: true, seed: 3 }, subject: { id: "SZ-014" } });
+    expect(res.status).toBe(201);
+    const analysis = res.json();
+    expect(res.headers.location).toBe(`/analyses/${analysis.id}`);
+    expect(analysis).toMatchObject({ status: "completed", simulation: { isSZ: true, seed: 3 }, subject: { id: "SZ-014" } });
+    expect(Number.isFinite(analysis.results.riskScore)).toBe(true);
+    expect(analysis.results.eegSignal).toBeUndefined();
+  }, 20000);
+
+  it("analyses a raw CSV body and a JSON recording", async () => {
+    const raw = await call("POST", "/analyses?fileName=test_sz.csv", { body: CSV, headers: { "Content-Type": "text/csv" } });
+    expect(raw.status).toBe(201);
+    expect(raw.json().recording).toEqual({ fileName: "test_sz.csv", format: "CSV", bytes: Buffer.byteLength(CSV) });
+    const json = await postJson(server.url, { recording: { fileName: "test_sz.csv", data: CSV } });
+    expect(json.status).toBe(201);
+    expect(json.json().results.riskScore).toBe(raw.json().results.riskScore);
+  }, 20000);
+
+  it("rejects malformed requests with 400", async () => {
+    const cases = [
+      ["{ not json", /not valid JSON/],
+      ["[1, 2]", /must be a JSON object/],
+      [{ simulation: { isSZ: true, seed: 1 }, recording: { data: CSV } }, /exactly one of recording or simulation/],
+      [{ simulation: { isSZ: "yes", seed: 1 } }, /isSZ \(boolean\) and seed \(integer\)/],
+      [{ recording: { data: 42 } }, /recording\.data must be a string/],
+      [{ recording: { fileName: "a.edf", data: "x", encoding: "utf8" } }, /base64/],
+      [{ simulation: { isSZ: true, seed: 1 }, settings: { display: {} } }, /Unknown settings groups: display/],
+      [{ simulation: { isSZ: true, seed: 1 }, settings: { spectral: { overlap: "half" } } }, /settings\.spectral\.overlap must be a number/],
+      [{ simulation: { isSZ: true, seed: 1 }, settings: { spectral: { tapers: 3 } } }, /settings\.spectral\.tapers is not a known setting/],
+      [{ simulation: { isSZ: true, seed: 1 }, model: { text: "{}" } }, /^Model: /],
+      [{ simulation: { isSZ: true, seed: 1 }, subject: { id: "Jane Doe" } }, /pseudonymous code/],
+    ];
+    for (const [body, message] of cases) {
+      const res = await postJson(server.url, body);
+      expect(res.status).toBe(400);
+      expect(res.json().error.message).toMatch(message);
+    }
+  });
+
+  it("rejects other content types with 415", async () => {
+    const res = await call("POST", "/analyses", { body: "<eeg/>", headers: { "Content-Type": "application/xml" } });
+    expect(res.status).toBe(415);
+  });
+
+  it("refuses bodies over the upload limit with 413, declared or streamed", async () => {
+    const body = Buffer.alloc(2 * 1024 * 1024, 48);
+    const declared = await call("POST", "/analyses", { body, headers: { "Content-Type": "text/csv" } });
+    expect(declared.status).toBe(413);
+    expect(declared.json().error.message).toMatch(/limit of 1 MB/);
+    const streamed = await call("POST", "/analyses", { body, headers: { "Content-Type": "text/csv" }, chunked: true });
+    expect(streamed.status).toBe(413);
+  });
+
+  it("stores a recording that doesn't parse and answers 422", async () => {
+    const res = await call("POST", "/analyses?fileName=notes.csv", { body: "hello\nworld\n", headers: { "Content-Type": "text/csv" } });
+    expect(res.status).toBe(422);
+    const analysis = res.json();
+    expect(analysis).toMatchObject({ status: "failed", error: expect.any(String), results: null });
+    const listed = (await call("GET", "/analyses")).json().analyses.find((a) => a.id === analysis.id);
+    expect(listed).toMatchObject({ status: "failed", label: "notes.csv", riskScore: null });
+  });
+});
+
+describe("stored analyses", () => {
+  let id;
+  beforeAll(async () => {
+    id = (await postJson(server.url, { simulation: { isSZ: false, seed: 11 } })).json().id;
+  }, 20000);
+
+  it("lists analyses newest first", async () => {
+    const { analyses, total } = (await call("GET", "/analyses")).json();
+    expect(total).toBe(analyses.length);
+    expect(analyses[0]).toMatchObject({ id, status: "completed", label: "Seed 11", links: { self: `/analyses/${id}` } });
+  });
+
+  it("returns one analysis, with the display trace on request", async () => {
+    const plain = (await call("GET", `/analyses/${id}`)).json();
+    expect(plain.results.eegSignal).toBeUndefined();
+    const traced = (await call("GET", `/analyses/${id}?trace=true`)).json();
+    expect(traced.results.eegSignal).toEqual(expect.any(Object));
+  });
+
+  it("serves the FHIR bundle by default and the results JSON on request", async () => {
+    const fhir = await call("GET", `/analyses/${id}/report`);
+    expect(fhir.status).toBe(200);
+    expect(fhir.headers["content-type"]).toBe("application/fhir+json");
+    const bundle = fhir.json();
+    expect(bundle).toMatchObject({ resourceType: "Bundle", type: "collection" });
+    expect(bundle.entry.some((e) => e.resource.resourceType === "DiagnosticReport")).toBe(true);
+    const json = await call("GET", `/analyses/${id}/report?format=json`);
+    expect(json.headers["content-type"]).toBe("application/json");
+    expect(json.json().results.riskScore).toEqual(expect.any(Number));
+  }, 20000);
+
+  it("serves the PDF for ?format=pdf and Accept: application/pdf", async () => {
+    const byQuery = await call("GET", `/analyses/${id}/report?format=pdf`);
+    expect(byQuery.status).toBe(200);
+    expect(byQuery.headers["content-type"]).toBe("application/pdf");
+    expect(byQuery.headers["content-disposition"]).toMatch(/^attachment; filename=".+\.pdf"$/);
+    expect(byQuery.body.subarray(0, 5).toString("latin1")).toBe("%PDF-");
+    const byAccept = await call("GET", `/analyses/${id}/report`, { headers: { Accept: "application/pdf" } });
+    expect(byAccept.headers["content-type"]).toBe("application/pdf");
+  }, 30000);
+
+  it("rejects unknown report formats with 400", async () => {
+    expect((await call("GET", `/analyses/${id}/report?format=xml`)).status).toBe(400);
+  });
+
+  it("answers 409 for the report of a failed analysis", async () => {
+    const failed = (await call("POST", "/analyses", { body: "hello\n", headers: { "Content-Type": "text/csv" } })).json();
+    const res = await call("GET", `/analyses/${failed.id}/report`);
+    expect(res.status).toBe(409);
+    expect(res.json().error.message).toMatch(/there is no report/);
+  });
+
+  it("forgets a deleted analysis", async () => {
+    const res = await call("DELETE", `/analyses/${id}`);
+    expect(res.status).toBe(204);
+    expect((await call("GET", `/analyses/${id}`)).status).toBe(404);
+    expect((await call("DELETE", `/analyses/${id}`)).status).toBe(404);
+  });
+});
+
+describe("CORS", () => {
+  it("allows localhost and configured origins only", async () => {
+    const local = await call("GET", "/health", { headers: { Origin: "http://localhost:3000" } });
+    expect(local.headers["access-control-allow-origin"]).toBe("http://localhost:3000");
+    expect(local.headers.vary).toBe("Origin");
+    expect(local.headers["access-control-expose-headers"]).toBe("Location, Content-Disposition");
+    const allowed = await call("GET", "/health", { headers: { Origin: "https://lab.example" } });
+    expect(allowed.headers["access-control-allow-origin"]).toBe("https://lab.example");
+    const other = await call("GET", "/health", { headers: { Origin: "https://elsewhere.example" } });
+    expect(other.headers["access-control-allow-origin"]).toBeUndefined();
+  });
+
+  it("answers preflight requests", async () => {
+    const res = await call("OPTIONS", "/analyses", { headers: { Origin: "http://127.0.0.1:3000", "Access-Control-Request-Method": "POST" } });
+    expect(res.status).toBe(204);
+    expect(res.headers["access-control-allow-origin"]).toBe("http://127.0.0.1:3000");
+    expect(res.headers["access-control-allow-methods"]).toBe("GET, POST, DELETE, OPTIONS");
+    expect(res.headers["access-control-allow-headers"]).toBe("Content-Type, Accept");
+  });
+});
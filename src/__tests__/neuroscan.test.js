@@ -0,0 +1,151 @@
+/**
+ * @jest-environment node
+ */
+import { spawnSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { UsageError, parseArgs, expandPatterns } from "../../bin/cliArgs.mjs";
+import { resultsToCsv, toCsv } from "../../bin/cliTables.mjs";
+import { analyzeSimulated, DEFAULT_ANALYSIS_SETTINGS } from "../utils/pipeline";
+
+const ROOT = path.resolve(__dirname, "../..");
+
+describe("parseArgs", () => {
+  it("fills in the analyze defaults", () => {
+    expect(parseArgs(["analyze", "a.csv", "b.edf"])).toMatchObject({
+      command: "analyze", patterns: ["a.csv", "b.edf"], format: "json", out: "neuroscan-results", quiet: false,
+    });
+  });
+
+  it("takes values inline or as the next argument", () => {
+    const options = parseArgs(["analyze", "--format=CSV", "--out", "results", "--sex", "f", "--age=34", "a.csv"]);
+    expect(options).toMatchObject({ format: "csv", out: "results", sex: "F", age: 34, patterns: ["a.csv"] });
+  });
+
+  it("reads the serve options", () => {
+    const options = parseArgs(["serve", "--port", "0", "--allow-origin", "https://a.example", "--allow-origin=https://b.example", "--max-upload", "5"]);
+    expect(options).toMatchObject({ command: "serve", port: 0, allowOrigins: ["https://a.example", "https://b.example"], maxUploadMB: 5 });
+  });
+
+  it("returns early for --help and --version", () => {
+    expect(parseArgs(["--help"]).help).toBe(true);
+    expect(parseArgs(["-v"]).version).toBe(true);
+  });
+
+  it.each([
+    [[], /No command given/],
+    [["inspect"], /Unknown command "inspect"/],
+    [["analyze", "--verbose", "a.csv"], /Unknown option --verbose/],
+    [["analyze", "--out"], /--out needs a value/],
+    [["analyze", "--out", "--quiet", "a.csv"], /--out needs a value/],
+    [["analyze", "--format", "xml", "a.csv"], /--format must be one of json, csv/],
+    [["analyze"], /No recordings given/],
+    [["analyze", "--sex", "X", "a.csv"], /--sex must be F or M/],
+    [["analyze", "--age", "-3", "a.csv"], /--age must be a number of years/],
+    [["evaluate", "a.csv", "b.csv"], /exactly one manifest/],
+    [["serve", "a.csv"], /serve takes no file arguments/],
+    [["serve", "--port", "70000"], /--port must be a port number/],
+    [["serve", "--max-analyses", "0"], /--max-analyses must be a positive whole number/],
+  ])("rejects %j", (argv, message) => {
+    expect(() => parseArgs(argv)).toThrow(UsageError);
+    expect(() => parseArgs(argv)).toThrow(message);
+  });
+});
+
+describe("expandPatterns", () => {
+  let dir;
+  const file = (name) => path.join(dir, name);
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "neuroscan-glob-"));
+    ["sub/deep", ".cache"].forEach((d) => fs.mkdirSync(file(d), { recursive: true }));
+    ["b.csv", "a.csv", "ab.csv", ".hidden.csv", "notes.txt", "sub/c.csv", "sub/deep/d.csv", "sub/deep/e.edf", ".cache/f.csv"]
+      .forEach((name) => fs.writeFileSync(file(name), ""));
+  });
+
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("matches * and ? within one directory, sorted, without hidden files", () => {
+    expect(expandPatterns([`${dir}/*.csv`])).toEqual([file("a.csv"), file("ab.csv"), file("b.csv")]);
+    expect(expandPatterns([`${dir}/?.csv`])).toEqual([file("a.csv"), file("b.csv")]);
+    expect(expandPatterns([`${dir}/.*.csv`])).toEqual([file(".hidden.csv")]);
+  });
+
+  it("matches ** across directories, skipping hidden ones", () => {
+    expect(expandPatterns([`${dir}/**/*.csv`])).toEqual(
+      [file("a.csv"), file("ab.csv"), file("b.csv"), file("sub/c.csv"), file("sub/deep/d.csv")]
+    );
+    expect(expandPatterns([`${dir}/sub/**/*.edf`])).toEqual([file("sub/deep/e.edf")]);
+  });
+
+  it("keeps plain paths and empty globs as given, so they are reported as missing", () => {
+    expect(expandPatterns(["missing.csv", `${dir}/*.json`])).toEqual(["missing.csv", `${dir}/*.json`]);
+  });
+
+  it("lists a file matched twice once", () => {
+    expect(expandPatterns([file("a.csv"), `${dir}/a*.csv`])).toEqual([file("a.csv"), file("ab.csv")]);
+  });
+});
+
+describe("resultsToCsv", () => {
+  const results = analyzeSimulated(true, 5, DEFAULT_ANALYSIS_SETTINGS);
+  const rowOf = (csv, metric) => csv.split("\n").find((line) => line.startsWith(`${metric},`));
+
+  it("writes a metric,value table", () => {
+    const csv = resultsToCsv(results);
+    expect(csv.startsWith("metric,value\n")).toBe(true);
+    expect(csv.endsWith("\n")).toBe(true);
+    expect(rowOf(csv, "riskScore")).toBe(`riskScore,${results.riskScore}`);
+    expect(rowOf(csv, "power.alpha")).toBe(`power.alpha,${Number(results.bandPowers.alpha.toFixed(4))}`);
+  });
+
+  it("quotes values with commas, quotes and line breaks, and leaves missing ones empty", () => {
+    const csv = resultsToCsv({
+      ...results,
+      model: { ...results.model, name: 'Logistic "v2", retrained' },
+      keyDeviation: "theta up\nalpha down",
+      keyMarker: null,
+    });
+    expect(csv).toContain('\nmodel,"Logistic ""v2"", retrained"\n');
+    expect(csv).toContain('\nkeyDeviation,"theta up\nalpha down"\n');
+    expect(rowOf(csv, "keyMarker")).toBe("keyMarker,");
+  });
+
+  it("quotes carriage returns in summary tables too", () => {
+    expect(toCsv(["file", "error"], [["a\r.csv", undefined]])).toBe('file,error\n"a\r.csv",\n');
+  });
+});
+
+describe("exit codes", () => {
+  let out;
+  const run = (...args) => spawnSync(process.execPath, [path.join(ROOT, "bin/neuroscan.mjs"), ...args], { cwd: ROOT, encoding: "utf8", timeout: 60000 });
+
+  beforeAll(() => { out = fs.mkdtempSync(path.join(os.tmpdir(), "neuroscan-out-")); });
+  afterAll(() => fs.rmSync(out, { recursive: true, force: true }));
+
+  it("exits 0 when every file is analysed", () => {
+    const { status, stdout } = run("analyze", "test_sz.csv", "--out", out, "--format", "csv", "--quiet");
+    expect(status).toBe(0);
+    expect(stdout).toBe("");
+    expect(fs.readdirSync(out).sort()).toEqual(["cohort-summary.csv", "test_sz.csv"]);
+  }, 60000);
+
+  it("exits 1 when a file fails", () => {
+    const { status, stderr } = run("analyze", "test_sz.csv", "missing.csv", "--out", out, "--quiet");
+    expect(status).toBe(1);
+    expect(stderr).toMatch(/missing\.csv: file not found/);
+  }, 60000);
+
+  it("exits 2 on usage errors, before analysing anything", () => {
+    const { status, stderr } = run("analyze", "--format", "xml", "test_sz.csv");
+    expect(status).toBe(2);
+    expect(stderr).toMatch(/^neuroscan: --format must be one of json, csv\./);
+  }, 60000);
+
+  it("exits 0 for --help", () => {
+    const { status, stdout } = run("--help");
+    expect(status).toBe(0);
+    expect(stdout).toMatch(/Usage:/);
+  }, 60000);
+});
@@ -23,7 +23,7 @@ export default function AboutModal({ onClose }) {
             <li><strong style={{ color: "#ef4444" }}>Gamma (30–45Hz):</strong> Sensory binding. Dysregulated in SZ.</li>
           </ul>
           <h4>What is SHAP?</h4>
-          <p>SHAP (SHapley Additive exPlanations) shows which EEG features drove the risk score up or down, making the AI decision transparent and auditable.</p>
+          <p>SHAP (SHapley Additive exPlanations) shows which EEG features drove the risk score up or down, making the AI decision transparent and auditable. Values are computed exactly from the scoring function against a background group of subjects, so they always add up to the score minus the background's average score.</p>
           <p className="disclaimer" style={{ marginTop: 16 }}>⚕️ Research prototype only. Not for clinical use.</p>
         </div>
       </div>
@@ -0,0 +1,53 @@
+// feat: live pipeline progress shown above the loading skeletons
+// docs: progress = { stage, index, total } from the analysis worker; stages before index are done
+// docs: the analysis server reports a single "server" stage for the whole pipeline (serverClient.js)
+// ─────────────────────────────────────────────────────────────
+import React from "react";
+// chore: pipeline stage list (ids + labels)
+import { ANALYSIS_STAGES } from "../utils/pipeline";
+
+export default function AnalysisProgress({ progress, onCancel }) {
+  if (progress && progress.stage === "server") {
+    return (
+      <div className="chart-card analysis-progress">
+        <div className="progress-header">
+          <span><span className="spinner" /> {progress.label}…</span>
+          <button className="progress-cancel" onClick={onCancel}>Cancel</button>
+        </div>
+        <div className="progress-track">
+          <div className="progress-fill progress-indeterminate" />
+        </div>
+        <div className="progress-stages">
+          <span className="progress-stage active">All stages run on the analysis server</span>
+        </div>
+      </div>
+    );
+  }
+
+  const index = progress ? progress.index : 0;
+  // docs: the bar counts the running stage as half done
+  const percent = Math.round(((index + 0.5) / ANALYSIS_STAGES.length) * 100);
+
+  return (
+    <div className="chart-card analysis-progress">
+      <div className="progress-header">
+        <span><span className="spinner" /> {ANALYSIS_STAGES[index].label}…</span>
+        <button className="progress-cancel" onClick={onCancel}>Cancel</button>
+      </div>
+      <div className="progress-track">
+        <div className="progress-fill" style={{ width: `${percent}%` }} />
+      </div>
+      {/* feat: stage checklist — done / running / waiting */}
+      <div className="progress-stages">
+        {ANALYSIS_STAGES.map((stage, i) => (
+          <span
+            key={stage.id}
+            className={`progress-stage ${i < index ? "done" : i === index ? "active" : ""}`}
+          >
+            {i < index ? "✓" : i + 1} {stage.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -2,17 +2,16 @@
 // docs: displays deviation of each EEG frequency band from healthy reference values
 // docs: includes alpha baseline reference line — the primary SZ marker
 // fix: patient bars are now color-coded (green=below baseline, red=above baseline, amber=alpha suppressed)
+// feat: comparison mode — a second result's bars on the same axis, with the difference in the tooltip
+// feat: baseline = mean of the subject's norm group; colors and tooltip use z-scores (see norms.js)
 // ─────────────────────────────────────────────────────────────
 import React from "react";
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid,
   Tooltip, Legend, ResponsiveContainer, ReferenceLine, Cell,
 } from "recharts";
-
-// docs: healthy baseline power values (µV²/Hz) from EEG literature
-const BASELINES = {
-  delta: 1.2, theta: 0.7, alpha: 1.8, beta: 0.5, gamma: 0.2,
-};
+// chore: norm group reference and z-scores
+import { NORM_BANDS, FINDING_Z, formatZ, normativeOf, describeNormative } from "../utils/norms";
 
 // feat: maps band names to their display labels with Greek symbols
 const BAND_LABELS = {
@@ -26,50 +25,53 @@ const BAND_LABELS = {
 // feat: determine bar color based on deviation type and clinical significance
 // docs: alpha suppression = red (bad sign for SZ)
 // docs: delta/theta/gamma elevation = red (abnormal increase for SZ)
-// docs: values near baseline = green (healthy)
-function getBarColor(band, patient, baseline) {
-  const deviation = (patient - baseline) / baseline;
-
-  if (band === "alpha") {
-    // docs: for alpha, LOWER is worse (suppression = SZ marker)
-    if (deviation < -0.3) return "#ef4444";      // style: red — severe suppression
-    if (deviation < -0.15) return "#f59e0b";      // style: amber — moderate suppression
-    return "#10b981";                              // style: green — healthy range
-  } else {
-    // docs: for delta/theta/gamma, HIGHER is worse (elevation = SZ marker)
-    if (deviation > 0.4) return "#ef4444";         // style: red — significant elevation
-    if (deviation > 0.2) return "#f59e0b";         // style: amber — moderate elevation
-    return "#10b981";                              // style: green — healthy range
-  }
+// docs: values within 1 SD of the norm mean = green (healthy)
+function getBarColor(band, z) {
+  // docs: for alpha, LOWER is worse (suppression = SZ marker); for the others HIGHER is worse
+  const abnormal = band === "alpha" ? -z : z;
+  if (abnormal >= FINDING_Z) return "#ef4444";   // style: red — reported as a finding
+  if (abnormal >= 1) return "#f59e0b";           // style: amber — more than 1 SD out
+  return "#10b981";                              // style: green — healthy range
 }
 
-export default function BandPowerChart({ bandPowers, isLoading }) {
+// style: comparison result bars
+const COMPARE_COLOR = "#38bdf8";
+
+export default function BandPowerChart({ bandPowers, normative, compareTo = null, labels = null, isLoading }) {
   if (isLoading) return <div className="chart-card skeleton" style={{ height: 300 }} />;
 
-  // feat: build chart data comparing patient vs baseline per band
-  // fix: now includes deviation percentage and color-coded status
-  const chartData = Object.entries(BASELINES).map(([band, base]) => {
+  const compareNormative = compareTo ? normativeOf(compareTo) : null;
+
+  // feat: build chart data comparing patient vs the norm group mean per band
+  // fix: now includes the z-score and color-coded status
+  const chartData = NORM_BANDS.map((band) => {
     const patient = bandPowers[band] || 0;
-    const dev = patient ? Math.round(((patient - base) / base) * 100) : 0;
+    const z = normative.bands[band] ?? 0;
     return {
       band: BAND_LABELS[band] || band,
       bandKey: band,
       Patient: parseFloat(patient.toFixed(3)),
-      Baseline: base,
-      dev,
-      color: getBarColor(band, patient, base),
+      Baseline: normative.reference[band].mean,
+      sd: normative.reference[band].sd,
+      z,
+      color: getBarColor(band, z),
+      // feat: comparison result, its own z and A − B for the tooltip
+      ...(compareTo && {
+        Compare: parseFloat((compareTo.bandPowers[band] || 0).toFixed(3)),
+        compareZ: compareNormative.bands[band] ?? 0,
+        delta: patient - (compareTo.bandPowers[band] || 0),
+      }),
     };
   });
 
-  // feat: custom tooltip showing deviation percentage and direction
+  // feat: custom tooltip showing the z-score and direction
   const CustomTooltip = ({ active, payload, label }) => {
     if (!active || !payload || !payload.length) return null;
     const data = payload[0]?.payload;
     if (!data) return null;
-    const sign = data.dev > 0 ? "+" : "";
     const direction = data.bandKey === "alpha"
-      ? (data.dev < 0 ? "⬇ Suppressed" : "✓ Normal")
-      : (data.dev > 0 ? "⬆ Elevated" : "✓ Normal");
+      ? (data.z < 0 ? "⬇ Suppressed" : "✓ Normal")
+      : (data.z > 0 ? "⬆ Elevated" : "✓ Normal");
 
     return (
       <div style={{
@@ -77,10 +79,16 @@ export default function BandPowerChart({ bandPowers, isLoading }) {
         borderRadius: 8, padding: "10px 14px", fontSize: 12,
       }}>
         <div style={{ color: "#f1f5f9", fontWeight: 600, marginBottom: 4 }}>{label}</div>
-        <div style={{ color: "#7c3aed" }}>Patient: {data.Patient} µV²/Hz</div>
-        <div style={{ color: "#475569" }}>Baseline: {data.Baseline} µV²/Hz</div>
+        <div style={{ color: "#7c3aed" }}>{compareTo ? `A · ${labels.a}` : "Patient"}: {data.Patient} µV²/Hz</div>
+        {compareTo && (
+          <div style={{ color: COMPARE_COLOR }}>B · {labels.b}: {data.Compare} µV²/Hz (z {formatZ(data.compareZ)})</div>
+        )}
+        <div style={{ color: "#475569" }}>Norm: {data.Baseline} ± {data.sd} µV²/Hz</div>
+        {compareTo && (
+          <div style={{ color: "#f1f5f9" }}>Difference: {data.delta >= 0 ? "+" : "−"}{Math.abs(data.delta).toFixed(3)} µV²/Hz</div>
+        )}
         <div style={{ color: data.color, fontWeight: 600, marginTop: 4 }}>
-          {direction} ({sign}{data.dev}%)
+          {direction} (z {formatZ(data.z)})
         </div>
       </div>
     );
@@ -89,7 +97,9 @@ export default function BandPowerChart({ bandPowers, isLoading }) {
   return (
     <div className="chart-card">
       <div className="chart-title">FREQUENCY BAND POWER ANALYSIS</div>
-      <div className="chart-subtitle">Patient vs Healthy Population Baseline</div>
+      <div className="chart-subtitle">
+        {compareTo ? "A vs B vs " : "Patient vs "}norm mean · {describeNormative(normative)}
+      </div>
       <ResponsiveContainer width="100%" height={260}>
         <BarChart data={chartData} margin={{ top: 10, right: 20, left: 0, bottom: 5 }}>
           <CartesianGrid strokeDasharray="3 3" stroke="#1e2a3d" />
@@ -98,15 +108,17 @@ export default function BandPowerChart({ bandPowers, isLoading }) {
           <Tooltip content={<CustomTooltip />} />
           <Legend wrapperStyle={{ fontSize: 12 }} />
           {/* feat: patient bars colored by clinical deviation status */}
-          <Bar dataKey="Patient" radius={[4, 4, 0, 0]}>
+          <Bar dataKey="Patient" name={compareTo ? `A · ${labels.a}` : "Patient"} radius={[4, 4, 0, 0]}>
             {chartData.map((entry, i) => (
               <Cell key={i} fill={entry.color} />
             ))}
           </Bar>
-          {/* style: baseline bars in muted gray for reference */}
-          <Bar dataKey="Baseline" fill="#475569" opacity={0.6} radius={[4, 4, 0, 0]} />
-          {/* feat: reference line at healthy alpha baseline — most important SZ marker */}
-          <ReferenceLine y={1.8} stroke="#10b981" strokeDasharray="4 4" label={{ value: "α Baseline", fill: "#10b981", fontSize: 10 }} />
+          {/* feat: comparison result on the same scale */}
+          {compareTo && <Bar dataKey="Compare" name={`B · ${labels.b}`} fill={COMPARE_COLOR} radius={[4, 4, 0, 0]} />}
+          {/* style: norm group mean bars in muted gray for reference */}
+          <Bar dataKey="Baseline" name="Norm mean" fill="#475569" opacity={0.6} radius={[4, 4, 0, 0]} />
+          {/* feat: reference line at the norm group's alpha mean — most important SZ marker */}
+          <ReferenceLine y={normative.reference.alpha.mean} stroke="#10b981" strokeDasharray="4 4" label={{ value: "α Norm", fill: "#10b981", fontSize: 10 }} />
         </BarChart>
       </ResponsiveContainer>
     </div>
@@ -1,97 +1,66 @@
-// feat: add SVG brain topography heatmap colored by alpha power
-// docs: renders a 2D scalp map with electrodes colored green→yellow→red
-// docs: green = normal alpha power, red = severe alpha suppression (SZ indicator)
-// fix: uses wide per-region alpha spread for clearly visible topographic gradient
+// feat: add SVG brain topography heatmap of per-electrode band power
+// docs: interpolates the band power measured at each recorded electrode over the scalp
+// docs: (inverse-distance weighting) and colors it green→yellow→red by the electrodes' z-scores
+// docs: against the subject's norm group — alpha: red = suppression (SZ indicator); other bands: red = elevation
+// feat: band selector (δ/θ/α/β/γ); recorded electrodes are solid, unrecorded 10-20 sites hollow
+// feat: comparison mode — both results side by side on the same severity scale, or the
+// feat: difference topomap (A − B) on the electrodes both recorded, with a symmetric color scale
 // ─────────────────────────────────────────────────────────────
-import React from "react";
-
-// docs: 10-20 international electrode positions mapped to SVG coordinates (200×200 viewbox)
-// feat: each electrode has a region tag used to compute per-electrode alpha variation
-const ELECTRODES = [
-  { name: "Fp1", x: 72, y: 30, region: "prefrontal" },
-  { name: "Fp2", x: 128, y: 30, region: "prefrontal" },
-  { name: "F3", x: 58, y: 68, region: "frontal" },
-  { name: "F4", x: 142, y: 68, region: "frontal" },
-  { name: "Fz", x: 100, y: 60, region: "frontal" },
-  { name: "C3", x: 52, y: 100, region: "central" },
-  { name: "Cz", x: 100, y: 100, region: "central" },
-  { name: "C4", x: 148, y: 100, region: "central" },
-  { name: "P3", x: 62, y: 132, region: "parietal" },
-  { name: "P4", x: 138, y: 132, region: "parietal" },
-  { name: "O1", x: 76, y: 168, region: "occipital" },
-  { name: "O2", x: 124, y: 168, region: "occipital" },
+import React, { useMemo, useState } from "react";
+// docs: 10-20/10-10 electrode positions mapped to SVG coordinates (200×200 viewbox)
+import { STANDARD_1020, getElectrode } from "../utils/channelMapping";
+import { interpolateGrid, HEAD, bandSeverity, severityToColor, SEVERITY_FULL_Z } from "../utils/topography";
+// chore: per-electrode z-scores against the norm group
+import { formatZ, normativeOf, describeNormative } from "../utils/norms";
+// chore: per-electrode A − B band power for the difference map
+import { channelBandDeltas } from "../utils/comparison";
+
+// feat: selector labels with Greek symbols
+const BAND_OPTIONS = [
+  { key: "delta", symbol: "δ", label: "Delta" },
+  { key: "theta", symbol: "θ", label: "Theta" },
+  { key: "alpha", symbol: "α", label: "Alpha" },
+  { key: "beta", symbol: "β", label: "Beta" },
+  { key: "gamma", symbol: "γ", label: "Gamma" },
 ];
 
-// docs: region-specific alpha scaling factors
-// docs: in schizophrenia, frontal alpha is most suppressed while occipital is relatively preserved
-// fix: wider spread (0.55 to 1.45) so color differences are clearly visible on the map
-const REGION_ALPHA_FACTORS = {
-  prefrontal: 0.55, // docs: most suppressed in SZ — should be reddest
-  frontal: 0.70, // docs: significantly suppressed
-  central: 0.90, // docs: moderately affected
-  parietal: 1.15, // docs: mildly affected, near normal
-  occipital: 1.45, // docs: least affected — alpha is strongest here, should be greenest
-};
-
-// feat: interpolate color green→yellow→red based on alpha deficit
-// docs: deficit 0.0 = healthy (green), deficit 1.0 = severe suppression (red)
-function alphaToColor(alphaVal) {
-  const baseline = 1.8;
-  const deficit = Math.max(0, Math.min(1, 1 - alphaVal / baseline));
-
-  // feat: three-stop gradient: green(0) → yellow(0.4) → orange(0.7) → red(1.0)
-  let r, g, b;
-  if (deficit < 0.4) {
-    // green → yellow
-    const t = deficit / 0.4;
-    r = Math.round(16 + t * (245 - 16));
-    g = Math.round(185 + t * (200 - 185));
-    b = Math.round(129 - t * 80);
-  } else if (deficit < 0.7) {
-    // yellow → orange
-    const t = (deficit - 0.4) / 0.3;
-    r = Math.round(245 - t * 6);
-    g = Math.round(200 - t * 60);
-    b = Math.round(49 + t * 19);
-  } else {
-    // orange → red
-    const t = (deficit - 0.7) / 0.3;
-    r = 239;
-    g = Math.round(140 - t * 96);
-    b = Math.round(68 - t * 0);
-  }
-
-  return `rgb(${r}, ${g}, ${b})`;
+// feat: diverging color for a difference — blue (A lower) → slate (no change) → red (A higher)
+// docs: range = the largest |difference| on the map, so both directions share one scale
+function deltaToColor(delta, range) {
+  const t = Math.max(-1, Math.min(1, delta / (range || 1)));
+  const [r, g, b] = t >= 0 ? [239, 68, 68] : [37, 99, 235];
+  const mix = (c, base) => Math.round(base + Math.abs(t) * (c - base));
+  return `rgb(${mix(r, 51)}, ${mix(g, 65)}, ${mix(b, 85)})`;
 }
 
-export default function BrainMap({ bandPowers, isLoading }) {
-  if (isLoading) return <div className="chart-card skeleton" style={{ height: 300 }} />;
+// perf: stable default so the memoized topography isn't rebuilt on every render
+const NO_CHANNELS = {};
 
-  // fix: fallback to healthy baseline if bandPowers not yet computed
-  const alpha = bandPowers?.alpha ?? 1.8;
+// feat: recorded electrodes with a known scalp position and their value in one band
+// docs: powers (optional) keeps each electrode's band power next to a z-score value for the tooltip
+const electrodeValues = (channelValues, band, powers = null) =>
+  Object.entries(channelValues)
+    .map(([name, values]) => ({ ...getElectrode(name), value: values[band], power: powers?.[name]?.[band] }))
+    .filter((el) => el.name && Number.isFinite(el.value));
 
-  // feat: compute all electrode colors for radial gradient backgrounds
-  const electrodeData = ELECTRODES.map((el) => {
-    const regionFactor = REGION_ALPHA_FACTORS[el.region] || 1.0;
-    const regionalAlpha = alpha * regionFactor;
-    return { ...el, color: alphaToColor(regionalAlpha), regionalAlpha };
-  });
+// style: electrode tooltips
+const formatPower = (v) => `${v.toFixed(3)} µV²/Hz`;
+const formatDelta = (v) => `${v >= 0 ? "+" : "−"}${Math.abs(v).toFixed(3)} µV²/Hz`;
+const formatZScore = (z, el) => `${Number.isFinite(el.power) ? `${formatPower(el.power)} · ` : ""}z ${formatZ(z)}`;
 
-  return (
-    <div className="chart-card">
-      <div className="chart-title">CORTICAL ACTIVITY MAP</div>
-      <div className="chart-subtitle">Alpha power distribution — suppression = risk</div>
+// feat: one head — interpolated map, unrecorded 10-20 sites hollow, recorded electrodes solid
+function HeadMap({ id, measured, grid, colorOf, format = formatZScore, title }) {
+  const recordedNames = new Set(measured.map((el) => el.name));
+  const missing = STANDARD_1020.filter((name) => !recordedNames.has(name)).map(getElectrode);
 
+  return (
+    <div className="brain-head">
+      {title && <div className="brain-head-title">{title}</div>}
       <svg viewBox="0 0 200 200" style={{ width: "100%", maxHeight: 220 }}>
         <defs>
-          {/* feat: radial gradient per electrode for smooth heat map glow effect */}
-          {electrodeData.map((el) => (
-            <radialGradient key={`grad-${el.name}`} id={`grad-${el.name}`} cx="50%" cy="50%" r="50%">
-              <stop offset="0%" stopColor={el.color} stopOpacity="0.9" />
-              <stop offset="70%" stopColor={el.color} stopOpacity="0.3" />
-              <stop offset="100%" stopColor={el.color} stopOpacity="0" />
-            </radialGradient>
-          ))}
+          <clipPath id={`head-clip-${id}`}>
+            <circle cx={HEAD.cx} cy={HEAD.cy} r={HEAD.r} />
+          </clipPath>
         </defs>
 
         {/* style: head outline circle */}
@@ -103,48 +72,158 @@ export default function BrainMap({ bandPowers, isLoading }) {
         {/* style: right ear */}
         <ellipse cx="188" cy="100" rx="6" ry="12" fill="#2a3550" />
 
-        {/* feat: render glow circles behind electrodes for heat map effect */}
-        {electrodeData.map((el) => (
-          <circle
-            key={`glow-${el.name}`}
-            cx={el.x}
-            cy={el.y}
-            r="22"
-            fill={`url(#grad-${el.name})`}
-          />
+        {/* feat: interpolated topography — cells overlap by a hair to hide seams */}
+        <g clipPath={`url(#head-clip-${id})`} opacity="0.75">
+          {grid.map((cell, i) => (
+            <rect
+              key={i}
+              x={cell.x}
+              y={cell.y}
+              width={cell.size + 0.3}
+              height={cell.size + 0.3}
+              fill={colorOf(cell.value)}
+            />
+          ))}
+        </g>
+        <circle cx="100" cy="100" r="88" fill="none" stroke="#2a3550" strokeWidth="2" />
+
+        {/* feat: unrecorded 10-20 sites — hollow and dashed, no value */}
+        {missing.map((el) => (
+          <g key={el.name} opacity={0.55}>
+            <circle cx={el.x} cy={el.y} r={5} fill="none" stroke="#94a3b8" strokeWidth="1" strokeDasharray="2 1.5" />
+            <text x={el.x} y={el.y - 9} textAnchor="middle" fill="#94a3b8" fontSize="6.5" fontFamily="monospace">
+              {el.name}
+            </text>
+          </g>
         ))}
 
-        {/* feat: render solid electrode dots with per-region color */}
-        {electrodeData.map((el) => (
+        {/* feat: recorded electrodes — solid, colored by their own value */}
+        {measured.map((el) => (
           <g key={el.name}>
+            <title>{`${el.name}: ${format(el.value, el)}`}</title>
             <circle
               cx={el.x}
               cy={el.y}
-              r="7"
-              fill={el.color}
-              stroke="rgba(255,255,255,0.4)"
+              r={6}
+              fill={colorOf(el.value)}
+              stroke="#f1f5f9"
               strokeWidth="1.5"
             />
-            <text
-              x={el.x}
-              y={el.y - 11}
-              textAnchor="middle"
-              fill="#94a3b8"
-              fontSize="6.5"
-              fontFamily="monospace"
-            >
+            <text x={el.x} y={el.y - 10} textAnchor="middle" fill="#f1f5f9" fontSize="6.5" fontFamily="monospace">
               {el.name}
             </text>
           </g>
         ))}
       </svg>
+    </div>
+  );
+}
 
-      {/* feat: color scale legend */}
-      <div className="brain-legend">
-        <span style={{ color: "#10b981" }}>● Normal</span>
-        <div className="legend-gradient" />
-        <span style={{ color: "#ef4444" }}>● Suppressed</span>
+export default function BrainMap({
+  bandPowers, channelBandPowers = NO_CHANNELS, normative, compareTo = null, labels = null, isLoading,
+}) {
+  const [band, setBand] = useState("alpha");
+  // feat: comparison view — "diff" (A − B topomap) or "side" (A and B side by side)
+  const [view, setView] = useState("diff");
+
+  const compareChannels = compareTo ? compareTo.channelBandPowers || NO_CHANNELS : null;
+  // perf: B's z-scores are only recomputed when the compared result changes (older results have none stored)
+  const compareZ = useMemo(() => (compareTo ? normativeOf(compareTo).channels : null), [compareTo]);
+  const channelZ = normative ? normative.channels : NO_CHANNELS;
+
+  // perf: grid interpolation only reruns when the data or band changes
+  const measured = useMemo(
+    () => electrodeValues(channelZ, band, channelBandPowers),
+    [channelZ, band, channelBandPowers]
+  );
+  const grid = useMemo(() => interpolateGrid(measured), [measured]);
+  const measuredB = useMemo(
+    () => (compareZ ? electrodeValues(compareZ, band, compareChannels) : []),
+    [compareZ, band, compareChannels]
+  );
+  const gridB = useMemo(() => interpolateGrid(measuredB), [measuredB]);
+  const measuredDelta = useMemo(
+    () => (compareChannels ? electrodeValues(channelBandDeltas(channelBandPowers, compareChannels), band) : []),
+    [channelBandPowers, compareChannels, band]
+  );
+  const gridDelta = useMemo(() => interpolateGrid(measuredDelta), [measuredDelta]);
+
+  if (isLoading) return <div className="chart-card skeleton" style={{ height: 300 }} />;
+
+  const option = BAND_OPTIONS.find((o) => o.key === band);
+  const severityColor = (value) => severityToColor(bandSeverity(band, value));
+  const deltaRange = Math.max(1e-6, ...measuredDelta.map((el) => Math.abs(el.value)));
+  const deltaColor = (value) => deltaToColor(value, deltaRange);
+  const meanDelta = (bandPowers?.[band] ?? 0) - (compareTo?.bandPowers?.[band] ?? 0);
+
+  return (
+    <div className="chart-card">
+      <div className="chart-title">CORTICAL ACTIVITY MAP</div>
+      <div className="chart-subtitle">
+        {!compareTo
+          ? `${option.label} z-score topography · mean ${(bandPowers?.[band] ?? 0).toFixed(2)} µV²/Hz · ${measured.length} electrodes recorded`
+          : view === "diff"
+            ? `${option.label} power difference A − B · mean ${meanDelta >= 0 ? "+" : "−"}${Math.abs(meanDelta).toFixed(2)} µV²/Hz · ${measuredDelta.length} electrodes in both`
+            : `${option.label} z-score topography · each against its own norm group`}
+        {normative && !(compareTo && view === "diff") && ` · ${describeNormative(normative)}`}
+      </div>
+
+      {/* feat: band selector */}
+      <div className="band-selector">
+        {BAND_OPTIONS.map((o) => (
+          <button
+            key={o.key}
+            className={`band-btn ${band === o.key ? "active" : ""}`}
+            onClick={() => setBand(o.key)}
+            title={o.label}
+          >
+            {o.symbol}
+          </button>
+        ))}
+        {/* feat: comparison view selector */}
+        {compareTo && (
+          <>
+            <span className="band-divider" />
+            <button className={`band-btn band-btn-wide ${view === "diff" ? "active" : ""}`} onClick={() => setView("diff")}>
+              A − B
+            </button>
+            <button className={`band-btn band-btn-wide ${view === "side" ? "active" : ""}`} onClick={() => setView("side")}>
+              A | B
+            </button>
+          </>
+        )}
       </div>
+
+      {!compareTo && <HeadMap id="a" measured={measured} grid={grid} colorOf={severityColor} />}
+      {compareTo && view === "side" && (
+        <div className="brain-pair">
+          <HeadMap id="a" measured={measured} grid={grid} colorOf={severityColor} title={`A · ${labels.a}`} />
+          <HeadMap id="b" measured={measuredB} grid={gridB} colorOf={severityColor} title={`B · ${labels.b}`} />
+        </div>
+      )}
+      {compareTo && view === "diff" && (
+        measuredDelta.length > 0
+          ? <HeadMap id="delta" measured={measuredDelta} grid={gridDelta} colorOf={deltaColor} format={formatDelta} />
+          : <p className="brain-empty">The two recordings have no electrodes in common.</p>
+      )}
+
+      {/* feat: color scale legend */}
+      {compareTo && view === "diff" ? (
+        <div className="brain-legend">
+          <span style={{ color: "#2563eb" }}>● B higher (−{deltaRange.toFixed(2)})</span>
+          <div className="legend-gradient legend-diverging" />
+          <span style={{ color: "#ef4444" }}>● A higher (+{deltaRange.toFixed(2)})</span>
+        </div>
+      ) : (
+        <div className="brain-legend">
+          <span style={{ color: "#10b981" }}>● Normal (z 0)</span>
+          <div className="legend-gradient" />
+          <span style={{ color: "#ef4444" }}>
+            ● {band === "alpha" ? `Suppressed (z ≤ −${SEVERITY_FULL_Z})` : `Elevated (z ≥ +${SEVERITY_FULL_Z})`}
+          </span>
+          <span>● recorded ◌ not recorded</span>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,52 @@
+// feat: add channel mapping panel for uploaded recordings
+// docs: lists every data column / EDF signal with the electrode it was matched to
+// docs: unknown labels can be mapped to any 10-20/10-10 electrode or ignored
+// ─────────────────────────────────────────────────────────────
+import React from "react";
+import { ELECTRODES, sortChannels } from "../utils/channelMapping";
+
+// docs: electrode options in clinical order (front → back, left → right)
+const ELECTRODE_OPTIONS = sortChannels(ELECTRODES.map((el) => el.name));
+
+// style: status colors — green = recognized, purple = user mapped, amber = needs attention
+const STATUS_COLORS = {
+  auto: "#10b981",
+  manual: "#a78bfa",
+  unknown: "#f59e0b",
+  duplicate: "#f59e0b",
+  ignored: "#475569",
+  "non-eeg": "#475569",
+};
+
+export default function ChannelMapper({ mapping, onChannelMap }) {
+  if (!mapping || mapping.length === 0) return null;
+
+  const mappedCount = mapping.filter((m) => m.electrode).length;
+  const needsAttention = mapping.some((m) => m.status === "unknown" || m.status === "duplicate");
+
+  return (
+    // feat: open by default when some columns could not be matched automatically
+    <details className="channel-mapper" open={needsAttention}>
+      <summary className="csv-file-rows">
+        Channel mapping — {mappedCount}/{mapping.length} mapped
+      </summary>
+      {mapping.map((m) => (
+        <div key={m.label} className="channel-map-row">
+          <span className="channel-map-label" title={m.label} style={{ color: STATUS_COLORS[m.status] }}>
+            {m.label}
+          </span>
+          <select
+            className="channel-map-select"
+            value={m.electrode || ""}
+            onChange={(e) => onChannelMap(m.label, e.target.value || null)}
+          >
+            <option value="">— ignore —</option>
+            {ELECTRODE_OPTIONS.map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+      ))}
+    </details>
+  );
+}
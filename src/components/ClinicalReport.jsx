@@ -1,70 +1,107 @@
 // feat: add clinical findings summary and recommendation panel
-// docs: auto-generates findings from band power deviations
+// docs: auto-generates findings from band power z-scores against the subject's norm group
 // docs: provides actionable recommendations based on risk classification
 // docs: includes severity badges and a clinical disclaimer
+// docs: lists the preprocessing steps applied before scoring
+// docs: reports how many epochs survived artifact rejection and why the others were dropped
+// docs: names the model that produced the score and any features the recording couldn't supply
+// docs: names the norm set and group the deviations were measured against
+// docs: findings, level and actions follow the scoring profile the result was produced with
+// docs: gives the score's 95% interval and flags the level as indeterminate when the interval spans two
+// docs: names the subject (pseudonymous ID) when the analysis is filed under one
+// feat: comparison mode — findings diff against the compared result (new, resolved, changed)
+// feat: export — onExport(format) saves the report as a PDF, a FHIR R4 bundle or the plain result JSON
 // ─────────────────────────────────────────────────────────────
-import React from "react";
+import React, { useState } from "react";
+// chore: subject summary line
+import { describeSubject } from "../utils/subjects";
+// chore: findings and recommendations shared with comparison mode
+import { reportFindings, recommendedActions } from "../utils/findings";
+// chore: findings diff for comparison mode
+import { diffFindings } from "../utils/comparison";
+// chore: z-scores against the subject's norm group
+import { normativeOf, describeNormative } from "../utils/norms";
+// chore: the result's scoring profile
+import { profileOf, profileLabel } from "../utils/profiles";
+// chore: the score's epoch-resampling interval
+import { describeUncertainty, indeterminateNote } from "../utils/uncertainty";
+
+// feat: export formats offered in the report header
+const EXPORT_FORMATS = [
+  { id: "pdf", label: "PDF", title: "Printable report (A4 PDF)" },
+  { id: "fhir", label: "FHIR", title: "FHIR R4 Bundle — DiagnosticReport, Observations, Device (checked against the R4 JSON schema before saving)" },
+  { id: "json", label: "JSON", title: "The full result object as plain JSON" },
+];
+
+// style: findings diff badges
+const DIFF_STATUS = {
+  added: { label: "New in A", color: "#ef4444" },
+  resolved: { label: "Only in B", color: "#10b981" },
+  changed: { label: "Changed", color: "#f59e0b" },
+  unchanged: { label: "Unchanged", color: "#94a3b8" },
+};
+
+export default function ClinicalReport({ results, subject = null, compareTo = null, onExport = null, isSZ, isLoading }) {
+  // feat: export in progress (its format) / last export failure
+  const [exporting, setExporting] = useState(null);
+  const [exportError, setExportError] = useState(null);
 
-export default function ClinicalReport({ results, isSZ, isLoading }) {
   if (isLoading) return <div className="chart-card skeleton" style={{ height: 260 }} />;
 
-  const { riskScore, classification, bandPowers, coherence } = results;
+  const { riskScore, classification, uncertainty, preprocessing, artifacts, model } = results;
   if (!riskScore) return null;
 
-  // feat: auto-generate findings from band power deviations
-  const findings = [];
+  // feat: findings from band power z-scores by the profile's rules (see utils/findings.js)
+  const normative = normativeOf(results);
+  const profile = profileOf(results);
+  const findings = reportFindings(normative, profile);
 
-  if (bandPowers.alpha < 1.0) {
-    findings.push({
-      icon: "⚠️",
-      severity: "Severe",
-      color: "#ef4444",
-      text: `Alpha suppression detected across frontal electrodes. ${Math.round((1 - bandPowers.alpha / 1.8) * 100)}% below baseline.`,
-    });
-  }
-  if (bandPowers.delta > 1.8) {
-    findings.push({
-      icon: "⚠️",
-      severity: "Moderate",
-      color: "#f59e0b",
-      text: `Elevated delta activity detected. ${Math.round((bandPowers.delta / 1.2 - 1) * 100)}% above baseline.`,
-    });
-  }
-  if (bandPowers.theta > 1.1) {
-    findings.push({
-      icon: "⚠️",
-      severity: "Moderate",
-      color: "#f59e0b",
-      text: `Elevated theta activity suggesting cognitive slowing. ${Math.round((bandPowers.theta / 0.7 - 1) * 100)}% above baseline.`,
-    });
-  }
-  if (bandPowers.gamma > 0.35) {
-    findings.push({
-      icon: "ℹ️",
-      severity: "Mild",
-      color: "#94a3b8",
-      text: `Gamma band dysregulation observed. Irregular bursting pattern detected.`,
-    });
-  }
-  if (findings.length === 0) {
-    findings.push({
-      icon: "✅",
-      severity: "Normal",
-      color: "#10b981",
-      text: "No significant EEG abnormalities detected. All bands within healthy reference range.",
+  // feat: rejected-epoch count per artifact type ("Fp1: amplitude 212 µV p-p" → "amplitude")
+  const rejectionCounts = {};
+  if (artifacts) {
+    artifacts.epochs.filter((e) => e.rejected).forEach((e) => {
+      new Set(e.reasons.map((r) => r.split(": ")[1].split(" ")[0])).forEach((type) => {
+        rejectionCounts[type] = (rejectionCounts[type] || 0) + 1;
+      });
     });
   }
 
   // feat: action items based on risk level
-  const actions = riskScore >= 60
-    ? ["Refer for comprehensive psychiatric evaluation", "Administer PANSS symptom scale", "Schedule follow-up EEG in 4 weeks", "Review medication history"]
-    : riskScore >= 40
-      ? ["Schedule follow-up EEG in 3 months", "Monitor for symptom progression", "Document baseline measurements"]
-      : ["Routine annual monitoring", "No immediate action required"];
+  const actions = recommendedActions(riskScore, profile);
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    setExportError(null);
+    try {
+      await onExport(format);
+    } catch (err) {
+      setExportError(err.message);
+    } finally {
+      setExporting(null);
+    }
+  };
 
   return (
     <div className="chart-card clinical-report" style={{ borderLeft: `3px solid ${classification?.color}` }}>
-      <div className="chart-title">CLINICAL FINDINGS SUMMARY</div>
+      <div className="report-header">
+        <div className="chart-title">CLINICAL FINDINGS SUMMARY</div>
+        {onExport && (
+          <div className="report-actions">
+            {EXPORT_FORMATS.map((f) => (
+              <button
+                key={f.id}
+                className="model-btn report-export"
+                onClick={() => handleExport(f.id)}
+                disabled={exporting !== null}
+                title={f.title}
+              >
+                {exporting === f.id ? "Preparing…" : `⤓ ${f.label}`}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      {exportError && <div className="csv-error">⚠️ Export failed: {exportError}</div>}
 
       <div className="report-grid">
         {/* feat: automated findings list */}
@@ -88,6 +125,9 @@ export default function ClinicalReport({ results, isSZ, isLoading }) {
             <div className="alert-level" style={{ color: classification?.color }}>
               {classification?.level}
             </div>
+            {indeterminateNote(uncertainty) && (
+              <p className="alert-text report-warning">⚠️ {indeterminateNote(uncertainty)} — interpret the level with caution.</p>
+            )}
             <p className="alert-text">{classification?.alert}</p>
           </div>
           <ul className="action-list">
@@ -98,6 +138,92 @@ export default function ClinicalReport({ results, isSZ, isLoading }) {
         </div>
       </div>
 
+      {/* feat: findings diff against the compared result */}
+      {compareTo && (
+        <div className="report-diff">
+          <div className="report-section-title">
+            A vs B: risk score {riskScore} vs {compareTo.riskScore}
+            {" "}({riskScore - compareTo.riskScore >= 0 ? "+" : "−"}{Math.abs(riskScore - compareTo.riskScore)})
+            {compareTo.classification && ` · ${classification?.level} vs ${compareTo.classification.level}`}
+          </div>
+          {diffFindings(results, compareTo).map((d) => (
+            <div key={d.key} className="finding-row">
+              <span
+                className="finding-badge"
+                style={{ background: DIFF_STATUS[d.status].color + "22", color: DIFF_STATUS[d.status].color }}
+              >
+                {DIFF_STATUS[d.status].label}
+              </span>
+              <span className="finding-text">
+                {d.status === "changed" ? (
+                  <>
+                    <strong>A:</strong> {d.a.text} <strong>B:</strong> {d.b.text}
+                  </>
+                ) : (d.a || d.b).text}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* docs: audit trail — exactly what was applied to the signal before scoring */}
+      {preprocessing && (
+        <p className="report-params">
+          Signal processing: {preprocessing.steps.length ? preprocessing.steps.join(" · ") : "none (raw signal)"}
+        </p>
+      )}
+
+      {/* feat: subject the analysis is filed under */}
+      {subject && (
+        <p className="report-params">
+          Subject: {subject.id}
+          {describeSubject(subject) && ` (${describeSubject(subject)})`}
+          {subject.medication && ` · Medication: ${subject.medication}`}
+        </p>
+      )}
+
+      {/* docs: audit trail — which model scored the recording */}
+      {model && (
+        <p className="report-params">
+          Model: {model.name} ({model.type}, version {model.version}) · {model.features} features
+        </p>
+      )}
+      {model && model.missing.length > 0 && (
+        <p className="report-params report-warning">
+          ⚠️ {model.missing.length} model feature{model.missing.length === 1 ? "" : "s"} not available in this recording
+          ({model.missing.slice(0, 6).join(", ")}{model.missing.length > 6 ? ", …" : ""}) — treated as missing by the model.
+        </p>
+      )}
+
+      {/* docs: audit trail — which profile turned the bands into a score, level and findings */}
+      <p className="report-params">
+        Scoring profile: {profileLabel(profile)}
+        {profile.description && ` · ${profile.description}`}
+      </p>
+
+      {/* docs: audit trail — how far the score could move with a different draw of the same recording */}
+      {uncertainty && (
+        <p className="report-params">
+          Risk score {riskScore}: {describeUncertainty(uncertainty)}
+          {uncertainty.confidence !== null && ` · ${uncertainty.confidence}% of resamples in ${classification?.level}`}
+        </p>
+      )}
+
+      {/* docs: audit trail — what the deviations were measured against */}
+      <p className="report-params">
+        Normative reference: {describeNormative(normative)} (version {normative.norms.version})
+        {normative.norms.citation && ` · ${normative.norms.citation}`}
+      </p>
+
+      {/* feat: data quality — epochs kept after artifact rejection */}
+      {artifacts && artifacts.settings.enabled && (
+        <p className="report-params">
+          Epochs kept: {artifacts.kept}/{artifacts.total} ({Math.round((artifacts.kept / Math.max(1, artifacts.total)) * 100)}%)
+          {Object.keys(rejectionCounts).length > 0 &&
+            " · rejected for " + Object.entries(rejectionCounts).map(([type, n]) => `${type} (${n})`).join(", ")}
+        </p>
+      )}
+
       {/* chore: always show clinical disclaimer */}
       <p className="disclaimer">
         ⚕️ This system is a research decision-support tool only.
@@ -0,0 +1,90 @@
+// feat: add inter-channel coherence table (magnitude-squared coherence per band)
+// docs: one row per channel pair, one column per EEG band, cells shaded by coherence (0–1)
+// docs: preferred long-range pairs are listed by default; any other recorded pair can be added
+// docs: simulated runs only carry the synthetic alpha-band values and are labelled as such
+// ─────────────────────────────────────────────────────────────
+import React, { useState } from "react";
+import { pairLabel } from "../utils/coherence";
+// chore: band column headers with Greek symbols
+import { BAND_SYMBOLS } from "../utils/profiles";
+
+// style: purple intensity proportional to coherence
+function cellStyle(value) {
+  return {
+    background: `rgba(124, 58, 237, ${(0.1 + value * 0.7).toFixed(2)})`,
+    color: value > 0.5 ? "#f1f5f9" : "#94a3b8",
+  };
+}
+
+export default function CoherenceChart({ coherence, isLoading }) {
+  // feat: pairs added by the user on top of the preferred ones
+  const [extraPairs, setExtraPairs] = useState([]);
+  const [pick, setPick] = useState({ a: "", b: "" });
+
+  if (isLoading) return <div className="chart-card skeleton" style={{ height: 220 }} />;
+  if (!coherence || coherence.pairs.length === 0) return null;
+
+  // perf: lookup in both electrode orders
+  const byLabel = {};
+  coherence.pairs.forEach((p) => { byLabel[p.pair] = p; byLabel[pairLabel(p.b, p.a)] = p; });
+
+  // fix: small montages without any preferred pair show every pair instead of an empty table
+  const defaults = coherence.preferred.length ? coherence.preferred : coherence.pairs.map((p) => p.pair);
+  const shown = [...defaults, ...extraPairs]
+    .map((label) => byLabel[label])
+    .filter((p, i, all) => p && all.indexOf(p) === i);
+
+  const channels = [...new Set(coherence.pairs.flatMap((p) => [p.a, p.b]))];
+  const canAdd = pick.a && pick.b && pick.a !== pick.b && byLabel[pairLabel(pick.a, pick.b)];
+
+  return (
+    <div className="chart-card">
+      <div className="chart-title">INTER-CHANNEL COHERENCE</div>
+      <div className="chart-subtitle">
+        {coherence.source === "measured"
+          ? `Magnitude-squared coherence · ${coherence.segments} segments of ${coherence.settings.segmentSeconds} s · Δf ${coherence.resolution.toFixed(2)} Hz`
+          : "Simulated alpha-band coherence (upload a recording for measured values)"}
+      </div>
+
+      <table className="coherence-table">
+        <thead>
+          <tr>
+            <th>Pair</th>
+            {coherence.bands.map((band) => <th key={band}>{BAND_SYMBOLS[band] || band}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {shown.map((p) => (
+            <tr key={p.pair}>
+              <td className="coherence-pair">{p.a}–{p.b}</td>
+              {coherence.bands.map((band) => (
+                <td key={band} style={cellStyle(p.bands[band])}>{p.bands[band].toFixed(2)}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* feat: add any recorded pair to the table */}
+      {coherence.source === "measured" && channels.length > 2 && (
+        <div className="coherence-picker">
+          <select className="settings-select" value={pick.a} onChange={(e) => setPick({ ...pick, a: e.target.value })}>
+            <option value="">—</option>
+            {channels.map((ch) => <option key={ch} value={ch}>{ch}</option>)}
+          </select>
+          <select className="settings-select" value={pick.b} onChange={(e) => setPick({ ...pick, b: e.target.value })}>
+            <option value="">—</option>
+            {channels.map((ch) => <option key={ch} value={ch}>{ch}</option>)}
+          </select>
+          <button
+            className="coherence-add"
+            disabled={!canAdd}
+            onClick={() => setExtraPairs([...extraPairs, pairLabel(pick.a, pick.b)])}
+          >
+            Add pair
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+// feat: nonlinear complexity panel — fractal dimension, entropy and Lempel-Ziv complexity
+// docs: the table lists every channel's mean ± SD over the clean epochs (whole head first); hovering a
+// docs: value shows the feature name a model file uses ("hfd_O1", "sampen"); the chart follows the
+// docs: selected measure epoch by epoch — every channel in gray, the channel mean in purple
+// ─────────────────────────────────────────────────────────────
+import React, { useState } from "react";
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip, ResponsiveContainer,
+} from "recharts";
+import { COMPLEXITY_MEASURES } from "../utils/complexity";
+
+const MEASURES = Object.keys(COMPLEXITY_MEASURES);
+
+// feat: model feature name of a cell — no suffix for the whole head
+const featureName = (measure, channel) => (channel ? `${measure}_${channel}` : measure);
+
+// feat: "1.482" / "—"
+const formatNumber = (value, digits) => (value === null || value === undefined ? "—" : value.toFixed(digits));
+
+// feat: mean of the defined values of one epoch across channels
+function epochMean(values) {
+  const defined = values.filter((v) => v !== null);
+  return defined.length ? defined.reduce((a, b) => a + b, 0) / defined.length : null;
+}
+
+export default function ComplexityChart({ complexity, isLoading }) {
+  // feat: measure followed epoch by epoch
+  const [measure, setMeasure] = useState("hfd");
+
+  if (isLoading) return <div className="chart-card skeleton" style={{ height: 420 }} />;
+  if (!complexity) return null;
+
+  const { settings, channels: perChannel, global, times } = complexity;
+  const channels = Object.keys(perChannel);
+  const { digits } = COMPLEXITY_MEASURES[measure];
+
+  // feat: one row per clean epoch with per-channel values and the channel mean
+  const chartData = times.map((time, i) => {
+    const row = { time };
+    channels.forEach((ch) => {
+      row[ch] = perChannel[ch][measure].epochs[i];
+    });
+    row.mean = epochMean(channels.map((ch) => perChannel[ch][measure].epochs[i]));
+    return row;
+  });
+
+  return (
+    <div className="chart-card">
+      <div className="report-header">
+        <div className="chart-title">NONLINEAR COMPLEXITY</div>
+        <div className="report-actions">
+          {MEASURES.map((m) => (
+            <button key={m} className={`band-btn band-btn-wide ${measure === m ? "active" : ""}`} onClick={() => setMeasure(m)}>
+              {COMPLEXITY_MEASURES[m].label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="chart-subtitle">
+        {times.length} clean epoch{times.length === 1 ? "" : "s"} at {complexity.sampleRate} Hz · Higuchi k ≤ {settings.kmax}
+        · sample entropy m = {settings.m}, r = {settings.r} SD · permutation order {settings.order}, lag {settings.delay}
+        · Lempel-Ziv on the median-binarized signal · hover a value for its model feature name
+      </div>
+
+      <ResponsiveContainer width="100%" height={220}>
+        <LineChart data={chartData} margin={{ top: 10, right: 20, left: 0, bottom: 20 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#1e2a3d" />
+          <XAxis
+            dataKey="time"
+            type="number"
+            domain={["dataMin", "dataMax"]}
+            label={{ value: "Epoch start (s)", position: "insideBottom", offset: -10, fill: "#94a3b8", fontSize: 12 }}
+            tick={{ fill: "#475569", fontSize: 11 }}
+          />
+          <YAxis
+            domain={["auto", "auto"]}
+            tick={{ fill: "#475569", fontSize: 11 }}
+            tickFormatter={(v) => v.toFixed(2)}
+          />
+          <Tooltip
+            contentStyle={{ background: "#0f1623", border: "1px solid #1e2a3d", borderRadius: 8 }}
+            labelStyle={{ color: "#94a3b8", fontSize: 11 }}
+            labelFormatter={(t) => `${t} s`}
+            formatter={(val, name) => [formatNumber(val, digits), name]}
+            itemStyle={{ fontSize: 11 }}
+          />
+          {/* style: individual channels in muted gray, mean on top in purple */}
+          {channels.map((ch) => (
+            <Line
+              key={ch}
+              type="linear"
+              dataKey={ch}
+              stroke="#475569"
+              strokeOpacity={0.5}
+              dot={false}
+              strokeWidth={1}
+              connectNulls
+              isAnimationActive={false}
+            />
+          ))}
+          <Line type="linear" dataKey="mean" stroke="#a78bfa" dot={false} strokeWidth={2} connectNulls isAnimationActive={false} />
+        </LineChart>
+      </ResponsiveContainer>
+
+      <div className="features-scroll">
+        <table className="features-table">
+          <thead>
+            <tr>
+              <th />
+              {MEASURES.map((m) => (
+                <th key={m} className={m === measure ? "complexity-selected" : ""}>{COMPLEXITY_MEASURES[m].label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            <tr className="features-head">
+              <td className="features-location">Whole head</td>
+              {MEASURES.map((m) => (
+                <td key={m} title={featureName(m, null)}>{formatNumber(global[m], COMPLEXITY_MEASURES[m].digits)}</td>
+              ))}
+            </tr>
+            {channels.map((ch) => (
+              <tr key={ch}>
+                <td className="features-location">{ch}</td>
+                {MEASURES.map((m) => (
+                  <td key={m} title={featureName(m, ch)}>
+                    {formatNumber(perChannel[ch][m].mean, COMPLEXITY_MEASURES[m].digits)}
+                    {perChannel[ch][m].sd !== null && (
+                      <span className="complexity-sd"> ± {formatNumber(perChannel[ch][m].sd, COMPLEXITY_MEASURES[m].digits)}</span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -1,13 +1,14 @@
-// feat: add EEG waveform chart with 5 offset channels
-// docs: renders a multi-line chart showing Fp1, F3, C3, P3, O1 EEG channels
-// docs: each channel is vertically offset by 8µV so waveforms don't overlap
-// perf: decimates 1280 data points to 320 for smoother chart rendering
+// feat: canvas EEG viewer for the whole recording — paging, time window, per-channel gain
+// docs: draws the preprocessed trace (see utils/traces.js) page by page like a clinical reader:
+// docs: adjustable seconds per page, sensitivity in µV/mm per channel, channel show/hide and
+// docs: reordering, and a hover time cursor with the value of every channel at that instant
+// perf: each pixel column is drawn from the min/max of its samples, so peaks are never dropped
+// feat: marks EDF+ annotations and shades epochs rejected by artifact detection
 // ─────────────────────────────────────────────────────────────
-import React from "react";
-import {
-  LineChart, Line, XAxis, YAxis, CartesianGrid,
-  Tooltip, Legend, ResponsiveContainer,
-} from "recharts";
+import React, { useState, useEffect, useRef, useMemo } from "react";
+import { sortChannels } from "../utils/channelMapping";
+// chore: trace helpers and peak-preserving decimation
+import { minMaxDecimate, traceDuration } from "../utils/traces";
 
 // style: distinct color per EEG channel for visual differentiation
 const CHANNEL_COLORS = {
@@ -17,60 +18,372 @@ const CHANNEL_COLORS = {
   P3: "#f59e0b",
   O1: "#ef4444",
 };
-const CHANNELS = ["Fp1", "F3", "C3", "P3", "O1"];
-// docs: vertical offset in µV — keeps waveforms visually separated
-const OFFSET = 8;
-
-export default function EEGChart({ data, isLoading }) {
-  // perf: only render every 4th point for chart performance (still 320 pts)
-  const decimated = data.filter((_, i) => i % 4 === 0);
-
-  // feat: apply vertical offset per channel so they're readable
-  const offsetData = decimated.map((pt) => {
-    const row = { time: pt.time };
-    CHANNELS.forEach((ch, i) => {
-      row[ch] = pt[ch] + i * OFFSET;
+// style: fallback palette for channels beyond the original five
+const PALETTE = ["#7c3aed", "#2563eb", "#10b981", "#f59e0b", "#ef4444", "#06b6d4", "#ec4899", "#84cc16"];
+
+// docs: CSS pixels per millimetre (96 dpi) — sensitivity is specified per mm like paper EEG
+const PX_PER_MM = 96 / 25.4;
+// docs: seconds per page and sensitivities (µV/mm) offered in the toolbar
+const WINDOW_OPTIONS = [5, 10, 15, 20, 30];
+const GAIN_OPTIONS = [0.1, 0.2, 0.5, 1, 2, 3, 5, 7, 10, 15, 20, 30, 50, 70, 100, 200];
+const DEFAULT_WINDOW = 10;
+// style: canvas layout in CSS pixels
+const ROW_HEIGHT = 40;
+const LABEL_WIDTH = 52;
+const AXIS_HEIGHT = 22;
+
+const channelColor = (ch, i) => CHANNEL_COLORS[ch] || PALETTE[i % PALETTE.length];
+
+// feat: "m:ss" / "m:ss.s" time labels
+function formatTime(seconds, decimals = 0) {
+  const m = Math.floor(seconds / 60);
+  const s = seconds - m * 60;
+  return `${m}:${s.toFixed(decimals).padStart(decimals ? decimals + 3 : 2, "0")}`;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: starting sensitivity — the smallest µV/mm at which ±3σ of a typical channel fits its row
+// docs: one value for all channels (as on paper); the user can then change any channel
+// ─────────────────────────────────────────────────────────────
+function autoGain(trace) {
+  const sigmas = trace.channels.map((ch) => {
+    const values = trace.data[ch];
+    const step = Math.max(1, Math.floor(values.length / 20000));
+    let sum = 0;
+    let sumSq = 0;
+    let n = 0;
+    for (let i = 0; i < values.length; i += step) {
+      sum += values[i];
+      sumSq += values[i] * values[i];
+      n++;
+    }
+    const mean = sum / n;
+    return Math.sqrt(Math.max(0, sumSq / n - mean * mean));
+  }).sort((a, b) => a - b);
+  const sigma = sigmas[Math.floor(sigmas.length / 2)] || 1;
+  const rowMm = ROW_HEIGHT / PX_PER_MM;
+  return GAIN_OPTIONS.find((g) => (6 * sigma) / g <= rowMm) || GAIN_OPTIONS[GAIN_OPTIONS.length - 1];
+}
+
+// feat: default viewer layout for a trace — clinical order, everything shown, one sensitivity
+function initialLayout(trace) {
+  const gain = autoGain(trace);
+  const gains = {};
+  trace.channels.forEach((ch) => { gains[ch] = gain; });
+  return { order: sortChannels(trace.channels), hidden: {}, gains };
+}
+
+export default function EEGChart({ data, annotations = [], artifacts = null, isLoading }) {
+  const trace = data && data.length > 0 ? data : null;
+  const duration = traceDuration(trace);
+
+  // feat: viewer state — page start (s), seconds per page, channel layout, hover cursor (s)
+  const [windowSec, setWindowSec] = useState(DEFAULT_WINDOW);
+  const [start, setStart] = useState(0);
+  const [layout, setLayout] = useState({ order: [], hidden: {}, gains: {} });
+  const [cursor, setCursor] = useState(null);
+  const [width, setWidth] = useState(0);
+
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  // feat: a new recording resets the viewer to its first page and default layout
+  useEffect(() => {
+    if (!trace) return;
+    setLayout(initialLayout(trace));
+    setStart(0);
+    setCursor(null);
+  }, [trace]);
+
+  // fix: follow the card width so the page always spans the full plot
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return undefined;
+    const observer = new ResizeObserver(([entry]) => setWidth(Math.floor(entry.contentRect.width)));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [isLoading, trace]);
+
+  const pageSec = Math.min(windowSec, duration || windowSec);
+  const maxStart = Math.max(0, duration - pageSec);
+  const pageStart = Math.min(start, maxStart);
+  // fix: the layout effect runs after the first render of a new trace — skip stale channel names
+  // perf: memoized — a new array every render would redraw the canvas on renders that change nothing drawn
+  const visible = useMemo(
+    () => (trace ? layout.order.filter((ch) => trace.data[ch] && !layout.hidden[ch]) : []),
+    [trace, layout]
+  );
+  const height = Math.max(1, visible.length) * ROW_HEIGHT + AXIS_HEIGHT;
+
+  // ─────────────────────────────────────────────────────────────
+  // feat: draw the current page
+  // ─────────────────────────────────────────────────────────────
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !trace || width === 0) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const plotWidth = width - LABEL_WIDTH;
+    const plotHeight = height - AXIS_HEIGHT;
+    const t0 = pageStart;
+    const t1 = pageStart + pageSec;
+    const xOf = (t) => LABEL_WIDTH + ((t - t0) / pageSec) * plotWidth;
+    const sr = trace.sampleRate;
+    const i0 = Math.max(0, Math.floor(t0 * sr));
+    const i1 = Math.min(trace.length, Math.ceil(t1 * sr) + 1);
+
+    // feat: red band per rejected epoch — reasons are listed in the clinical report
+    ctx.fillStyle = "rgba(239, 68, 68, 0.08)";
+    (artifacts ? artifacts.epochs : [])
+      .filter((e) => e.rejected && e.endTime > t0 && e.startTime < t1)
+      .forEach((e) => {
+        const x = xOf(Math.max(t0, e.startTime));
+        ctx.fillRect(x, 0, xOf(Math.min(t1, e.endTime)) - x, plotHeight);
+      });
+
+    // style: one grid line per second, labelled less often on long pages
+    const labelStep = pageSec <= 10 ? 1 : pageSec <= 20 ? 2 : 5;
+    ctx.font = "11px sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    for (let s = Math.ceil(t0); s <= t1; s++) {
+      const x = Math.round(xOf(s)) + 0.5;
+      ctx.strokeStyle = s % labelStep === 0 ? "#1e2a3d" : "#121a2a";
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, plotHeight);
+      ctx.stroke();
+      if (s % labelStep === 0) {
+        ctx.fillStyle = "#475569";
+        ctx.fillText(formatTime(s), x, plotHeight + 6);
+      }
+    }
+
+    // feat: vertical marker per EDF+ annotation on this page
+    ctx.setLineDash([2, 3]);
+    ctx.textAlign = "left";
+    annotations
+      .filter((a) => a.onset >= t0 && a.onset <= t1)
+      .forEach((a) => {
+        const x = Math.round(xOf(a.onset)) + 0.5;
+        ctx.strokeStyle = "#94a3b8";
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, plotHeight);
+        ctx.stroke();
+        ctx.fillStyle = "#94a3b8";
+        ctx.fillText(a.text, x + 3, 2);
+      });
+    ctx.setLineDash([]);
+
+    // feat: traces — one row per visible channel, positive up, clipped to the plot area
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(LABEL_WIDTH, 0, plotWidth, plotHeight);
+    ctx.clip();
+    ctx.lineWidth = 1;
+    ctx.lineJoin = "round";
+    visible.forEach((ch, row) => {
+      const values = trace.data[ch];
+      const baseline = row * ROW_HEIGHT + ROW_HEIGHT / 2;
+      const pxPerUv = PX_PER_MM / (layout.gains[ch] || GAIN_OPTIONS[0]);
+      const colour = channelColor(ch, trace.channels.indexOf(ch));
+      ctx.strokeStyle = colour;
+      ctx.beginPath();
+
+      const columns = Math.max(1, Math.floor(plotWidth));
+      if (i1 - i0 <= columns * 2) {
+        // docs: fewer samples than ~2 per pixel — draw every sample
+        for (let i = i0; i < i1; i++) {
+          const x = xOf(i / sr);
+          const y = baseline - values[i] * pxPerUv;
+          if (i === i0) ctx.moveTo(x, y);
+          else ctx.lineTo(x, y);
+        }
+      } else {
+        // perf: min/max envelope per pixel column — keeps spikes at any zoom
+        const envelope = minMaxDecimate(values, i0, i1, columns);
+        const samplesPerColumn = (i1 - i0) / columns;
+        for (let b = 0; b < columns; b++) {
+          const x = xOf((i0 + (b + 0.5) * samplesPerColumn) / sr);
+          const yMin = baseline - envelope[b * 2] * pxPerUv;
+          const yMax = baseline - envelope[b * 2 + 1] * pxPerUv;
+          if (b === 0) ctx.moveTo(x, yMin);
+          else ctx.lineTo(x, yMin);
+          ctx.lineTo(x, yMax);
+        }
+      }
+      ctx.stroke();
+    });
+    ctx.restore();
+
+    // feat: channel labels and sensitivity in the left margin
+    ctx.textAlign = "left";
+    ctx.textBaseline = "middle";
+    visible.forEach((ch, row) => {
+      const baseline = row * ROW_HEIGHT + ROW_HEIGHT / 2;
+      ctx.fillStyle = channelColor(ch, trace.channels.indexOf(ch));
+      ctx.font = "bold 11px sans-serif";
+      ctx.fillText(ch, 6, baseline - 6);
+      ctx.fillStyle = "#475569";
+      ctx.font = "9px sans-serif";
+      ctx.fillText(`${layout.gains[ch]} µV/mm`, 6, baseline + 7);
+    });
+
+    // feat: time cursor with the value of every visible channel at that sample
+    if (cursor !== null && cursor >= t0 && cursor <= t1) {
+      const x = Math.round(xOf(cursor)) + 0.5;
+      const index = Math.min(trace.length - 1, Math.round(cursor * sr));
+      ctx.strokeStyle = "#f1f5f9";
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, plotHeight);
+      ctx.stroke();
+      ctx.font = "10px sans-serif";
+      const flip = x > LABEL_WIDTH + plotWidth - 80;
+      ctx.textAlign = flip ? "right" : "left";
+      visible.forEach((ch, row) => {
+        ctx.fillStyle = "#f1f5f9";
+        ctx.fillText(`${trace.data[ch][index].toFixed(1)} µV`, x + (flip ? -4 : 4), row * ROW_HEIGHT + 8);
+      });
+      ctx.textAlign = "center";
+      ctx.textBaseline = "top";
+      ctx.fillStyle = "#0f1623";
+      ctx.fillRect(x - 30, plotHeight + 3, 60, 16);
+      ctx.fillStyle = "#f1f5f9";
+      ctx.fillText(formatTime(cursor, 2), x, plotHeight + 6);
+    }
+  }, [trace, width, height, pageStart, pageSec, visible, layout, cursor, artifacts, annotations]);
+
+  // feat: paging — one page back/forward, or a 1 s scroll
+  const scrollTo = (t) => setStart(Math.min(maxStart, Math.max(0, t)));
+  const handleKeyDown = (e) => {
+    const step = e.shiftKey ? 1 : pageSec;
+    if (e.key === "ArrowRight" || e.key === "PageDown") scrollTo(pageStart + step);
+    else if (e.key === "ArrowLeft" || e.key === "PageUp") scrollTo(pageStart - step);
+    else if (e.key === "Home") scrollTo(0);
+    else if (e.key === "End") scrollTo(maxStart);
+    else return;
+    e.preventDefault();
+  };
+
+  const handleMouseMove = (e) => {
+    const x = e.clientX - e.currentTarget.getBoundingClientRect().left;
+    if (x < LABEL_WIDTH) {
+      setCursor(null);
+      return;
+    }
+    setCursor(pageStart + ((x - LABEL_WIDTH) / (width - LABEL_WIDTH)) * pageSec);
+  };
+
+  // feat: channel layout edits
+  const toggleChannel = (ch) =>
+    setLayout((prev) => ({ ...prev, hidden: { ...prev.hidden, [ch]: !prev.hidden[ch] } }));
+  const moveChannel = (index, delta) =>
+    setLayout((prev) => {
+      const order = [...prev.order];
+      [order[index], order[index + delta]] = [order[index + delta], order[index]];
+      return { ...prev, order };
     });
-    return row;
-  });
+  const setChannelGain = (ch, gain) =>
+    setLayout((prev) => ({ ...prev, gains: { ...prev.gains, [ch]: gain } }));
+  const setAllGains = (gain) =>
+    setLayout((prev) => ({ ...prev, gains: Object.fromEntries(prev.order.map((ch) => [ch, gain])) }));
 
   if (isLoading) return <div className="chart-card skeleton" style={{ height: 320 }} />;
 
+  if (!trace) {
+    return (
+      <div className="chart-card">
+        <div className="chart-title">EEG SIGNAL</div>
+        <div className="chart-subtitle">No signal to display.</div>
+      </div>
+    );
+  }
+
+  // docs: the toolbar sensitivity shows the shared value, or "mixed" after per-channel edits
+  const gainValues = [...new Set(layout.order.map((ch) => layout.gains[ch]))];
+  const sharedGain = gainValues.length === 1 ? gainValues[0] : "";
+
   return (
     <div className="chart-card">
       <div className="chart-title">
-        EEG SIGNAL (5 CHANNELS, FIRST 5 SECONDS)
+        EEG SIGNAL ({trace.channels.length} CHANNELS, {formatTime(duration)} RECORDED)
+      </div>
+      <div className="chart-subtitle">
+        {trace.sampleRate} Hz · ←/→ page, Shift+←/→ 1 s
+        {artifacts && artifacts.settings.enabled && (
+          <> · {artifacts.kept}/{artifacts.total} epochs of {artifacts.settings.epochSeconds} s kept
+            {artifacts.kept < artifacts.total && " · shaded = rejected (excluded from spectrum)"}</>
+        )}
+      </div>
+
+      {/* feat: paging, scroll position, seconds per page and global sensitivity */}
+      <div className="eeg-toolbar">
+        <button className="eeg-btn" onClick={() => scrollTo(pageStart - pageSec)} disabled={pageStart <= 0}>◀</button>
+        <button className="eeg-btn" onClick={() => scrollTo(pageStart + pageSec)} disabled={pageStart >= maxStart}>▶</button>
+        <input
+          className="eeg-scroll"
+          type="range"
+          min={0}
+          max={maxStart}
+          step={0.1}
+          value={pageStart}
+          disabled={maxStart === 0}
+          onChange={(e) => scrollTo(Number(e.target.value))}
+        />
+        <span className="eeg-range">
+          {formatTime(pageStart, 1)}–{formatTime(pageStart + pageSec, 1)} / {formatTime(duration, 1)}
+        </span>
+        <select className="settings-select eeg-select" value={windowSec} onChange={(e) => setWindowSec(Number(e.target.value))}>
+          {WINDOW_OPTIONS.map((w) => <option key={w} value={w}>{w} s/page</option>)}
+        </select>
+        <select className="settings-select eeg-select" value={sharedGain} onChange={(e) => setAllGains(Number(e.target.value))}>
+          {sharedGain === "" && <option value="">mixed µV/mm</option>}
+          {GAIN_OPTIONS.map((g) => <option key={g} value={g}>{g} µV/mm</option>)}
+        </select>
+      </div>
+
+      <div ref={containerRef} className="eeg-canvas-wrap">
+        <canvas
+          ref={canvasRef}
+          className="eeg-canvas"
+          style={{ width: "100%", height }}
+          tabIndex={0}
+          onKeyDown={handleKeyDown}
+          onMouseMove={handleMouseMove}
+          onMouseLeave={() => setCursor(null)}
+        />
+      </div>
+
+      {/* feat: montage editor — show/hide, reorder (top to bottom) and per-channel sensitivity */}
+      <div className="eeg-channels">
+        {layout.order.map((ch, i) => (
+          <div key={ch} className={`eeg-channel ${layout.hidden[ch] ? "off" : ""}`}>
+            <label>
+              <input type="checkbox" checked={!layout.hidden[ch]} onChange={() => toggleChannel(ch)} />
+              <span style={{ color: channelColor(ch, trace.channels.indexOf(ch)) }}>{ch}</span>
+            </label>
+            <button className="eeg-move" onClick={() => moveChannel(i, -1)} disabled={i === 0} title="Move up">↑</button>
+            <button className="eeg-move" onClick={() => moveChannel(i, 1)} disabled={i === layout.order.length - 1} title="Move down">↓</button>
+            <select
+              className="eeg-gain"
+              value={layout.gains[ch]}
+              onChange={(e) => setChannelGain(ch, Number(e.target.value))}
+              title="Sensitivity (µV/mm)"
+            >
+              {GAIN_OPTIONS.map((g) => <option key={g} value={g}>{g}</option>)}
+            </select>
+          </div>
+        ))}
+        <button className="eeg-btn" onClick={() => setLayout(initialLayout(trace))}>Reset</button>
       </div>
-      <ResponsiveContainer width="100%" height={300}>
-        <LineChart data={offsetData} margin={{ top: 10, right: 20, left: 0, bottom: 20 }}>
-          <CartesianGrid strokeDasharray="3 3" stroke="#1e2a3d" />
-          <XAxis
-            dataKey="time"
-            label={{ value: "Time (s)", position: "insideBottom", offset: -10, fill: "#94a3b8", fontSize: 12 }}
-            tick={{ fill: "#475569", fontSize: 11 }}
-            interval={39} // show tick every ~1 second
-          />
-          {/* style: hide Y axis since channels are offset — absolute values meaningless */}
-          <YAxis hide />
-          <Tooltip
-            contentStyle={{ background: "#0f1623", border: "1px solid #1e2a3d", borderRadius: 8 }}
-            labelStyle={{ color: "#94a3b8", fontSize: 11 }}
-            itemStyle={{ fontSize: 11 }}
-          />
-          <Legend wrapperStyle={{ paddingTop: 12, fontSize: 12 }} />
-          {CHANNELS.map((ch) => (
-            <Line
-              key={ch}
-              type="monotone"
-              dataKey={ch}
-              stroke={CHANNEL_COLORS[ch]}
-              dot={false}
-              strokeWidth={1.5}
-              isAnimationActive={true}
-            />
-          ))}
-        </LineChart>
-      </ResponsiveContainer>
     </div>
   );
 }
@@ -0,0 +1,205 @@
+// feat: longitudinal view — one subject's risk score, band powers and coherence across visits
+// docs: every visit is compared with the subject's own baseline visit (the first one unless another
+// docs: is chosen); changes beyond CHANGE_THRESHOLDS are flagged in the charts and the visit table
+// ─────────────────────────────────────────────────────────────
+import React from "react";
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip, Legend, ResponsiveContainer, ReferenceLine, ReferenceArea,
+} from "recharts";
+// chore: change detection against the subject's baseline
+import { buildLongitudinal, describeSubject, CHANGE_THRESHOLDS } from "../utils/subjects";
+// chore: Greek band symbols for the chart legends
+import { BAND_SYMBOLS } from "../utils/profiles";
+
+// style: band colors shared by the power and coherence charts
+const BAND_COLORS = {
+  delta: "#7c3aed",
+  theta: "#2563eb",
+  alpha: "#10b981",
+  beta: "#f59e0b",
+  gamma: "#ef4444",
+};
+
+const TOOLTIP_STYLE = {
+  contentStyle: { background: "#0f1623", border: "1px solid #1e2a3d", borderRadius: 8 },
+  labelStyle: { color: "#94a3b8", fontSize: 11 },
+  itemStyle: { fontSize: 11 },
+};
+
+const formatDate = (ms) => new Date(ms).toLocaleDateString(undefined, { day: "numeric", month: "short", year: "2-digit" });
+
+// feat: "+12", "−32%", "+0.14" — signed change in the metric's own unit
+function formatChange(change) {
+  const sign = (v) => (v >= 0 ? "+" : "−");
+  if (change.kind === "relative") return `${sign(change.relative)}${Math.abs(change.relative * 100).toFixed(0)}%`;
+  if (change.kind === "score") return `${sign(change.delta)}${Math.abs(change.delta).toFixed(0)}`;
+  return `${sign(change.delta)}${Math.abs(change.delta).toFixed(2)}`;
+}
+
+// style: red dot on visits whose value changed significantly for this metric
+const flaggedDot = (key, color) => (props) => {
+  const { cx, cy, payload } = props;
+  if (!Number.isFinite(cy)) return null;
+  const flagged = payload.flaggedKeys.includes(key);
+  return (
+    <circle
+      key={`${key}-${payload.id}`}
+      cx={cx}
+      cy={cy}
+      r={flagged ? 5 : 3}
+      fill={flagged ? "#ef4444" : color}
+      stroke={flagged ? "#fca5a5" : "none"}
+    />
+  );
+};
+
+export default function LongitudinalView({ subject, visits, activeEntryId, onOpenVisit, onSetBaseline }) {
+  const { baseline, visits: series } = buildLongitudinal(visits, subject.baselineId);
+
+  // feat: one chart row per visit
+  const data = series.map((v, i) => ({
+    id: v.id,
+    visit: `V${i + 1} ${formatDate(v.createdAt)}`,
+    riskScore: v.metrics.riskScore,
+    // docs: nested so the "power.alpha" / "coh.alpha" data keys resolve as paths
+    power: v.metrics.bandPowers,
+    coh: v.metrics.coherence,
+    flaggedKeys: v.flagged.map((c) => c.key),
+  }));
+  const bands = Object.keys(BAND_COLORS);
+  const cohBands = bands.filter((b) => series.some((v) => Number.isFinite(v.metrics.coherence[b])));
+  const flaggedVisits = series.filter((v) => v.flagged.length > 0).length;
+
+  return (
+    <div className="chart-card">
+      <div className="chart-title">SUBJECT {subject.id} — {series.length} VISIT{series.length === 1 ? "" : "S"}</div>
+      <div className="chart-subtitle">
+        {[describeSubject(subject), subject.medication && `Medication: ${subject.medication}`].filter(Boolean).join(" · ")}
+        {baseline && ` · Baseline: ${formatDate(baseline.createdAt)}`}
+        {series.length > 1 && (flaggedVisits
+          ? ` · ⚠️ ${flaggedVisits} visit${flaggedVisits === 1 ? "" : "s"} with significant change`
+          : " · no significant change from baseline")}
+      </div>
+
+      {series.length < 2 ? (
+        <p className="longitudinal-hint">
+          One visit so far — analyse the next recording with {subject.id} selected and the trend appears here.
+        </p>
+      ) : (
+        <div className="longitudinal-charts">
+          {/* feat: risk score with the significant-change band around the baseline */}
+          <div>
+            <div className="longitudinal-label">Risk score (± {CHANGE_THRESHOLDS.riskScore} pts shaded)</div>
+            <ResponsiveContainer width="100%" height={180}>
+              <LineChart data={data} margin={{ top: 8, right: 12, left: -20, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#1e2a3d" />
+                <XAxis dataKey="visit" tick={{ fill: "#475569", fontSize: 10 }} />
+                <YAxis domain={[0, 100]} tick={{ fill: "#475569", fontSize: 10 }} />
+                <Tooltip {...TOOLTIP_STYLE} />
+                <ReferenceArea
+                  y1={Math.max(0, baseline.metrics.riskScore - CHANGE_THRESHOLDS.riskScore)}
+                  y2={Math.min(100, baseline.metrics.riskScore + CHANGE_THRESHOLDS.riskScore)}
+                  fill="#7c3aed"
+                  fillOpacity={0.08}
+                />
+                <ReferenceLine y={baseline.metrics.riskScore} stroke="#7c3aed" strokeDasharray="4 4" />
+                <Line
+                  dataKey="riskScore"
+                  name="Risk score"
+                  stroke="#a78bfa"
+                  strokeWidth={2}
+                  dot={flaggedDot("riskScore", "#a78bfa")}
+                  isAnimationActive={false}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          {/* feat: band powers — flagged on relative change */}
+          <div>
+            <div className="longitudinal-label">Band power (± {CHANGE_THRESHOLDS.bandPower * 100}% flagged)</div>
+            <ResponsiveContainer width="100%" height={180}>
+              <LineChart data={data} margin={{ top: 8, right: 12, left: -20, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#1e2a3d" />
+                <XAxis dataKey="visit" tick={{ fill: "#475569", fontSize: 10 }} />
+                <YAxis tick={{ fill: "#475569", fontSize: 10 }} />
+                <Tooltip {...TOOLTIP_STYLE} formatter={(v) => v.toFixed(2)} />
+                <Legend wrapperStyle={{ fontSize: 11 }} />
+                {bands.map((b) => (
+                  <Line
+                    key={b}
+                    dataKey={`power.${b}`}
+                    name={BAND_SYMBOLS[b]}
+                    stroke={BAND_COLORS[b]}
+                    dot={flaggedDot(`power.${b}`, BAND_COLORS[b])}
+                    isAnimationActive={false}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          {/* feat: mean long-range coherence per band */}
+          {cohBands.length > 0 && (
+            <div>
+              <div className="longitudinal-label">Coherence (± {CHANGE_THRESHOLDS.coherence} flagged)</div>
+              <ResponsiveContainer width="100%" height={180}>
+                <LineChart data={data} margin={{ top: 8, right: 12, left: -20, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#1e2a3d" />
+                  <XAxis dataKey="visit" tick={{ fill: "#475569", fontSize: 10 }} />
+                  <YAxis domain={[0, 1]} tick={{ fill: "#475569", fontSize: 10 }} />
+                  <Tooltip {...TOOLTIP_STYLE} formatter={(v) => v.toFixed(2)} />
+                  <Legend wrapperStyle={{ fontSize: 11 }} />
+                  {cohBands.map((b) => (
+                    <Line
+                      key={b}
+                      dataKey={`coh.${b}`}
+                      name={BAND_SYMBOLS[b]}
+                      stroke={BAND_COLORS[b]}
+                      dot={flaggedDot(`coh.${b}`, BAND_COLORS[b])}
+                      isAnimationActive={false}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* feat: visit table — significant changes, open a visit, choose the baseline */}
+      <table className="longitudinal-table">
+        <thead>
+          <tr><th>Visit</th><th>Recording</th><th>Score</th><th>Change from baseline</th><th /></tr>
+        </thead>
+        <tbody>
+          {series.map((v, i) => (
+            <tr key={v.id} className={v.id === activeEntryId ? "active" : ""}>
+              <td>V{i + 1} · {formatDate(v.createdAt)}</td>
+              <td className="longitudinal-file">{v.label}</td>
+              <td>{v.metrics.riskScore}</td>
+              <td>
+                {v === baseline ? (
+                  <span className="longitudinal-baseline">Baseline</span>
+                ) : v.flagged.length ? (
+                  v.flagged.map((c) => (
+                    <span key={c.key} className="longitudinal-flag">⚠️ {c.label} {formatChange(c)}</span>
+                  ))
+                ) : (
+                  <span className="longitudinal-stable">Within thresholds</span>
+                )}
+              </td>
+              <td className="longitudinal-actions">
+                <button className="model-btn" onClick={() => onOpenVisit(v)}>Open</button>
+                {v !== baseline && (
+                  <button className="model-btn" onClick={() => onSetBaseline(v.id)}>Set baseline</button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
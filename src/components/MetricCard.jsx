@@ -1,13 +1,14 @@
 // feat: add reusable metric display card with optional progress bar
 // docs: supports number mode, badge mode, and progress bar mode
 // docs: shows skeleton loading state during analysis processing
+// docs: interval = [lower, upper] on the bar's 0–100 scale, drawn over the bar (score uncertainty)
 // ─────────────────────────────────────────────────────────────
 import React from "react";
 
 export default function MetricCard({
   title, value, suffix = "", sub,
   color = "#7c3aed", isLoading,
-  showBar = false, isBadge = false, tooltip,
+  showBar = false, isBadge = false, tooltip, interval,
 }) {
   // style: skeleton shown during loading state
   if (isLoading) return (
@@ -52,6 +53,12 @@ export default function MetricCard({
             className="metric-bar-fill"
             style={{ width: `${value}%`, background: color }}
           />
+          {interval && (
+            <div
+              className="metric-bar-interval"
+              style={{ left: `${interval[0]}%`, width: `${interval[1] - interval[0]}%` }}
+            />
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,117 @@
+// feat: add power spectral density chart for the Welch spectrum
+// docs: plots every channel's PSD (thin lines) and the channel mean (bold) on a log scale
+// docs: shades the EEG bands so the integrated band powers can be audited visually
+// docs: bands = the edges of the scoring profile the result was produced with (EEG_BANDS by default)
+// docs: subtitle lists the estimator settings that produced the spectrum
+// ─────────────────────────────────────────────────────────────
+import React from "react";
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip, ResponsiveContainer, ReferenceArea,
+} from "recharts";
+import { EEG_BANDS } from "../utils/spectral";
+
+// style: band shading colors (same palette as the About modal band list)
+const BAND_COLORS = {
+  delta: "#7c3aed",
+  theta: "#2563eb",
+  alpha: "#10b981",
+  beta: "#f59e0b",
+  gamma: "#ef4444",
+};
+
+// fix: floor for the log axis so empty bins don't break the scale
+const MIN_POWER = 1e-6;
+
+export default function PSDChart({ psd, bands = EEG_BANDS, isLoading }) {
+  if (isLoading) return <div className="chart-card skeleton" style={{ height: 300 }} />;
+  if (!psd || !psd.freqs || psd.freqs.length === 0) return null;
+
+  // docs: highest frequency shown — the top band's upper edge; ticks at every band edge
+  const edges = [...new Set(Object.values(bands).flat())].sort((a, b) => a - b);
+  const maxFreq = edges[edges.length - 1];
+  const ticks = [0, ...edges.filter((f) => f >= 1)];
+
+  const channels = Object.keys(psd.channels);
+
+  // feat: one row per frequency bin (DC excluded) with per-channel and mean power
+  const chartData = [];
+  psd.freqs.forEach((f, k) => {
+    if (f <= 0 || f > maxFreq) return;
+    const row = { freq: parseFloat(f.toFixed(2)) };
+    let sum = 0;
+    channels.forEach((ch) => {
+      const p = Math.max(MIN_POWER, psd.channels[ch][k]);
+      row[ch] = p;
+      sum += p;
+    });
+    row.mean = sum / channels.length;
+    chartData.push(row);
+  });
+
+  const { settings } = psd;
+  const resolution = psd.sampleRate / psd.nfft;
+
+  return (
+    <div className="chart-card">
+      <div className="chart-title">POWER SPECTRAL DENSITY (WELCH)</div>
+      <div className="chart-subtitle">
+        {settings.window} window · {settings.segmentSeconds} s segments · {Math.round(settings.overlap * 100)}% overlap
+        · {psd.segments} segment{psd.segments === 1 ? "" : "s"} averaged · Δf {resolution.toFixed(2)} Hz · {psd.sampleRate} Hz
+      </div>
+      <ResponsiveContainer width="100%" height={260}>
+        <LineChart data={chartData} margin={{ top: 10, right: 20, left: 0, bottom: 20 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#1e2a3d" />
+          {/* feat: band shading — integration limits used for band powers */}
+          {Object.entries(bands).map(([band, [lo, hi]]) => (
+            <ReferenceArea
+              key={band}
+              x1={lo}
+              x2={Math.min(hi, maxFreq)}
+              fill={BAND_COLORS[band]}
+              fillOpacity={0.06}
+              label={{ value: band, position: "insideTop", fill: BAND_COLORS[band], fontSize: 10 }}
+            />
+          ))}
+          <XAxis
+            dataKey="freq"
+            type="number"
+            domain={[0, maxFreq]}
+            ticks={ticks}
+            label={{ value: "Frequency (Hz)", position: "insideBottom", offset: -10, fill: "#94a3b8", fontSize: 12 }}
+            tick={{ fill: "#475569", fontSize: 11 }}
+          />
+          <YAxis
+            scale="log"
+            domain={["auto", "auto"]}
+            allowDataOverflow
+            tick={{ fill: "#475569", fontSize: 11 }}
+            tickFormatter={(v) => v.toExponential(0)}
+            label={{ value: "µV²/Hz", angle: -90, position: "insideLeft", fill: "#475569", fontSize: 11 }}
+          />
+          <Tooltip
+            contentStyle={{ background: "#0f1623", border: "1px solid #1e2a3d", borderRadius: 8 }}
+            labelStyle={{ color: "#94a3b8", fontSize: 11 }}
+            labelFormatter={(f) => `${f} Hz`}
+            formatter={(val, name) => [val.toExponential(3), name]}
+            itemStyle={{ fontSize: 11 }}
+          />
+          {/* style: individual channels in muted gray, mean on top in purple */}
+          {channels.map((ch) => (
+            <Line
+              key={ch}
+              type="monotone"
+              dataKey={ch}
+              stroke="#475569"
+              strokeOpacity={0.5}
+              dot={false}
+              strokeWidth={1}
+              isAnimationActive={false}
+            />
+          ))}
+          <Line type="monotone" dataKey="mean" stroke="#a78bfa" dot={false} strokeWidth={2} isAnimationActive={false} />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
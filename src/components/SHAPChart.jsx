@@ -2,18 +2,32 @@
 // docs: visualizes which EEG features drove the risk score up or down
 // docs: red bars = increase risk, blue bars = decrease risk
 // docs: SHAP = SHapley Additive exPlanations (AI explainability method)
+// feat: additivity footer — baseline expectation + Σ contributions = risk score
+// feat: comparison mode — both results' contributions on one axis and a list of per-feature deltas
 // ─────────────────────────────────────────────────────────────
 import React from "react";
+import { SHAP_BACKGROUNDS, MAX_EXACT_FEATURES } from "../utils/shapley";
+// chore: per-feature Shapley deltas between two results
+import { shapDeltas } from "../utils/comparison";
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid,
-  Tooltip, Cell, ResponsiveContainer, ReferenceLine,
+  Tooltip, Cell, ResponsiveContainer, ReferenceLine, Legend,
 } from "recharts";
 
-export default function SHAPChart({ shapValues, isLoading }) {
+// feat: "+1.24" / "−0.30" / "—" for the delta list
+const formatSigned = (v) => (v === null ? "—" : `${v >= 0 ? "+" : "−"}${Math.abs(v).toFixed(2)}`);
+
+export default function SHAPChart({ shapValues, explanation, compareTo = null, labels = null, isLoading }) {
   if (isLoading) return <div className="chart-card skeleton" style={{ height: 380 }} />;
 
+  if (compareTo) {
+    return <SHAPComparison shapValues={shapValues} compareTo={compareTo} labels={labels} />;
+  }
+
   // feat: take top 12 features for readability
   const top12 = shapValues.slice(0, 12);
+  // style: chart height follows the number of bars
+  const height = Math.max(160, top12.length * 36 + 40);
 
   return (
     <div className="chart-card">
@@ -24,7 +38,7 @@ export default function SHAPChart({ shapValues, isLoading }) {
         &nbsp;&nbsp;
         <span style={{ color: "#2563eb" }}>■ Decreases risk</span>
       </div>
-      <ResponsiveContainer width="100%" height={340}>
+      <ResponsiveContainer width="100%" height={height}>
         <BarChart
           data={top12}
           layout="vertical"
@@ -64,6 +78,88 @@ export default function SHAPChart({ shapValues, isLoading }) {
           </Bar>
         </BarChart>
       </ResponsiveContainer>
+
+      {/* feat: efficiency check — contributions account for exactly the score above the background */}
+      {explanation && (
+        <div className="shap-additivity">
+          <span>E[score | background] {explanation.expected.toFixed(2)}</span>
+          <span>+ Σ contributions {explanation.sum >= 0 ? "+" : "−"}{Math.abs(explanation.sum).toFixed(2)}</span>
+          <span>= {(explanation.expected + explanation.sum).toFixed(2)}</span>
+          <span className={Math.abs(explanation.expected + explanation.sum - explanation.prediction) < 1e-6 ? "shap-ok" : "shap-bad"}>
+            risk score {explanation.prediction.toFixed(2)}
+          </span>
+          <div className="shap-background">
+            Shapley values ({explanation.method}) vs {SHAP_BACKGROUNDS[explanation.background] || explanation.background}
+            {explanation.backgroundSize > 1 ? `, n = ${explanation.backgroundSize}` : ""}
+          </div>
+          {/* fix: sampled values add up exactly but each one is an estimate */}
+          {explanation.approximate && (
+            <div className="shap-background shap-approximate">
+              ≈ Approximate — the model reads more than {MAX_EXACT_FEATURES} features, so each contribution is estimated from
+              sampled permutations (raise the count under EXPLAINABILITY for a closer estimate)
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: comparison view — grouped bars of the features that moved most, then every delta
+// docs: features missing from one result's model show "—" on that side
+// ─────────────────────────────────────────────────────────────
+function SHAPComparison({ shapValues, compareTo, labels }) {
+  const rows = shapDeltas(shapValues, compareTo.shapValues);
+  const top = rows.slice(0, 12).map((r) => ({ ...r, A: r.a ?? 0, B: r.b ?? 0 }));
+  const height = Math.max(160, top.length * 40 + 60);
+
+  return (
+    <div className="chart-card">
+      <div className="chart-title">AI EXPLAINABILITY — SHAP COMPARISON</div>
+      <div className="chart-subtitle">
+        Feature contributions of A and B on one axis, largest change first
+      </div>
+      <ResponsiveContainer width="100%" height={height}>
+        <BarChart data={top} layout="vertical" margin={{ top: 5, right: 40, left: 90, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#1e2a3d" horizontal={false} />
+          <XAxis type="number" tick={{ fill: "#475569", fontSize: 11 }} />
+          <YAxis
+            type="category"
+            dataKey="name"
+            tick={{ fill: "#94a3b8", fontSize: 11, fontFamily: "monospace" }}
+            width={85}
+          />
+          <Tooltip
+            contentStyle={{ background: "#0f1623", border: "1px solid #1e2a3d", borderRadius: 8 }}
+            formatter={(val) => val.toFixed(3)}
+            itemStyle={{ fontSize: 12 }}
+          />
+          <Legend wrapperStyle={{ fontSize: 12 }} />
+          <ReferenceLine x={0} stroke="#2a3550" strokeWidth={2} />
+          <Bar dataKey="A" name={`A · ${labels.a}`} fill="#a78bfa" radius={[0, 4, 4, 0]} />
+          <Bar dataKey="B" name={`B · ${labels.b}`} fill="#38bdf8" radius={[0, 4, 4, 0]} />
+        </BarChart>
+      </ResponsiveContainer>
+
+      {/* feat: every feature's contribution in A and B and the change */}
+      <table className="shap-delta-table">
+        <thead>
+          <tr><th>Feature</th><th>A</th><th>B</th><th>Δ (A − B)</th></tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.name}>
+              <td>{r.name}</td>
+              <td>{formatSigned(r.a)}</td>
+              <td>{formatSigned(r.b)}</td>
+              <td style={{ color: r.delta > 0 ? "#ef4444" : r.delta < 0 ? "#2563eb" : undefined }}>
+                {formatSigned(r.delta)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -1,42 +1,180 @@
 // feat: add sidebar with subject controls, CSV upload, and session history
-// docs: handles all user input — subject type, seed, CSV file, and analyze trigger
+// docs: handles all user input — subject type, seed, CSV/EDF file, and analyze trigger
 // ─────────────────────────────────────────────────────────────
 import React, { useState, useRef } from "react";
+// chore: EDF detection helper for choosing text vs binary file reading
+import { isEDFFileName, EDF_EXTENSIONS } from "../utils/edfParser";
+import ChannelMapper from "./ChannelMapper";
+import SubjectPanel from "./SubjectPanel";
+// chore: background distributions for the Shapley attributions
+import { SHAP_BACKGROUNDS, MAX_EXACT_FEATURES, MAX_PERMUTATIONS } from "../utils/shapley";
+// chore: pass-band / notch / order checks shared with the CLI and the server
+import { validatePreprocessing } from "../utils/filters";
+// chore: resampling methods for the score interval
+import { UNCERTAINTY_METHODS } from "../utils/uncertainty";
+// chore: analysis backend choices (browser worker or local server)
+import { BACKENDS } from "../utils/serverClient";
+// chore: manifest lines are matched to uploads by file name
+import { manifestFileName } from "../utils/validation";
+// chore: norm group the active subject's analyses are compared with
+import { selectNormGroup, subjectDemographics } from "../utils/norms";
+// chore: scoring profile labels and band edges
+import { DEFAULT_PROFILE, profileLabel, describeBands } from "../utils/profiles";
+
+// feat: "12 Mar, 14:05" for history entries
+const formatEntryTime = (ms) =>
+  new Date(ms).toLocaleString(undefined, { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" });
+
+// feat: "4.2 MB of 1.1 GB used" from navigator.storage.estimate()
+function formatStorage({ usage, quota }) {
+  const fmt = (bytes) => (bytes >= 1e9 ? `${(bytes / 1e9).toFixed(1)} GB` : `${(bytes / 1e6).toFixed(1)} MB`);
+  return quota ? `${fmt(usage)} of ${fmt(quota)} used` : `${fmt(usage)} used`;
+}
 
 // feat: sidebar component — receives all state and handlers from App
 export default function Sidebar({
   isSZ, setIsSZ, seed, setSeed,
-  onAnalyze, isLoading,
-  sessionHistory, onLoadHistory,
+  onAnalyze, onCancel, isLoading, progress,
+  history, historyStatus, activeHistoryId, onLoadHistory, onDeleteHistory, onClearHistory,
+  compareId, onCompareHistory,
+  subjects, activeSubjectId, onSelectSubject, onSaveSubject, onDeleteSubject, onAssignSubject,
   csvData, csvFileName, csvError, onCSVUpload, onCSVClear,
+  recordingInfo, onEDFUpload, onChannelMap,
+  analysisSettings, setAnalysisSettings,
+  model, modelError, onModelUpload, onModelReset,
+  norms, normsError, onNormsUpload, onNormsReset,
+  profile, profiles, profileError, onProfileUpload, onProfileSelect, onProfileRemove,
+  backend, onBackendChange, serverStatus, onCheckServer,
+  validationSetup, validationProgress, validation,
+  onValidationManifest, onValidationFiles, onRunValidation, onCancelValidation,
 }) {
   // feat: drag-and-drop visual feedback state
   const [isDragging, setIsDragging] = useState(false);
   // chore: ref for hidden file input element
   const fileInputRef = useRef(null);
+  // chore: ref for hidden model file input
+  const modelInputRef = useRef(null);
+  // chore: ref for hidden norm file input
+  const normsInputRef = useRef(null);
+  // chore: ref for hidden scoring profile input
+  const profileInputRef = useRef(null);
+  // chore: refs for the hidden validation manifest / recordings inputs
+  const manifestInputRef = useRef(null);
+  const recordingsInputRef = useRef(null);
+  // feat: history search text
+  const [historyQuery, setHistoryQuery] = useState("");
+  // feat: server address being edited — applied on blur / Enter, not on every keystroke
+  const [serverUrl, setServerUrl] = useState(backend.url);
+
+  const commitServerUrl = () => {
+    const url = serverUrl.trim();
+    if (!url) setServerUrl(backend.url);
+    else if (url !== backend.url) onBackendChange({ ...backend, url });
+  };
+
+  // feat: every word must appear in the entry's label, source, risk level, model, score or date
+  const words = historyQuery.toLowerCase().split(/\s+/).filter(Boolean);
+  const filteredHistory = history.filter((entry) => {
+    const text = [
+      entry.label, entry.source, entry.level, entry.modelName, entry.profileName, entry.score, entry.subjectId,
+      formatEntryTime(entry.createdAt),
+    ].join(" ").toLowerCase();
+    return words.every((w) => text.includes(w));
+  });
+
+  // feat: read an uploaded file — EDF as binary, CSV as text — and pass it to the parent
+  const readFile = (file) => {
+    const reader = new FileReader();
+    if (isEDFFileName(file.name)) {
+      reader.onload = (evt) => onEDFUpload(evt.target.result, file.name);
+      reader.readAsArrayBuffer(file);
+    } else {
+      reader.onload = (evt) => onCSVUpload(evt.target.result, file.name);
+      reader.readAsText(file);
+    }
+  };
 
   // feat: handle file selection from native file picker
   const handleFileChange = (e) => {
     const file = e.target.files[0];
-    // fix: read file as text before passing to parent handler
-    const reader = new FileReader();
-    reader.onload = (evt) => onCSVUpload(evt.target.result, file.name);
-    reader.readAsText(file);
+    if (!file) return;
+    readFile(file);
     // chore: reset input so the same file can be re-uploaded
     e.target.value = "";
   };
 
-  // feat: handle CSV file dropped into the drop zone
+  // feat: handle CSV/EDF file dropped into the drop zone
   const handleDrop = (e) => {
     e.preventDefault();
     // style: remove drag-over visual highlight
     e.currentTarget.classList.remove("drag-over");
     const file = e.dataTransfer.files[0];
     if (!file) return;
-    // fix: read dropped file as text before passing to parent
+    readFile(file);
+  };
+
+  // feat: read a model JSON file and pass it to the parent
+  const handleModelChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
     const reader = new FileReader();
-    reader.onload = (evt) => onCSVUpload(evt.target.result, file.name);
+    reader.onload = (evt) => onModelUpload(evt.target.result, file.name);
     reader.readAsText(file);
+    // chore: reset input so the same file can be re-loaded
+    e.target.value = "";
+  };
+
+  // feat: read a norm set JSON file and pass it to the parent
+  const handleNormsChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (evt) => onNormsUpload(evt.target.result, file.name);
+    reader.readAsText(file);
+    e.target.value = "";
+  };
+
+  // feat: read a scoring profile JSON file and pass it to the parent
+  const handleProfileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (evt) => onProfileUpload(evt.target.result, file.name);
+    reader.readAsText(file);
+    e.target.value = "";
+  };
+
+  // docs: the group new analyses of the active subject will be z-scored against
+  const activeSubject = subjects.find((s) => s.id === activeSubjectId) || null;
+  const normGroup = selectNormGroup(norms, subjectDemographics(activeSubject));
+
+  // feat: read a validation manifest (text) and pass it to the parent
+  const handleManifestChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (evt) => onValidationManifest(evt.target.result, file.name);
+    reader.readAsText(file);
+    e.target.value = "";
+  };
+
+  // feat: recordings for the manifest — handed over unread, the run reads them one at a time
+  const handleRecordingsChange = (e) => {
+    onValidationFiles(Array.from(e.target.files));
+    e.target.value = "";
+  };
+
+  // feat: how many manifest lines have an uploaded recording (same matching as the run)
+  const uploadedNames = new Set(Object.keys(validationSetup.files).map((name) => name.toLowerCase()));
+  const matchedCount = validationSetup.entries
+    .filter((entry) => uploadedNames.has(manifestFileName(entry.file).toLowerCase())).length;
+  const isValidating = validationProgress !== null;
+  // fix: invalid filter settings block the analysis — the uploaded EDF's sample rate bounds the high cut-off
+  const preprocessingError = validatePreprocessing(analysisSettings.preprocessing, recordingInfo?.header?.sampleRate);
+
+  // feat: update one field of a settings group (e.g. spectral.window)
+  const updateSetting = (group, key, value) => {
+    setAnalysisSettings((prev) => ({ ...prev, [group]: { ...prev[group], [key]: value } }));
   };
 
   // style: add visual highlight when dragging over the drop zone
@@ -52,6 +190,18 @@ export default function Sidebar({
 
   return (
     <aside className="sidebar">
+      {/* feat: subject registry — who the next analyses belong to */}
+      <SubjectPanel
+        subjects={subjects}
+        activeSubjectId={activeSubjectId}
+        onSelect={onSelectSubject}
+        onSave={onSaveSubject}
+        onDelete={onDeleteSubject}
+        openEntry={history.find((e) => e.id === activeHistoryId) || null}
+        onAssign={onAssignSubject}
+        disabled={isLoading}
+      />
+
       {/* feat: subject type selector — healthy vs schizophrenia patient */}
       <div className="sidebar-section">
         <div className="sidebar-label">SUBJECT TYPE</div>
@@ -100,18 +250,19 @@ export default function Sidebar({
             <input
               ref={fileInputRef}
               type="file"
-              accept=".csv"
+              accept={[".csv", ...EDF_EXTENSIONS].join(",")}
               style={{ display: "none" }}
               onChange={handleFileChange}
             />
             <div className="csv-dropzone-icon">📂</div>
             <div className="csv-dropzone-text">
-              Drop CSV here or <span className="csv-browse">browse</span>
+              Drop CSV or EDF here or <span className="csv-browse">browse</span>
             </div>
             {/* docs: hint showing required CSV column format */}
             <div className="csv-dropzone-hint">
-              Columns: time, Fp1, F3, C3, P3, O1
+              Columns: time + 10-20 channels (Fp1, F3, C3, …)
             </div>
+            <div className="csv-dropzone-hint">EDF/EDF+ from clinical amplifiers</div>
           </div>
         ) : (
           // feat: loaded state — show filename, row count, and clear button
@@ -121,67 +272,583 @@ export default function Sidebar({
               <div className="csv-file-details">
                 <div className="csv-file-name">{csvFileName}</div>
                 <div className="csv-file-rows">{csvData.length} data points</div>
+                {/* feat: EDF header summary — sample rate, start time, duration */}
+                {recordingInfo?.format === "EDF" && (
+                  <div className="csv-file-rows">
+                    {recordingInfo.header.isEDFPlus ? "EDF+" : "EDF"} · {recordingInfo.header.sampleRate} Hz · {Math.round(recordingInfo.header.duration)} s
+                    {recordingInfo.header.startTime && ` · ${recordingInfo.header.startTime.toLocaleString()}`}
+                  </div>
+                )}
               </div>
               {/* feat: clear button — removes uploaded file and reverts to simulation mode */}
               <button className="csv-clear-btn" onClick={onCSVClear} title="Remove file">
                 ✕
               </button>
             </div>
+            {/* feat: EDF+ annotations (events marked by the recording technician) */}
+            {recordingInfo?.annotations?.length > 0 && (
+              <div className="edf-annotations">
+                <div className="csv-file-rows">{recordingInfo.annotations.length} annotations</div>
+                {recordingInfo.annotations.slice(0, 5).map((a, i) => (
+                  <div key={i} className="edf-annotation-row">
+                    <span>{a.onset.toFixed(1)}s</span>
+                    <span>{a.text}</span>
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
         )}
 
+        {/* feat: channel mapping — shown even when no channel was recognized so the user can fix it */}
+        <ChannelMapper mapping={recordingInfo?.mapping} onChannelMap={onChannelMap} />
+
         {/* fix: display parsing error message if CSV validation fails */}
         {csvError && (
           <div className="csv-error">⚠️ {csvError}</div>
         )}
       </div>
 
+      {/* feat: Welch PSD estimator settings — recorded with each result */}
+      <div className="sidebar-section">
+        <div className="sidebar-label">SPECTRAL SETTINGS</div>
+        <label className="settings-row">
+          <span>Segment</span>
+          <select
+            className="settings-select"
+            value={analysisSettings.spectral.segmentSeconds}
+            onChange={(e) => updateSetting("spectral", "segmentSeconds", Number(e.target.value))}
+          >
+            {[1, 2, 4, 8].map((sec) => <option key={sec} value={sec}>{sec} s</option>)}
+          </select>
+        </label>
+        <label className="settings-row">
+          <span>Overlap</span>
+          <select
+            className="settings-select"
+            value={analysisSettings.spectral.overlap}
+            onChange={(e) => updateSetting("spectral", "overlap", Number(e.target.value))}
+          >
+            {[0, 0.25, 0.5, 0.75].map((o) => <option key={o} value={o}>{o * 100}%</option>)}
+          </select>
+        </label>
+        <label className="settings-row">
+          <span>Window</span>
+          <select
+            className="settings-select"
+            value={analysisSettings.spectral.window}
+            onChange={(e) => updateSetting("spectral", "window", e.target.value)}
+          >
+            <option value="hann">Hann</option>
+            <option value="hamming">Hamming</option>
+          </select>
+        </label>
+      </div>
+
+      {/* feat: preprocessing filters applied before spectral analysis — recorded with each result */}
+      <div className="sidebar-section">
+        <div className="sidebar-label">PREPROCESSING</div>
+        <label className="settings-row">
+          <span>Linear detrend</span>
+          <input
+            type="checkbox"
+            checked={analysisSettings.preprocessing.detrend}
+            onChange={(e) => updateSetting("preprocessing", "detrend", e.target.checked)}
+          />
+        </label>
+        <label className="settings-row">
+          <span>Mains notch</span>
+          <select
+            className="settings-select"
+            value={analysisSettings.preprocessing.notch}
+            onChange={(e) => updateSetting("preprocessing", "notch", Number(e.target.value))}
+          >
+            <option value={0}>Off</option>
+            <option value={50}>50 Hz</option>
+            <option value={60}>60 Hz</option>
+          </select>
+        </label>
+        <label className="settings-row">
+          <span>Notch harmonics</span>
+          <input
+            type="checkbox"
+            checked={analysisSettings.preprocessing.notchHarmonics}
+            disabled={!analysisSettings.preprocessing.notch}
+            onChange={(e) => updateSetting("preprocessing", "notchHarmonics", e.target.checked)}
+          />
+        </label>
+        <label className="settings-row">
+          <span>Band-pass</span>
+          <input
+            type="checkbox"
+            checked={analysisSettings.preprocessing.bandpass}
+            onChange={(e) => updateSetting("preprocessing", "bandpass", e.target.checked)}
+          />
+        </label>
+        <label className="settings-row">
+          <span>Pass band (Hz)</span>
+          <span className="settings-pair">
+            <input
+              className="settings-select settings-number"
+              type="number"
+              min={0}
+              step={0.1}
+              value={analysisSettings.preprocessing.lowCut}
+              disabled={!analysisSettings.preprocessing.bandpass}
+              onChange={(e) => updateSetting("preprocessing", "lowCut", Number(e.target.value))}
+            />
+            <input
+              className="settings-select settings-number"
+              type="number"
+              min={1}
+              step={1}
+              value={analysisSettings.preprocessing.highCut}
+              disabled={!analysisSettings.preprocessing.bandpass}
+              onChange={(e) => updateSetting("preprocessing", "highCut", Number(e.target.value))}
+            />
+          </span>
+        </label>
+        <label className="settings-row">
+          <span>Filter</span>
+          <select
+            className="settings-select"
+            value={analysisSettings.preprocessing.filterType}
+            disabled={!analysisSettings.preprocessing.bandpass}
+            onChange={(e) => updateSetting("preprocessing", "filterType", e.target.value)}
+          >
+            <option value="iir">IIR Butterworth</option>
+            <option value="fir">FIR windowed sinc</option>
+          </select>
+        </label>
+        {preprocessingError && <div className="csv-error">⚠️ {preprocessingError}</div>}
+      </div>
+
+      {/* feat: artifact rejection — bad epochs are excluded from the spectrum */}
+      <div className="sidebar-section">
+        <div className="sidebar-label">ARTIFACT REJECTION</div>
+        <label className="settings-row">
+          <span>Reject bad epochs</span>
+          <input
+            type="checkbox"
+            checked={analysisSettings.artifacts.enabled}
+            onChange={(e) => updateSetting("artifacts", "enabled", e.target.checked)}
+          />
+        </label>
+        <label className="settings-row">
+          <span>Epoch length</span>
+          <select
+            className="settings-select"
+            value={analysisSettings.artifacts.epochSeconds}
+            disabled={!analysisSettings.artifacts.enabled}
+            onChange={(e) => updateSetting("artifacts", "epochSeconds", Number(e.target.value))}
+          >
+            <option value={1}>1 s</option>
+            <option value={2}>2 s</option>
+            <option value={4}>4 s</option>
+          </select>
+        </label>
+        <label className="settings-row">
+          <span>Max amplitude (µV p-p)</span>
+          <input
+            className="settings-select settings-number"
+            type="number"
+            min={10}
+            step={10}
+            value={analysisSettings.artifacts.maxAmplitude}
+            disabled={!analysisSettings.artifacts.enabled}
+            onChange={(e) => updateSetting("artifacts", "maxAmplitude", Number(e.target.value))}
+          />
+        </label>
+      </div>
+
+      {/* feat: nonlinear complexity — entropy parameters */}
+      <div className="sidebar-section">
+        <div className="sidebar-label">COMPLEXITY</div>
+        <label className="settings-row">
+          <span>Sample entropy r (× SD)</span>
+          <input
+            className="settings-select settings-number"
+            type="number"
+            min={0.05}
+            max={0.5}
+            step={0.05}
+            value={analysisSettings.complexity.r}
+            onChange={(e) => updateSetting("complexity", "r", Number(e.target.value))}
+          />
+        </label>
+        <label className="settings-row">
+          <span>Permutation order</span>
+          <select
+            className="settings-select"
+            value={analysisSettings.complexity.order}
+            onChange={(e) => updateSetting("complexity", "order", Number(e.target.value))}
+          >
+            {[3, 4, 5, 6, 7].map((order) => (
+              <option key={order} value={order}>{order}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {/* feat: reference distribution the SHAP contributions are measured against */}
+      <div className="sidebar-section">
+        <div className="sidebar-label">EXPLAINABILITY</div>
+        <label className="settings-row">
+          <span>SHAP background</span>
+          <select
+            className="settings-select"
+            value={analysisSettings.explain.background}
+            onChange={(e) => updateSetting("explain", "background", e.target.value)}
+          >
+            {Object.entries(SHAP_BACKGROUNDS)
+              .filter(([key]) => key !== "model" || model.background)
+              .map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+          </select>
+        </label>
+        <label className="settings-row" title={`Used when the model reads more than ${MAX_EXACT_FEATURES} features — fewer are attributed exactly`}>
+          <span>SHAP permutations</span>
+          <input
+            className="settings-select settings-number"
+            type="number"
+            min={50}
+            max={MAX_PERMUTATIONS}
+            step={50}
+            value={analysisSettings.explain.permutations}
+            onChange={(e) => updateSetting("explain", "permutations", Number(e.target.value))}
+          />
+        </label>
+      </div>
+
+      {/* feat: how the risk score's 95% interval is resampled from the clean epochs */}
+      <div className="sidebar-section">
+        <div className="sidebar-label">SCORE UNCERTAINTY</div>
+        <label className="settings-row">
+          <span>Resampling</span>
+          <select
+            className="settings-select"
+            value={analysisSettings.uncertainty.method}
+            onChange={(e) => updateSetting("uncertainty", "method", e.target.value)}
+          >
+            {Object.entries(UNCERTAINTY_METHODS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="settings-row">
+          <span>Bootstrap resamples</span>
+          <input
+            className="settings-select settings-number"
+            type="number"
+            min={50}
+            max={2000}
+            step={50}
+            value={analysisSettings.uncertainty.resamples}
+            disabled={analysisSettings.uncertainty.method !== "bootstrap"}
+            onChange={(e) => updateSetting("uncertainty", "resamples", Number(e.target.value))}
+          />
+        </label>
+      </div>
+
+      {/* feat: where analyses run — the browser's worker or the local analysis server */}
+      <div className="sidebar-section">
+        <div className="sidebar-label">ANALYSIS BACKEND</div>
+        <label className="settings-row">
+          <span>Run analyses in</span>
+          <select
+            className="settings-select"
+            value={backend.mode}
+            disabled={isLoading}
+            onChange={(e) => onBackendChange({ ...backend, mode: e.target.value })}
+          >
+            {Object.entries(BACKENDS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {backend.mode === "server" && (
+          <>
+            <input
+              className="seed-input backend-url"
+              type="url"
+              value={serverUrl}
+              disabled={isLoading}
+              onChange={(e) => setServerUrl(e.target.value)}
+              onBlur={commitServerUrl}
+              onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+              aria-label="Analysis server address"
+            />
+            <div className={`backend-status ${serverStatus ? serverStatus.state : ""}`}>
+              <span>
+                {!serverStatus || serverStatus.state === "checking"
+                  ? "Checking server…"
+                  : serverStatus.state === "ok"
+                    ? `● ${serverStatus.software.name} ${serverStatus.software.version}`
+                    : `⚠️ ${serverStatus.error}`}
+              </span>
+              <button className="model-btn" onClick={onCheckServer} disabled={serverStatus && serverStatus.state === "checking"}>
+                Check
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+
       {/* feat: analyze button — triggers full EEG analysis pipeline */}
       <button
         className="analyze-btn"
         onClick={onAnalyze}
-        disabled={isLoading}
+        disabled={isLoading || isValidating || !!preprocessingError}
       >
         {isLoading ? (
-          // style: show spinner animation during processing
-          <><span className="spinner" /> Processing EEG...</>
+          // style: spinner + the stage the worker is running, with a fill behind the label
+          <>
+            {progress && (
+              <span className="analyze-fill" style={{ width: `${((progress.index + 0.5) / progress.total) * 100}%` }} />
+            )}
+            <span className="spinner" /> {progress ? `${progress.label}… ${progress.index + 1}/${progress.total}` : "Processing EEG..."}
+          </>
         ) : (
           // feat: button label changes based on data source (CSV vs simulated)
           <>🧠 {csvData ? "Analyze Uploaded EEG" : "Analyze EEG"}</>
         )}
       </button>
+      {/* feat: stop a running analysis */}
+      {isLoading && (
+        <button className="cancel-btn" onClick={onCancel}>Cancel analysis</button>
+      )}
 
-      {/* docs: model metadata display — shows ML model specifications */}
+      {/* docs: model metadata display — read from the loaded model file */}
       <div className="sidebar-section model-info">
         <div className="sidebar-label">MODEL INFO</div>
-        <div className="model-row"><span>Model:</span><span>XGBoost</span></div>
-        <div className="model-row"><span>CV AUC:</span><strong>0.938</strong></div>
-        <div className="model-row"><span>Dataset:</span><span>100 subjects</span></div>
-        <div className="model-row"><span>Features:</span><span>98 EEG</span></div>
+        <div className="model-row"><span>Name:</span><strong>{model.name}</strong></div>
+        <div className="model-row"><span>Version:</span><span>{model.version}</span></div>
+        {model.info.map((row) => (
+          <div key={row.label} className="model-row"><span>{row.label}:</span><span>{row.value}</span></div>
+        ))}
+        {/* feat: AUC measured in this session's validation run of this model */}
+        {validation && validation.metrics.auc && validation.model.name === model.name && (
+          <div className="model-row">
+            <span>Measured AUC:</span>
+            <span>{validation.metrics.auc.value.toFixed(3)} (n = {validation.metrics.n})</span>
+          </div>
+        )}
         {/* feat: show data source indicator when CSV is uploaded */}
         {csvData && (
-          <div className="model-row"><span>Source:</span><strong style={{ color: "#10b981" }}>CSV Upload</strong></div>
+          <div className="model-row"><span>Source:</span><strong style={{ color: "#10b981" }}>{recordingInfo?.format || "CSV"} Upload</strong></div>
         )}
+
+        {/* feat: load a trained model (XGBoost JSON / dump, logistic JSON) or go back to the formula */}
+        <input
+          ref={modelInputRef}
+          type="file"
+          accept=".json"
+          style={{ display: "none" }}
+          onChange={handleModelChange}
+        />
+        <div className="model-actions">
+          <button className="model-btn" onClick={() => modelInputRef.current?.click()}>Load model…</button>
+          {model.type !== "formula" && (
+            <button className="model-btn" onClick={onModelReset}>Use built-in</button>
+          )}
+        </div>
+        {modelError && <div className="csv-error">⚠️ {modelError}</div>}
       </div>
 
-      {/* feat: session history — shows last 5 analyses for quick access */}
-      {sessionHistory.length > 0 && (
+      {/* feat: normative database — the reference band powers deviations are z-scored against */}
+      <div className="sidebar-section model-info">
+        <div className="sidebar-label">NORMATIVE DATABASE</div>
+        <div className="model-row"><span>Name:</span><strong>{norms.name}</strong></div>
+        <div className="model-row"><span>Version:</span><span>{norms.version}</span></div>
+        <div className="model-row"><span>Groups:</span><span>{norms.groups.length}</span></div>
+        <div className="model-row">
+          <span>{activeSubject ? `${activeSubject.id}:` : "No subject:"}</span>
+          <span>{normGroup.group.label}{normGroup.fallback && ` (${normGroup.fallback})`}</span>
+        </div>
+        <input
+          ref={normsInputRef}
+          type="file"
+          accept=".json"
+          style={{ display: "none" }}
+          onChange={handleNormsChange}
+        />
+        <div className="model-actions">
+          <button className="model-btn" onClick={() => normsInputRef.current?.click()}>Load norms…</button>
+          {norms.source && (
+            <button className="model-btn" onClick={onNormsReset}>Use built-in</button>
+          )}
+        </div>
+        {normsError && <div className="csv-error">⚠️ {normsError}</div>}
+      </div>
+
+      {/* feat: scoring profile — band edges, weights, risk cut-offs and texts new analyses are scored with */}
+      <div className="sidebar-section model-info">
+        <div className="sidebar-label">SCORING PROFILE</div>
+        <label className="settings-row">
+          <span>Profile</span>
+          <select
+            className="settings-select"
+            value={profile.source ? profileLabel(profile) : ""}
+            disabled={isLoading}
+            onChange={(e) => onProfileSelect(e.target.value || null)}
+          >
+            <option value="">{profileLabel(DEFAULT_PROFILE)} (built-in)</option>
+            {profiles.map((p) => (
+              <option key={profileLabel(p)} value={profileLabel(p)}>{profileLabel(p)}</option>
+            ))}
+          </select>
+        </label>
+        {profile.description && <div className="model-row"><span>{profile.description}</span></div>}
+        <div className="model-row">
+          <span>Levels:</span>
+          <span>{profile.levels.map((l) => `${l.name} ≥ ${l.min}`).join(" · ")}</span>
+        </div>
+        <div className="model-row"><span>Bands:</span><span>{describeBands(profile.bands)}</span></div>
+        <input
+          ref={profileInputRef}
+          type="file"
+          accept=".json"
+          style={{ display: "none" }}
+          onChange={handleProfileChange}
+        />
+        <div className="model-actions">
+          <button className="model-btn" onClick={() => profileInputRef.current?.click()}>Load profile…</button>
+          {profile.source && (
+            <button className="model-btn" onClick={() => onProfileRemove(profileLabel(profile))}>Remove</button>
+          )}
+        </div>
+        {profileError && <div className="csv-error">⚠️ {profileError}</div>}
+      </div>
+
+      {/* feat: model validation — a labeled manifest plus its recordings, run through the active model */}
+      <div className="sidebar-section">
+        <div className="sidebar-label">VALIDATION</div>
+        <input
+          ref={manifestInputRef}
+          type="file"
+          accept=".csv,.tsv,.txt"
+          style={{ display: "none" }}
+          onChange={handleManifestChange}
+        />
+        <input
+          ref={recordingsInputRef}
+          type="file"
+          accept={[".csv", ".txt", ...EDF_EXTENSIONS].join(",")}
+          multiple
+          style={{ display: "none" }}
+          onChange={handleRecordingsChange}
+        />
+        <div className="model-actions">
+          <button className="model-btn" onClick={() => manifestInputRef.current?.click()} disabled={isValidating}>
+            Manifest…
+          </button>
+          <button className="model-btn" onClick={() => recordingsInputRef.current?.click()} disabled={isValidating}>
+            Recordings…
+          </button>
+        </div>
+        {validationSetup.manifestName && !validationSetup.error && (
+          <div className="validation-setup">
+            {validationSetup.manifestName}: {validationSetup.entries.length} recordings
+            ({validationSetup.entries.filter((e) => e.label === 1).length} SZ) · {matchedCount} uploaded
+          </div>
+        )}
+        {validationSetup.error && <div className="csv-error">⚠️ {validationSetup.error}</div>}
+        {isValidating ? (
+          <>
+            <div className="validation-setup">
+              Analysing {validationProgress.index + 1}/{validationProgress.total}: {validationProgress.file}
+            </div>
+            <button className="cancel-btn" onClick={onCancelValidation}>Cancel validation</button>
+          </>
+        ) : (
+          <button
+            className="model-btn validation-run"
+            onClick={onRunValidation}
+            disabled={isLoading || !!preprocessingError || validationSetup.entries.length === 0 || matchedCount === 0}
+            title="Runs every manifest recording with the current settings and model"
+          >
+            Run validation ({matchedCount}/{validationSetup.entries.length})
+          </button>
+        )}
+      </div>
+
+      {/* feat: analysis history — persisted in the browser, searchable, reopens full results */}
+      {(history.length > 0 || historyStatus.error) && (
         <div className="sidebar-section">
-          <div className="sidebar-label">RECENT ANALYSES</div>
-          {sessionHistory.map((entry, i) => (
-            // feat: clickable history item — loads previous session's seed & subject type
-            <button
-              key={i}
-              className="history-item"
-              onClick={() => onLoadHistory(entry)}
-            >
-              <span>{entry.isCSV ? "📄" : entry.isSZ ? "⚠️" : "🧠"} {entry.isCSV ? "CSV" : `Seed ${entry.seed}`}</span>
-              {/* style: color-coded score based on risk level */}
-              <span className="history-score" style={{ color: entry.color }}>
-                {entry.score}
-              </span>
-            </button>
-          ))}
+          <div className="sidebar-label">HISTORY ({history.length})</div>
+          {history.length > 3 && (
+            <input
+              className="history-search"
+              type="search"
+              placeholder="Search file, seed, subject, risk level, model, date…"
+              value={historyQuery}
+              onChange={(e) => setHistoryQuery(e.target.value)}
+            />
+          )}
+          <div className="history-list">
+            {filteredHistory.map((entry) => (
+              <div
+                key={entry.id}
+                className={`history-item ${entry.id === activeHistoryId ? "active" : ""}`}
+              >
+                {/* feat: reopen the stored result with its settings, model and input */}
+                <button
+                  className="history-open"
+                  onClick={() => onLoadHistory(entry)}
+                  disabled={isLoading}
+                  title={`${entry.level} · ${entry.modelName}${entry.profileName ? ` · ${entry.profileName}` : ""}`}
+                >
+                  <span className="history-label">
+                    {entry.source !== "simulated" ? "📄" : entry.isSZ ? "⚠️" : "🧠"} {entry.label}
+                  </span>
+                  <span className="history-time">
+                    {formatEntryTime(entry.createdAt)}{entry.subjectId ? ` · ${entry.subjectId}` : ""}
+                  </span>
+                </button>
+                {/* style: color-coded score based on risk level */}
+                <span className="history-score" style={{ color: entry.color }}>
+                  {entry.score}
+                </span>
+                {/* feat: compare with the result on screen (B side of comparison mode) */}
+                {onCompareHistory && entry.id !== activeHistoryId && (
+                  <button
+                    className={`history-compare ${entry.id === compareId ? "active" : ""}`}
+                    onClick={() => onCompareHistory(entry)}
+                    disabled={isLoading}
+                    title={entry.id === compareId ? "Stop comparing" : "Compare with the analysis on screen"}
+                  >
+                    ⇄
+                  </button>
+                )}
+                <button
+                  className="history-delete"
+                  onClick={() => onDeleteHistory(entry.id)}
+                  disabled={isLoading}
+                  title="Delete from history"
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+            {history.length > 0 && filteredHistory.length === 0 && (
+              <div className="history-empty">No analyses match “{historyQuery}”.</div>
+            )}
+          </div>
+          {historyStatus.notice && <div className="history-notice">{historyStatus.notice}</div>}
+          {historyStatus.error && <div className="csv-error">⚠️ {historyStatus.error}</div>}
+          {history.length > 0 && (
+            <div className="history-footer">
+              <span>{historyStatus.estimate ? formatStorage(historyStatus.estimate) : ""}</span>
+              <button
+                className="history-clear"
+                onClick={() => window.confirm("Delete all saved analyses and files?") && onClearHistory()}
+                disabled={isLoading}
+              >
+                Clear all
+              </button>
+            </div>
+          )}
         </div>
       )}
     </aside>
@@ -0,0 +1,94 @@
+// feat: extended spectral features table — θ/β, relative band power, alpha peak, spectral edge, 1/f slope
+// docs: the whole head first, then one row per scalp region or per electrode (toggle);
+// docs: hovering a cell shows the feature name a model file uses for it ("iaf_O1", "rel_alpha_frontal")
+// ─────────────────────────────────────────────────────────────
+import React, { useState } from "react";
+import { SPECTRAL_MEASURES } from "../utils/spectralFeatures";
+import { BAND_SYMBOLS } from "../utils/profiles";
+
+const BANDS = ["delta", "theta", "alpha", "beta", "gamma"];
+const MEASURES = Object.keys(SPECTRAL_MEASURES);
+
+// feat: "Frontal" from "frontal"
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+// feat: model feature name of a cell — no suffix for the whole head
+const featureName = (base, location) => (location ? `${base}_${location}` : base);
+
+// feat: "10.25" / "−1.44" / "—"
+const formatNumber = (value, digits) => (value === null || value === undefined ? "—" : value.toFixed(digits).replace("-", "−"));
+
+export default function SpectralFeaturesTable({ features, isLoading }) {
+  // feat: rows per scalp region or per electrode
+  const [view, setView] = useState("regions");
+
+  if (isLoading) return <div className="chart-card skeleton" style={{ height: 260 }} />;
+  if (!features) return null;
+
+  const { settings } = features;
+  const rows = [
+    { key: "head", label: "Whole head", location: null, values: features.global },
+    ...Object.entries(view === "regions" ? features.regions : features.channels).map(([location, values]) => ({
+      key: location,
+      label: view === "regions" ? capitalize(location) : location,
+      title: values.electrodes ? values.electrodes.join(", ") : undefined,
+      location,
+      values,
+    })),
+  ];
+
+  return (
+    <div className="chart-card">
+      <div className="report-header">
+        <div className="chart-title">SPECTRAL FEATURES</div>
+        <div className="report-actions">
+          <button className={`band-btn band-btn-wide ${view === "regions" ? "active" : ""}`} onClick={() => setView("regions")}>
+            Regions
+          </button>
+          <button className={`band-btn band-btn-wide ${view === "channels" ? "active" : ""}`} onClick={() => setView("channels")}>
+            Electrodes
+          </button>
+        </div>
+      </div>
+      <div className="chart-subtitle">
+        IAF = largest alpha peak in {settings.alphaSearch[0]}–{settings.alphaSearch[1]} Hz · SEF{Math.round(settings.sefEdge * 100)} over{" "}
+        {settings.sefRange[0]}–{settings.sefRange[1]} Hz · 1/f slope = log–log fit over {settings.aperiodicFit[0]}–{settings.aperiodicFit[1]} Hz
+        without the alpha range · hover a value for its model feature name
+      </div>
+
+      <div className="features-scroll">
+        <table className="features-table">
+          <thead>
+            <tr>
+              <th />
+              <th>θ/β</th>
+              {BANDS.map((band) => <th key={band}>rel {BAND_SYMBOLS[band]}</th>)}
+              {MEASURES.map((m) => (
+                <th key={m}>
+                  {SPECTRAL_MEASURES[m].label}
+                  {SPECTRAL_MEASURES[m].unit && <span className="features-unit"> {SPECTRAL_MEASURES[m].unit}</span>}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.key} className={row.location ? "" : "features-head"}>
+                <td className="features-location" title={row.title}>{row.label}</td>
+                <td title={featureName("ratio_theta_beta", row.location)}>{formatNumber(row.values.tbr, 2)}</td>
+                {BANDS.map((band) => (
+                  <td key={band} title={featureName(`rel_${band}`, row.location)}>
+                    {row.values.rel[band] === null ? "—" : `${(row.values.rel[band] * 100).toFixed(1)}%`}
+                  </td>
+                ))}
+                {MEASURES.map((m) => (
+                  <td key={m} title={featureName(m, row.location)}>{formatNumber(row.values[m], SPECTRAL_MEASURES[m].digits)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+// feat: subject registry panel — pick, create, edit or delete the subject analyses are filed under
+// docs: new analyses are attached to the active subject; the analysis on screen can be (re)attached
+// docs: subject IDs are pseudonymous codes — the form rejects names (see utils/subjects.js)
+// ─────────────────────────────────────────────────────────────
+import React, { useState } from "react";
+// chore: registry field options, validation and summary line
+import { SEX_OPTIONS, HANDEDNESS_OPTIONS, validateSubject, describeSubject } from "../utils/subjects";
+
+const EMPTY_FORM = { id: "", age: "", sex: "", handedness: "", medication: "" };
+
+export default function SubjectPanel({
+  subjects, activeSubjectId, onSelect, onSave, onDelete,
+  openEntry, onAssign, disabled,
+}) {
+  // feat: form state — null when closed, { mode: "new" | "edit", values } when open
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState(null);
+
+  const active = subjects.find((s) => s.id === activeSubjectId) || null;
+
+  const openForm = (mode) => {
+    setError(null);
+    setForm({
+      mode,
+      values: mode === "edit" && active
+        ? { ...EMPTY_FORM, ...active, age: active.age ?? "" }
+        : EMPTY_FORM,
+    });
+  };
+
+  const setField = (key, value) => setForm((prev) => ({ ...prev, values: { ...prev.values, [key]: value } }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const values = {
+      ...form.values,
+      id: form.values.id.trim(),
+      age: form.values.age === "" ? null : Number(form.values.age),
+      medication: form.values.medication.trim(),
+    };
+    const invalid = validateSubject(values);
+    if (invalid) {
+      setError(invalid);
+      return;
+    }
+    const failed = await onSave(values, form.mode === "new");
+    if (failed) setError(failed);
+    else setForm(null);
+  };
+
+  return (
+    <div className="sidebar-section">
+      <div className="sidebar-label">SUBJECT RECORD</div>
+
+      {/* feat: active subject — analyses run now are filed under it */}
+      <select
+        className="subject-select"
+        value={activeSubjectId || ""}
+        onChange={(e) => onSelect(e.target.value || null)}
+        disabled={disabled}
+      >
+        <option value="">No subject (unassigned)</option>
+        {subjects.map((s) => <option key={s.id} value={s.id}>{s.id}</option>)}
+      </select>
+
+      {active && !form && (
+        <div className="subject-summary">
+          {describeSubject(active) && <div>{describeSubject(active)}</div>}
+          {active.medication && <div className="subject-medication">💊 {active.medication}</div>}
+        </div>
+      )}
+
+      {/* feat: file the analysis on screen under the active subject */}
+      {openEntry && (openEntry.subjectId || null) !== activeSubjectId && (
+        <button className="model-btn subject-attach" onClick={() => onAssign(openEntry.id, activeSubjectId)} disabled={disabled}>
+          {activeSubjectId ? `Attach open analysis to ${activeSubjectId}` : `Detach open analysis from ${openEntry.subjectId}`}
+        </button>
+      )}
+
+      {!form && (
+        <div className="model-actions">
+          <button className="model-btn" onClick={() => openForm("new")} disabled={disabled}>New subject</button>
+          {active && <button className="model-btn" onClick={() => openForm("edit")} disabled={disabled}>Edit</button>}
+          {active && (
+            <button
+              className="model-btn"
+              onClick={() => window.confirm(`Delete subject ${active.id}? Its analyses stay in the history, unassigned.`) && onDelete(active.id)}
+              disabled={disabled}
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* feat: registry form */}
+      {form && (
+        <form className="subject-form" onSubmit={handleSubmit}>
+          <label className="settings-row">
+            <span>ID</span>
+            <input
+              className="settings-select"
+              value={form.values.id}
+              onChange={(e) => setField("id", e.target.value)}
+              placeholder="e.g. SZ-014"
+              disabled={form.mode === "edit"}
+            />
+          </label>
+          <label className="settings-row">
+            <span>Age</span>
+            <input
+              className="settings-select"
+              type="number"
+              min={0}
+              max={120}
+              value={form.values.age}
+              onChange={(e) => setField("age", e.target.value)}
+            />
+          </label>
+          <label className="settings-row">
+            <span>Sex</span>
+            <select className="settings-select" value={form.values.sex} onChange={(e) => setField("sex", e.target.value)}>
+              {Object.entries(SEX_OPTIONS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </label>
+          <label className="settings-row">
+            <span>Handedness</span>
+            <select className="settings-select" value={form.values.handedness} onChange={(e) => setField("handedness", e.target.value)}>
+              {Object.entries(HANDEDNESS_OPTIONS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </label>
+          <textarea
+            className="subject-notes"
+            rows={2}
+            placeholder="Medication notes"
+            value={form.values.medication}
+            onChange={(e) => setField("medication", e.target.value)}
+          />
+          <div className="model-actions">
+            <button className="model-btn" type="submit">{form.mode === "new" ? "Create" : "Save"}</button>
+            <button className="model-btn" type="button" onClick={() => setForm(null)}>Cancel</button>
+          </div>
+          <p className="seed-hint">Use a code, not the patient's name. Records stay in this browser.</p>
+        </form>
+      )}
+      {error && <div className="csv-error">⚠️ {error}</div>}
+    </div>
+  );
+}
@@ -3,6 +3,8 @@
 // refactor: purely presentational — receives onAbout callback from parent
 // ─────────────────────────────────────────────────────────────
 import React from "react";
+// chore: single source for the name and version badge
+import { APP_NAME, APP_VERSION } from "../utils/version";
 
 export default function TopBar({ onAbout }) {
   return (
@@ -10,8 +12,8 @@ export default function TopBar({ onAbout }) {
       <div className="topbar-left">
         {/* feat: brand logo and title */}
         <span className="topbar-icon">🧠</span>
-        <span className="topbar-title">NeuroScan AI</span>
-        <span className="topbar-badge">v1.0 Beta</span>
+        <span className="topbar-title">{APP_NAME}</span>
+        <span className="topbar-badge">v{APP_VERSION} Beta</span>
       </div>
       <div className="topbar-right">
         {/* feat: AI decision support disclaimer badge */}
@@ -0,0 +1,213 @@
+// feat: model validation — how the active model scored a labeled set of recordings
+// docs: ROC curve with the AUC and its bootstrap interval, sensitivity/specificity at the
+// docs: scoring profile's cut-offs, confusion matrix against its risk levels, calibration plot
+// docs: and the per-recording table; onExport(format) saves the report as PDF, JSON or CSV
+// ─────────────────────────────────────────────────────────────
+import React, { useState } from "react";
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip, ResponsiveContainer, ReferenceLine, ReferenceDot,
+} from "recharts";
+// chore: metric definitions and labels
+import { CLASS_NAMES } from "../utils/validation";
+import { formatAuc } from "../utils/validationReport";
+import { profileLabel } from "../utils/profiles";
+
+// feat: export formats offered in the header
+const EXPORT_FORMATS = [
+  { id: "pdf", label: "PDF", title: "Validation report (A4 PDF) with ROC and calibration plots" },
+  { id: "json", label: "JSON", title: "Metrics, settings, model and every case as JSON" },
+  { id: "csv", label: "CSV", title: "One row per recording — label, score, level, error" },
+];
+
+const TOOLTIP_STYLE = {
+  contentStyle: { background: "#0f1623", border: "1px solid #1e2a3d", borderRadius: 8 },
+  labelStyle: { color: "#94a3b8", fontSize: 11 },
+  itemStyle: { fontSize: 11 },
+};
+
+const UNIT_TICKS = [0, 0.25, 0.5, 0.75, 1];
+const DIAGONAL = [{ x: 0, y: 0 }, { x: 1, y: 1 }];
+
+const percent = (v) => (v === null ? "—" : `${(v * 100).toFixed(1)}%`);
+const interval = (m) => (m.value === null ? "—" : `${percent(m.value)} (${percent(m.lower)}–${percent(m.upper)})`);
+
+export default function ValidationView({ validation, onExport, onClose }) {
+  // feat: export in progress (its format) / last export failure
+  const [exporting, setExporting] = useState(null);
+  const [exportError, setExportError] = useState(null);
+  const [showCases, setShowCases] = useState(false);
+
+  const { metrics, model, profile, cases } = validation;
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    setExportError(null);
+    try {
+      await onExport(format);
+    } catch (err) {
+      setExportError(err.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="chart-card">
+      <div className="report-header">
+        <div className="chart-title">MODEL VALIDATION — {validation.manifestName}</div>
+        <div className="report-actions">
+          {EXPORT_FORMATS.map((f) => (
+            <button
+              key={f.id}
+              className="model-btn report-export"
+              onClick={() => handleExport(f.id)}
+              disabled={exporting !== null}
+              title={f.title}
+            >
+              {exporting === f.id ? "Preparing…" : `⤓ ${f.label}`}
+            </button>
+          ))}
+          <button className="model-btn" onClick={onClose}>Close</button>
+        </div>
+      </div>
+      <div className="chart-subtitle">
+        {model.name} (version {model.version}) · profile {profileLabel(profile)} · {metrics.n} recordings analysed ({metrics.positives} SZ, {metrics.negatives} healthy)
+        {metrics.failed > 0 && ` · ⚠️ ${metrics.failed} failed and excluded`}
+        {` · ${new Date(validation.createdAt).toLocaleString()}`}
+      </div>
+      {exportError && <div className="csv-error">⚠️ Export failed: {exportError}</div>}
+
+      {metrics.error ? (
+        <p className="longitudinal-hint">⚠️ {metrics.error}</p>
+      ) : (
+        <>
+          {/* feat: headline numbers */}
+          <div className="validation-summary">
+            <div><span>AUC</span><strong>{formatAuc(metrics.auc)}</strong></div>
+            {metrics.thresholds.map((t) => (
+              <div key={t.threshold}>
+                <span>Sens / spec at ≥ {t.threshold}</span>
+                <strong>{percent(t.sensitivity.value)} / {percent(t.specificity.value)}</strong>
+              </div>
+            ))}
+            <div>
+              <span>Brier · ECE</span>
+              <strong>{metrics.calibration.brier.toFixed(3)} · {metrics.calibration.ece.toFixed(3)}</strong>
+            </div>
+          </div>
+
+          <div className="longitudinal-charts">
+            {/* feat: ROC curve — the risk cut-offs marked on it */}
+            <div>
+              <div className="longitudinal-label">ROC curve (red: score cut-offs {metrics.thresholds.map((t) => t.threshold).join(" / ")})</div>
+              <ResponsiveContainer width="100%" height={240}>
+                <LineChart data={metrics.roc} margin={{ top: 8, right: 16, left: -16, bottom: 8 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#1e2a3d" />
+                  <XAxis type="number" dataKey="fpr" domain={[0, 1]} ticks={UNIT_TICKS} tick={{ fill: "#475569", fontSize: 10 }}
+                    label={{ value: "1 − specificity", position: "insideBottom", offset: -4, fill: "#475569", fontSize: 10 }} />
+                  <YAxis type="number" domain={[0, 1]} ticks={UNIT_TICKS} tick={{ fill: "#475569", fontSize: 10 }} />
+                  <Tooltip
+                    {...TOOLTIP_STYLE}
+                    labelFormatter={(fpr) => `1 − specificity ${Number(fpr).toFixed(2)}`}
+                    formatter={(v) => [Number(v).toFixed(2), "Sensitivity"]}
+                  />
+                  <ReferenceLine segment={DIAGONAL} stroke="#475569" strokeDasharray="4 4" />
+                  <Line type="linear" dataKey="tpr" stroke="#a78bfa" strokeWidth={2} dot={false} isAnimationActive={false} />
+                  {metrics.thresholds.map((t) => (
+                    <ReferenceDot
+                      key={t.threshold}
+                      x={1 - t.specificity.value}
+                      y={t.sensitivity.value}
+                      r={4}
+                      fill="#ef4444"
+                      stroke="none"
+                      label={{ value: `≥${t.threshold}`, position: "right", fill: "#fca5a5", fontSize: 10 }}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            {/* feat: calibration — observed SZ rate per score bin against the diagonal */}
+            <div>
+              <div className="longitudinal-label">Calibration (score / 100 as probability)</div>
+              <ResponsiveContainer width="100%" height={240}>
+                <LineChart data={metrics.calibration.bins} margin={{ top: 8, right: 16, left: -16, bottom: 8 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#1e2a3d" />
+                  <XAxis type="number" dataKey="predicted" domain={[0, 1]} ticks={UNIT_TICKS} tick={{ fill: "#475569", fontSize: 10 }}
+                    label={{ value: "Predicted", position: "insideBottom", offset: -4, fill: "#475569", fontSize: 10 }} />
+                  <YAxis type="number" domain={[0, 1]} ticks={UNIT_TICKS} tick={{ fill: "#475569", fontSize: 10 }} />
+                  <Tooltip
+                    {...TOOLTIP_STYLE}
+                    labelFormatter={(p) => `Predicted ${Number(p).toFixed(2)}`}
+                    formatter={(v, name, { payload }) => [`${Number(v).toFixed(2)} (${payload.count} recordings)`, "Observed"]}
+                  />
+                  <ReferenceLine segment={DIAGONAL} stroke="#475569" strokeDasharray="4 4" />
+                  <Line type="linear" dataKey="observed" stroke="#2563eb" strokeWidth={2} dot={{ r: 3, fill: "#2563eb" }} isAnimationActive={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          {/* feat: 2 × 2 counts at each cut-off, with Wilson intervals */}
+          <table className="longitudinal-table validation-table">
+            <thead>
+              <tr>
+                <th>Called SZ at</th><th>TP</th><th>FP</th><th>TN</th><th>FN</th>
+                <th>Sensitivity (95% CI)</th><th>Specificity (95% CI)</th><th>PPV</th><th>NPV</th>
+              </tr>
+            </thead>
+            <tbody>
+              {metrics.thresholds.map((t) => (
+                <tr key={t.threshold}>
+                  <td>score ≥ {t.threshold}</td><td>{t.tp}</td><td>{t.fp}</td><td>{t.tn}</td><td>{t.fn}</td>
+                  <td>{interval(t.sensitivity)}</td><td>{interval(t.specificity)}</td>
+                  <td>{percent(t.ppv)}</td><td>{percent(t.npv)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {/* feat: true class against the risk level the app would report */}
+          <table className="longitudinal-table validation-table">
+            <thead>
+              <tr><th>True class</th>{metrics.levels.map((level) => <th key={level}>{level}</th>)}</tr>
+            </thead>
+            <tbody>
+              {metrics.confusion.map((row) => (
+                <tr key={row.label}>
+                  <td>{row.name}</td>
+                  {row.counts.map((count, i) => <td key={metrics.levels[i]}>{count}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      {/* feat: every recording, failed ones with their error */}
+      <button className="model-btn validation-cases-toggle" onClick={() => setShowCases((v) => !v)}>
+        {showCases ? "Hide" : "Show"} recordings ({cases.length})
+      </button>
+      {showCases && (
+        <table className="longitudinal-table validation-table">
+          <thead>
+            <tr><th>File</th><th>Label</th><th>Score</th><th>Level</th><th /></tr>
+          </thead>
+          <tbody>
+            {cases.map((c) => (
+              <tr key={c.file}>
+                <td className="longitudinal-file">{c.file}</td>
+                <td>{CLASS_NAMES[c.label]}</td>
+                <td>{c.score ?? "—"}</td>
+                <td>{c.level || "—"}</td>
+                <td>{c.error && <span className="longitudinal-flag">⚠️ {c.error}</span>}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+// feat: what-if panel — what would change the classification
+// docs: counterfactuals: the smallest plausible change to band powers and coherence that moves the
+// docs: result into the next risk level up or down (counterfactual.js), each with an Apply button
+// docs: sliders: one per band power (value and z-score against the norm group) and per coherence band;
+// docs: the score and level are recomputed live with the model and profile that scored the result
+// ─────────────────────────────────────────────────────────────
+import React, { useEffect, useMemo, useState } from "react";
+// chore: counterfactual search and live re-scoring
+import {
+  counterfactualModel, counterfactualLevers, findCounterfactuals,
+  whatIfScore, describeChange, PLAUSIBLE_SD,
+} from "../utils/counterfactual";
+import { formatZ } from "../utils/norms";
+import { profileOf, profileLabel } from "../utils/profiles";
+
+// feat: slider resolution — steps across a lever's plausible range
+const SLIDER_STEPS = 200;
+
+// feat: "1.213" for band powers, "0.42" for coherence
+const formatValue = (lever, value) => value.toFixed(lever.kind === "coherence" ? 2 : 3);
+
+export default function WhatIfPanel({ results, model, isLoading }) {
+  // feat: slider settings { leverId: value } — levers left out stay at the recorded value
+  const [values, setValues] = useState({});
+
+  // docs: a new result starts from its recorded values
+  useEffect(() => setValues({}), [results]);
+
+  const scorer = useMemo(() => (results.riskScore === null ? null : counterfactualModel(results, model)), [results, model]);
+  const levers = useMemo(() => (results.riskScore === null ? [] : counterfactualLevers(results)), [results]);
+  const counterfactuals = useMemo(() => (scorer ? findCounterfactuals(scorer, results, levers) : []), [scorer, results, levers]);
+  const live = useMemo(() => (scorer ? whatIfScore(scorer, results, levers, values) : null), [scorer, results, levers, values]);
+
+  if (isLoading || results.riskScore === null) return <div className="chart-card skeleton" style={{ height: 320 }} />;
+
+  const changed = levers.some((l) => values[l.id] !== undefined && values[l.id] !== l.value);
+  const valueOf = (lever) => (values[lever.id] === undefined ? lever.value : values[lever.id]);
+
+  return (
+    <div className="chart-card">
+      <div className="report-header">
+        <div className="chart-title">WHAT-IF — WHAT WOULD CHANGE THE CLASSIFICATION</div>
+        <div className="report-actions">
+          <button className="model-btn whatif-reset" onClick={() => setValues({})} disabled={!changed}>Reset</button>
+        </div>
+      </div>
+      <div className="chart-subtitle">
+        Smallest change to band powers and coherence that crosses a risk level boundary · changes in norm-group SD,
+        kept within ±{PLAUSIBLE_SD} SD · profile {profileLabel(profileOf(results))}
+      </div>
+
+      {!scorer ? (
+        <div className="whatif-note">
+          ⚠️ Re-scoring needs the model that scored this result — load {results.model.name} (version {results.model.version}).
+        </div>
+      ) : (
+        <>
+          {/* feat: live score — recorded vs. the slider settings */}
+          <div className="whatif-live">
+            <span>Recorded <strong style={{ color: results.classification.color }}>{results.riskScore} · {results.classification.level}</strong></span>
+            <span className="whatif-arrow">→</span>
+            <span>What-if <strong style={{ color: live.classification.color }}>{live.score} · {live.classification.level}</strong></span>
+          </div>
+
+          {/* feat: one counterfactual per neighbouring level */}
+          <div className="whatif-counterfactuals">
+            {counterfactuals.length === 0 && <div className="whatif-note">The profile has a single risk level — nothing to cross.</div>}
+            {counterfactuals.map((cf) => (
+              <div key={cf.direction} className="whatif-cf" style={{ borderLeftColor: cf.color }}>
+                <div className="whatif-cf-head">
+                  <span>
+                    {cf.direction === "up" ? "▲ To reach" : "▼ To fall to"} <strong style={{ color: cf.color }}>{cf.level}</strong>
+                    {cf.direction === "up" ? ` (score ≥ ${cf.boundary})` : ` (score < ${cf.boundary})`}
+                  </span>
+                  {cf.reachable && (
+                    <button className="model-btn" onClick={() => setValues(cf.values)}>Apply</button>
+                  )}
+                </div>
+                {cf.reachable ? (
+                  <div className="whatif-cf-body">
+                    {cf.changes.map(describeChange).join(" + ")}
+                    <span className="whatif-cf-score"> → score {cf.score} · {cf.distance} SD in total</span>
+                  </div>
+                ) : (
+                  <div className="whatif-cf-body">Not reachable within ±{PLAUSIBLE_SD} SD of the norm group.</div>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {/* feat: sliders — every band power and coherence band the result has */}
+          <table className="whatif-sliders">
+            <tbody>
+              {levers.map((lever) => {
+                const value = valueOf(lever);
+                const shift = (value - lever.value) / lever.sd;
+                return (
+                  <tr key={lever.id} className={value !== lever.value ? "whatif-changed" : ""}>
+                    <td className="whatif-label">{lever.label}</td>
+                    <td className="whatif-slider">
+                      <input
+                        type="range"
+                        min={lever.min}
+                        max={lever.max}
+                        step={(lever.max - lever.min) / SLIDER_STEPS || 0.001}
+                        value={value}
+                        onChange={(e) => setValues((v) => ({ ...v, [lever.id]: Number(e.target.value) }))}
+                      />
+                    </td>
+                    <td className="whatif-value">{formatValue(lever, value)}</td>
+                    <td className="whatif-value">
+                      {lever.kind === "power" ? `z ${formatZ(lever.z + shift)}` : `${formatZ(shift)} SD`}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,4 @@
+// feat: normative comparison fixtures shared by the findings and comparison tests
+
+// feat: a result's normative block with the given band z-scores — { alpha: -2.5, ... }
+export const normative = (bands) => ({ bands, group: "All ages" });
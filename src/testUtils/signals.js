@@ -0,0 +1,18 @@
+// feat: synthetic signals shared by the utils tests
+// docs: deterministic — noise is seeded, so every run sees the same samples
+
+// docs: sample rate of the test signals unless a test needs another
+export const FS = 256;
+
+// feat: uniform noise in [-0.5, 0.5) from the Park–Miller minimal standard generator
+export function noise(n, seed = 1) {
+  let state = seed;
+  return Float64Array.from({ length: n }, () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647 - 0.5;
+  });
+}
+
+// feat: `seconds` of a sine at `freq` Hz, sampled at fs
+export const sine = (freq, seconds = 8, amplitude = 1, fs = FS) =>
+  Float64Array.from({ length: fs * seconds }, (_, i) => amplitude * Math.sin((2 * Math.PI * freq * i) / fs));
@@ -0,0 +1,72 @@
+// feat: main-thread side of the analysis worker
+// docs: run(job, onProgress) posts a job and resolves with its result; progress messages are
+// docs: forwarded to onProgress({ stage, label, index, total })
+// docs: cancel() terminates the worker and rejects every pending job with err.cancelled = true;
+// docs: a fresh worker is started for the next job
+
+// feat: rejection used for cancelled jobs — callers check err.cancelled
+// docs: shared with the server client (serverClient.js), so cancelling looks the same on both backends
+export function cancelledError() {
+  const err = new Error("Analysis cancelled.");
+  err.cancelled = true;
+  return err;
+}
+
+export function createAnalysisClient() {
+  let worker = null;
+  let nextId = 1;
+  const pending = new Map();
+
+  const rejectAll = (err) => {
+    pending.forEach(({ reject }) => reject(err));
+    pending.clear();
+  };
+
+  const spawn = () => {
+    // docs: webpack bundles the worker and its imports from this URL pattern
+    worker = new Worker(new URL("./analysisWorker.js", import.meta.url));
+    worker.onmessage = (evt) => {
+      const { id, type } = evt.data;
+      const job = pending.get(id);
+      if (!job) return;
+      if (type === "progress") {
+        job.onProgress(evt.data);
+        return;
+      }
+      pending.delete(id);
+      if (type === "result") job.resolve(evt.data.result);
+      else job.reject(new Error(evt.data.message));
+    };
+    // fix: a crash inside the worker (e.g. out of memory) must not leave jobs hanging
+    worker.onerror = (evt) => {
+      evt.preventDefault();
+      worker.terminate();
+      worker = null;
+      rejectAll(new Error(evt.message || "Analysis worker crashed."));
+    };
+  };
+
+  return {
+    run(job, onProgress = () => {}) {
+      if (!worker) spawn();
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject, onProgress });
+        worker.postMessage({ ...job, id });
+      });
+    },
+
+    cancel() {
+      if (worker) worker.terminate();
+      worker = null;
+      rejectAll(cancelledError());
+    },
+
+    // chore: release the worker when the app unmounts
+    dispose() {
+      if (worker) worker.terminate();
+      worker = null;
+      pending.clear();
+    },
+  };
+}
@@ -0,0 +1,102 @@
+// feat: Web Worker running parsing and the analysis pipeline off the main thread
+// docs: message protocol (see analysisClient.js):
+// docs:   in:  { id, type: "parse", format, source, overrides }
+// docs:        { id, type: "analyze", recording: { format, source, overrides } | null,
+// docs:          isSZ, seed, settings, modelSource: { text, fileName } | null,
+// docs:          normsSource: { text, fileName } | null, profileSource: { text, fileName } | null,
+// docs:          subject: subject record | null }
+// docs:   out: { id, type: "progress", stage, label, index, total }
+// docs:        { id, type: "result", result } | { id, type: "error", message }
+// docs: cancelling terminates the worker — jobs are synchronous, so there is nothing to interrupt cooperatively
+
+// chore: analysis jobs and their stage list
+import { ANALYSIS_STAGES, parseRecording, analyzeSimulated, analyzeRecording } from "./pipeline";
+// chore: rebuild the active model from its file
+import { BUILTIN_MODEL, parseModel } from "./models";
+// chore: rebuild the active norm set from its file
+import { BUILTIN_NORMS, parseNorms, subjectDemographics } from "./norms";
+// chore: rebuild the active scoring profile from its file
+import { DEFAULT_PROFILE, parseProfile } from "./profiles";
+
+// docs: the worker's global scope — globalThis rather than self, which the lint rules reserve for window code
+/* global globalThis */
+const scope = globalThis;
+
+// perf: the last parsed model file — re-parsing (and recompiling trees) on every run is wasted work
+let cachedModel = { text: null, model: BUILTIN_MODEL };
+
+function resolveModel(modelSource) {
+  if (!modelSource) return BUILTIN_MODEL;
+  if (cachedModel.text !== modelSource.text) {
+    const { model, error } = parseModel(modelSource.text, modelSource.fileName);
+    if (error) throw new Error(error);
+    cachedModel = { text: modelSource.text, model };
+  }
+  return cachedModel.model;
+}
+
+// perf: same for the norm set
+let cachedNorms = { text: null, norms: BUILTIN_NORMS };
+
+function resolveNorms(normsSource) {
+  if (!normsSource) return BUILTIN_NORMS;
+  if (cachedNorms.text !== normsSource.text) {
+    const { norms, error } = parseNorms(normsSource.text, normsSource.fileName);
+    if (error) throw new Error(error);
+    cachedNorms = { text: normsSource.text, norms };
+  }
+  return cachedNorms.norms;
+}
+
+// perf: and for the scoring profile
+let cachedProfile = { text: null, profile: DEFAULT_PROFILE };
+
+function resolveProfile(profileSource) {
+  if (!profileSource) return DEFAULT_PROFILE;
+  if (cachedProfile.text !== profileSource.text) {
+    const { profile, error } = parseProfile(profileSource.text, profileSource.fileName);
+    if (error) throw new Error(error);
+    cachedProfile = { text: profileSource.text, profile };
+  }
+  return cachedProfile.profile;
+}
+
+// feat: progress callback for one job
+function stageReporter(id) {
+  return (stage) => {
+    const index = ANALYSIS_STAGES.findIndex((s) => s.id === stage);
+    scope.postMessage({
+      id,
+      type: "progress",
+      stage,
+      label: ANALYSIS_STAGES[index].label,
+      index,
+      total: ANALYSIS_STAGES.length,
+    });
+  };
+}
+
+function runJob(job) {
+  if (job.type === "parse") {
+    return parseRecording(job.format, job.source, job.overrides);
+  }
+  if (job.type === "analyze") {
+    const model = resolveModel(job.modelSource);
+    const reference = { norms: resolveNorms(job.normsSource), demographics: subjectDemographics(job.subject) };
+    const profile = resolveProfile(job.profileSource);
+    const onStage = stageReporter(job.id);
+    return job.recording
+      ? analyzeRecording(job.recording, job.settings, model, reference, profile, onStage)
+      : analyzeSimulated(job.isSZ, job.seed, job.settings, model, reference, profile, onStage);
+  }
+  throw new Error(`Unknown job type "${job.type}".`);
+}
+
+scope.onmessage = (evt) => {
+  const job = evt.data;
+  try {
+    scope.postMessage({ id: job.id, type: "result", result: runJob(job) });
+  } catch (err) {
+    scope.postMessage({ id: job.id, type: "error", message: err.message || String(err) });
+  }
+};
@@ -0,0 +1,168 @@
+// feat: automatic artifact detection and epoch rejection
+// docs: splits the (preprocessed) recording into fixed-length epochs and checks every
+// docs: channel of every epoch for: excessive peak-to-peak amplitude (eye blinks, pops),
+// docs: clipping at the amplifier rail, flatlines (disconnected electrode) and
+// docs: high-frequency power (muscle) — any failing channel rejects the whole epoch
+// docs: rejected epochs are excluded from the Welch estimate and shaded on EEGChart
+
+// chore: single-segment periodogram for the muscle check
+import { welchPSD, integrateBand } from "./spectral";
+
+// docs: default thresholds (µV / fraction of power) — recorded with every result
+export const DEFAULT_ARTIFACT_SETTINGS = {
+  enabled: true,
+  epochSeconds: 2,
+  maxAmplitude: 150,   // docs: peak-to-peak limit in µV (blinks on Fp1 easily exceed this)
+  flatThreshold: 0.1,  // docs: standard deviation below this (µV) = flatline
+  clipMs: 20,          // docs: samples stuck at one rail for this long = clipping
+  muscleRatio: 0.35,   // docs: fraction of 1–Nyquist power above muscleFreq that flags EMG
+  muscleFreq: 30,
+};
+
+// ─────────────────────────────────────────────────────────────
+// feat: cut a recording of `length` samples into epochs
+// docs: a trailing remainder of at least half an epoch becomes its own epoch,
+// docs: a shorter one is merged into the previous epoch (or is the only epoch)
+// ─────────────────────────────────────────────────────────────
+export function makeEpochs(length, sampleRate, epochSeconds) {
+  const size = Math.max(1, Math.round(epochSeconds * sampleRate));
+  const epochs = [];
+  for (let start = 0; start < length; start += size) {
+    const end = Math.min(length, start + size);
+    if (end - start < size / 2 && epochs.length > 0) {
+      epochs[epochs.length - 1].end = end;
+    } else {
+      epochs.push({ start, end });
+    }
+  }
+  return epochs.map((e, index) => ({
+    index,
+    ...e,
+    startTime: e.start / sampleRate,
+    endTime: e.end / sampleRate,
+  }));
+}
+
+// feat: longest run of consecutive samples on one rail (at or beyond it)
+// docs: a wave peaking on the rail once, or swinging from one rail to the other, is not a run
+function longestRailRun(data, start, end, min, max) {
+  let longest = 0;
+  let run = 0;
+  let rail = 0;
+  for (let i = start; i < end; i++) {
+    const at = data[i] >= max ? 1 : data[i] <= min ? -1 : 0;
+    run = at === 0 ? 0 : at === rail ? run + 1 : 1;
+    rail = at;
+    if (run > longest) longest = run;
+  }
+  return longest;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: check one channel of one epoch — returns a reason string or null
+// ─────────────────────────────────────────────────────────────
+function checkEpochChannel(data, raw, epoch, sampleRate, rails, s) {
+  const { start, end } = epoch;
+  const n = end - start;
+
+  // docs: flatline — standard deviation of the raw samples
+  let sum = 0;
+  let sumSq = 0;
+  for (let i = start; i < end; i++) {
+    sum += raw[i];
+    sumSq += raw[i] * raw[i];
+  }
+  const std = Math.sqrt(Math.max(0, sumSq / n - (sum / n) * (sum / n)));
+  if (std < s.flatThreshold) return `flatline (σ ${std.toFixed(2)} µV)`;
+
+  const clipSamples = Math.max(3, Math.round((s.clipMs / 1000) * sampleRate));
+  if (longestRailRun(raw, start, end, rails.min, rails.max) >= clipSamples) return "clipping";
+
+  // docs: amplitude — peak-to-peak of the filtered samples (drift already removed)
+  let lo = Infinity;
+  let hi = -Infinity;
+  for (let i = start; i < end; i++) {
+    if (data[i] < lo) lo = data[i];
+    if (data[i] > hi) hi = data[i];
+  }
+
+  if (hi - lo > s.maxAmplitude) return `amplitude ${Math.round(hi - lo)} µV p-p`;
+
+  // docs: muscle — share of power above muscleFreq in a single-segment periodogram
+  const nyquist = sampleRate / 2;
+  if (s.muscleFreq < nyquist - 1) {
+    const { freqs, psd } = welchPSD(data.subarray(start, end), sampleRate, { segmentSeconds: n / sampleRate, overlap: 0 });
+    const total = integrateBand(freqs, psd, 1, nyquist);
+    const high = integrateBand(freqs, psd, s.muscleFreq, nyquist);
+    if (total > 0 && high / total > s.muscleRatio) return `muscle (${Math.round((high / total) * 100)}% > ${s.muscleFreq} Hz)`;
+  }
+
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: detect artifacts across all channels and epochs
+// docs: channelData = { [ch]: Float64Array } of preprocessed samples (amplitude, muscle)
+// docs: rawData = same shape, unfiltered — clipping and flatlines are judged on the raw
+// docs: samples because filtering smooths away the flat rail segments
+// docs: rails = { [ch]: { min, max } } in µV where the amplifier clips (EDF physical range, parseEDF);
+// docs: channels without one use their own extreme values, which a clipped channel sits on
+// docs: returns { settings, epochs, kept, total, keptRanges, allRejected }
+// docs: keptRanges = merged [start, end) sample ranges of clean epochs (for Welch)
+// ─────────────────────────────────────────────────────────────
+export function detectArtifacts(channelData, sampleRate, settings = DEFAULT_ARTIFACT_SETTINGS, rawData = channelData, rails = {}) {
+  const s = { ...DEFAULT_ARTIFACT_SETTINGS, ...settings };
+  const channels = Object.keys(channelData);
+  const length = channels.length ? channelData[channels[0]].length : 0;
+  const epochs = makeEpochs(length, sampleRate, s.epochSeconds);
+
+  // perf: rail values per channel computed once
+  const channelRails = {};
+  channels.forEach((ch) => {
+    if (rails[ch]) {
+      channelRails[ch] = rails[ch];
+      return;
+    }
+    let min = Infinity;
+    let max = -Infinity;
+    rawData[ch].forEach((v) => {
+      if (v < min) min = v;
+      if (v > max) max = v;
+    });
+    channelRails[ch] = { min, max };
+  });
+
+  epochs.forEach((epoch) => {
+    epoch.reasons = [];
+    if (s.enabled) {
+      channels.forEach((ch) => {
+        const reason = checkEpochChannel(channelData[ch], rawData[ch], epoch, sampleRate, channelRails[ch], s);
+        if (reason) epoch.reasons.push(`${ch}: ${reason}`);
+      });
+    }
+    epoch.rejected = epoch.reasons.length > 0;
+  });
+
+  const keptEpochs = epochs.filter((e) => !e.rejected);
+
+  // fix: every epoch rejected leaves nothing to analyse — flagged, never replaced by the
+  // docs: whole recording; processSignal fails the analysis
+  const allRejected = keptEpochs.length === 0 && epochs.length > 0;
+
+  // feat: merge adjacent clean epochs so Welch segments can span epoch boundaries
+  const keptRanges = [];
+  keptEpochs.forEach((e) => {
+    const last = keptRanges[keptRanges.length - 1];
+    if (last && last[1] === e.start) last[1] = e.end;
+    else keptRanges.push([e.start, e.end]);
+  });
+
+  return {
+    settings: s,
+    epochs,
+    kept: keptEpochs.length,
+    total: epochs.length,
+    keptRanges,
+    allRejected,
+  };
+}
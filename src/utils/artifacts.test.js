@@ -0,0 +1,65 @@
+import { detectArtifacts, makeEpochs } from "./artifacts";
+import { noise, sine } from "../testUtils/signals";
+
+const FS = 128;
+// feat: a 10 Hz rhythm with seeded noise on top
+const eeg = (seconds, amplitude, seed = 1) => {
+  const rhythm = sine(10, seconds, amplitude, FS);
+  return noise(FS * seconds, seed).map((v, i) => rhythm[i] + amplitude * v);
+};
+
+describe("makeEpochs", () => {
+  it("merges a short remainder into the last epoch", () => {
+    const epochs = makeEpochs(FS * 5 + 10, FS, 2);
+    expect(epochs.map((e) => [e.start, e.end])).toEqual([[0, 256], [256, 512], [512, 650]]);
+  });
+});
+
+describe("detectArtifacts", () => {
+  it("rejects an epoch with a blink and keeps the ranges around it", () => {
+    const data = eeg(6, 20);
+    data[FS * 3] = 400;
+    const result = detectArtifacts({ Fz: data }, FS);
+    expect(result.epochs.map((e) => e.rejected)).toEqual([false, true, false]);
+    expect(result.epochs[1].reasons[0]).toMatch(/^Fz: amplitude/);
+    expect(result.keptRanges).toEqual([[0, 256], [512, 768]]);
+    expect(result.allRejected).toBe(false);
+  });
+
+  it("leaves no kept range when every epoch is rejected", () => {
+    const result = detectArtifacts({ Fz: eeg(6, 400) }, FS);
+    expect(result.kept).toBe(0);
+    expect(result.allRejected).toBe(true);
+    expect(result.keptRanges).toEqual([]);
+  });
+
+  // docs: clipped samples sit on the rail in the raw data — 20 ms is 3 samples at 128 Hz
+  const railed = (from, values) => {
+    const data = eeg(6, 20);
+    values.forEach((v, i) => { data[from + i] = v; });
+    return data;
+  };
+
+  it("flags a run of samples on the EDF rail as clipping", () => {
+    const result = detectArtifacts({ Fz: railed(FS * 3, [60, 60, 60]) }, FS, undefined, undefined, { Fz: { min: -60, max: 60 } });
+    expect(result.epochs.map((e) => e.reasons)).toEqual([[], ["Fz: clipping"], []]);
+  });
+
+  it("doesn't flag a touch of the rail shorter than clipMs", () => {
+    const rails = { Fz: { min: -60, max: 60 } };
+    expect(detectArtifacts({ Fz: railed(FS * 3, [60]) }, FS, undefined, undefined, rails).kept).toBe(3);
+    expect(detectArtifacts({ Fz: railed(FS * 3, [60, 60, 0, -60]) }, FS, undefined, undefined, rails).kept).toBe(3);
+  });
+
+  it("judges a held peak against the EDF rails rather than the channel's extremes", () => {
+    const data = railed(FS * 3, [50, 50, 50]);
+    expect(detectArtifacts({ Fz: data }, FS).epochs[1].reasons).toEqual(["Fz: clipping"]);
+    expect(detectArtifacts({ Fz: data }, FS, undefined, undefined, { Fz: { min: -3276.8, max: 3276.7 } }).kept).toBe(3);
+  });
+
+  it("keeps every epoch when rejection is off", () => {
+    const result = detectArtifacts({ Fz: eeg(6, 400) }, FS, { enabled: false });
+    expect(result.kept).toBe(3);
+    expect(result.keptRanges).toEqual([[0, 768]]);
+  });
+});
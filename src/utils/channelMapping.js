@@ -0,0 +1,183 @@
+// feat: 10-20 / 10-10 electrode catalogue and channel label mapping
+// docs: normalizes recorder labels ("EEG Fp1-REF", "FP1", "T3") to canonical electrode names
+// docs: provides 2D scalp positions for every electrode so charts and BrainMap can
+// docs: handle any montage instead of the fixed Fp1, F3, C3, P3, O1 layout
+
+// ─────────────────────────────────────────────────────────────
+// docs: electrode rows from front to back — index = 18° steps from Cz along the midline
+// docs: cmax = lateral index that sits on the head equator (Fp1/O1 are already on it)
+// ─────────────────────────────────────────────────────────────
+const ROWS = {
+  Fp: { row: -4, cmax: 1, region: "prefrontal" },
+  AF: { row: -3, cmax: 4, region: "prefrontal" },
+  F: { row: -2, cmax: 4, region: "frontal" },
+  FC: { row: -1, cmax: 4, region: "central" },
+  FT: { row: -1, cmax: 4, region: "temporal" },
+  C: { row: 0, cmax: 4, region: "central" },
+  T: { row: 0, cmax: 4, region: "temporal" },
+  CP: { row: 1, cmax: 4, region: "parietal" },
+  TP: { row: 1, cmax: 4, region: "temporal" },
+  P: { row: 2, cmax: 4, region: "parietal" },
+  PO: { row: 3, cmax: 4, region: "occipital" },
+  O: { row: 4, cmax: 1, region: "occipital" },
+};
+
+// docs: electrodes included in the catalogue (10-20 set + common 10-10 additions)
+const ELECTRODE_NAMES = [
+  "Fp1", "Fpz", "Fp2",
+  "AF7", "AF3", "AFz", "AF4", "AF8",
+  "F9", "F7", "F5", "F3", "F1", "Fz", "F2", "F4", "F6", "F8", "F10",
+  "FT9", "FT7", "FC5", "FC3", "FC1", "FCz", "FC2", "FC4", "FC6", "FT8", "FT10",
+  "T9", "T7", "C5", "C3", "C1", "Cz", "C2", "C4", "C6", "T8", "T10",
+  "TP9", "TP7", "CP5", "CP3", "CP1", "CPz", "CP2", "CP4", "CP6", "TP8", "TP10",
+  "P9", "P7", "P5", "P3", "P1", "Pz", "P2", "P4", "P6", "P8", "P10",
+  "PO7", "PO3", "POz", "PO4", "PO8",
+  "O1", "Oz", "O2",
+];
+
+// docs: the classic 19-electrode 10-20 montage drawn on the scalp map by default
+export const STANDARD_1020 = [
+  "Fp1", "Fp2", "F7", "F3", "Fz", "F4", "F8", "T7", "C3", "Cz",
+  "C4", "T8", "P7", "P3", "Pz", "P4", "P8", "O1", "O2",
+];
+
+// docs: legacy 10-20 names renamed in the 10-10 system (T3 → T7, etc.)
+const LEGACY_ALIASES = { t3: "T7", t4: "T8", t5: "P7", t6: "P8" };
+
+// docs: labels that are clearly not scalp EEG and are ignored unless mapped by hand
+const NON_EEG_PATTERN = /^(ecg|ekg|eog|emg|resp|photic|spo2|pulse|status|trigger|marker|event|a1|a2|m1|m2|x\d+|dc\d+)/i;
+
+// docs: reference suffixes stripped from referential labels ("Fp1-REF", "C3-A2")
+const REFERENCE_SUFFIX = /[-_\s]+(ref|le|re|ar|avg|aver|a1|a2|m1|m2|a1a2|linked)$/i;
+
+// ─────────────────────────────────────────────────────────────
+// feat: project an electrode onto the 200×200 BrainMap viewbox
+// docs: interpolates on the unit sphere between the midline point of its row and
+// docs: the equator point, then applies an azimuthal equidistant projection
+// ─────────────────────────────────────────────────────────────
+const EQUATOR_RADIUS = 78; // docs: px radius of the Fpz–T7–Oz ring (head outline r = 88)
+
+function electrodePosition(name) {
+  const match = /^(Fp|AF|FC|FT|CP|TP|PO|F|C|T|P|O)(z|\d+)$/.exec(name);
+  const { row, cmax, region } = ROWS[match[1]];
+  const num = match[2] === "z" ? 0 : Number(match[2]);
+  const lateral = Math.ceil(num / 2);
+  const side = num === 0 ? 0 : num % 2 === 1 ? -1 : 1; // docs: odd = left, even = right
+  const frac = lateral / cmax;
+
+  // docs: x = right, y = front, z = up
+  const deg = Math.PI / 180;
+  const polar = Math.abs(row) * 18 * deg;
+  const mid = [0, row <= 0 ? Math.sin(polar) : -Math.sin(polar), Math.cos(polar)];
+  const azimuth = (90 + row * 18) * deg;
+  const eq = [side * Math.sin(azimuth), Math.cos(azimuth), 0];
+
+  let v = mid;
+  if (side !== 0) {
+    const omega = Math.acos(mid[0] * eq[0] + mid[1] * eq[1] + mid[2] * eq[2]);
+    const a = Math.sin((1 - frac) * omega) / Math.sin(omega);
+    const b = Math.sin(frac * omega) / Math.sin(omega);
+    v = [a * mid[0] + b * eq[0], a * mid[1] + b * eq[1], a * mid[2] + b * eq[2]];
+  }
+
+  const theta = Math.acos(Math.max(-1, Math.min(1, v[2])));
+  const planar = Math.hypot(v[0], v[1]);
+  // fix: electrodes below the equator (F9, T9, ...) are clamped just inside the head outline
+  const radius = Math.min(86, (theta / (Math.PI / 2)) * EQUATOR_RADIUS);
+  const x = planar > 1e-9 ? 100 + (v[0] / planar) * radius : 100;
+  const y = planar > 1e-9 ? 100 - (v[1] / planar) * radius : 100;
+
+  return { name, x: parseFloat(x.toFixed(1)), y: parseFloat(y.toFixed(1)), region };
+}
+
+// feat: full electrode catalogue with positions and region tags
+export const ELECTRODES = ELECTRODE_NAMES.map(electrodePosition);
+
+// perf: name → electrode lookup (canonical names)
+const ELECTRODE_BY_NAME = {};
+ELECTRODES.forEach((el) => { ELECTRODE_BY_NAME[el.name] = el; });
+
+// perf: lowercase → canonical name lookup for case-insensitive matching
+const CANONICAL = {};
+ELECTRODE_NAMES.forEach((name) => { CANONICAL[name.toLowerCase()] = name; });
+
+// feat: look up an electrode's position and region by canonical name
+export function getElectrode(name) {
+  return ELECTRODE_BY_NAME[name] || null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: normalize a raw channel label to a canonical 10-20/10-10 electrode name
+// docs: "EEG Fp1-REF" → "Fp1", "FP1" → "Fp1", "T3" → "T7", "Photic" → null
+// ─────────────────────────────────────────────────────────────
+export function normalizeChannelLabel(label) {
+  const cleaned = String(label)
+    .trim()
+    .replace(/^"|"$/g, "")
+    .replace(/^eeg[\s:_-]*/i, "")
+    .replace(REFERENCE_SUFFIX, "")
+    .trim()
+    .toLowerCase();
+
+  if (CANONICAL[cleaned]) return CANONICAL[cleaned];
+  if (LEGACY_ALIASES[cleaned]) return LEGACY_ALIASES[cleaned];
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: build a column → electrode mapping for a recording
+// docs: overrides = { [label]: electrodeName | null } chosen by the user in the Sidebar
+// docs: returns [{ label, electrode, status }] where status is
+// docs: "auto" (recognized), "manual" (user mapped), "ignored", "non-eeg", "unknown" or "duplicate"
+// ─────────────────────────────────────────────────────────────
+export function detectChannelMapping(labels, overrides = {}) {
+  const used = new Set();
+
+  return labels.map((label) => {
+    let electrode;
+    let status;
+
+    if (Object.prototype.hasOwnProperty.call(overrides, label)) {
+      electrode = overrides[label] || null;
+      status = electrode ? "manual" : "ignored";
+    } else {
+      electrode = normalizeChannelLabel(label);
+      status = electrode ? "auto" : NON_EEG_PATTERN.test(label.replace(/^eeg[\s:_-]*/i, "")) ? "non-eeg" : "unknown";
+    }
+
+    // fix: two columns must not feed the same electrode — keep the first one
+    if (electrode && used.has(electrode)) {
+      return { label, electrode: null, status: "duplicate" };
+    }
+    if (electrode) used.add(electrode);
+
+    return { label, electrode, status };
+  });
+}
+
+// feat: list the EEG channel names present in a row-per-sample signal array
+export function getSignalChannels(signal) {
+  if (!signal || signal.length === 0) return [];
+  return Object.keys(signal[0]).filter((key) => key !== "time");
+}
+
+// feat: pull channels out of the row-per-sample structure into typed arrays
+// docs: returns { [ch]: Float64Array } — the form the signal-processing modules work on
+export function getChannelData(signal, channels) {
+  const data = {};
+  channels.forEach((ch) => {
+    const values = new Float64Array(signal.length);
+    for (let i = 0; i < signal.length; i++) values[i] = signal[i][ch];
+    data[ch] = values;
+  });
+  return data;
+}
+
+// feat: sort channel names front-to-back, left-to-right (clinical display order)
+export function sortChannels(names) {
+  const order = (name) => {
+    const el = ELECTRODE_BY_NAME[name];
+    return el ? el.y * 1000 + el.x : Infinity;
+  };
+  return [...names].sort((a, b) => order(a) - order(b));
+}
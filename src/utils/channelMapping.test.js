@@ -0,0 +1,55 @@
+import { normalizeChannelLabel, detectChannelMapping, sortChannels, getChannelData } from "./channelMapping";
+
+describe("normalizeChannelLabel", () => {
+  it.each([
+    ["EEG Fp1-REF", "Fp1"],
+    ["FP1", "Fp1"],
+    ["eeg:cz-le", "Cz"],
+    ['"O2_A1A2"', "O2"],
+    ["T3", "T7"],
+    ["T6-AVG", "P8"],
+    ["Photic", null],
+    ["Fz2", null],
+  ])("%s → %s", (label, expected) => {
+    expect(normalizeChannelLabel(label)).toBe(expected);
+  });
+});
+
+describe("detectChannelMapping", () => {
+  it("classifies recognized, non-EEG and unknown columns", () => {
+    expect(detectChannelMapping(["EEG Cz-REF", "ECG", "EEG Photic", "Foo"])).toEqual([
+      { label: "EEG Cz-REF", electrode: "Cz", status: "auto" },
+      { label: "ECG", electrode: null, status: "non-eeg" },
+      { label: "EEG Photic", electrode: null, status: "non-eeg" },
+      { label: "Foo", electrode: null, status: "unknown" },
+    ]);
+  });
+
+  it("applies the user's overrides", () => {
+    const mapping = detectChannelMapping(["Foo", "Cz"], { Foo: "Pz", Cz: null });
+    expect(mapping).toEqual([
+      { label: "Foo", electrode: "Pz", status: "manual" },
+      { label: "Cz", electrode: null, status: "ignored" },
+    ]);
+  });
+
+  it("keeps only the first column feeding an electrode", () => {
+    const mapping = detectChannelMapping(["T3", "T7-REF"]);
+    expect(mapping.map((m) => m.status)).toEqual(["auto", "duplicate"]);
+    expect(mapping[1].electrode).toBeNull();
+  });
+});
+
+describe("sortChannels", () => {
+  it("orders front to back, left to right, unknown names last", () => {
+    expect(sortChannels(["O1", "Foo", "Fp2", "Cz", "Fp1"])).toEqual(["Fp1", "Fp2", "Cz", "O1", "Foo"]);
+  });
+});
+
+describe("getChannelData", () => {
+  it("pulls channels out of row-per-sample data", () => {
+    const data = getChannelData([{ time: 0, Cz: 1, Pz: 2 }, { time: 1, Cz: 3, Pz: 4 }], ["Cz"]);
+    expect(Object.keys(data)).toEqual(["Cz"]);
+    expect(Array.from(data.Cz)).toEqual([1, 3]);
+  });
+});
@@ -0,0 +1,143 @@
+// feat: inter-channel magnitude-squared coherence from Welch cross-spectra
+// docs: MSC(f) = |Sxy(f)|² / (Sxx(f) · Syy(f)), with every spectrum averaged over the same
+// docs: windowed segments — 0 = unrelated channels, 1 = perfectly linearly coupled
+// docs: computed for every channel pair; band values are the mean MSC over the band's bins
+
+// chore: segment plan and windowed FFT shared with the PSD estimator
+import { planSegments, segmentFFT, makeWindow, EEG_BANDS, DEFAULT_SPECTRAL_SETTINGS } from "./spectral";
+
+// docs: long-range and interhemispheric pairs reported first when both electrodes are present
+export const PREFERRED_PAIRS = [
+  ["Fz", "Pz"], ["F3", "P3"], ["F4", "P4"], ["Fp1", "O1"], ["Fp2", "O2"],
+  ["F7", "P7"], ["F8", "P8"], ["F3", "F4"], ["C3", "C4"], ["P3", "P4"], ["O1", "O2"],
+];
+
+// docs: with a single segment MSC is identically 1 — shorten segments until at least this many fit
+const MIN_SEGMENTS = 8;
+// docs: ...but never below half a second (2 Hz resolution)
+const MIN_SEGMENT_SECONDS = 0.5;
+
+// feat: pair label used as the key everywhere coherence is shown ("F3-P3")
+export function pairLabel(a, b) {
+  return `${a}-${b}`;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: segment plan with enough segments for a non-trivial coherence estimate
+// docs: starts from the Welch settings; short recordings get shorter segments
+// ─────────────────────────────────────────────────────────────
+function planCoherenceSegments(length, sampleRate, settings, ranges) {
+  let resolved = { ...DEFAULT_SPECTRAL_SETTINGS, ...settings };
+  let plan = planSegments(length, sampleRate, resolved, ranges);
+
+  while (plan.starts.length < MIN_SEGMENTS && resolved.segmentSeconds / 2 >= MIN_SEGMENT_SECONDS) {
+    resolved = { ...resolved, segmentSeconds: resolved.segmentSeconds / 2 };
+    plan = planSegments(length, sampleRate, resolved, ranges);
+  }
+
+  return { ...plan, settings: resolved };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: magnitude-squared coherence for every channel pair
+// docs: channelData = { [ch]: Float64Array }; ranges = clean sample ranges (artifact rejection)
+// docs: returns { source: "measured", bands, pairs: [{ pair, a, b, bands: { [band]: msc } }],
+// docs:   preferred: [pair labels present in PREFERRED_PAIRS], segments, resolution, settings }
+// ─────────────────────────────────────────────────────────────
+export function measureCoherence(channelData, sampleRate, settings = {}, ranges = null, bands = EEG_BANDS) {
+  const channels = Object.keys(channelData);
+  const length = channels.length ? channelData[channels[0]].length : 0;
+  const { starts, segmentLength, nfft, settings: resolved } = planCoherenceSegments(length, sampleRate, settings, ranges);
+  const window = makeWindow(resolved.window, segmentLength);
+  const bins = nfft / 2 + 1;
+
+  // docs: pair index list (i < j) and accumulators for auto- and cross-spectra
+  const pairs = [];
+  for (let i = 0; i < channels.length; i++) {
+    for (let j = i + 1; j < channels.length; j++) pairs.push([i, j]);
+  }
+  const auto = channels.map(() => new Float64Array(bins));
+  const crossRe = pairs.map(() => new Float64Array(bins));
+  const crossIm = pairs.map(() => new Float64Array(bins));
+
+  // perf: one FFT per channel per segment, reused by every pair containing that channel
+  starts.forEach((start) => {
+    const spectra = channels.map((ch) => segmentFFT(channelData[ch], start, segmentLength, nfft, window));
+    spectra.forEach(({ re, im }, c) => {
+      for (let k = 0; k < bins; k++) auto[c][k] += re[k] * re[k] + im[k] * im[k];
+    });
+    pairs.forEach(([i, j], p) => {
+      const x = spectra[i];
+      const y = spectra[j];
+      // docs: Sxy = X · conj(Y)
+      for (let k = 0; k < bins; k++) {
+        crossRe[p][k] += x.re[k] * y.re[k] + x.im[k] * y.im[k];
+        crossIm[p][k] += x.im[k] * y.re[k] - x.re[k] * y.im[k];
+      }
+    });
+  });
+
+  // docs: bins averaged per band — [lo, hi) like the band table; nearest bin if the band is narrower than Δf
+  const resolution = sampleRate / nfft;
+  const bandBins = {};
+  Object.entries(bands).forEach(([band, [lo, hi]]) => {
+    const inside = [];
+    for (let k = 1; k < bins; k++) {
+      const f = k * resolution;
+      if (f >= lo && f < hi) inside.push(k);
+    }
+    if (inside.length === 0) inside.push(Math.min(bins - 1, Math.max(1, Math.round((lo + hi) / 2 / resolution))));
+    bandBins[band] = inside;
+  });
+
+  const results = pairs.map(([i, j], p) => {
+    const msc = (k) => {
+      const denom = auto[i][k] * auto[j][k];
+      return denom > 0 ? (crossRe[p][k] ** 2 + crossIm[p][k] ** 2) / denom : 0;
+    };
+    const values = {};
+    Object.entries(bandBins).forEach(([band, ks]) => {
+      const mean = ks.reduce((sum, k) => sum + msc(k), 0) / ks.length;
+      values[band] = parseFloat(mean.toFixed(3));
+    });
+    return { pair: pairLabel(channels[i], channels[j]), a: channels[i], b: channels[j], bands: values };
+  });
+
+  // feat: preferred pairs that exist in this montage (either electrode order)
+  const byLabel = {};
+  results.forEach((r) => { byLabel[r.pair] = r; byLabel[pairLabel(r.b, r.a)] = r; });
+  const preferred = PREFERRED_PAIRS
+    .map(([a, b]) => byLabel[pairLabel(a, b)])
+    .filter(Boolean)
+    .map((r) => r.pair);
+
+  return {
+    source: "measured",
+    bands: Object.keys(bands),
+    pairs: results,
+    preferred,
+    segments: starts.length,
+    resolution,
+    settings: resolved,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: wrap the simulator's per-pair values ({ "Fz-Pz": 0.72 }) in the measured format
+// docs: the simulated values model the alpha-band coherence deficit, so they fill the alpha column
+// ─────────────────────────────────────────────────────────────
+export function simulatedCoherence(values) {
+  const pairs = Object.entries(values).map(([pair, value]) => {
+    const [a, b] = pair.split("-");
+    return { pair, a, b, bands: { alpha: value } };
+  });
+  return {
+    source: "simulated",
+    bands: ["alpha"],
+    pairs,
+    preferred: pairs.map((p) => p.pair),
+    segments: 0,
+    resolution: null,
+    settings: null,
+  };
+}
@@ -0,0 +1,31 @@
+import { measureCoherence, pairLabel } from "./coherence";
+import { FS, noise } from "../testUtils/signals";
+
+describe("measureCoherence", () => {
+  const n = FS * 30;
+  const shared = noise(n, 9);
+  const [own1, own2] = [noise(n, 1), noise(n, 2)];
+  const channelData = {
+    F3: shared.map((v, i) => v + 0.1 * own1[i]),
+    P3: shared.map((v, i) => 0.5 * v + 0.1 * own2[i]),
+    O2: noise(n, 3),
+  };
+  const result = measureCoherence(channelData, FS);
+  const pair = (a, b) => result.pairs.find((p) => p.pair === pairLabel(a, b));
+
+  it("is close to 1 in every band for channels driven by a common source", () => {
+    Object.values(pair("F3", "P3").bands).forEach((msc) => expect(msc).toBeGreaterThan(0.8));
+  });
+
+  it("is low between independent channels", () => {
+    Object.values(pair("F3", "O2").bands).forEach((msc) => expect(msc).toBeLessThan(0.3));
+  });
+
+  it("stays within 0–1 for every pair and band", () => {
+    expect(result.pairs).toHaveLength(3);
+    result.pairs.forEach((p) => Object.values(p.bands).forEach((msc) => {
+      expect(msc).toBeGreaterThanOrEqual(0);
+      expect(msc).toBeLessThanOrEqual(1);
+    }));
+  });
+});
@@ -0,0 +1,66 @@
+// feat: side-by-side comparison of two analysis results (patient vs control, before vs after)
+// docs: A is the result on screen, B the one it is compared with; every delta is A − B
+// docs: both results are read as stored — nothing is recomputed, so each keeps its own settings and model
+// chore: findings of each result for the report diff — its own z-scores and scoring profile
+import { reportFindings } from "./findings";
+import { normativeOf } from "./norms";
+import { profileOf } from "./profiles";
+
+// ─────────────────────────────────────────────────────────────
+// feat: per-electrode band power difference on the electrodes both results recorded
+// docs: returns { electrode: { band: A − B } }
+// ─────────────────────────────────────────────────────────────
+export function channelBandDeltas(a, b) {
+  const deltas = {};
+  Object.entries(a || {}).forEach(([name, powersA]) => {
+    const powersB = b && b[name];
+    if (!powersB) return;
+    deltas[name] = {};
+    Object.keys(powersA).forEach((band) => {
+      if (Number.isFinite(powersA[band]) && Number.isFinite(powersB[band])) {
+        deltas[name][band] = powersA[band] - powersB[band];
+      }
+    });
+  });
+  return deltas;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: Shapley value of every feature in A and B and their difference
+// docs: features only one model uses keep null on the other side (delta = its own value)
+// docs: returns [{ name, a, b, delta }] sorted by |delta|, largest first
+// ─────────────────────────────────────────────────────────────
+export function shapDeltas(shapA, shapB) {
+  const rows = new Map();
+  (shapA || []).forEach((s) => rows.set(s.name, { name: s.name, a: s.value, b: null }));
+  (shapB || []).forEach((s) => {
+    const row = rows.get(s.name) || { name: s.name, a: null, b: null };
+    rows.set(s.name, { ...row, b: s.value });
+  });
+  return [...rows.values()]
+    .map((row) => ({ ...row, delta: (row.a ?? 0) - (row.b ?? 0) }))
+    .sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: clinical report findings diff, matched by finding key
+// docs: status "added" (only in A), "resolved" (only in B), "changed" (severity or text differs)
+// docs: or "unchanged"; returns [{ key, status, a, b }] with added/resolved first
+// ─────────────────────────────────────────────────────────────
+const STATUS_ORDER = { added: 0, resolved: 1, changed: 2, unchanged: 3 };
+
+// docs: each result is judged against its own norm group, by the finding rules of its own profile
+export function diffFindings(resultsA, resultsB) {
+  const findingsA = reportFindings(normativeOf(resultsA), profileOf(resultsA));
+  const findingsB = reportFindings(normativeOf(resultsB), profileOf(resultsB));
+  const keys = [...new Set([...findingsA, ...findingsB].map((f) => f.key))];
+
+  return keys
+    .map((key) => {
+      const a = findingsA.find((f) => f.key === key) || null;
+      const b = findingsB.find((f) => f.key === key) || null;
+      const status = !b ? "added" : !a ? "resolved" : a.text !== b.text || a.severity !== b.severity ? "changed" : "unchanged";
+      return { key, status, a, b };
+    })
+    .sort((x, y) => STATUS_ORDER[x.status] - STATUS_ORDER[y.status]);
+}
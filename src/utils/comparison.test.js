@@ -0,0 +1,43 @@
+import { channelBandDeltas, shapDeltas, diffFindings } from "./comparison";
+import { DEFAULT_PROFILE } from "./profiles";
+import { normative } from "../testUtils/normative";
+
+describe("channelBandDeltas", () => {
+  it("subtracts B from A on the electrodes and bands both have", () => {
+    const deltas = channelBandDeltas(
+      { Cz: { alpha: 30, theta: NaN }, Pz: { alpha: 10 } },
+      { Cz: { alpha: 20, theta: 5 }, O1: { alpha: 40 } },
+    );
+    expect(deltas).toEqual({ Cz: { alpha: 10 } });
+    expect(channelBandDeltas(null, {})).toEqual({});
+  });
+});
+
+describe("shapDeltas", () => {
+  it("matches features by name and sorts by the size of the change", () => {
+    const rows = shapDeltas(
+      [{ name: "alpha", value: 4 }, { name: "theta", value: -1 }],
+      [{ name: "alpha", value: 3 }, { name: "hfd", value: 6 }],
+    );
+    expect(rows).toEqual([
+      { name: "hfd", a: null, b: 6, delta: -6 },
+      { name: "alpha", a: 4, b: 3, delta: 1 },
+      { name: "theta", a: -1, b: null, delta: -1 },
+    ]);
+  });
+});
+
+describe("diffFindings", () => {
+  it("marks findings added, resolved, changed or unchanged, new ones first", () => {
+    const a = { normative: normative({ alpha: -3, delta: 2.5, theta: 2.2, gamma: 0 }), profile: DEFAULT_PROFILE };
+    const b = { normative: normative({ alpha: -2.5, delta: 0, theta: 2.2, gamma: 2.1 }) };
+    const diff = diffFindings(a, b);
+    expect(diff.map((d) => [d.key, d.status])).toEqual([
+      ["delta", "added"],
+      ["gamma", "resolved"],
+      ["alpha", "changed"],
+      ["theta", "unchanged"],
+    ]);
+    expect(diff[1].a).toBeNull();
+  });
+});
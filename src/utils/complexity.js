@@ -0,0 +1,298 @@
+// feat: nonlinear complexity features — reduced EEG complexity is a reported schizophrenia marker
+// docs: computed on the preprocessed signal of every channel in every clean epoch (the artifact epochs),
+// docs: then averaged per channel and over the head:
+// docs:   hfd     Higuchi fractal dimension (curve length over lags 1..kmax)
+// docs:   kfd     Katz fractal dimension (total length vs. planar extent)
+// docs:   sampen  sample entropy — −ln of the chance that templates matching for m points (Chebyshev
+// docs:           distance ≤ r × SD of the epoch) still match at m + 1; null when no template matches
+// docs:   permen  permutation entropy of the ordinal patterns of `order` points, normalized to 0–1
+// docs:   lzc     Lempel-Ziv (1976) complexity of the signal binarized at its median, normalized by n / log2 n
+// docs: every measure is linear or n log n in the epoch length except sample entropy, which compares
+// docs: value-sorted templates only with neighbours within r and uses at most maxSamples points per epoch
+// docs: recordings sampled well above `rate` are decimated first (the band-pass has already removed
+// docs: what would alias) — the measures depend on the sample rate, and it keeps long recordings fast
+
+// chore: epochs for recordings without artifact detection (SHAP cohort subjects)
+import { makeEpochs } from "./artifacts";
+// chore: scalp region of an electrode (region feature names)
+import { regionOf } from "./spectralFeatures";
+
+// docs: the measures, their display label and the feature name a model file uses
+export const COMPLEXITY_MEASURES = {
+  hfd: { label: "Higuchi FD", digits: 3 },
+  kfd: { label: "Katz FD", digits: 3 },
+  sampen: { label: "Sample entropy", digits: 3 },
+  permen: { label: "Permutation entropy", digits: 3 },
+  lzc: { label: "Lempel-Ziv", digits: 3 },
+};
+
+// docs: default parameters — recorded with every result
+export const DEFAULT_COMPLEXITY_SETTINGS = {
+  kmax: 10,         // docs: Higuchi's largest lag
+  m: 2,             // docs: sample entropy template length
+  r: 0.2,           // docs: sample entropy tolerance, × SD of the epoch
+  order: 3,         // docs: permutation entropy pattern length (3–7)
+  delay: 1,         // docs: permutation entropy lag in samples
+  maxSamples: 1024, // docs: sample entropy uses the first maxSamples points of longer epochs
+  rate: 256,        // docs: lowest sample rate (Hz) decimation may bring a recording down to
+};
+
+const MEASURES = Object.keys(COMPLEXITY_MEASURES);
+
+const round = (value) => (value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(4)));
+
+// feat: least-squares slope of y over x
+function slope(xs, ys) {
+  const n = xs.length;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) * (xs[i] - mx);
+  }
+  return sxx > 0 ? sxy / sxx : null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: Higuchi fractal dimension
+// docs: L(k) = mean over offsets m of the normalized curve length at lag k; FD = slope of ln L(k) over ln(1/k)
+// ─────────────────────────────────────────────────────────────
+export function higuchiFD(x, kmax = DEFAULT_COMPLEXITY_SETTINGS.kmax) {
+  const n = x.length;
+  const lnK = [];
+  const lnL = [];
+  for (let k = 1; k <= kmax; k++) {
+    let sum = 0;
+    let count = 0;
+    for (let m = 0; m < k; m++) {
+      const steps = Math.floor((n - m - 1) / k);
+      if (steps < 1) continue;
+      let length = 0;
+      for (let i = 1; i <= steps; i++) length += Math.abs(x[m + i * k] - x[m + (i - 1) * k]);
+      sum += (length * (n - 1)) / (steps * k) / k;
+      count++;
+    }
+    if (count && sum > 0) {
+      lnK.push(Math.log(1 / k));
+      lnL.push(Math.log(sum / count));
+    }
+  }
+  return lnK.length >= 2 ? slope(lnK, lnL) : null;
+}
+
+// feat: Katz fractal dimension — log10(L / a) / log10(d / a), a = mean step, d = largest distance from the first point
+export function katzFD(x) {
+  const n = x.length;
+  if (n < 2) return null;
+  let length = 0;
+  let extent = 0;
+  for (let i = 1; i < n; i++) {
+    length += Math.abs(x[i] - x[i - 1]);
+    extent = Math.max(extent, Math.abs(x[i] - x[0]));
+  }
+  const step = length / (n - 1);
+  if (!(step > 0) || extent <= step) return null;
+  return Math.log10(length / step) / Math.log10(extent / step);
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: sample entropy (Richman & Moorman)
+// docs: the n − m templates are sorted by their first value, so each one is only compared with the
+// docs: templates whose first value lies within r — every matching pair is still counted exactly once
+// ─────────────────────────────────────────────────────────────
+export function sampleEntropy(x, m = DEFAULT_COMPLEXITY_SETTINGS.m, r = DEFAULT_COMPLEXITY_SETTINGS.r) {
+  const n = x.length;
+  const templates = n - m;
+  if (templates < 2) return null;
+  let mean = 0;
+  for (let i = 0; i < n; i++) mean += x[i];
+  mean /= n;
+  let variance = 0;
+  for (let i = 0; i < n; i++) variance += (x[i] - mean) * (x[i] - mean);
+  const tolerance = r * Math.sqrt(variance / (n - 1));
+  if (!(tolerance > 0)) return null;
+
+  // perf: a typed index array sorts about twice as fast as a plain one
+  const order = new Uint32Array(templates);
+  for (let i = 0; i < templates; i++) order[i] = i;
+  order.sort((a, b) => x[a] - x[b]);
+  let matchesM = 0;
+  let matchesM1 = 0;
+  for (let a = 0; a < templates; a++) {
+    const i = order[a];
+    for (let b = a + 1; b < templates; b++) {
+      const j = order[b];
+      if (x[j] - x[i] > tolerance) break;
+      let match = true;
+      for (let k = 1; k < m; k++) {
+        if (Math.abs(x[i + k] - x[j + k]) > tolerance) { match = false; break; }
+      }
+      if (!match) continue;
+      matchesM++;
+      if (Math.abs(x[i + m] - x[j + m]) <= tolerance) matchesM1++;
+    }
+  }
+  return matchesM > 0 && matchesM1 > 0 ? -Math.log(matchesM1 / matchesM) : null;
+}
+
+// feat: normalized permutation entropy (Bandt & Pompe) — patterns coded by their Lehmer code
+export function permutationEntropy(x, order = DEFAULT_COMPLEXITY_SETTINGS.order, delay = DEFAULT_COMPLEXITY_SETTINGS.delay) {
+  const count = x.length - (order - 1) * delay;
+  if (count < 1) return null;
+  let patterns = 1;
+  for (let i = 2; i <= order; i++) patterns *= i;
+  const histogram = new Float64Array(patterns);
+
+  for (let t = 0; t < count; t++) {
+    let code = 0;
+    for (let a = 0; a < order; a++) {
+      let smaller = 0;
+      const va = x[t + a * delay];
+      for (let b = a + 1; b < order; b++) if (x[t + b * delay] < va) smaller++;
+      code = code * (order - a) + smaller;
+    }
+    histogram[code]++;
+  }
+
+  let entropy = 0;
+  histogram.forEach((c) => { if (c > 0) entropy -= (c / count) * Math.log(c / count); });
+  return entropy / Math.log(patterns);
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: Lempel-Ziv complexity (Kaspar & Schuster's LZ76 counter)
+// docs: binarized at the median; c(n) is normalized by n / log2(n), so white noise tends to 1
+// ─────────────────────────────────────────────────────────────
+export function lempelZiv(x) {
+  const n = x.length;
+  if (n < 2) return null;
+  const sorted = Float64Array.from(x).sort();
+  const median = n % 2 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+  const s = new Uint8Array(n);
+  for (let i = 0; i < n; i++) s[i] = x[i] > median ? 1 : 0;
+
+  let c = 1;
+  let l = 1;
+  let i = 0;
+  let k = 1;
+  let kmax = 1;
+  for (;;) {
+    if (s[i + k - 1] === s[l + k - 1]) {
+      k++;
+      if (l + k > n) { c++; break; }
+    } else {
+      if (k > kmax) kmax = k;
+      i++;
+      if (i === l) {
+        c++;
+        l += kmax;
+        if (l + 1 > n) break;
+        i = 0;
+        k = 1;
+        kmax = 1;
+      } else {
+        k = 1;
+      }
+    }
+  }
+  return (c * Math.log2(n)) / n;
+}
+
+// feat: every measure of one epoch of one channel
+function measureEpoch(x, s) {
+  return {
+    hfd: higuchiFD(x, s.kmax),
+    kfd: katzFD(x),
+    sampen: sampleEntropy(x.length > s.maxSamples ? x.subarray(0, s.maxSamples) : x, s.m, s.r),
+    permen: permutationEntropy(x, s.order, s.delay),
+    lzc: lempelZiv(x),
+  };
+}
+
+// feat: mean and SD of the defined values (null when there are none)
+function summarize(values) {
+  const defined = values.filter((v) => v !== null);
+  if (!defined.length) return { mean: null, sd: null };
+  const mean = defined.reduce((a, b) => a + b, 0) / defined.length;
+  const sd = defined.length > 1
+    ? Math.sqrt(defined.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (defined.length - 1))
+    : 0;
+  return { mean: round(mean), sd: round(sd) };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: decimation factor — the largest whole factor that keeps the rate at or above settings.rate
+// docs: and the low-pass edge below the new Nyquist frequency; 1 without a low-pass (nothing guards aliasing)
+// ─────────────────────────────────────────────────────────────
+function decimationFactor(sampleRate, rate, highCut) {
+  if (!highCut) return 1;
+  return Math.max(1, Math.min(Math.floor(sampleRate / rate), Math.floor(sampleRate / (2 * highCut))));
+}
+
+// feat: every factor-th sample of [start, end)
+function decimate(data, start, end, factor) {
+  if (factor === 1) return data.subarray(start, end);
+  const out = new Float64Array(Math.ceil((end - start) / factor));
+  for (let i = 0; i < out.length; i++) out[i] = data[start + i * factor];
+  return out;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: complexity of a recording, per channel and per epoch
+// docs: channelData = { [ch]: Float64Array } preprocessed samples; epochs = the artifact epochs
+// docs: ({ start, end, rejected }) — rejected ones are skipped unless all are rejected;
+// docs: highCut = the band-pass low-pass edge in Hz (null when the signal wasn't low-passed)
+// docs: returns { settings, sampleRate (after decimation), times: [epoch start s],
+// docs:   channels: { ch: { measure: { mean, sd, epochs: [...] } } }, global: { measure: mean over channels } }
+// ─────────────────────────────────────────────────────────────
+export function computeComplexity(channelData, sampleRate, epochs, settings = DEFAULT_COMPLEXITY_SETTINGS, highCut = null) {
+  const s = { ...DEFAULT_COMPLEXITY_SETTINGS, ...settings };
+  const names = Object.keys(channelData);
+  const kept = epochs.filter((e) => !e.rejected);
+  const used = kept.length ? kept : epochs;
+  if (!names.length || !used.length) return null;
+  const factor = decimationFactor(sampleRate, s.rate, highCut);
+
+  const channels = {};
+  names.forEach((ch) => {
+    const perEpoch = used.map((e) => measureEpoch(decimate(channelData[ch], e.start, e.end, factor), s));
+    channels[ch] = {};
+    MEASURES.forEach((measure) => {
+      const values = perEpoch.map((v) => round(v[measure]));
+      channels[ch][measure] = { ...summarize(values), epochs: values };
+    });
+  });
+
+  const global = {};
+  MEASURES.forEach((measure) => {
+    global[measure] = summarize(names.map((ch) => channels[ch][measure].mean)).mean;
+  });
+
+  return {
+    settings: s,
+    sampleRate: sampleRate / factor,
+    times: used.map((e) => parseFloat((e.start / sampleRate).toFixed(3))),
+    channels,
+    global,
+  };
+}
+
+// feat: complexity of an unsegmented recording — split into artifact-sized epochs first
+export function computeComplexityFromData(channelData, sampleRate, epochSeconds, settings, highCut = null) {
+  const length = Object.values(channelData)[0].length;
+  return computeComplexity(channelData, sampleRate, makeEpochs(length, sampleRate, epochSeconds), settings, highCut);
+}
+
+// feat: a measure at a location — the head (null), an electrode or a region (mean of its electrodes); NaN when absent
+export function complexityAt(complexity, measure, location) {
+  if (!complexity) return NaN;
+  if (!location) return complexity.global[measure] ?? NaN;
+  if (complexity.channels[location]) return complexity.channels[location][measure].mean ?? NaN;
+  const members = Object.keys(complexity.channels)
+    .filter((ch) => regionOf(ch) === location)
+    .map((ch) => complexity.channels[ch][measure].mean)
+    .filter((v) => v !== null);
+  return members.length ? members.reduce((a, b) => a + b, 0) / members.length : NaN;
+}
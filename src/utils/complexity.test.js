@@ -0,0 +1,61 @@
+import { higuchiFD, katzFD, sampleEntropy, permutationEntropy, lempelZiv } from "./complexity";
+import { noise } from "../testUtils/signals";
+
+const sine = (n, period) => Float64Array.from({ length: n }, (_, i) => Math.sin((2 * Math.PI * i) / period));
+
+// feat: Richman & Moorman by definition — every template pair compared
+function naiveSampleEntropy(x, m, r) {
+  const n = x.length;
+  const mean = x.reduce((a, b) => a + b, 0) / n;
+  const tolerance = r * Math.sqrt(x.reduce((a, v) => a + (v - mean) ** 2, 0) / (n - 1));
+  let b = 0;
+  let a = 0;
+  for (let i = 0; i < n - m; i++) {
+    for (let j = i + 1; j < n - m; j++) {
+      let match = true;
+      for (let k = 0; k < m; k++) if (Math.abs(x[i + k] - x[j + k]) > tolerance) match = false;
+      if (!match) continue;
+      b++;
+      if (Math.abs(x[i + m] - x[j + m]) <= tolerance) a++;
+    }
+  }
+  return -Math.log(a / b);
+}
+
+describe("higuchiFD", () => {
+  it("is about 2 for white noise and about 1 for a smooth sine", () => {
+    expect(higuchiFD(noise(2048, 3))).toBeCloseTo(2, 1);
+    expect(higuchiFD(sine(2048, 128))).toBeLessThan(1.1);
+  });
+});
+
+describe("katzFD", () => {
+  it("ranks noise above a sine", () => {
+    expect(katzFD(noise(1024, 3))).toBeGreaterThan(katzFD(sine(1024, 128)));
+  });
+});
+
+describe("sampleEntropy", () => {
+  it.each([[2, 0.2], [3, 0.15]])("matches the definition (m = %i, r = %f)", (m, r) => {
+    const x = noise(400, 11).map((v, i) => v + Math.sin(i / 5));
+    expect(sampleEntropy(x, m, r)).toBeCloseTo(naiveSampleEntropy(x, m, r), 12);
+  });
+
+  it("is null for a constant signal", () => {
+    expect(sampleEntropy(new Float64Array(100).fill(2))).toBeNull();
+  });
+});
+
+describe("permutationEntropy", () => {
+  it("is 0 for a monotonic ramp and close to 1 for noise", () => {
+    expect(permutationEntropy(Float64Array.from({ length: 200 }, (_, i) => i))).toBe(0);
+    expect(permutationEntropy(noise(5000, 3), 4)).toBeGreaterThan(0.98);
+  });
+});
+
+describe("lempelZiv", () => {
+  it("is close to 1 for noise and low for a periodic signal", () => {
+    expect(lempelZiv(noise(4096, 3))).toBeGreaterThan(0.9);
+    expect(lempelZiv(sine(4096, 64))).toBeLessThan(0.1);
+  });
+});
@@ -0,0 +1,258 @@
+// feat: counterfactual explanations — the smallest plausible change that moves a result into another risk level
+// docs: the search treats the scoring function as a black box: the recording's band powers and coherence
+// docs: are exposed as levers, each lever is moved and the result re-scored with scoreRecording
+// docs:   band power lever — scales one band on the channel average and on every electrode alike
+// docs:   coherence lever — shifts one band's coherence on every pair alike (clamped to 0–1)
+// docs: changes are measured in SD units — the norm group's SD for band powers (so a change is a change
+// docs: of z-score), COHERENCE_SD for coherence — and kept within ±PLAUSIBLE_SD of the norm group's mean
+// docs: a counterfactual is the greedy path to the target level, pruned back to the smallest change that still reaches it
+
+// chore: band list and the subject's norm group
+import { NORM_BANDS, normativeOf } from "./norms";
+// chore: the result's own scoring rules
+import { profileOf, BAND_SYMBOLS } from "./profiles";
+// chore: risk levels and the scorer
+import { classifyRisk } from "./eegUtils";
+import { BUILTIN_MODEL, withProfile, scoreRecording } from "./models";
+
+// docs: coherence has no norm set — a 0.1 change counts as one SD
+export const COHERENCE_SD = 0.1;
+// docs: the plausible range of a lever, in SD around the norm group's mean (always including the recorded value)
+export const PLAUSIBLE_SD = 4;
+
+// docs: probe steps of the greedy search, in SD — a coarse ladder so integer scores and flat tree regions still move;
+// docs: Infinity probes the end of the plausible range (a score clamped at 0 or 100 only moves from far away)
+const PROBES = [0.1, 0.25, 0.5, 1, 2, 4, Infinity];
+const MAX_STEPS = 60;
+// docs: bisection rounds when shrinking a change back towards the recording
+const REFINE = 12;
+
+// ─────────────────────────────────────────────────────────────
+// feat: the model a result can be re-scored with
+// docs: formula results are rebuilt from their own profile; a loaded classifier only if it is the one
+// docs: that scored the result (same name and version) — otherwise null and the caller says which is needed
+// ─────────────────────────────────────────────────────────────
+export function counterfactualModel(results, activeModel) {
+  const stored = results.model || { type: "formula" };
+  if (stored.type === "formula") return withProfile(BUILTIN_MODEL, profileOf(results));
+  if (activeModel && activeModel.name === stored.name && String(activeModel.version) === String(stored.version)) return activeModel;
+  return null;
+}
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+// feat: mean coherence of one band over the pairs that have it — null when the band wasn't measured
+function meanCoherence(coherence, band) {
+  if (!coherence) return null;
+  const values = coherence.pairs.map((p) => p.bands[band]).filter(Number.isFinite);
+  return values.length ? mean(values) : null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: the levers of a result
+// docs: returns [{ id, kind: "power" | "coherence", band, label, value, sd, min, max, z }] —
+// docs: z is the band power's z-score against the norm group (null for coherence)
+// ─────────────────────────────────────────────────────────────
+export function counterfactualLevers(results) {
+  const { reference } = normativeOf(results);
+  const levers = [];
+  NORM_BANDS.forEach((band) => {
+    const value = results.bandPowers && results.bandPowers[band];
+    if (!Number.isFinite(value)) return;
+    const { mean: m, sd } = reference[band];
+    levers.push({
+      id: `power.${band}`,
+      kind: "power",
+      band,
+      label: `${BAND_SYMBOLS[band]} power`,
+      value,
+      sd,
+      min: Math.max(0, Math.min(value, m - PLAUSIBLE_SD * sd)),
+      max: Math.max(value, m + PLAUSIBLE_SD * sd),
+      z: (value - m) / sd,
+    });
+  });
+  NORM_BANDS.forEach((band) => {
+    const value = meanCoherence(results.coherence, band);
+    if (value === null) return;
+    levers.push({
+      id: `coherence.${band}`,
+      kind: "coherence",
+      band,
+      label: `${BAND_SYMBOLS[band]} coherence`,
+      value,
+      sd: COHERENCE_SD,
+      min: 0,
+      max: 1,
+      z: null,
+    });
+  });
+  return levers;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: the analysis context with the levers set to new values ({ id: value }, missing ids unchanged)
+// docs: band powers keep their shape across electrodes (one factor per band); coherence keeps
+// docs: the differences between pairs (one offset per band)
+// ─────────────────────────────────────────────────────────────
+export function applyLevers(results, levers, values) {
+  const bandPowers = { ...results.bandPowers };
+  const channelBandPowers = {};
+  Object.entries(results.channelBandPowers || {}).forEach(([electrode, powers]) => {
+    channelBandPowers[electrode] = { ...powers };
+  });
+  const shifts = {};
+
+  levers.forEach((lever) => {
+    const value = values[lever.id];
+    if (value === undefined || value === lever.value) return;
+    if (lever.kind === "power") {
+      const factor = lever.value > 0 ? value / lever.value : null;
+      bandPowers[lever.band] = value;
+      Object.values(channelBandPowers).forEach((powers) => {
+        if (Number.isFinite(powers[lever.band])) powers[lever.band] = factor === null ? value : powers[lever.band] * factor;
+      });
+    } else {
+      shifts[lever.band] = value - lever.value;
+    }
+  });
+
+  let coherence = results.coherence || null;
+  if (coherence && Object.keys(shifts).length) {
+    coherence = {
+      ...coherence,
+      pairs: coherence.pairs.map((p) => {
+        const bands = { ...p.bands };
+        Object.entries(shifts).forEach(([band, shift]) => {
+          if (Number.isFinite(bands[band])) bands[band] = Math.min(1, Math.max(0, bands[band] + shift));
+        });
+        return { ...p, bands };
+      }),
+    };
+  }
+  return {
+    bandPowers,
+    channelBandPowers,
+    coherence,
+    spectral: results.spectralFeatures || null,
+    complexity: results.complexity || null,
+  };
+}
+
+// feat: score and level of the result with the levers set to new values — the what-if panel's live readout
+export function whatIfScore(model, results, levers, values) {
+  const profile = profileOf(results);
+  const { score } = scoreRecording(model, applyLevers(results, levers, values), profile);
+  return { score, classification: classifyRisk(score, profile) };
+}
+
+// docs: total change of a lever setting in SD units (L1 — favours changing few levers)
+const distanceOf = (levers, values) => levers.reduce((sum, l) => sum + Math.abs(values[l.id] - l.value) / l.sd, 0);
+
+// ─────────────────────────────────────────────────────────────
+// feat: search towards one target — the next level up (score ≥ its min) or down (score below the current min)
+// docs: greedy — every step tries each lever both ways over the probe ladder and takes the move with the
+// docs: best score gain per SD; then every changed lever is bisected back towards the recording while the target
+// docs: still holds, largest change first
+// ─────────────────────────────────────────────────────────────
+function searchTarget(score, levers, start, reached, progress) {
+  const values = { ...start };
+  let current = score(values);
+  for (let step = 0; step < MAX_STEPS && !reached(current); step++) {
+    let best = null;
+    // fix: plain loops — the step loop reassigns current, so no callbacks may close over it
+    const baseline = progress(current);
+    for (const lever of levers) {
+      for (const dir of [-1, 1]) {
+        for (const probe of PROBES) {
+          const to = Math.min(lever.max, Math.max(lever.min, values[lever.id] + dir * probe * lever.sd));
+          if (to === values[lever.id]) continue;
+          const candidate = { ...values, [lever.id]: to };
+          const s = score(candidate);
+          const gain = progress(s) - baseline;
+          if (gain <= 0) continue;
+          const rate = gain / (Math.abs(to - values[lever.id]) / lever.sd);
+          if (!best || rate > best.rate) best = { rate, candidate, s };
+        }
+      }
+    }
+    if (!best) return null;
+    Object.assign(values, best.candidate);
+    current = best.s;
+  }
+  if (!reached(current)) return null;
+
+  // docs: prune — shrink each change while the target still holds
+  const order = [...levers].sort((a, b) => Math.abs(values[b.id] - b.value) / b.sd - Math.abs(values[a.id] - a.value) / a.sd);
+  order.forEach((lever) => {
+    const far = values[lever.id];
+    if (far === lever.value) return;
+    if (reached(score({ ...values, [lever.id]: lever.value }))) {
+      values[lever.id] = lever.value;
+      return;
+    }
+    let lo = 0;
+    let hi = 1;
+    for (let i = 0; i < REFINE; i++) {
+      const mid = (lo + hi) / 2;
+      if (reached(score({ ...values, [lever.id]: lever.value + mid * (far - lever.value) }))) hi = mid;
+      else lo = mid;
+    }
+    values[lever.id] = lever.value + hi * (far - lever.value);
+  });
+  return { values, score: score(values) };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: counterfactuals of a result — one per neighbouring risk level
+// docs: returns [{ direction: "up" | "down", level, boundary, reachable, score, distance,
+// docs:   changes: [{ id, label, kind, from, to, sd }], values }] — values is the full lever setting
+// docs: (for the what-if sliders); changes only lists the levers that move, largest first
+// ─────────────────────────────────────────────────────────────
+export function findCounterfactuals(model, results, levers = counterfactualLevers(results)) {
+  const profile = profileOf(results);
+  const baseline = Object.fromEntries(levers.map((l) => [l.id, l.value]));
+  const cache = new Map();
+  const score = (values) => {
+    const key = levers.map((l) => values[l.id]).join("|");
+    if (!cache.has(key)) cache.set(key, scoreRecording(model, applyLevers(results, levers, values), profile).score);
+    return cache.get(key);
+  };
+
+  const start = score(baseline);
+  const index = profile.levels.findIndex((l) => start >= l.min);
+  const targets = [];
+  // docs: levels run from highest to lowest — index − 1 is the next level up
+  if (index > 0) {
+    const level = profile.levels[index - 1];
+    targets.push({ direction: "up", level, boundary: level.min, reached: (s) => s >= level.min, progress: (s) => s });
+  }
+  if (index >= 0 && index < profile.levels.length - 1) {
+    const boundary = profile.levels[index].min;
+    targets.push({ direction: "down", level: profile.levels[index + 1], boundary, reached: (s) => s < boundary, progress: (s) => -s });
+  }
+
+  return targets.map(({ direction, level, boundary, reached, progress }) => {
+    const found = searchTarget(score, levers, baseline, reached, progress);
+    const base = { direction, level: level.name, color: level.color, boundary };
+    if (!found) return { ...base, reachable: false, score: null, distance: null, changes: [], values: null };
+    const changes = levers
+      .filter((l) => found.values[l.id] !== l.value)
+      .map((l) => ({ id: l.id, label: l.label, kind: l.kind, from: l.value, to: found.values[l.id], sd: (found.values[l.id] - l.value) / l.sd }))
+      .sort((a, b) => Math.abs(b.sd) - Math.abs(a.sd));
+    return {
+      ...base,
+      reachable: true,
+      score: found.score,
+      distance: parseFloat(distanceOf(levers, found.values).toFixed(2)),
+      changes,
+      values: found.values,
+    };
+  });
+}
+
+// feat: "α power 1.21 → 0.98 (−0.6 SD)"
+export function describeChange(change) {
+  const digits = change.kind === "coherence" ? 2 : 3;
+  return `${change.label} ${change.from.toFixed(digits)} → ${change.to.toFixed(digits)} (${change.sd >= 0 ? "+" : "−"}${Math.abs(change.sd).toFixed(1)} SD)`;
+}
@@ -0,0 +1,68 @@
+import {
+  findCounterfactuals, counterfactualLevers, counterfactualModel, applyLevers, whatIfScore, describeChange, PLAUSIBLE_SD,
+} from "./counterfactual";
+import { BUILTIN_BAND_MEANS } from "./norms";
+import { BUILTIN_MODEL, parseModel } from "./models";
+
+// docs: a recording at the built-in means scores 0 (Low Risk) with the built-in formula
+const results = {
+  bandPowers: { ...BUILTIN_BAND_MEANS },
+  channelBandPowers: { Cz: { ...BUILTIN_BAND_MEANS }, Pz: { ...BUILTIN_BAND_MEANS, alpha: 2 * BUILTIN_BAND_MEANS.alpha } },
+  coherence: { pairs: [{ bands: { alpha: 0.5 } }, { bands: { alpha: 0.95 } }] },
+};
+
+describe("counterfactualLevers", () => {
+  it("exposes every band power and every measured coherence band", () => {
+    const levers = counterfactualLevers(results);
+    expect(levers.map((l) => l.id)).toEqual(["power.delta", "power.theta", "power.alpha", "power.beta", "power.gamma", "coherence.alpha"]);
+    const alpha = levers.find((l) => l.id === "power.alpha");
+    expect(alpha.z).toBe(0);
+    expect(alpha.max).toBeCloseTo(alpha.value + PLAUSIBLE_SD * alpha.sd, 10);
+    expect(levers[5].value).toBeCloseTo(0.725, 10);
+  });
+});
+
+describe("applyLevers", () => {
+  it("scales a band on every electrode and shifts coherence within 0–1", () => {
+    const levers = counterfactualLevers(results);
+    const context = applyLevers(results, levers, { "power.alpha": BUILTIN_BAND_MEANS.alpha / 2, "coherence.alpha": 0.925 });
+    expect(context.bandPowers.alpha).toBeCloseTo(BUILTIN_BAND_MEANS.alpha / 2, 10);
+    expect(context.channelBandPowers.Pz.alpha).toBeCloseTo(BUILTIN_BAND_MEANS.alpha, 10);
+    expect(context.coherence.pairs[0].bands.alpha).toBeCloseTo(0.7, 10);
+    expect(context.coherence.pairs[1].bands.alpha).toBe(1);
+    expect(results.channelBandPowers.Pz.alpha).toBe(2 * BUILTIN_BAND_MEANS.alpha);
+  });
+});
+
+describe("findCounterfactuals", () => {
+  it("finds the smallest change reaching the next level up", () => {
+    const levers = counterfactualLevers(results);
+    const [up, ...rest] = findCounterfactuals(BUILTIN_MODEL, results, levers);
+    expect(rest).toEqual([]);
+    expect(up).toMatchObject({ direction: "up", level: "Moderate", reachable: true });
+    expect(up.score).toBeGreaterThanOrEqual(40);
+
+    // docs: the what-if readout agrees, and undoing a little of the change drops back below the boundary
+    expect(whatIfScore(BUILTIN_MODEL, results, levers, up.values).classification.level).toBe("Moderate");
+    const [largest] = up.changes;
+    const lever = levers.find((l) => l.id === largest.id);
+    const backed = { ...up.values, [largest.id]: largest.to - 0.05 * (largest.to - lever.value) };
+    expect(whatIfScore(BUILTIN_MODEL, results, levers, backed).score).toBeLessThan(40);
+    expect(describeChange(largest)).toMatch(/^. power \d\.\d{3} → \d\.\d{3} \([+−]\d\.\d SD\)$/);
+  });
+
+  it("reports a level out of reach within the plausible range", () => {
+    const { model } = parseModel(JSON.stringify({ type: "logistic", features: ["gamma"], coefficients: [0.001], intercept: -5 }));
+    const [up] = findCounterfactuals(model, results);
+    expect(up).toMatchObject({ direction: "up", reachable: false, changes: [], values: null });
+  });
+});
+
+describe("counterfactualModel", () => {
+  it("re-scores with the classifier only when it scored the result", () => {
+    const loaded = { type: "logistic", name: "risk", version: "2" };
+    expect(counterfactualModel(results, loaded).type).toBe("formula");
+    expect(counterfactualModel({ ...results, model: { type: "logistic", name: "risk", version: 2 } }, loaded)).toBe(loaded);
+    expect(counterfactualModel({ ...results, model: { type: "logistic", name: "risk", version: "1" } }, loaded)).toBeNull();
+  });
+});
@@ -1,45 +1,81 @@
 // feat: CSV upload parsing and real EEG signal analysis utilities
-// docs: parses uploaded CSV files with columns: time, Fp1, F3, C3, P3, O1
-// docs: estimates frequency band powers from real signal data using heuristic spectral analysis
+// docs: parses uploaded CSV files with a time column plus any number of EEG channel columns
+// docs: estimates frequency band powers from real signal data using Welch spectral analysis
 
 // chore: import shared analysis utilities from eegUtils
-import { computeRiskScore, classifyRisk, computeCoherence, mulberry32 } from "./eegUtils";
+import { classifyRisk, keyDeviation, generateEEGSignal, computeBandPowers, computeCoherence } from "./eegUtils";
+// chore: healthy reference scale and z-scores against the subject's norm group
+import { BUILTIN_BAND_MEANS, BUILTIN_NORMS, normativeDeviations } from "./norms";
+// chore: electrode label normalization and montage helpers
+import { detectChannelMapping, getSignalChannels, getChannelData } from "./channelMapping";
+// chore: Welch PSD engine and band definitions
+import { computeSpectrum, computeSpectrumFromData, welchPSD, bandPowersFromPSD, EEG_BANDS } from "./spectral";
+// chore: detrend / notch / band-pass preprocessing stage
+import { preprocessSignal, validatePreprocessing } from "./filters";
+// chore: epoch-level artifact rejection
+import { detectArtifacts, DEFAULT_ARTIFACT_SETTINGS } from "./artifacts";
+// chore: cross-spectral coherence between recorded channels
+import { measureCoherence, simulatedCoherence } from "./coherence";
+// chore: extended spectral features per channel and region
+import { computeSpectralFeatures } from "./spectralFeatures";
+// chore: fractal dimension, entropy and Lempel-Ziv complexity per channel and epoch
+import { computeComplexity, computeComplexityFromData } from "./complexity";
+// chore: Shapley attributions of the model score
+import { explainScore } from "./shapley";
+// chore: pluggable risk models and local inference
+import { BUILTIN_MODEL, withProfile, scoreRecording, describeModel } from "./models";
+// chore: band edges, weights and cut-offs of the active scoring profile
+import { DEFAULT_PROFILE, profileRecord } from "./profiles";
+// chore: epoch-resampling interval of the risk score
+import { estimateUncertainty } from "./uncertainty";
+// chore: full-length display traces for the EEG viewer
+import { packTrace } from "./traces";
+
+// docs: accepted spellings of the time column header
+const TIME_COLUMN = /^(time|t|timestamp)(\s*\(s\))?$/i;
 
 // ─────────────────────────────────────────────────────────────
 // feat: parse raw CSV text into structured signal array
-// docs: expected CSV columns: time, Fp1, F3, C3, P3, O1
-// docs: returns { signal: [...], error: null } on success
-// docs: returns { signal: null, error: "..." } on validation failure
+// docs: expected CSV columns: time + EEG channels labelled with 10-20/10-10 names
+// docs: labels like "EEG Fp1-REF" or "FP1" are normalized; unknown columns are
+// docs: ignored unless the user maps them via channelOverrides ({ label: electrode })
+// docs: returns { signal: [...], mapping: [...], error: null } on success
+// docs: returns { signal: null, mapping, error: "..." } on validation failure
 // ─────────────────────────────────────────────────────────────
-export function parseCSV(text) {
+export function parseCSV(text, channelOverrides = {}) {
     // feat: split input text into individual lines, ignoring empty rows
     const lines = text.trim().split(/\r?\n/).filter((l) => l.trim() !== "");
 
     // fix: guard against empty or header-only files
     if (lines.length < 2) {
-        return { signal: null, error: "CSV must have a header row and at least one data row." };
+        return { signal: null, mapping: [], error: "CSV must have a header row and at least one data row." };
     }
 
-    // refactor: normalize header to lowercase for case-insensitive column matching
-    const header = lines[0].split(",").map((h) => h.trim().toLowerCase());
+    // refactor: keep original header labels — the channel mapper handles case and aliases
+    const header = lines[0].split(",").map((h) => h.trim().replace(/^"|"$/g, ""));
 
-    // feat: validate that all required EEG columns are present
-    const requiredCols = ["time", "fp1", "f3", "c3", "p3", "o1"];
-    const missing = requiredCols.filter((col) => !header.includes(col));
-    if (missing.length > 0) {
+    // feat: validate that a time column is present
+    const timeIndex = header.findIndex((h) => TIME_COLUMN.test(h));
+    if (timeIndex === -1) {
+        return { signal: null, mapping: [], error: "Missing required column: time." };
+    }
+
+    // feat: map every other column to a 10-20/10-10 electrode
+    const channelLabels = header.filter((_, i) => i !== timeIndex);
+    const mapping = detectChannelMapping(channelLabels, channelOverrides);
+    const mapped = mapping.filter((m) => m.electrode);
+    if (mapped.length === 0) {
         return {
             signal: null,
-            error: "Missing required columns: " + missing.join(", ") + ". Expected: time, Fp1, F3, C3, P3, O1",
+            mapping,
+            error: "No EEG channels recognized in columns: " + channelLabels.join(", ") + ". Map them to electrodes below.",
         };
     }
 
     // perf: pre-compute column indices once for fast row parsing
-    const colIndex = {};
-    requiredCols.forEach((col) => {
-        colIndex[col] = header.indexOf(col);
-    });
+    const columns = mapped.map((m) => ({ electrode: m.electrode, index: header.indexOf(m.label) }));
 
-    // feat: parse each data row into structured { time, Fp1, F3, C3, P3, O1 } object
+    // feat: parse each data row into structured { time, <electrode>: value, ... } object
     const signal = [];
     for (let i = 1; i < lines.length; i++) {
         const cells = lines[i].split(",").map((c) => c.trim());
@@ -47,30 +83,29 @@ export function parseCSV(text) {
         // fix: skip rows with insufficient columns (malformed lines)
         if (cells.length < header.length) continue;
 
-        const time = parseFloat(cells[colIndex["time"]]);
-        const Fp1 = parseFloat(cells[colIndex["fp1"]]);
-        const F3 = parseFloat(cells[colIndex["f3"]]);
-        const C3 = parseFloat(cells[colIndex["c3"]]);
-        const P3 = parseFloat(cells[colIndex["p3"]]);
-        const O1 = parseFloat(cells[colIndex["o1"]]);
-
-        // fix: skip rows with non-numeric values (corrupted data)
-        if ([time, Fp1, F3, C3, P3, O1].some(isNaN)) continue;
-
-        signal.push({ time, Fp1, F3, C3, P3, O1 });
+        const time = parseFloat(cells[timeIndex]);
+        const point = { time };
+        let valid = !isNaN(time);
+        for (let c = 0; c < columns.length && valid; c++) {
+            const value = parseFloat(cells[columns[c].index]);
+            // fix: skip rows with non-numeric values (corrupted data)
+            if (isNaN(value)) valid = false;
+            point[columns[c].electrode] = value;
+        }
+        if (valid) signal.push(point);
     }
 
     // fix: return error if no valid data rows were found after parsing
     if (signal.length === 0) {
-        return { signal: null, error: "No valid numeric data rows found in the CSV." };
+        return { signal: null, mapping, error: "No valid numeric data rows found in the CSV." };
     }
 
     // fix: require minimum 128 samples (~0.5s at 256Hz) for reliable frequency analysis
     if (signal.length < 128) {
-        return { signal: null, error: "CSV too short (" + signal.length + " rows). Need at least 128 data rows (~0.5 seconds at 256Hz) for accurate frequency analysis." };
+        return { signal: null, mapping, error: "CSV too short (" + signal.length + " rows). Need at least 128 data rows (~0.5 seconds at 256Hz) for accurate frequency analysis." };
     }
 
-    return { signal, error: null };
+    return { signal, mapping, error: null };
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -78,7 +113,7 @@ export function parseCSV(text) {
 // docs: uses the time difference between the first two samples
 // docs: defaults to 256 Hz if signal is too short or invalid
 // ─────────────────────────────────────────────────────────────
-function estimateSampleRate(signal) {
+export function estimateSampleRate(signal) {
     // fix: fallback to standard EEG sample rate if insufficient data
     if (signal.length < 2) return 256;
     const dt = signal[1].time - signal[0].time;
@@ -87,190 +122,358 @@ function estimateSampleRate(signal) {
     return Math.round(1 / dt);
 }
 
+// feat: absolute band powers of every channel in a Welch spectrum ({ [ch]: { delta, ... } })
+// docs: bands = { band: [lo, hi] } edges — the scoring profile's, EEG_BANDS by default
+function rawChannelBandPowers(spectrum, bands) {
+    var powers = {};
+    Object.keys(spectrum.channels).forEach(function (ch) {
+        powers[ch] = bandPowersFromPSD(spectrum.freqs, spectrum.channels[ch], bands || EEG_BANDS);
+    });
+    return powers;
+}
+
 // ─────────────────────────────────────────────────────────────
-// feat: compute frequency band powers from real EEG signal
-// docs: uses the Goertzel algorithm to compute actual spectral power per frequency
-// docs: no FFT library required — Goertzel is O(N) per frequency bin
-// docs: this WILL produce different results for healthy vs SZ signals
+// feat: channel-average band powers on the app's scale from absolute per-channel band powers
+// docs: scale so total power maps to 4.4 (sum of the built-in healthy baselines)
+// docs: but PRESERVE the actual ratios between bands — this is what differentiates healthy vs SZ
 // ─────────────────────────────────────────────────────────────
+function averageBandPowers(perChannel) {
+    var channels = Object.keys(perChannel);
+    var bandPowers = {};
+    Object.keys(EEG_BANDS).forEach(function (band) { bandPowers[band] = 0; });
 
-// feat: Goertzel algorithm — computes power at a single frequency from a signal
-// docs: equivalent to computing one bin of the DFT, but in O(N) time
-function goertzelPower(data, targetFreq, sampleRate) {
-    var N = data.length;
-    var k = Math.round(targetFreq * N / sampleRate);
-    var w = (2 * Math.PI * k) / N;
-    var coeff = 2 * Math.cos(w);
-    var s0 = 0, s1 = 0, s2 = 0;
-
-    for (var i = 0; i < N; i++) {
-        s0 = data[i] + coeff * s1 - s2;
-        s2 = s1;
-        s1 = s0;
+    channels.forEach(function (ch) {
+        Object.keys(perChannel[ch]).forEach(function (band) {
+            // perf: average across channels
+            bandPowers[band] += perChannel[ch][band] / channels.length;
+        });
+    });
+
+    var rawTotal = Object.values(bandPowers).reduce(function (a, b) { return a + b; }, 0);
+    if (rawTotal > 0) {
+        var targetTotal = Object.values(BUILTIN_BAND_MEANS).reduce(function (a, b) { return a + b; }, 0);
+        var scale = targetTotal / rawTotal;
+        Object.keys(bandPowers).forEach(function (band) {
+            bandPowers[band] = parseFloat((bandPowers[band] * scale).toFixed(4));
+        });
     }
 
-    // docs: power = |X(k)|² / N²
-    var power = (s1 * s1 + s2 * s2 - coeff * s1 * s2) / (N * N);
-    return Math.abs(power);
+    return bandPowers;
 }
 
-export function computeBandPowersFromSignal(signal) {
-    var channels = ["Fp1", "F3", "C3", "P3", "O1"];
-    var sfreq = estimateSampleRate(signal);
+// feat: per-electrode band powers — each channel keeps its measured share of the channel mean
+function shareBandPowers(perChannel, bandPowers) {
+    var channels = Object.keys(perChannel);
+    var result = {};
+    channels.forEach(function (ch) { result[ch] = {}; });
 
-    // refactor: extract per-channel data arrays
-    var channelData = {};
-    channels.forEach(function (ch) {
-        channelData[ch] = signal.map(function (s) { return s[ch]; });
+    Object.keys(EEG_BANDS).forEach(function (band) {
+        var mean = channels.reduce(function (sum, ch) { return sum + perChannel[ch][band]; }, 0) / channels.length;
+        channels.forEach(function (ch) {
+            var share = mean > 0 ? perChannel[ch][band] / mean : 1;
+            result[ch][band] = parseFloat((share * (bandPowers[band] || 0)).toFixed(4));
+        });
     });
 
-    // docs: standard EEG frequency band definitions (Hz)
-    var bands = {
-        delta: [0.5, 4],
-        theta: [4, 8],
-        alpha: [8, 13],
-        beta: [13, 30],
-        gamma: [30, 50],
-    };
+    return result;
+}
 
-    var bandPowers = {};
+// ─────────────────────────────────────────────────────────────
+// feat: compute frequency band powers from a Welch spectrum
+// docs: integrates each channel's PSD over the exact band edges (delta starts at 0.5 Hz)
+// docs: then averages across channels and normalizes to the healthy baseline scale
+// docs: this WILL produce different results for healthy vs SZ signals
+// ─────────────────────────────────────────────────────────────
+export function computeBandPowersFromSpectrum(spectrum, bands) {
+    return averageBandPowers(rawChannelBandPowers(spectrum, bands));
+}
 
-    // feat: compute power for each band by summing Goertzel power at 1 Hz intervals
-    Object.entries(bands).forEach(function (entry) {
-        var bandName = entry[0];
-        var fLow = entry[1][0];
-        var fHigh = Math.min(entry[1][1], sfreq / 2); // fix: cap at Nyquist
-        var totalPower = 0;
+// ─────────────────────────────────────────────────────────────
+// feat: per-electrode band powers on the same scale as the averaged band powers
+// docs: each channel keeps its measured share of the channel mean, so for every band
+// docs: mean over channels === bandPowers[band] (the values shown in the band chart)
+// docs: returns { [ch]: { delta, theta, alpha, beta, gamma } } — drives the BrainMap topography
+// ─────────────────────────────────────────────────────────────
+export function computeChannelBandPowers(spectrum, bandPowers, bands) {
+    return shareBandPowers(rawChannelBandPowers(spectrum, bands), bandPowers);
+}
 
-        channels.forEach(function (ch) {
-            var data = channelData[ch];
-            var n = data.length;
+// feat: compute frequency band powers directly from a signal (Welch PSD + band integration)
+// docs: spectralSettings = { segmentSeconds, overlap, window } — see DEFAULT_SPECTRAL_SETTINGS
+export function computeBandPowersFromSignal(signal, spectralSettings) {
+    var spectrum = computeSpectrum(signal, getSignalChannels(signal), estimateSampleRate(signal), spectralSettings);
+    return computeBandPowersFromSpectrum(spectrum);
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: a simulated subject as a model's analysis context — the SHAP cohort backgrounds
+// docs: band powers and coherence from the simulator, split over the electrodes and completed with
+// docs: spectral and complexity features from the subject's generated signal (as analyzeSimulated does, unfiltered)
+// docs: returns { bandPowers, channelBandPowers, coherence, spectral, complexity }
+// ─────────────────────────────────────────────────────────────
+export function simulatedContext(isSZ, seed, bands) {
+    var signal = generateEEGSignal(isSZ, seed);
+    var channels = getSignalChannels(signal);
+    var sampleRate = estimateSampleRate(signal);
+    var spectrum = computeSpectrum(signal, channels, sampleRate);
+    var bandPowers = computeBandPowers(isSZ, seed);
+    var channelBandPowers = computeChannelBandPowers(spectrum, bandPowers, bands);
+    return {
+        bandPowers: bandPowers,
+        channelBandPowers: channelBandPowers,
+        coherence: simulatedCoherence(computeCoherence(isSZ, seed)),
+        spectral: computeSpectralFeatures(spectrum, bandPowers, channelBandPowers, bands),
+        complexity: computeComplexityFromData(getChannelData(signal, channels), sampleRate, DEFAULT_ARTIFACT_SETTINGS.epochSeconds),
+    };
+}
 
-            // refactor: remove DC offset
-            var mean = data.reduce(function (a, b) { return a + b; }, 0) / n;
-            var centered = data.map(function (v) { return v - mean; });
+// ─────────────────────────────────────────────────────────────
+// feat: nonlinear complexity of a processed recording over its clean epochs
+// docs: the band-pass low-pass edge lets complexity.js decimate high-rate recordings safely
+// docs: processed = processSignal() result; settings = the complexity group (see DEFAULT_COMPLEXITY_SETTINGS)
+// ─────────────────────────────────────────────────────────────
+export function measureComplexity(processed, settings) {
+    var filter = processed.preprocessing.settings;
+    var highCut = filter.bandpass ? Math.min(filter.highCut, processed.sampleRate * 0.45) : null;
+    return computeComplexity(processed.channelData, processed.sampleRate, processed.artifacts.epochs, settings, highCut);
+}
 
-            // feat: sum Goertzel power at each integer frequency in the band
-            for (var freq = Math.ceil(fLow); freq <= Math.floor(fHigh); freq++) {
-                totalPower += goertzelPower(centered, freq, sfreq);
-            }
+// feat: error of a recording whose every epoch failed the artifact checks
+// docs: lists the epochs failing each check ("Fp1: amplitude 212 µV p-p" → "amplitude"), as the clinical report does
+function noCleanEpochsError(artifacts) {
+    var counts = {};
+    artifacts.epochs.forEach(function (e) {
+        new Set(e.reasons.map(function (r) { return r.split(": ")[1].split(" ")[0]; })).forEach(function (type) {
+            counts[type] = (counts[type] || 0) + 1;
         });
-
-        // perf: average across channels
-        bandPowers[bandName] = totalPower / channels.length;
     });
+    var reasons = Object.keys(counts).map(function (type) { return type + " (" + counts[type] + ")"; }).join(", ");
+    var which = artifacts.total === 1 ? "The only epoch" : "All " + artifacts.total + " epochs";
+    return which + " failed the artifact checks — " + reasons +
+        " — so there is no clean EEG to score. Check the recording, or loosen or turn off artifact rejection.";
+}
 
+// ─────────────────────────────────────────────────────────────
+// feat: shared signal-processing front end for uploaded and simulated recordings
+// docs: preprocessing → artifact detection → Welch PSD over the clean epochs only
+// docs: settings = { spectral, preprocessing, artifacts } — each group is optional
+// docs: onStage (optional) is called with "filter" and "psd" as those stages start (see pipeline.js)
+// docs: rails (optional) = { [ch]: { min, max } } where the amplifier clips — parseEDF's rails
+// docs: returns { channels, sampleRate, clean, channelData, trace, psd, preprocessing, artifacts },
+// docs: or { error } when the preprocessing settings don't suit the recording's sample rate
+// docs: or artifact rejection left no clean epoch
+// docs: trace = the whole preprocessed recording packed for the EEG viewer (see traces.js)
+// ─────────────────────────────────────────────────────────────
+export function processSignal(signal, settings, onStage, rails) {
+    var s = settings || {};
+    var stage = onStage || function () {};
+    var channels = getSignalChannels(signal);
+    var sampleRate = estimateSampleRate(signal);
+    // fix: a pass band above 0.45·fs (or otherwise invalid) fails the analysis instead of scoring NaN
+    var invalid = validatePreprocessing(s.preprocessing, sampleRate);
+    if (invalid) return { error: invalid };
+
+    // feat: detrend, notch and band-pass filter before any spectral estimate
+    stage("filter");
+    var pre = preprocessSignal(signal, channels, sampleRate, s.preprocessing);
+
+    // feat: flag bad epochs — amplitude/muscle on filtered data, flatline/clipping on raw data
+    var artifacts = detectArtifacts(pre.channelData, sampleRate, s.artifacts, getChannelData(signal, channels), rails);
+    // fix: no clean epoch means no score — the contaminated recording is never scored as a whole
+    if (artifacts.allRejected) return { error: noCleanEpochsError(artifacts) };
+
+    // feat: Welch segments are only taken from the kept (clean) sample ranges
+    stage("psd");
+    var psd = computeSpectrumFromData(pre.channelData, sampleRate, s.spectral, artifacts.keptRanges);
 
-
-    // feat: normalize to healthy baseline scale
-    // docs: scale so total power maps to 4.4 (sum of healthy baselines)
-    // docs: but PRESERVE the actual ratios between bands — this is what differentiates healthy vs SZ
-    var rawTotal = Object.values(bandPowers).reduce(function (a, b) { return a + b; }, 0);
-    if (rawTotal > 0) {
-        var targetTotal = 4.4;
-        var scale = targetTotal / rawTotal;
-        Object.keys(bandPowers).forEach(function (band) {
-            bandPowers[band] = parseFloat((bandPowers[band] * scale).toFixed(4));
-        });
-    }
-
-    return bandPowers;
+    return {
+        channels: channels,
+        sampleRate: sampleRate,
+        clean: pre.signal,
+        channelData: pre.channelData,
+        trace: packTrace(pre.channelData, channels, sampleRate, signal.length ? signal[0].time : 0),
+        psd: psd,
+        preprocessing: pre.preprocessing,
+        artifacts: artifacts,
+    };
 }
 
 // ─────────────────────────────────────────────────────────────
-// feat: generate SHAP explainability values from real band powers
-// docs: computes how much each EEG feature contributed to the risk score
-// docs: positive SHAP = increases risk, negative = decreases risk
+// feat: risk score of a re-weighted set of clean epochs — the resampling unit of uncertainty.js
+// docs: every clean epoch gets its own spectrum and
+// docs: band powers once; score(counts) pools them with counts[i] copies of epoch i and scores the pool
+// docs: a pool moves the reported band powers by its ratio to the pool of all epochs, so the scores
+// docs: vary around the reported one for simulated and measured band powers alike
+// docs: coherence, the spectral and the complexity features are the whole recording's in every pool
+// docs: (cross-spectra and alpha peaks per epoch are too noisy)
+// docs: processed = processSignal() result; context = the { bandPowers, channelBandPowers, coherence, spectral, complexity } scored
+// docs: returns { epochs, score(counts) }
 // ─────────────────────────────────────────────────────────────
-function generateSHAPFromBandPowers(bandPowers) {
-    // chore: healthy baseline reference values from EEG literature
-    var baselines = { delta: 1.2, theta: 0.7, alpha: 1.8, beta: 0.5, gamma: 0.2 };
-
-    // docs: 15 features covering band × channel combinations and coherence metrics
-    var features = [
-        { name: "\u03B1 \u00B7 Fz", band: "alpha", region: "Frontal" },
-        { name: "\u03B4 \u00B7 Cz", band: "delta", region: "Central" },
-        { name: "\u03B8 \u00B7 F3", band: "theta", region: "Frontal" },
-        { name: "\u03B3 \u00B7 Fp1", band: "gamma", region: "Prefrontal" },
-        { name: "\u03B1 \u00B7 C3", band: "alpha", region: "Central" },
-        { name: "Coh \u00B7 Fz\u2192Pz", band: "coh", region: "F-P" },
-        { name: "\u03B4 \u00B7 F4", band: "delta", region: "Frontal" },
-        { name: "\u03B8 \u00B7 Pz", band: "theta", region: "Parietal" },
-        { name: "\u03B1 \u00B7 O1", band: "alpha", region: "Occipital" },
-        { name: "\u03B2 \u00B7 C4", band: "beta", region: "Central" },
-        { name: "\u03B3 \u00B7 F3", band: "gamma", region: "Frontal" },
-        { name: "Coh \u00B7 F3\u2192P3", band: "coh", region: "F-P" },
-        { name: "\u03B4 \u00B7 Fp1", band: "delta", region: "Prefrontal" },
-        { name: "\u03B8 \u00B7 C3", band: "theta", region: "Central" },
-        { name: "\u03B1 \u00B7 Fp2", band: "alpha", region: "Prefrontal" },
-    ];
-
-    // feat: derive seed from actual band power data for reproducible noise
-    var rng = mulberry32(Math.round((bandPowers.alpha || 1) * 10000));
-
-    // feat: compute SHAP value for each feature based on deviation from baseline
-    var shapValues = features.map(function (f) {
-        var value;
-        if (f.band === "coh") {
-            // feat: coherence SHAP derived from alpha power ratio
-            var alphaRatio = (bandPowers.alpha || 1) / baselines.alpha;
-            value = parseFloat(((1 - alphaRatio) * 0.15 + (rng() - 0.5) * 0.03).toFixed(4));
-        } else {
-            var actual = bandPowers[f.band] || 0;
-            var baseline = baselines[f.band] || 1;
-            // feat: deviation = how far the patient's power is from healthy baseline
-            var deviation = (actual - baseline) / baseline;
-
-            if (f.band === "alpha") {
-                // docs: alpha suppression INCREASES risk (negative deviation → positive SHAP)
-                value = parseFloat((-deviation * 0.3 + (rng() - 0.5) * 0.02).toFixed(4));
-            } else {
-                // docs: elevation in other bands INCREASES risk (positive deviation → positive SHAP)
-                value = parseFloat((deviation * 0.2 + (rng() - 0.5) * 0.02).toFixed(4));
-            }
-        }
-        return { name: f.name, band: f.band, region: f.region, value: value };
+export function makeEpochScorer(processed, spectralSettings, context, model, profile) {
+    var artifacts = processed.artifacts;
+    var epochs = artifacts.epochs.filter(function (e) { return !e.rejected; });
+    var channels = Object.keys(processed.channelData);
+    var bands = Object.keys(profile.bands);
+
+    // perf: one spectrum per epoch and channel, integrated to band powers up front
+    var perEpoch = epochs.map(function (e) {
+        var powers = {};
+        channels.forEach(function (ch) {
+            var spectrum = welchPSD(processed.channelData[ch], processed.sampleRate, spectralSettings, [[e.start, e.end]]);
+            powers[ch] = bandPowersFromPSD(spectrum.freqs, spectrum.psd, profile.bands);
+        });
+        return powers;
     });
 
-    // style: sort by absolute impact for visual clarity in the chart
-    return shapValues.sort(function (a, b) { return Math.abs(b.value) - Math.abs(a.value); });
+    // docs: band integration is linear in the PSD, so pooling band powers = pooling spectra
+    function pool(counts) {
+        var total = counts.reduce(function (a, b) { return a + b; }, 0);
+        var pooled = {};
+        channels.forEach(function (ch) {
+            pooled[ch] = {};
+            bands.forEach(function (band) {
+                var sum = 0;
+                for (var i = 0; i < perEpoch.length; i++) sum += counts[i] * perEpoch[i][ch][band];
+                pooled[ch][band] = sum / total;
+            });
+        });
+        var bandPowers = averageBandPowers(pooled);
+        return { bandPowers: bandPowers, channelBandPowers: shareBandPowers(pooled, bandPowers) };
+    }
+
+    var ratio = function (value, reference) { return reference > 0 ? value / reference : 1; };
+    var all = pool(epochs.map(function () { return 1; }));
+
+    return {
+        epochs: epochs.length,
+        score: function (counts) {
+            var pooled = pool(counts);
+            var bandPowers = {};
+            var channelBandPowers = {};
+            bands.forEach(function (band) {
+                bandPowers[band] = context.bandPowers[band] * ratio(pooled.bandPowers[band], all.bandPowers[band]);
+            });
+            Object.keys(context.channelBandPowers).forEach(function (ch) {
+                channelBandPowers[ch] = {};
+                bands.forEach(function (band) {
+                    var scale = pooled.channelBandPowers[ch] ? ratio(pooled.channelBandPowers[ch][band], all.channelBandPowers[ch][band]) : 1;
+                    channelBandPowers[ch][band] = context.channelBandPowers[ch][band] * scale;
+                });
+            });
+            var resampled = {
+                bandPowers: bandPowers,
+                channelBandPowers: channelBandPowers,
+                coherence: context.coherence,
+                spectral: context.spectral,
+                complexity: context.complexity,
+            };
+            return scoreRecording(model, resampled, profile).score;
+        },
+    };
 }
 
+// docs: error of an analysis whose model score is not a finite number
+export var UNSCORED_ERROR = "The model produced no valid risk score (band powers or model features are not finite numbers) — check the recording and the analysis settings.";
+
 // ─────────────────────────────────────────────────────────────
 // feat: full CSV analysis pipeline — end-to-end real data processing
-// docs: takes parsed signal array → band powers → risk score → SHAP → coherence
-// docs: returns complete result set matching the simulated pipeline format
+// docs: takes parsed signal array → preprocessing → artifact rejection → Welch PSD
+// docs: → band powers + measured coherence + spectral features → complexity features → model features
+// docs: → risk score → Shapley attributions
+// docs: settings = { spectral: { segmentSeconds, overlap, window }, preprocessing, artifacts, complexity, uncertainty, explain }
+// docs: model = active risk model (see models.js), the built-in formula by default
+// docs: reference = { norms, demographics } the deviations are z-scored against (see norms.js)
+// docs: profile = scoring profile — band edges, formula weights, risk levels (see profiles.js)
+// docs: onStage (optional) reports filter → psd → features → complexity → score → uncertainty → explain as each stage starts
+// docs: rails (optional) = the recording's amplifier rails for the clipping check (see processSignal)
+// docs: returns complete result set matching the simulated pipeline format — { error } when the settings
+// docs: don't suit the recording or the model gives no valid score
 // ─────────────────────────────────────────────────────────────
-export function analyzeCSV(signal) {
-    // feat: step 1 — compute frequency band powers from real signal
-    var bandPowers = computeBandPowersFromSignal(signal);
-
-    // feat: step 2 — derive seed from actual data for reproducible analysis
+export function analyzeCSV(signal, settings, model, reference, profile, onStage, rails) {
+    var scoring = profile || DEFAULT_PROFILE;
+    var activeModel = withProfile(model || BUILTIN_MODEL, scoring);
+    var norms = (reference && reference.norms) || BUILTIN_NORMS;
+    var stage = onStage || function () {};
+
+    // feat: steps 0–1 — preprocessing, artifact rejection, Welch PSD per channel
+    var processed = processSignal(signal, settings, stage, rails);
+    if (processed.error) return { error: processed.error };
+    var psd = processed.psd;
+
+    // feat: step 2 — magnitude-squared coherence between the recorded channels (clean epochs only)
+    var coherence = measureCoherence(
+        processed.channelData,
+        processed.sampleRate,
+        settings && settings.spectral,
+        processed.artifacts.keptRanges,
+        scoring.bands
+    );
+
+    // feat: band powers by integration over exact edges — channel average and per electrode
+    stage("features");
+    var bandPowers = computeBandPowersFromSpectrum(psd, scoring.bands);
+    var channelBandPowers = computeChannelBandPowers(psd, bandPowers, scoring.bands);
+    // feat: θ/β, relative power, alpha peak, spectral edge and 1/f slope per channel and region
+    var spectralFeatures = computeSpectralFeatures(psd, bandPowers, channelBandPowers, scoring.bands);
+
+    // feat: fractal dimension, sample/permutation entropy and Lempel-Ziv complexity per channel and clean epoch
+    stage("complexity");
+    var complexity = measureComplexity(processed, settings && settings.complexity);
+
+    // feat: step 3 — derive seed from actual data for reproducible resampling
     var seed = Math.round((bandPowers.alpha || 1) * 10000);
 
-    // feat: step 3 — compute risk score using shared utility
-    var riskResult = computeRiskScore(bandPowers, seed);
-
-    // feat: step 4 — classify risk level (Low / Moderate / High)
-    var classification = classifyRisk(riskResult.score);
-
-    // feat: step 5 — generate SHAP explainability values from real band powers
-    var shapValues = generateSHAPFromBandPowers(bandPowers);
-
-    // feat: step 6 — estimate frontal-parietal coherence
-    var isSZLike = riskResult.score >= 50;
-    var coherence = computeCoherence(isSZLike, seed);
+    // feat: step 4 — build the model's feature vector and run inference locally
+    stage("score");
+    var context = {
+        bandPowers: bandPowers,
+        channelBandPowers: channelBandPowers,
+        coherence: coherence,
+        spectral: spectralFeatures,
+        complexity: complexity,
+    };
+    var riskResult = scoreRecording(activeModel, context, scoring);
+    // fix: a score that isn't a finite number is a failed analysis, never the lowest risk level
+    if (!Number.isFinite(riskResult.score)) return { error: UNSCORED_ERROR };
+
+    // feat: step 5 — 95% interval of the score from resampling the clean epochs
+    stage("uncertainty");
+    var scorer = makeEpochScorer(processed, settings && settings.spectral, context, activeModel, scoring);
+    var uncertainty = estimateUncertainty(scorer, riskResult.score, scoring, settings && settings.uncertainty, seed);
+
+    // feat: step 6 — classify risk level (the profile's levels — Low / Moderate / High by default)
+    // docs: indeterminate when the interval reaches into another level
+    var classification = Object.assign(classifyRisk(riskResult.score, scoring), { indeterminate: uncertainty.indeterminate });
+    var normative = normativeDeviations(norms, reference && reference.demographics, bandPowers, channelBandPowers);
+
+    // feat: step 7 — Shapley attributions of the model score against the background distribution
+    stage("explain");
+    var shap = explainScore(activeModel, riskResult.features, settings && settings.explain, function (isSZ, subject) {
+        return simulatedContext(isSZ, subject, scoring.bands);
+    });
 
     // feat: return complete analysis results matching simulated pipeline format
     return {
         riskScore: riskResult.score,
-        confidence: riskResult.confidence,
+        confidence: uncertainty.confidence,
+        uncertainty: uncertainty,
         keyMarker: riskResult.keyMarker,
-        keyDeviation: riskResult.keyDeviation,
+        keyDeviation: keyDeviation(riskResult.keyBand, normative),
+        normative: normative,
         classification: classification,
-        eegSignal: signal.slice(0, 1280), // perf: cap to 5 seconds of data for chart rendering
+        eegSignal: processed.trace, // docs: full recording — the viewer pages through it
         bandPowers: bandPowers,
-        shapValues: shapValues,
+        channelBandPowers: channelBandPowers,
+        spectralFeatures: spectralFeatures,
+        complexity: complexity,
+        shapValues: shap.shapValues,
+        shapExplanation: shap.explanation,
         coherence: coherence,
+        channels: processed.channels,
+        psd: psd,
+        preprocessing: processed.preprocessing,
+        artifacts: processed.artifacts,
+        model: describeModel(activeModel, riskResult.missing),
+        profile: profileRecord(scoring),
     };
 }
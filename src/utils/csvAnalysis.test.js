@@ -0,0 +1,17 @@
+import { analyzeCSV } from "./csvAnalysis";
+
+const FS = 256;
+// feat: parsed-CSV rows — a 10 Hz rhythm of the given amplitude on three channels
+const recording = (seconds, amplitude) =>
+  Array.from({ length: FS * seconds }, (_, i) => {
+    const v = amplitude * Math.sin((2 * Math.PI * 10 * i) / FS);
+    return { time: i / FS, Fz: v, Cz: 0.9 * v, Pz: 0.8 * v + Math.cos(i) };
+  });
+
+describe("analyzeCSV", () => {
+  it("fails instead of scoring when every epoch is rejected", () => {
+    const result = analyzeCSV(recording(8, 500));
+    expect(result.riskScore).toBeUndefined();
+    expect(result.error).toMatch(/All 4 epochs failed the artifact checks — amplitude \(4\)/);
+  });
+});
@@ -0,0 +1,26 @@
+// feat: browser downloads for exported reports
+// docs: files are built in memory and saved through a temporary object URL — nothing leaves the browser
+
+// feat: "neuroscan-report-SZ-014-2025-03-12.pdf" — named after the subject, or the recording
+export function exportFileName({ subject, recording }, kind, extension) {
+  const who = (subject ? subject.id : recording.label).replace(/\.[^.]+$/, "").replace(/[^A-Za-z0-9._-]+/g, "-");
+  return `neuroscan-${kind}-${who}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+// feat: save a Blob under the given file name
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // fix: revoke after the click has been handled, or some browsers cancel the download
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// feat: save pretty-printed JSON
+export function downloadJson(data, fileName, mimeType = "application/json") {
+  downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: mimeType }), fileName);
+}
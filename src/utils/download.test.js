@@ -0,0 +1,35 @@
+import { exportFileName, downloadJson } from "./download";
+
+describe("exportFileName", () => {
+  const today = new Date().toISOString().slice(0, 10);
+
+  it("names exports after the subject, or the recording without its extension", () => {
+    expect(exportFileName({ subject: { id: "SZ-014" }, recording: { label: "night.edf" } }, "report", "pdf"))
+      .toBe(`neuroscan-report-SZ-014-${today}.pdf`);
+    expect(exportFileName({ subject: null, recording: { label: "Patient 7 night.edf" } }, "fhir", "json"))
+      .toBe(`neuroscan-fhir-Patient-7-night-${today}.json`);
+  });
+});
+
+describe("downloadJson", () => {
+  it("saves pretty-printed JSON through a temporary link", async () => {
+    const blobs = [];
+    URL.createObjectURL = jest.fn((blob) => { blobs.push(blob); return "blob:test"; });
+    URL.revokeObjectURL = jest.fn();
+    const click = jest.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(function () {
+      expect(this.download).toBe("bundle.json");
+    });
+
+    downloadJson({ resourceType: "Bundle" }, "bundle.json", "application/fhir+json");
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(blobs[0].type).toBe("application/fhir+json");
+    const reader = new FileReader();
+    reader.readAsText(blobs[0]);
+    await new Promise((resolve) => { reader.onload = resolve; });
+    expect(reader.result).toBe('{\n  "resourceType": "Bundle"\n}');
+    expect(document.querySelector("a")).toBeNull();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:test");
+    click.mockRestore();
+  });
+});
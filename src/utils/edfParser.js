@@ -0,0 +1,327 @@
+// feat: EDF / EDF+ file reader for clinical amplifier recordings
+// docs: decodes the fixed-width ASCII header, per-signal metadata and 16-bit data records
+// docs: converts digital samples to physical units (µV) and builds the same
+// docs: { time, <electrode>: value, ... } signal array that parseCSV returns
+// docs: reads EDF+ time-stamped annotation lists (TALs) from "EDF Annotations" signals
+
+// chore: shared 10-20/10-10 label normalization (same rules as CSV uploads)
+import { detectChannelMapping } from "./channelMapping";
+
+// docs: label of the EDF+ annotation channel (spec section 2.2.1)
+const ANNOTATION_LABEL = "EDF Annotations";
+
+// docs: file extensions read as EDF — the upload pickers, the CLI and the server share this list
+export const EDF_EXTENSIONS = [".edf", ".edf+", ".rec"];
+
+// docs: largest gap (s) between consecutive EDF+D record onsets still treated as continuous
+const ONSET_TOLERANCE = 1e-3;
+
+// docs: TAL texts are UTF-8 (EDF+ spec section 2.2.4)
+const utf8 = new TextDecoder("utf-8");
+
+// docs: scale factors from EDF physical dimension strings to microvolts
+const UNIT_TO_MICROVOLTS = {
+  uv: 1,
+  "µv": 1,
+  "μv": 1,
+  mv: 1000,
+  v: 1000000,
+  nv: 0.001,
+};
+
+// ─────────────────────────────────────────────────────────────
+// feat: fixed-width ASCII field reader over the raw header bytes
+// ─────────────────────────────────────────────────────────────
+function createHeaderReader(bytes) {
+  let offset = 0;
+  return function read(length) {
+    let text = "";
+    for (let i = offset; i < offset + length && i < bytes.length; i++) {
+      text += String.fromCharCode(bytes[i]);
+    }
+    offset += length;
+    return text.trim();
+  };
+}
+
+// feat: parse "dd.mm.yy" + "hh.mm.ss" into a Date
+// docs: EDF spec — years 85–99 are 19xx, 00–84 are 20xx
+// docs: EDF+ stores the 4-digit year in the recording field ("Startdate 02-MAR-2002")
+function parseStartTime(dateStr, timeStr, recordingId) {
+  const [dd, mm, yy] = dateStr.split(".").map(Number);
+  const [hh, mi, ss] = timeStr.split(".").map(Number);
+  if ([dd, mm, yy, hh, mi, ss].some(isNaN)) return null;
+
+  let year = yy >= 85 ? 1900 + yy : 2000 + yy;
+  const plusDate = /^Startdate\s+\d{2}-[A-Z]{3}-(\d{4})/i.exec(recordingId);
+  if (plusDate) year = Number(plusDate[1]);
+
+  return new Date(year, mm - 1, dd, hh, mi, ss);
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: decode the 256-byte main header and the ns × 256-byte signal headers
+// docs: returns null when the buffer is too short or the header is malformed
+// ─────────────────────────────────────────────────────────────
+function parseHeader(bytes) {
+  if (bytes.length < 256) return null;
+  const read = createHeaderReader(bytes);
+
+  const version = read(8);
+  const patientId = read(80);
+  const recordingId = read(80);
+  const startDate = read(8);
+  const startTimeStr = read(8);
+  const headerBytes = parseInt(read(8), 10);
+  const reserved = read(44);
+  const numRecords = parseInt(read(8), 10);
+  const recordDuration = parseFloat(read(8));
+  const numSignals = parseInt(read(4), 10);
+
+  if (isNaN(headerBytes) || isNaN(numSignals) || numSignals <= 0) return null;
+  if (bytes.length < 256 + numSignals * 256) return null;
+
+  // docs: signal header fields are stored field-by-field for all signals (not signal-by-signal)
+  const readAll = (length) => Array.from({ length: numSignals }, () => read(length));
+  const labels = readAll(16);
+  const transducers = readAll(80);
+  const units = readAll(8);
+  const physMin = readAll(8).map(parseFloat);
+  const physMax = readAll(8).map(parseFloat);
+  const digMin = readAll(8).map((v) => parseInt(v, 10));
+  const digMax = readAll(8).map((v) => parseInt(v, 10));
+  const prefiltering = readAll(80);
+  const samplesPerRecord = readAll(8).map((v) => parseInt(v, 10));
+
+  const signals = labels.map((label, i) => ({
+    label,
+    transducer: transducers[i],
+    unit: units[i],
+    physicalMin: physMin[i],
+    physicalMax: physMax[i],
+    digitalMin: digMin[i],
+    digitalMax: digMax[i],
+    prefiltering: prefiltering[i],
+    samplesPerRecord: samplesPerRecord[i],
+    // docs: per-signal sample rate — EDF allows every signal to use its own rate
+    sampleRate: recordDuration > 0 ? samplesPerRecord[i] / recordDuration : 0,
+    isAnnotation: label === ANNOTATION_LABEL,
+  }));
+
+  return {
+    version,
+    patientId,
+    recordingId,
+    startTime: parseStartTime(startDate, startTimeStr, recordingId),
+    headerBytes,
+    // docs: "EDF+C" = continuous, "EDF+D" = discontinuous, anything else = plain EDF
+    isEDFPlus: reserved.startsWith("EDF+"),
+    isDiscontinuous: reserved.startsWith("EDF+D"),
+    numRecords,
+    recordDuration,
+    signals,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: parse EDF+ time-stamped annotation lists from one data record
+// docs: TAL = "+onset[\x15duration]\x14text\x14[text\x14...]\x00"
+// docs: the first TAL of each record is the empty timekeeping stamp for that record
+// ─────────────────────────────────────────────────────────────
+function parseTALs(bytes) {
+  const annotations = [];
+  let recordOnset = null;
+  const text = utf8.decode(bytes);
+
+  text.split("\x00").forEach((tal) => {
+    if (!tal) return;
+    const parts = tal.split("\x14");
+    const [onsetStr, durationStr] = parts[0].split("\x15");
+    const onset = parseFloat(onsetStr);
+    if (isNaN(onset)) return;
+    const duration = durationStr ? parseFloat(durationStr) : 0;
+
+    // docs: remaining parts are annotation texts (last one is empty due to trailing \x14)
+    const texts = parts.slice(1).filter((t) => t !== "");
+    if (texts.length === 0 && recordOnset === null) {
+      recordOnset = onset;
+      return;
+    }
+    texts.forEach((t) => annotations.push({ onset, duration: isNaN(duration) ? 0 : duration, text: t }));
+  });
+
+  return { recordOnset, annotations };
+}
+
+// feat: linear interpolation of a channel onto a new sample grid
+// docs: used when EEG channels were recorded at different per-signal sample rates
+// feat: digital sample → µV for one signal
+// docs: physical = (digital − digMin) × (physMax − physMin) / (digMax − digMin) + physMin, then the unit scale
+function microvoltConverter(s) {
+  const gain = (s.physicalMax - s.physicalMin) / (s.digitalMax - s.digitalMin);
+  const unitScale = UNIT_TO_MICROVOLTS[s.unit.toLowerCase()] || 1;
+  return (digital) => ((digital - s.digitalMin) * gain + s.physicalMin) * unitScale;
+}
+
+function resample(values, fromRate, toRate, length) {
+  if (fromRate === toRate) return values;
+  const out = new Float64Array(length);
+  for (let i = 0; i < length; i++) {
+    const pos = (i / toRate) * fromRate;
+    const i0 = Math.min(Math.floor(pos), values.length - 1);
+    const i1 = Math.min(i0 + 1, values.length - 1);
+    const frac = pos - i0;
+    out[i] = values[i0] + (values[i1] - values[i0]) * frac;
+  }
+  return out;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: parse an EDF/EDF+ file into the shared signal structure
+// docs: input is an ArrayBuffer (FileReader.readAsArrayBuffer)
+// docs: channelOverrides = { [label]: electrode | null } from the Sidebar channel mapper
+// docs: returns { signal, header, annotations, mapping, rails, error: null } on success
+// docs: rails = { [electrode]: { min, max } } — the µV values of the digital extremes, where the amplifier clips
+// docs: returns { signal: null, mapping, error: "..." } on validation failure
+// ─────────────────────────────────────────────────────────────
+export function parseEDF(buffer, channelOverrides = {}) {
+  const bytes = new Uint8Array(buffer);
+  const header = parseHeader(bytes);
+
+  // fix: guard against truncated or non-EDF files
+  if (!header || header.version !== "0") {
+    return { signal: null, mapping: [], error: "Not a valid EDF/EDF+ file (unreadable header)." };
+  }
+
+  const { signals, recordDuration } = header;
+  const recordSamples = signals.reduce((sum, s) => sum + s.samplesPerRecord, 0);
+  const recordBytes = recordSamples * 2;
+
+  // fix: numRecords is -1 while a recording is still being written — derive it from file size
+  const available = Math.floor((bytes.length - header.headerBytes) / recordBytes);
+  const numRecords = header.numRecords > 0 ? Math.min(header.numRecords, available) : available;
+  if (numRecords <= 0) {
+    return { signal: null, mapping: [], error: "EDF file contains no data records." };
+  }
+
+  // feat: map EDF signal labels to 10-20/10-10 electrodes
+  const dataSignals = signals.map((s, i) => ({ ...s, index: i })).filter((s) => !s.isAnnotation);
+  const mapping = detectChannelMapping(dataSignals.map((s) => s.label), channelOverrides);
+  const channelSignal = {};
+  mapping.forEach((m, k) => {
+    if (m.electrode) channelSignal[m.electrode] = dataSignals[k].index;
+  });
+  const electrodes = Object.keys(channelSignal);
+  if (electrodes.length === 0) {
+    return {
+      signal: null,
+      mapping,
+      error: "No EEG channels recognized in EDF signals: " + dataSignals.map((s) => s.label).join(", ") + ". Map them to electrodes below.",
+    };
+  }
+
+  // fix: digital min = max leaves the gain undefined (division by zero)
+  const unscaled = electrodes.filter((ch) => signals[channelSignal[ch]].digitalMax === signals[channelSignal[ch]].digitalMin);
+  if (unscaled.length) {
+    return {
+      signal: null,
+      mapping,
+      error: "EDF signal " + unscaled.map((ch) => signals[channelSignal[ch]].label).join(", ") + " has equal digital minimum and maximum — samples cannot be scaled.",
+    };
+  }
+
+  // perf: allocate one typed array per decoded signal
+  const needed = new Set(Object.values(channelSignal));
+  const raw = {};
+  const toMicrovolts = {};
+  needed.forEach((i) => {
+    raw[i] = new Float64Array(signals[i].samplesPerRecord * numRecords);
+    toMicrovolts[i] = microvoltConverter(signals[i]);
+  });
+
+  const view = new DataView(buffer, header.headerBytes);
+  const annotations = [];
+  const recordOnsets = [];
+
+  // feat: walk data records — each record holds samplesPerRecord[i] int16 values per signal
+  for (let r = 0; r < numRecords; r++) {
+    let offset = r * recordBytes;
+    signals.forEach((s, i) => {
+      const n = s.samplesPerRecord;
+      if (s.isAnnotation) {
+        const tal = parseTALs(new Uint8Array(buffer, header.headerBytes + offset, n * 2));
+        if (tal.recordOnset !== null) recordOnsets.push(tal.recordOnset);
+        annotations.push(...tal.annotations);
+      } else if (needed.has(i)) {
+        const out = raw[i];
+        const convert = toMicrovolts[i];
+        for (let k = 0; k < n; k++) out[r * n + k] = convert(view.getInt16(offset + k * 2, true));
+      }
+      offset += n * 2;
+    });
+  }
+
+  // fix: the analysis assumes one continuous signal — EDF+D records must follow each other without gaps
+  if (header.isDiscontinuous) {
+    const gap = recordOnsets.length === numRecords
+      ? recordOnsets.findIndex((onset, r) => Math.abs(onset - recordOnsets[0] - r * recordDuration) > ONSET_TOLERANCE)
+      : 0;
+    if (gap !== -1) {
+      return {
+        signal: null,
+        mapping,
+        error: recordOnsets.length === numRecords
+          ? "Discontinuous EDF+D recording: data record " + (gap + 1) + " starts at " + recordOnsets[gap] + " s, not right after the previous one. Export each continuous segment as its own file."
+          : "Discontinuous EDF+D recording without a timekeeping annotation in every data record — record times cannot be checked.",
+      };
+    }
+  }
+
+  // feat: bring all EEG channels onto the fastest channel's sample grid
+  const sampleRate = Math.max(...Object.values(channelSignal).map((i) => signals[i].sampleRate));
+  const length = Math.floor(numRecords * recordDuration * sampleRate);
+  const channelData = {};
+  const rails = {};
+  electrodes.forEach((ch) => {
+    const s = signals[channelSignal[ch]];
+    channelData[ch] = resample(raw[channelSignal[ch]], s.sampleRate, sampleRate, length);
+    // feat: converted like the samples, so a clipped sample equals its rail exactly (see artifacts.js)
+    const ends = [s.digitalMin, s.digitalMax].map(toMicrovolts[channelSignal[ch]]);
+    rails[ch] = { min: Math.min(...ends), max: Math.max(...ends) };
+  });
+
+  // feat: build row-per-sample signal array (same structure as parseCSV)
+  const signal = [];
+  for (let k = 0; k < length; k++) {
+    const point = { time: parseFloat((k / sampleRate).toFixed(6)) };
+    electrodes.forEach((ch) => { point[ch] = channelData[ch][k]; });
+    signal.push(point);
+  }
+
+  // fix: same minimum length rule as CSV uploads
+  if (signal.length < 128) {
+    return { signal: null, mapping, error: "EDF too short (" + signal.length + " samples). Need at least 128 samples for accurate frequency analysis." };
+  }
+
+  return {
+    signal,
+    header: {
+      ...header,
+      numRecords,
+      sampleRate,
+      duration: numRecords * recordDuration,
+      // docs: record onsets of an EDF+D recording (accepted only when they leave no gaps)
+      recordOnsets: header.isDiscontinuous ? recordOnsets : [],
+    },
+    annotations: annotations.sort((a, b) => a.onset - b.onset),
+    mapping,
+    rails,
+    error: null,
+  };
+}
+
+// feat: detect EDF files by extension (EDF has no magic number beyond version "0")
+export function isEDFFileName(fileName) {
+  const name = (fileName || "").toLowerCase();
+  return EDF_EXTENSIONS.some((ext) => name.endsWith(ext));
+}
@@ -0,0 +1,113 @@
+/**
+ * @jest-environment node
+ */
+import { parseEDF, isEDFFileName, EDF_EXTENSIONS } from "./edfParser";
+
+// feat: build an EDF file in memory
+// docs: signals = [{ label, samples: [int16 per record], digitalMin?, digitalMax?, annotations? }]
+// docs: annotation signals give one TAL string per record instead of samples
+function buildEDF({ signals, numRecords, recordDuration = 1, reserved = "" }) {
+  const field = (value, length) => String(value).padEnd(length, " ").slice(0, length);
+  const ns = signals.length;
+  const perRecord = signals.map((s) => (s.tals ? s.bytes / 2 : s.samples.length / numRecords));
+  let header = field("0", 8) + field("X X X X", 80) + field("Startdate X X X X", 80) + field("01.01.20", 8) + field("10.00.00", 8);
+  header += field(256 + ns * 256, 8) + field(reserved, 44) + field(numRecords, 8) + field(recordDuration, 8) + field(ns, 4);
+  const all = (fn, length) => signals.map((s, i) => field(fn(s, i), length)).join("");
+  header += all((s) => s.label, 16) + all(() => "", 80) + all((s) => (s.tals ? "" : "uV"), 8);
+  header += all((s) => (s.tals ? -1 : -3276.8), 8) + all((s) => (s.tals ? 1 : 3276.7), 8);
+  header += all((s) => (s.digitalMin ?? -32768), 8) + all((s) => (s.digitalMax ?? 32767), 8);
+  header += all(() => "", 80) + all((s, i) => perRecord[i], 8) + all(() => "", 32);
+
+  const recordBytes = perRecord.reduce((a, b) => a + b, 0) * 2;
+  const bytes = new Uint8Array(header.length + recordBytes * numRecords);
+  for (let i = 0; i < header.length; i++) bytes[i] = header.charCodeAt(i);
+  const view = new DataView(bytes.buffer);
+  let offset = header.length;
+  for (let r = 0; r < numRecords; r++) {
+    for (let i = 0; i < ns; i++) {
+      const s = signals[i];
+      if (s.tals) {
+        bytes.set(new TextEncoder().encode(s.tals[r]).subarray(0, s.bytes), offset);
+      } else {
+        for (let k = 0; k < perRecord[i]; k++) view.setInt16(offset + k * 2, s.samples[r * perRecord[i] + k], true);
+      }
+      offset += perRecord[i] * 2;
+    }
+  }
+  return bytes.buffer;
+}
+
+const ramp = (n) => Array.from({ length: n }, (_, i) => (i % 200) - 100);
+const tal = (onset, text = "") => `+${onset}\x14\x14${text ? `${text}\x14` : ""}\x00`;
+
+describe("parseEDF", () => {
+  it("scales digital samples to µV", () => {
+    const edf = buildEDF({ numRecords: 2, signals: [{ label: "EEG Fz", samples: ramp(512) }] });
+    const { signal, header, error } = parseEDF(edf);
+    expect(error).toBeNull();
+    expect(header.sampleRate).toBe(256);
+    expect(signal).toHaveLength(512);
+    expect(signal[1].Fz).toBeCloseTo(-9.9, 6);
+  });
+
+  it("reports the physical range of each electrode as its rails, equal to a clipped sample", () => {
+    const samples = ramp(256);
+    samples[10] = 2047;
+    const edf = buildEDF({ numRecords: 1, signals: [{ label: "Fz", samples, digitalMin: -2048, digitalMax: 2047 }] });
+    const { signal, rails, error } = parseEDF(edf);
+    expect(error).toBeNull();
+    expect(rails.Fz).toEqual({ min: -3276.8, max: expect.closeTo(3276.7, 6) });
+    expect(signal[10].Fz).toBe(rails.Fz.max);
+  });
+
+  it("rejects a signal whose digital minimum equals its maximum", () => {
+    const edf = buildEDF({ numRecords: 1, signals: [{ label: "Fz", samples: ramp(256), digitalMin: 0, digitalMax: 0 }] });
+    const { signal, error } = parseEDF(edf);
+    expect(signal).toBeNull();
+    expect(error).toMatch(/equal digital minimum and maximum/);
+  });
+
+  it("decodes annotation texts as UTF-8", () => {
+    const edf = buildEDF({
+      numRecords: 1,
+      reserved: "EDF+C",
+      signals: [
+        { label: "Cz", samples: ramp(256) },
+        { label: "EDF Annotations", tals: [tal(0) + tal(0.5, "Augen geöffnet µ")], bytes: 60 },
+      ],
+    });
+    const { annotations, error } = parseEDF(edf);
+    expect(error).toBeNull();
+    expect(annotations).toEqual([{ onset: 0.5, duration: 0, text: "Augen geöffnet µ" }]);
+  });
+
+  it("reads an EDF+D file whose records leave no gaps", () => {
+    const edf = buildEDF({
+      numRecords: 2,
+      reserved: "EDF+D",
+      signals: [{ label: "Cz", samples: ramp(512) }, { label: "EDF Annotations", tals: [tal(0), tal(1)], bytes: 20 }],
+    });
+    const { signal, header, error } = parseEDF(edf);
+    expect(error).toBeNull();
+    expect(signal).toHaveLength(512);
+    expect(header.recordOnsets).toEqual([0, 1]);
+  });
+
+  it("rejects an EDF+D file with a gap between records", () => {
+    const edf = buildEDF({
+      numRecords: 2,
+      reserved: "EDF+D",
+      signals: [{ label: "Cz", samples: ramp(512) }, { label: "EDF Annotations", tals: [tal(0), tal(5)], bytes: 20 }],
+    });
+    const { signal, error } = parseEDF(edf);
+    expect(signal).toBeNull();
+    expect(error).toMatch(/record 2 starts at 5 s/);
+  });
+});
+
+describe("isEDFFileName", () => {
+  it("accepts every EDF extension in any case", () => {
+    expect(EDF_EXTENSIONS.map((ext) => isEDFFileName(`night${ext.toUpperCase()}`))).toEqual([true, true, true]);
+    expect(isEDFFileName("night.csv")).toBe(false);
+  });
+});
@@ -2,6 +2,10 @@
 // docs: all synthetic EEG data is generated using seeded pseudo-random numbers
 // docs: same seed → same sequence of numbers → same patient data (fully reproducible)
 // docs: this module provides the core simulation pipeline for the NeuroScan AI dashboard
+// chore: healthy reference band powers (built-in norm set)
+import { BUILTIN_BAND_MEANS, NORM_BANDS, formatZ } from "./norms";
+// chore: weights, cut-offs and texts of the standard scoring profile
+import { DEFAULT_PROFILE } from "./profiles";
 
 // ─────────────────────────────────────────────────────────────
 // feat: seeded pseudo-random number generator (mulberry32)
@@ -89,21 +93,12 @@ export function generateEEGSignal(isSZ, seed) {
 // ─────────────────────────────────────────────────────────────
 // feat: compute frequency band power values per band
 // Simulates Welch PSD output using seeded random variation
-// Healthy baselines: delta=1.2, theta=0.7, alpha=1.8, beta=0.5, gamma=0.2
+// Healthy baselines: the built-in norm set's means (norms.js)
 // ─────────────────────────────────────────────────────────────
 // refactor: uses separate seed offset (+1000) to avoid correlation with signal generation
 export function computeBandPowers(isSZ, seed) {
   const rng = mulberry32(seed + 1000); // offset seed to avoid correlation with signal
 
-  // Healthy baseline values from EEG literature
-  const baselines = {
-    delta: 1.2,
-    theta: 0.7,
-    alpha: 1.8,
-    beta: 0.5,
-    gamma: 0.2,
-  };
-
   // Schizophrenia multiplier ranges per band
   const szMultipliers = {
     delta: [1.6, 2.5],   // elevated
@@ -114,7 +109,7 @@ export function computeBandPowers(isSZ, seed) {
   };
 
   const powers = {};
-  Object.entries(baselines).forEach(([band, base]) => {
+  Object.entries(BUILTIN_BAND_MEANS).forEach(([band, base]) => {
     let multiplier;
     if (isSZ) {
       const [lo, hi] = szMultipliers[band];
@@ -131,100 +126,45 @@ export function computeBandPowers(isSZ, seed) {
 
 // ─────────────────────────────────────────────────────────────
 // feat: compute risk score from band powers
-// Weighted formula — alpha suppression has highest weight (35%)
-// Returns: { score, confidence, keyMarker, components }
+// Weighted formula — the weights and scale come from the scoring profile (profiles.js)
+// Returns: { score, keyMarker, keyBand, components }
 // ─────────────────────────────────────────────────────────────
-// docs: weighted formula — alpha suppression has highest weight (35%) because it is the strongest SZ marker
-export function computeRiskScore(bandPowers, seed) {
-  const rng = mulberry32(seed + 2000);
-
-  const { delta, theta, alpha, gamma } = bandPowers;
-
-  // Each component measures deviation from healthy baseline
-  const components = {
-    delta: parseFloat(((delta / 1.2 - 1) * 20).toFixed(2)),   // weight: 20
-    theta: parseFloat(((theta / 0.7 - 1) * 15).toFixed(2)),   // weight: 15
-    alpha: parseFloat(((1 - alpha / 1.8) * 35).toFixed(2)),   // weight: 35 (flipped)
-    gamma: parseFloat(((gamma / 0.2 - 1) * 10).toFixed(2)),   // weight: 10
-  };
+// docs: standard profile — alpha suppression has the highest weight (35) because it is the strongest SZ marker
+// docs: ratios are taken against the built-in reference means — the formula is tuned on them, so a
+// docs: loaded norm set changes the z-scores shown with the score, not the score
+// docs: the score's confidence comes from resampling the recording's epochs (uncertainty.js)
+export function computeRiskScore(bandPowers, profile = DEFAULT_PROFILE) {
+  const base = BUILTIN_BAND_MEANS;
+
+  // Each component measures deviation from healthy baseline; bands weighted 0 are left out
+  // docs: a negative weight counts the drop below baseline (alpha in the standard profile)
+  const components = {};
+  NORM_BANDS.forEach((band) => {
+    const w = profile.weights[band];
+    if (!w) return;
+    const ratio = bandPowers[band] / base[band];
+    components[band] = parseFloat((w < 0 ? (1 - ratio) * -w : (ratio - 1) * w).toFixed(2));
+  });
 
   // Raw score = sum of all components, then scale to 0-100
   const rawScore = Object.values(components).reduce((a, b) => a + b, 0);
-  const score = Math.min(100, Math.max(0, Math.round(rawScore * 1.2)));
-
-  // Confidence: 80–95% range with seeded noise
-  const confidence = Math.round(80 + rng() * 15);
+  const score = Math.min(100, Math.max(0, Math.round(rawScore * profile.scale)));
 
   // feat: determine key marker — whichever component is highest
-  const markerMap = {
-    delta: "δ Elevation",
-    theta: "θ Elevation",
-    alpha: "α Suppression",
-    gamma: "γ Dysregulation",
-  };
+  // docs: its deviation is reported as a z-score against the subject's norm group (see keyDeviation)
   const keyBand = Object.entries(components).reduce((a, b) =>
     b[1] > a[1] ? b : a
   )[0];
-  const keyMarker = markerMap[keyBand];
+  const keyMarker = profile.markers[keyBand];
 
-  // Deviation % for key marker display
-  const deviations = {
-    delta: `+${Math.round((delta / 1.2 - 1) * 100)}% above normal`,
-    theta: `+${Math.round((theta / 0.7 - 1) * 100)}% above normal`,
-    alpha: `-${Math.round((1 - alpha / 1.8) * 100)}% below normal`,
-    gamma: `+${Math.round((gamma / 0.2 - 1) * 100)}% above normal`,
-  };
-
-  return { score, confidence, keyMarker, keyDeviation: deviations[keyBand], components };
+  return { score, keyMarker, keyBand, components };
 }
 
-// ─────────────────────────────────────────────────────────────
-// feat: generate SHAP-style feature importance values
-// Explains which EEG features drove the risk score up or down
-// Positive = increases risk, Negative = decreases risk
-// ─────────────────────────────────────────────────────────────
-// docs: SHAP = SHapley Additive exPlanations — makes AI decisions transparent and auditable
-export function generateSHAPValues(isSZ, seed) {
-  const rng = mulberry32(seed + 3000);
-
-  // 15 features covering band+channel combos and coherence
-  const features = [
-    { name: "α · Fz", band: "alpha", region: "Frontal" },
-    { name: "δ · Cz", band: "delta", region: "Central" },
-    { name: "θ · F3", band: "theta", region: "Frontal" },
-    { name: "γ · Fp1", band: "gamma", region: "Prefrontal" },
-    { name: "α · C3", band: "alpha", region: "Central" },
-    { name: "Coh · Fz→Pz", band: "coh", region: "F-P" },
-    { name: "δ · F4", band: "delta", region: "Frontal" },
-    { name: "θ · Pz", band: "theta", region: "Parietal" },
-    { name: "α · O1", band: "alpha", region: "Occipital" },
-    { name: "β · C4", band: "beta", region: "Central" },
-    { name: "γ · F3", band: "gamma", region: "Frontal" },
-    { name: "Coh · F3→P3", band: "coh", region: "F-P" },
-    { name: "δ · Fp1", band: "delta", region: "Prefrontal" },
-    { name: "θ · C3", band: "theta", region: "Central" },
-    { name: "α · Fp2", band: "alpha", region: "Prefrontal" },
-  ];
-
-  // Base SHAP magnitudes per band for SZ vs healthy
-  const szSign = { alpha: -1, delta: 1, theta: 1, gamma: 1, beta: -1, coh: -1 };
-  const hSign = { alpha: 1, delta: -1, theta: -1, gamma: -1, beta: 1, coh: 1 };
-  const szMag = { alpha: [0.15, 0.35], delta: [0.10, 0.28], theta: [0.08, 0.20], gamma: [0.08, 0.22], beta: [0.05, 0.15], coh: [0.08, 0.18] };
-  const hMag = { alpha: [0.05, 0.15], delta: [0.03, 0.10], theta: [0.03, 0.08], gamma: [0.03, 0.08], beta: [0.02, 0.08], coh: [0.03, 0.10] };
-
-  const shapValues = features.map((f) => {
-    const mag = isSZ ? szMag[f.band] : hMag[f.band];
-    const sign = isSZ ? szSign[f.band] : hSign[f.band];
-    const base = mag[0] + rng() * (mag[1] - mag[0]);
-    const noise = (rng() - 0.5) * 0.03; // ±15% noise
-    return {
-      ...f,
-      value: parseFloat((sign * (base + noise)).toFixed(4)),
-    };
-  });
-
-  // Sort by absolute SHAP value descending
-  return shapValues.sort((a, b) => Math.abs(b.value) - Math.abs(a.value));
+// feat: key marker deviation — "z = −2.4 vs norm"
+// docs: normative = normativeDeviations() result for the recording
+export function keyDeviation(keyBand, normative) {
+  const z = normative.bands[keyBand];
+  return Number.isFinite(z) ? `z = ${formatZ(z)} vs norm` : null;
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -249,31 +189,34 @@ export function computeCoherence(isSZ, seed) {
   return result;
 }
 
+// docs: the classification of a missing or non-finite score
+export const UNSCORED_LEVEL = {
+  name: "Indeterminate",
+  color: "#64748b",
+  recommendation: "No valid risk score — do not interpret this analysis",
+  alert: "The analysis produced no valid risk score. Check the recording and the analysis settings.",
+  actions: ["Review the recording quality and analysis settings", "Repeat the analysis or the recording"],
+};
+
 // ─────────────────────────────────────────────────────────────
 // feat: classify risk level and recommendation from score
 // ─────────────────────────────────────────────────────────────
-// docs: score ≥60 = High Risk, 40–59 = Moderate, <40 = Low Risk
-export function classifyRisk(score) {
-  if (score >= 60) {
-    return {
-      level: "High Risk",
-      color: "#ef4444",
-      recommendation: "Immediate psychiatric consultation recommended",
-      alert: "Elevated slow-wave activity and reduced alpha coherence patterns observed. Recommend psychiatric evaluation.",
-    };
-  } else if (score >= 40) {
-    return {
-      level: "Moderate",
-      color: "#f59e0b",
-      recommendation: "Schedule follow-up evaluation",
-      alert: "Borderline EEG patterns detected. Some abnormalities present. Monitor and retest in 3 months.",
-    };
-  } else {
-    return {
-      level: "Low Risk",
-      color: "#10b981",
-      recommendation: "Routine monitoring",
-      alert: "EEG patterns within healthy reference range. No significant abnormalities detected.",
-    };
-  }
-}
\ No newline at end of file
+// docs: the highest profile level the score reaches — standard: ≥60 High Risk, 40–59 Moderate, <40 Low Risk
+// docs: returns { level, color, recommendation, alert, actions, scored }
+// docs: a score that isn't a finite number (NaN, null, undefined) gets UNSCORED_LEVEL with scored = false —
+// docs: never the lowest level, so a failed analysis can't read as a reassuring result
+export function classifyRisk(score, profile = DEFAULT_PROFILE) {
+  const scored = Number.isFinite(score);
+  const level = scored
+    ? profile.levels.find((l) => score >= l.min) || profile.levels[profile.levels.length - 1]
+    : UNSCORED_LEVEL;
+  return {
+    level: level.name,
+    color: level.color,
+    recommendation: level.recommendation,
+    alert: level.alert,
+    actions: level.actions,
+    scored,
+  };
+}
+
@@ -0,0 +1,22 @@
+import { classifyRisk, UNSCORED_LEVEL } from "./eegUtils";
+import { DEFAULT_PROFILE } from "./profiles";
+import { validationCase } from "./validation";
+
+describe("classifyRisk", () => {
+  it("places finite scores in the profile's levels", () => {
+    expect(classifyRisk(75, DEFAULT_PROFILE).level).toBe("High Risk");
+    expect(classifyRisk(40, DEFAULT_PROFILE).level).toBe("Moderate");
+    expect(classifyRisk(0, DEFAULT_PROFILE)).toMatchObject({ level: "Low Risk", scored: true });
+  });
+
+  it.each([NaN, null, undefined, Infinity])("never reports %p as a risk level", (score) => {
+    expect(classifyRisk(score, DEFAULT_PROFILE)).toMatchObject({ level: UNSCORED_LEVEL.name, scored: false });
+  });
+});
+
+describe("validationCase", () => {
+  it("counts an unscored result as a failed case", () => {
+    const result = { riskScore: NaN, confidence: null, classification: classifyRisk(NaN) };
+    expect(validationCase({ file: "a.csv", label: 1 }, result)).toMatchObject({ score: null, error: "no valid risk score" });
+  });
+});
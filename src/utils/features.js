@@ -0,0 +1,107 @@
+// feat: model feature vectors computed from an analysed recording
+// docs: models name the features they expect; each name is resolved against the analysis
+// docs: context { bandPowers, channelBandPowers, coherence, spectral, complexity } using this grammar:
+// docs:   "alpha"              channel-averaged band power (normalized scale, see csvAnalysis)
+// docs:   "alpha_Fz"           band power at one electrode
+// docs:   "rel_alpha"          band power / total power (channel average)
+// docs:   "rel_alpha_Fz"       band power / total power at one electrode
+// docs:   "ratio_theta_beta"   ratio of two channel-averaged band powers ("ratio_theta_beta_Fz" at one electrode)
+// docs:   "coh_alpha_F3-P3"    magnitude-squared coherence of a pair in one band
+// docs:   "iaf", "iaf_Fz"      spectral measures — iaf, alphapeak, sef, slope (spectralFeatures.js)
+// docs:   "hfd", "sampen_Fz"   complexity measures — hfd, kfd, sampen, permen, lzc, mean over the clean epochs (complexity.js)
+// docs: an electrode suffix can also be a scalp region ("alpha_frontal", "slope_occipital")
+// docs: features the recording cannot provide (missing electrode, unknown name) are NaN
+
+// chore: band names used to validate feature names
+import { EEG_BANDS } from "./spectral";
+// chore: region band powers and the spectral measures
+import { SPECTRAL_MEASURES, locationBandPowers } from "./spectralFeatures";
+// chore: nonlinear complexity measures
+import { COMPLEXITY_MEASURES, complexityAt } from "./complexity";
+// chore: Greek symbols for feature labels
+import { BAND_SYMBOLS } from "./profiles";
+
+const BANDS = Object.keys(EEG_BANDS);
+
+// feat: total power of a { band: power } object
+function totalPower(powers) {
+  return BANDS.reduce((sum, band) => sum + (powers[band] || 0), 0);
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: resolve one feature name against the analysis context
+// ─────────────────────────────────────────────────────────────
+function resolveFeature(name, context) {
+  const { bandPowers = {}, channelBandPowers = {}, coherence = null, spectral = null, complexity = null } = context;
+  const parts = name.split("_");
+  const at = (from) => locationBandPowers(bandPowers, channelBandPowers, parts.slice(from).join("_") || null);
+
+  if (parts.length === 1 && BANDS.includes(name)) return bandPowers[name] ?? NaN;
+
+  if (parts[0] === "rel" && BANDS.includes(parts[1])) {
+    const powers = at(2);
+    if (!powers) return NaN;
+    const total = totalPower(powers);
+    return total > 0 ? powers[parts[1]] / total : NaN;
+  }
+
+  if (parts[0] === "ratio" && parts.length >= 3 && BANDS.includes(parts[1]) && BANDS.includes(parts[2])) {
+    const powers = at(3);
+    return powers && powers[parts[2]] > 0 ? powers[parts[1]] / powers[parts[2]] : NaN;
+  }
+
+  if (parts[0] === "coh" && BANDS.includes(parts[1]) && coherence) {
+    const [a, b] = parts.slice(2).join("_").split("-");
+    const pair = coherence.pairs.find((p) => (p.a === a && p.b === b) || (p.a === b && p.b === a));
+    return pair && Number.isFinite(pair.bands[parts[1]]) ? pair.bands[parts[1]] : NaN;
+  }
+
+  if (SPECTRAL_MEASURES[parts[0]] && spectral) {
+    const location = parts.slice(1).join("_");
+    const values = !location ? spectral.global : spectral.channels[location] || spectral.regions[location];
+    return values && Number.isFinite(values[parts[0]]) ? values[parts[0]] : NaN;
+  }
+
+  if (COMPLEXITY_MEASURES[parts[0]]) return complexityAt(complexity, parts[0], parts.slice(1).join("_") || null);
+
+  if (BANDS.includes(parts[0]) && parts.length >= 2) {
+    const powers = at(1);
+    return powers ? powers[parts[0]] : NaN;
+  }
+
+  return NaN;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: feature vector for a model
+// docs: returns { values: { [name]: number }, missing: [names that resolved to NaN] }
+// ─────────────────────────────────────────────────────────────
+export function extractFeatures(context, names) {
+  const values = {};
+  const missing = [];
+  names.forEach((name) => {
+    const value = resolveFeature(name, context);
+    values[name] = value;
+    if (!Number.isFinite(value)) missing.push(name);
+  });
+  return { values, missing };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: display label for a feature name ("alpha_Fz" → "α · Fz", "coh_alpha_F3-P3" → "Coh α · F3–P3",
+// docs: "iaf_occipital" → "IAF · occipital")
+// ─────────────────────────────────────────────────────────────
+export function featureLabel(name) {
+  const parts = name.split("_");
+  const sym = (band) => BAND_SYMBOLS[band] || band;
+  const where = (from) => (parts.length > from ? ` · ${parts.slice(from).join("_")}` : "");
+
+  if (parts.length === 1 && BANDS.includes(name)) return `${sym(name)} power`;
+  if (parts[0] === "rel" && BANDS.includes(parts[1])) return `rel ${sym(parts[1])}${where(2)}`;
+  if (parts[0] === "ratio" && parts.length >= 3) return `${sym(parts[1])}/${sym(parts[2])}${where(3)}`;
+  if (parts[0] === "coh" && parts.length >= 3) return `Coh ${sym(parts[1])} · ${parts.slice(2).join("_").replace("-", "–")}`;
+  if (SPECTRAL_MEASURES[parts[0]]) return `${SPECTRAL_MEASURES[parts[0]].label}${where(1)}`;
+  if (COMPLEXITY_MEASURES[parts[0]]) return `${COMPLEXITY_MEASURES[parts[0]].label}${where(1)}`;
+  if (BANDS.includes(parts[0]) && parts.length >= 2) return `${sym(parts[0])}${where(1)}`;
+  return name;
+}
@@ -0,0 +1,32 @@
+import { extractFeatures, featureLabel } from "./features";
+
+const context = {
+  bandPowers: { delta: 1, theta: 0.5, alpha: 2, beta: 0.4, gamma: 0.1 },
+  channelBandPowers: { Fz: { delta: 2, theta: 1, alpha: 1, beta: 0.5, gamma: 0.5 } },
+  coherence: { pairs: [{ a: "F3", b: "P3", bands: { alpha: 0.6 } }] },
+};
+
+describe("extractFeatures", () => {
+  it("resolves band, electrode, relative, ratio and coherence features", () => {
+    const { values, missing } = extractFeatures(context, ["alpha", "alpha_Fz", "rel_alpha", "ratio_theta_beta_Fz", "coh_alpha_P3-F3", "alpha_O2"]);
+    expect(values.alpha).toBe(2);
+    expect(values.alpha_Fz).toBe(1);
+    expect(values.rel_alpha).toBeCloseTo(0.5, 10);
+    expect(values.ratio_theta_beta_Fz).toBe(2);
+    expect(values["coh_alpha_P3-F3"]).toBe(0.6);
+    expect(missing).toEqual(["alpha_O2"]);
+  });
+});
+
+describe("featureLabel", () => {
+  it.each([
+    ["alpha", "α power"],
+    ["alpha_Fz", "α · Fz"],
+    ["rel_theta_frontal", "rel θ · frontal"],
+    ["ratio_theta_beta", "θ/β"],
+    ["coh_gamma_F3-P3", "Coh γ · F3–P3"],
+    ["unknown", "unknown"],
+  ])("labels %s as %s", (name, label) => {
+    expect(featureLabel(name)).toBe(label);
+  });
+});
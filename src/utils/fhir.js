@@ -0,0 +1,452 @@
+// feat: FHIR R4 export of an analysis result for hospital record systems
+// docs: a "collection" Bundle holding
+// docs:   DiagnosticReport — the assessment: classification, findings (conclusion), links to every result
+// docs:   Observation      — risk score (95% interval bounds as components), confidence, one per band (absolute power in µV²,
+// docs:                      per-electrode powers and the relative power as components — the latter with the norm group
+// docs:                      mean ± 2 SD as reference range and the z-score as interpretation), one per coherence pair (one component per band) and one per
+// docs:                      complexity measure (head mean, per-electrode means as components)
+// docs:   Device           — the analysis software: app version, risk model, scoring profile, processing pipeline
+// docs:   Patient          — only when the analysis is filed under a subject; pseudonymous ID, no name
+// docs: quantities carry UCUM units; metrics without a standard LOINC code use the app's own code system
+// docs: validateFhirBundle() checks the bundle against the FHIR R4 JSON schema and the invariants the schema can't express
+// chore: findings for the report conclusion
+import { reportFindings } from "./findings";
+// chore: norm group reference ranges and z-scores
+import { FINDING_Z, formatZ, normativeOf, describeNormative, BUILTIN_BAND_MEANS } from "./norms";
+// chore: band edges and finding rules of the result's scoring profile
+import { profileOf } from "./profiles";
+// chore: the score's epoch-resampling interval
+import { describeUncertainty, indeterminateNote } from "./uncertainty";
+// chore: complexity measure names
+import { COMPLEXITY_MEASURES } from "./complexity";
+// chore: absolute band powers from the result's spectrum
+import { bandPowersFromPSD } from "./spectral";
+import { APP_NAME, APP_VERSION } from "./version";
+// chore: file downloads
+import { downloadJson, exportFileName } from "./download";
+
+// docs: code systems
+const UCUM = "http://unitsofmeasure.org";
+const OBSERVATION_CATEGORY = "http://terminology.hl7.org/CodeSystem/observation-category";
+const INTERPRETATION = "http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation";
+const DATA_ABSENT_REASON = "http://terminology.hl7.org/CodeSystem/data-absent-reason";
+const METRIC_SYSTEM = "https://neuroscan.ai/fhir/CodeSystem/eeg-metrics";
+const SUBJECT_ID_SYSTEM = "https://neuroscan.ai/fhir/NamingSystem/subject-id";
+
+const BAND_NAMES = { delta: "Delta", theta: "Theta", alpha: "Alpha", beta: "Beta", gamma: "Gamma" };
+
+// docs: recordings are rescaled so their band powers sum to the built-in healthy total (see csvAnalysis.js)
+const BAND_POWER_TOTAL = Object.values(BUILTIN_BAND_MEANS).reduce((a, b) => a + b, 0);
+
+// feat: "0.5-4 Hz" — band edges of the profile the result was scored with
+const bandRange = ([lo, hi]) => `${lo}-${hi} Hz`;
+
+// docs: registry sex → FHIR administrative gender
+const GENDERS = { F: "female", M: "male", X: "other" };
+
+// feat: RFC 4122 version 4 UUID for the bundle's urn:uuid: references
+function uuid() {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// feat: coded concept in the app's metric code system
+const metricCode = (code, display) => ({ coding: [{ system: METRIC_SYSTEM, code, display }], text: display });
+
+// feat: UCUM quantity — value rounded to 6 significant digits
+const quantity = (value, unit, code) => ({ value: Number(value.toPrecision(6)), unit, system: UCUM, code });
+
+// feat: interpretation of a z-score — high / low beyond ±FINDING_Z, otherwise normal
+function zInterpretation(z) {
+  const [code, display] = z >= FINDING_Z ? ["H", "High"] : z <= -FINDING_Z ? ["L", "Low"] : ["N", "Normal"];
+  return { coding: [{ system: INTERPRETATION, code, display }], text: `${display} (z = ${formatZ(z)})` };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: build the Bundle
+// docs: report = { results, subject (or null), recording: { label, source, isSZ, analyzedAt } }
+// docs: returns the Bundle as a plain object (JSON.stringify it for upload)
+// ─────────────────────────────────────────────────────────────
+export function buildFhirBundle({ results, subject = null, recording }, generatedAt = Date.now()) {
+  const entries = [];
+  const add = (resource) => {
+    const id = uuid();
+    const fullUrl = `urn:uuid:${id}`;
+    entries.push({ fullUrl, resource: { ...resource, id } });
+    return { reference: fullUrl };
+  };
+
+  const issued = new Date(generatedAt).toISOString();
+  const effective = new Date(recording.analyzedAt || generatedAt).toISOString();
+  const simulated = recording.source === "simulated";
+
+  // feat: Patient — pseudonymous subject code and sex only
+  const patientRef = subject
+    ? add({
+      resourceType: "Patient",
+      identifier: [{ system: SUBJECT_ID_SYSTEM, value: subject.id }],
+      ...(GENDERS[subject.sex] && { gender: GENDERS[subject.sex] }),
+    })
+    : null;
+
+  // feat: Device — the software, its version, the risk model, the scoring profile and the processing applied
+  const { model, preprocessing, psd, artifacts } = results;
+  const normative = normativeOf(results);
+  const profile = profileOf(results);
+  const pipelineNotes = [
+    preprocessing && `Preprocessing: ${preprocessing.steps.length ? preprocessing.steps.join("; ") : "none (raw signal)"}`,
+    psd && psd.settings && `Welch PSD: ${psd.settings.segmentSeconds} s ${psd.settings.window} segments, ${Math.round(psd.settings.overlap * 100)}% overlap`,
+    artifacts && (artifacts.settings.enabled ? `Artifact rejection: ${artifacts.kept}/${artifacts.total} epochs kept` : "Artifact rejection: off"),
+    results.complexity && `Complexity: ${results.complexity.times.length} epochs at ${results.complexity.sampleRate} Hz, Higuchi kmax ${results.complexity.settings.kmax}, sample entropy m ${results.complexity.settings.m} r ${results.complexity.settings.r}, permutation order ${results.complexity.settings.order}`,
+    `Normative reference: ${describeNormative(normative)}, version ${normative.norms.version}${normative.norms.citation ? ` (${normative.norms.citation})` : ""}`,
+  ].filter(Boolean);
+  const deviceRef = add({
+    resourceType: "Device",
+    status: "active",
+    deviceName: [
+      { name: APP_NAME, type: "manufacturer-name" },
+      ...(model ? [{ name: model.name, type: "model-name" }] : []),
+    ],
+    type: { text: "EEG analysis software" },
+    version: [
+      { type: { text: "software" }, value: APP_VERSION },
+      ...(model ? [{ type: { text: `risk model (${model.type})` }, value: String(model.version) }] : []),
+      { type: { text: `scoring profile (${profile.name})` }, value: profile.version },
+    ],
+    ...(pipelineNotes.length && { note: pipelineNotes.map((text) => ({ text })) }),
+  });
+
+  // feat: Observation with the fields every result shares
+  const observation = (code, fields) => add({
+    resourceType: "Observation",
+    status: "final",
+    category: [{ coding: [{ system: OBSERVATION_CATEGORY, code: "procedure", display: "Procedure" }] }],
+    code,
+    ...(patientRef && { subject: patientRef }),
+    effectiveDateTime: effective,
+    issued,
+    device: deviceRef,
+    ...fields,
+  });
+
+  const resultRefs = [];
+
+  // feat: risk score with its interval, and confidence (level agreement across epoch resamples)
+  const { uncertainty } = results;
+  const hasInterval = uncertainty && uncertainty.lower !== null;
+  const scoreNotes = [
+    results.keyMarker && `Key marker: ${results.keyMarker}${results.keyDeviation ? ` (${results.keyDeviation})` : ""}`,
+    uncertainty && `Uncertainty: ${describeUncertainty(uncertainty)}`,
+    indeterminateNote(uncertainty),
+  ].filter(Boolean);
+  resultRefs.push(observation(metricCode("risk-score", "Schizophrenia EEG risk score"), {
+    valueQuantity: quantity(results.riskScore, "score", "{score}"),
+    ...(results.classification && { interpretation: [{ text: results.classification.level }] }),
+    ...(hasInterval && {
+      component: [
+        { code: metricCode("risk-score-interval-low", "Risk score 95% interval, lower bound"), valueQuantity: quantity(uncertainty.lower, "score", "{score}") },
+        { code: metricCode("risk-score-interval-high", "Risk score 95% interval, upper bound"), valueQuantity: quantity(uncertainty.upper, "score", "{score}") },
+      ],
+    }),
+    ...(scoreNotes.length && { note: scoreNotes.map((text) => ({ text })) }),
+  }));
+  resultRefs.push(observation(metricCode("risk-confidence", "Risk level agreement across epoch resamples"), Number.isFinite(results.confidence)
+    ? { valueQuantity: quantity(results.confidence, "%", "%") }
+    : {
+      dataAbsentReason: {
+        coding: [{ system: DATA_ABSENT_REASON, code: "not-performed", display: "Not Performed" }],
+        text: uncertainty ? uncertainty.reason : "Not estimated",
+      },
+    }
+  ));
+
+  // feat: one Observation per band — absolute power in µV² (the Welch PSD integrated over the band),
+  // docs: channel average with per-electrode powers as components; the relative power the norms are
+  // docs: on is its own component, with the z-score interpretation and a reference range of norm
+  // docs: group mean ± FINDING_Z SD (low clamped at 0)
+  // fix: absolute powers carry UCUM µV² ("uV2"); only the relative power is unitless "1"
+  const absolute = psd
+    ? Object.entries(psd.channels).map(([electrode, density]) => [electrode, bandPowersFromPSD(psd.freqs, density, profile.bands)])
+    : [];
+  Object.keys(BAND_NAMES).forEach((band) => {
+    const value = results.bandPowers[band];
+    if (!Number.isFinite(value)) return;
+    const electrodes = absolute.filter(([, powers]) => Number.isFinite(powers[band]));
+    const { mean, sd } = normative.reference[band];
+    const z = normative.bands[band];
+    resultRefs.push(observation(
+      metricCode(`band-power-${band}`, `${BAND_NAMES[band]} band power (${bandRange(profile.bands[band])}), channel average`),
+      {
+        ...(electrodes.length && {
+          valueQuantity: quantity(electrodes.reduce((sum, [, powers]) => sum + powers[band], 0) / electrodes.length, "µV²", "uV2"),
+        }),
+        component: [
+          {
+            code: metricCode(`band-power-${band}-relative`, `${BAND_NAMES[band]} relative band power, channel average`),
+            valueQuantity: quantity(value, "1", "1"),
+            ...(Number.isFinite(z) && { interpretation: [zInterpretation(z)] }),
+            referenceRange: [{
+              low: quantity(Math.max(0, mean - FINDING_Z * sd), "1", "1"),
+              high: quantity(mean + FINDING_Z * sd, "1", "1"),
+              text: `Mean ± ${FINDING_Z} SD of ${describeNormative(normative)}`,
+            }],
+          },
+          ...electrodes.map(([electrode, powers]) => ({
+            code: metricCode(`band-power-${band}-${electrode}`, `${BAND_NAMES[band]} band power at ${electrode}`),
+            valueQuantity: quantity(powers[band], "µV²", "uV2"),
+          })),
+        ],
+        note: [{ text: `Relative power: the recording's spectrum rescaled so its bands sum to ${+BAND_POWER_TOTAL.toFixed(2)}, the healthy reference total.` }],
+      }
+    ));
+  });
+
+  // feat: one Observation per coherence pair — magnitude-squared coherence per band
+  if (results.coherence) {
+    results.coherence.pairs.forEach((pair) => {
+      const bands = results.coherence.bands.filter((band) => Number.isFinite(pair.bands[band]));
+      if (bands.length === 0) return;
+      resultRefs.push(observation(
+        metricCode(`coherence-${pair.pair}`, `Magnitude-squared coherence ${pair.pair}`),
+        {
+          component: bands.map((band) => ({
+            code: metricCode(`coherence-${band}`, `${BAND_NAMES[band] || band} band coherence`),
+            valueQuantity: quantity(pair.bands[band], "1", "1"),
+          })),
+          ...(simulated && { note: [{ text: "Synthetic value from the EEG simulator." }] }),
+        }
+      ));
+    });
+  }
+
+  // feat: one Observation per complexity measure — mean over the head, per-electrode means as components
+  if (results.complexity) {
+    const { global, channels } = results.complexity;
+    Object.entries(COMPLEXITY_MEASURES).forEach(([measure, { label }]) => {
+      if (!Number.isFinite(global[measure])) return;
+      const electrodes = Object.entries(channels).filter(([, values]) => Number.isFinite(values[measure].mean));
+      resultRefs.push(observation(
+        metricCode(`complexity-${measure}`, `${label}, channel average`),
+        {
+          valueQuantity: quantity(global[measure], "1", "1"),
+          ...(electrodes.length && {
+            component: electrodes.map(([electrode, values]) => ({
+              code: metricCode(`complexity-${measure}-${electrode}`, `${label} at ${electrode}`),
+              valueQuantity: quantity(values[measure].mean, "1", "1"),
+            })),
+          }),
+        }
+      ));
+    });
+  }
+
+  // feat: DiagnosticReport — classification, findings and the results it is based on
+  const findings = reportFindings(normative, profile);
+  const classification = results.classification || {};
+  add({
+    resourceType: "DiagnosticReport",
+    status: "final",
+    category: [{ text: "Electroencephalography" }],
+    code: metricCode("eeg-sz-risk-assessment", "EEG-based schizophrenia risk assessment"),
+    ...(patientRef && { subject: patientRef }),
+    effectiveDateTime: effective,
+    issued,
+    result: resultRefs,
+    conclusion: [
+      classification.level && `${classification.level}: ${classification.alert || classification.recommendation || ""}`.trim(),
+      indeterminateNote(uncertainty) && `${indeterminateNote(uncertainty)}.`,
+      ...findings.map((f) => `${f.severity}: ${f.text}`),
+      "Research decision-support output, not a clinical diagnosis.",
+    ].filter(Boolean).join(" "),
+    conclusionCode: findings.map((f) => metricCode(`finding-${f.key}`, `${f.severity}: ${f.text}`)),
+  });
+
+  return {
+    resourceType: "Bundle",
+    id: uuid(),
+    meta: { lastUpdated: issued, tag: [{ system: METRIC_SYSTEM, code: simulated ? "simulated" : "recorded" }] },
+    type: "collection",
+    timestamp: issued,
+    entry: entries,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: validation against the FHIR R4 JSON schema (fhir.schema.json) plus the invariants it can't express
+// docs: the schema checks structure, required elements, value sets and primitive formats of every
+// docs: resource; on top: JSON rules (no nulls, empty strings, arrays or objects), Quantity qty-3 (a
+// docs: unit code needs a system), Observation obs-3 and obs-6 and reference resolution inside the bundle
+// docs: async — the schema (3.5 MB) is loaded and compiled on first use, then cached
+// docs: returns a list of "path: problem" messages — empty when the bundle is valid
+// ─────────────────────────────────────────────────────────────
+// docs: HL7's R4 schema as packaged by @medplum/definitions, which refers to two definitions it doesn't include
+// docs: resolves to resourceType → validator (null for names that aren't R4 resource types)
+let r4Schema = null;
+function loadR4Schema() {
+  if (!r4Schema) {
+    r4Schema = Promise.all([
+      import("ajv"),
+      import("@medplum/definitions/dist/fhir/r4/fhir.schema.json"),
+    ]).then(([{ default: Ajv }, { default: schema }]) => {
+      const ajv = new Ajv({ schemaId: "auto", allErrors: true, validateSchema: false });
+      ajv.addSchema({
+        ...schema,
+        definitions: { Resource: { $ref: "#/definitions/ResourceList" }, integer64: { type: "string" }, ...schema.definitions },
+      }, "fhir");
+      const { mapping } = schema.discriminator;
+      return (type) => (Object.prototype.hasOwnProperty.call(mapping, type) ? ajv.getSchema(`fhir#/definitions/${type}`) : null);
+    });
+  }
+  return r4Schema;
+}
+
+// feat: ajv errors as "path: problem" messages
+function schemaErrors(validate, value, path) {
+  if (validate(value)) return [];
+  return validate.errors.map(({ dataPath, message, params }) => {
+    const detail = params.additionalProperty || (params.allowedValues && params.allowedValues.join(", "));
+    return `${path}${dataPath}: ${message}${detail ? ` (${detail})` : ""}`;
+  });
+}
+
+function checkJsonRules(value, path, errors) {
+  if (value === null || value === undefined) errors.push(`${path}: null values are not allowed`);
+  else if (typeof value === "string" && value.trim() === "") errors.push(`${path}: empty string`);
+  else if (typeof value === "number" && !Number.isFinite(value)) errors.push(`${path}: not a finite number`);
+  else if (Array.isArray(value)) {
+    if (value.length === 0) errors.push(`${path}: empty array`);
+    value.forEach((item, i) => checkJsonRules(item, `${path}[${i}]`, errors));
+  } else if (typeof value === "object") {
+    const keys = Object.keys(value);
+    if (keys.length === 0) errors.push(`${path}: empty object`);
+    keys.forEach((key) => checkJsonRules(value[key], `${path}.${key}`, errors));
+  }
+}
+
+function checkQuantity(q, path, errors) {
+  if (q.code && !q.system) errors.push(`${path}: qty-3 — a unit code needs a system`);
+}
+
+function checkReferenceRanges(ranges, path, errors) {
+  (ranges || []).forEach((range, i) => {
+    const rangePath = `${path}.referenceRange[${i}]`;
+    if (!range.low && !range.high && !range.text) errors.push(`${rangePath}: obs-3 — needs low, high or text`);
+    if (range.low) checkQuantity(range.low, `${rangePath}.low`, errors);
+    if (range.high) checkQuantity(range.high, `${rangePath}.high`, errors);
+  });
+}
+
+// feat: per-resource invariants
+const RESOURCE_RULES = {
+  Observation(r, path, errors) {
+    if (r.valueQuantity) checkQuantity(r.valueQuantity, `${path}.valueQuantity`, errors);
+    if (r.dataAbsentReason && r.valueQuantity) errors.push(`${path}: obs-6 — dataAbsentReason only when there is no value`);
+    checkReferenceRanges(r.referenceRange, path, errors);
+    (r.component || []).forEach((c, i) => {
+      if (c.valueQuantity) checkQuantity(c.valueQuantity, `${path}.component[${i}].valueQuantity`, errors);
+      checkReferenceRanges(c.referenceRange, `${path}.component[${i}]`, errors);
+    });
+  },
+  DiagnosticReport(r, path, errors, resolve) {
+    (r.result || []).forEach((ref, i) => {
+      const target = resolve(ref.reference);
+      if (target && target.resourceType !== "Observation") errors.push(`${path}.result[${i}]: must reference an Observation`);
+    });
+  },
+};
+
+// feat: every { reference } anywhere in a resource
+function collectReferences(value, path, out) {
+  if (Array.isArray(value)) value.forEach((item, i) => collectReferences(item, `${path}[${i}]`, out));
+  else if (value && typeof value === "object") {
+    if (typeof value.reference === "string") out.push({ path, reference: value.reference });
+    Object.entries(value).forEach(([key, item]) => collectReferences(item, `${path}.${key}`, out));
+  }
+}
+
+export async function validateFhirBundle(bundle) {
+  const errors = [];
+  checkJsonRules(bundle, "Bundle", errors);
+  if (!bundle || bundle.resourceType !== "Bundle") return [...errors, "Bundle.resourceType: must be \"Bundle\""];
+  const schemaFor = await loadR4Schema();
+
+  // docs: the entries' resources are checked one by one against their own type — validated through the
+  // docs: Bundle schema they'd match against every resource type at once, with an error for each miss
+  const entries = Array.isArray(bundle.entry) ? bundle.entry : [];
+  errors.push(...schemaErrors(schemaFor("Bundle"), {
+    ...bundle,
+    ...(entries.length && { entry: entries.map(({ resource, ...entry }) => entry) }),
+  }, "Bundle"));
+
+  const byUrl = new Map();
+  entries.forEach((entry, i) => {
+    if (entry.fullUrl) {
+      if (byUrl.has(entry.fullUrl)) errors.push(`Bundle.entry[${i}].fullUrl: duplicate ${entry.fullUrl}`);
+      byUrl.set(entry.fullUrl, entry.resource);
+    }
+  });
+  const resolve = (reference) => byUrl.get(reference);
+
+  entries.forEach((entry, i) => {
+    const resource = entry.resource;
+    const path = `Bundle.entry[${i}].resource`;
+    if (!resource || !resource.resourceType) {
+      errors.push(`${path}: resource with a resourceType required`);
+      return;
+    }
+    const validate = schemaFor(resource.resourceType);
+    if (!validate) {
+      errors.push(`${path}: ${resource.resourceType} is not an R4 resource type`);
+      return;
+    }
+    errors.push(...schemaErrors(validate, resource, `${path}(${resource.resourceType})`));
+    if (RESOURCE_RULES[resource.resourceType]) RESOURCE_RULES[resource.resourceType](resource, `${path}(${resource.resourceType})`, errors, resolve);
+
+    // docs: a collection's internal references must point at entries of the same bundle
+    const refs = [];
+    collectReferences(resource, path, refs);
+    refs.forEach(({ path: refPath, reference }) => {
+      if (!resolve(reference)) errors.push(`${refPath}: ${reference} is not in the bundle`);
+    });
+  });
+
+  return errors;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: the result object as plain JSON
+// docs: drops the display trace (raw samples stay in the uploaded file); everything else is kept
+// ─────────────────────────────────────────────────────────────
+export function resultsToJson({ results, subject = null, recording }) {
+  const { eegSignal, ...rest } = results;
+  return {
+    software: { name: APP_NAME, version: APP_VERSION },
+    exportedAt: new Date().toISOString(),
+    recording: {
+      ...recording,
+      analyzedAt: recording.analyzedAt ? new Date(recording.analyzedAt).toISOString() : null,
+    },
+    subject,
+    results: rest,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: downloads — the bundle is checked first (validateFhirBundle) and never saved when it fails
+// ─────────────────────────────────────────────────────────────
+export async function exportFhirBundle(report) {
+  const bundle = buildFhirBundle(report);
+  const errors = await validateFhirBundle(bundle);
+  if (errors.length) {
+    throw new Error(`FHIR bundle failed validation — ${errors.slice(0, 3).join("; ")}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ""}`);
+  }
+  downloadJson(bundle, exportFileName(report, "fhir", "json"), "application/fhir+json");
+}
+
+export function exportResultsJson(report) {
+  downloadJson(resultsToJson(report), exportFileName(report, "results", "json"));
+}
@@ -0,0 +1,89 @@
+/**
+ * @jest-environment node
+ */
+import { webcrypto } from "crypto";
+import { buildFhirBundle, validateFhirBundle } from "./fhir";
+import { analyzeSimulated, DEFAULT_ANALYSIS_SETTINGS } from "./pipeline";
+
+// chore: Jest's node environment doesn't expose Web Crypto as a global (browsers and Node 20 do)
+global.crypto = global.crypto || webcrypto;
+
+const results = analyzeSimulated(true, 7, DEFAULT_ANALYSIS_SETTINGS);
+const bundle = buildFhirBundle({
+  results,
+  subject: { id: "SZ-014", sex: "F" },
+  recording: { label: "Simulated", source: "simulated", isSZ: true, analyzedAt: Date.UTC(2026, 0, 5) },
+}, Date.UTC(2026, 0, 6));
+const resources = (type) => bundle.entry.map((e) => e.resource).filter((r) => r.resourceType === type);
+const byCode = (code) => resources("Observation").find((o) => o.code.coding[0].code === code);
+
+describe("buildFhirBundle", () => {
+  it("passes the R4 schema and invariant check", async () => {
+    expect(await validateFhirBundle(bundle)).toEqual([]);
+  });
+
+  it("exports absolute band powers in µV² and the relative power as a unitless component", () => {
+    const alpha = byCode("band-power-alpha");
+    const ucum = "http://unitsofmeasure.org";
+    expect(alpha.valueQuantity).toMatchObject({ value: expect.any(Number), unit: "µV²", system: ucum, code: "uV2" });
+    const [relative, ...electrodes] = alpha.component;
+    expect(relative.code.coding[0].code).toBe("band-power-alpha-relative");
+    expect(relative.valueQuantity).toMatchObject({ value: results.bandPowers.alpha, system: ucum, code: "1" });
+    expect(relative.referenceRange[0].low.code).toBe("1");
+    expect(relative.referenceRange[0].high.code).toBe("1");
+    expect(electrodes.length).toBe(Object.keys(results.psd.channels).length);
+    electrodes.forEach((c) => expect(c.valueQuantity.code).toBe("uV2"));
+    const mean = electrodes.reduce((sum, c) => sum + c.valueQuantity.value, 0) / electrodes.length;
+    expect(alpha.valueQuantity.value).toBeCloseTo(mean, 4);
+  });
+
+  it("links every Observation from the DiagnosticReport", () => {
+    const [report] = resources("DiagnosticReport");
+    const urls = new Set(report.result.map((r) => r.reference));
+    bundle.entry.filter((e) => e.resource.resourceType === "Observation").forEach((e) => expect(urls.has(e.fullUrl)).toBe(true));
+  });
+});
+
+describe("validateFhirBundle", () => {
+  const copy = () => JSON.parse(JSON.stringify(bundle));
+  const entryOf = (b, type) => b.entry.find((e) => e.resource.resourceType === type);
+
+  it("reports schema violations with their path", async () => {
+    const broken = copy();
+    const observation = entryOf(broken, "Observation").resource;
+    observation.status = "done";
+    observation.valueQuantity.value = "12";
+    observation.unknownElement = true;
+    const errors = (await validateFhirBundle(broken)).join("\n");
+    expect(errors).toMatch(/\(Observation\)\.status: should be equal to one of the allowed values/);
+    expect(errors).toMatch(/\(Observation\)\.valueQuantity\.value: should be number/);
+    expect(errors).toMatch(/should NOT have additional properties \(unknownElement\)/);
+  });
+
+  it("checks the Bundle itself and rejects unknown resource types", async () => {
+    const broken = copy();
+    broken.type = "pile";
+    entryOf(broken, "Device").resource.resourceType = "Gadget";
+    const errors = await validateFhirBundle(broken);
+    expect(errors.join("\n")).toMatch(/^Bundle\.type: should be equal to one of the allowed values/m);
+    expect(errors.join("\n")).toMatch(/Gadget is not an R4 resource type/);
+  });
+
+  it("reports the invariants the schema can't express", async () => {
+    const broken = copy();
+    const observation = entryOf(broken, "Observation").resource;
+    observation.dataAbsentReason = { text: "Not estimated" };
+    delete observation.valueQuantity.system;
+    observation.note = [];
+    const errors = (await validateFhirBundle(broken)).join("\n");
+    expect(errors).toMatch(/obs-6/);
+    expect(errors).toMatch(/qty-3/);
+    expect(errors).toMatch(/note: empty array/);
+  });
+
+  it("reports broken references", async () => {
+    const broken = copy();
+    entryOf(broken, "DiagnosticReport").resource.result[0].reference = "urn:uuid:missing";
+    expect((await validateFhirBundle(broken)).join("\n")).toMatch(/urn:uuid:missing/);
+  });
+});
@@ -0,0 +1,300 @@
+// feat: signal preprocessing — detrending, mains notch and zero-phase band-pass filters
+// docs: runs before spectral analysis so 50/60 Hz interference and slow drift no longer
+// docs: leak into gamma and delta power (both feed computeRiskScore)
+// docs: IIR filters are Butterworth/notch biquads run forward-backward (filtfilt);
+// docs: FIR filters are Hamming-windowed sinc kernels applied centred (linear phase, no delay)
+
+// chore: FFT used for fast FIR convolution
+import { fft, nextPow2, makeWindow } from "./spectral";
+
+// docs: default preprocessing — recorded with every result
+export const DEFAULT_PREPROCESSING = {
+  detrend: true,
+  notch: 50,            // docs: mains frequency in Hz, or 0 for off
+  notchHarmonics: true, // docs: also remove 100/150/... (or 120/180/...) Hz
+  notchQ: 30,
+  bandpass: true,
+  lowCut: 0.5,
+  highCut: 70,
+  filterType: "iir",    // docs: "iir" (Butterworth) or "fir" (windowed sinc)
+  order: 4,             // docs: even IIR order per direction (effective order doubles with filtfilt)
+};
+
+// ─────────────────────────────────────────────────────────────
+// feat: biquad designs (RBJ audio-EQ cookbook, bilinear transform with prewarping)
+// docs: each section = { b: [b0, b1, b2], a: [1, a1, a2] }
+// ─────────────────────────────────────────────────────────────
+function biquad(type, freq, sampleRate, q) {
+  const w0 = (2 * Math.PI * freq) / sampleRate;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * q);
+  let b;
+  if (type === "lowpass") b = [(1 - cos) / 2, 1 - cos, (1 - cos) / 2];
+  else if (type === "highpass") b = [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2];
+  else b = [1, -2 * cos, 1]; // docs: notch
+  const a0 = 1 + alpha;
+  return {
+    b: b.map((v) => v / a0),
+    a: [1, (-2 * cos) / a0, (1 - alpha) / a0],
+  };
+}
+
+// feat: Butterworth high/low-pass as a cascade of biquads
+// docs: Q of section k = 1 / (2·cos((2k+1)π / 2N)) places the poles on the Butterworth circle
+// docs: order must be even (one biquad per pole pair) — validatePreprocessing rejects odd orders
+function butterworth(type, freq, sampleRate, order) {
+  const sections = [];
+  for (let k = 0; k < order / 2; k++) {
+    const q = 1 / (2 * Math.cos(((2 * k + 1) * Math.PI) / (2 * order)));
+    sections.push(biquad(type, freq, sampleRate, q));
+  }
+  return sections;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: run one biquad over a signal (direct form II transposed)
+// docs: initial state is the steady-state response to the first sample, so a DC
+// docs: offset doesn't produce a start-up transient (same idea as scipy lfilter_zi)
+// ─────────────────────────────────────────────────────────────
+function runSection({ b, a }, x) {
+  const y = new Float64Array(x.length);
+  const x0 = x[0];
+  const dcGain = (b[0] + b[1] + b[2]) / (1 + a[1] + a[2]);
+  const y0 = dcGain * x0;
+  let z2 = b[2] * x0 - a[2] * y0;
+  let z1 = b[1] * x0 - a[1] * y0 + z2;
+
+  for (let i = 0; i < x.length; i++) {
+    const out = b[0] * x[i] + z1;
+    z1 = b[1] * x[i] - a[1] * out + z2;
+    z2 = b[2] * x[i] - a[2] * out;
+    y[i] = out;
+  }
+  return y;
+}
+
+// feat: odd (point-symmetric) extension at both ends to suppress edge transients
+function oddExtend(x, padlen) {
+  const n = x.length;
+  const out = new Float64Array(n + 2 * padlen);
+  for (let i = 0; i < padlen; i++) {
+    out[i] = 2 * x[0] - x[padlen - i];
+    out[n + padlen + i] = 2 * x[n - 1] - x[n - 2 - i];
+  }
+  out.set(x, padlen);
+  return out;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: zero-phase IIR filtering — forward pass, then backward pass
+// docs: phase shifts cancel, magnitude response is squared
+// ─────────────────────────────────────────────────────────────
+export function filtfilt(sections, x, padlen) {
+  const pad = Math.min(x.length - 1, padlen);
+  let y = oddExtend(x, pad);
+  sections.forEach((s) => { y = runSection(s, y); });
+  y.reverse();
+  sections.forEach((s) => { y = runSection(s, y); });
+  y.reverse();
+  return y.subarray(pad, pad + x.length);
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: Hamming-windowed sinc band-pass kernel
+// docs: numtaps from the usual 3.3 / transition-width rule, capped to the signal length
+// ─────────────────────────────────────────────────────────────
+function designFIRBandpass(lowCut, highCut, sampleRate, maxTaps) {
+  const transition = Math.max(0.5, Math.min(lowCut || highCut * 0.25, highCut * 0.25));
+  let taps = Math.ceil((3.3 * sampleRate) / transition);
+  taps = Math.min(taps, maxTaps);
+  if (taps % 2 === 0) taps -= 1; // docs: odd length → integer group delay (type I linear phase)
+
+  const mid = (taps - 1) / 2;
+  const window = makeWindow("hamming", taps);
+  const fl = lowCut / sampleRate;
+  const fh = highCut / sampleRate;
+  const sinc = (x) => (x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x));
+  const h = new Float64Array(taps);
+  for (let i = 0; i < taps; i++) {
+    const m = i - mid;
+    h[i] = window[i] * (2 * fh * sinc(2 * fh * m) - 2 * fl * sinc(2 * fl * m));
+  }
+  return h;
+}
+
+// feat: centred FFT convolution — output aligned with input, so a linear-phase FIR adds no delay
+function convolveSame(x, h) {
+  const n = x.length + h.length - 1;
+  const size = nextPow2(n);
+  const xr = new Float64Array(size);
+  const xi = new Float64Array(size);
+  const hr = new Float64Array(size);
+  const hi = new Float64Array(size);
+  xr.set(x);
+  hr.set(h);
+  fft(xr, xi);
+  fft(hr, hi);
+
+  // docs: pointwise product, then inverse FFT via conjugation
+  for (let k = 0; k < size; k++) {
+    const re = xr[k] * hr[k] - xi[k] * hi[k];
+    const im = xr[k] * hi[k] + xi[k] * hr[k];
+    xr[k] = re;
+    xi[k] = -im;
+  }
+  fft(xr, xi);
+
+  const offset = (h.length - 1) / 2;
+  const y = new Float64Array(x.length);
+  for (let i = 0; i < x.length; i++) y[i] = xr[i + offset] / size;
+  return y;
+}
+
+// feat: zero-phase FIR band-pass with odd-extension padding
+export function firFilter(x, lowCut, highCut, sampleRate) {
+  const h = designFIRBandpass(lowCut, highCut, sampleRate, Math.max(3, x.length));
+  const pad = Math.min(x.length - 1, h.length);
+  const y = convolveSame(oddExtend(x, pad), h);
+  return { data: y.subarray(pad, pad + x.length), taps: h.length };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: remove the least-squares line from a channel
+// ─────────────────────────────────────────────────────────────
+export function detrendLinear(x) {
+  const n = x.length;
+  const tMean = (n - 1) / 2;
+  let xMean = 0;
+  for (let i = 0; i < n; i++) xMean += x[i];
+  xMean /= n;
+
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < n; i++) {
+    num += (i - tMean) * (x[i] - xMean);
+    den += (i - tMean) * (i - tMean);
+  }
+  const slope = den > 0 ? num / den : 0;
+
+  const y = new Float64Array(n);
+  for (let i = 0; i < n; i++) y[i] = x[i] - xMean - slope * (i - tMean);
+  return y;
+}
+
+// feat: notch frequencies to remove — fundamental plus harmonics below Nyquist
+function notchFrequencies(settings, sampleRate) {
+  if (!settings.notch) return [];
+  const freqs = [];
+  const nyquist = sampleRate / 2;
+  for (let f = settings.notch; f < nyquist - 1; f += settings.notch) {
+    freqs.push(f);
+    if (!settings.notchHarmonics) break;
+  }
+  return freqs;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: check preprocessing settings before any filter is designed
+// docs: the pass band must satisfy 0 ≤ lowCut < highCut ≤ 0.45·fs (the fs bound only when the
+// docs: sample rate is known — the app checks it again per recording); notch is 0/null (off) or a
+// docs: positive frequency; the Butterworth order is a positive even whole number
+// docs: returns an error message, or null when the settings are valid
+// ─────────────────────────────────────────────────────────────
+export function validatePreprocessing(settings, sampleRate) {
+  const s = { ...DEFAULT_PREPROCESSING, ...settings };
+  const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+  if (s.notch !== null && (!isNumber(s.notch) || s.notch < 0)) return "Mains notch must be 0 (off) or a frequency in Hz.";
+  if (!isNumber(s.notchQ) || s.notchQ <= 0) return "Notch Q must be a positive number.";
+  if (!isNumber(s.order) || s.order < 2 || s.order % 2 !== 0) return "Filter order must be a positive even whole number (2, 4, 6, …).";
+  if (!s.bandpass) return null;
+  if (!isNumber(s.lowCut) || !isNumber(s.highCut)) return "Pass band edges must be numbers in Hz.";
+  if (s.lowCut < 0) return "Pass band low cut-off must be 0 Hz or more.";
+  if (s.lowCut >= s.highCut) return `Pass band low cut-off (${s.lowCut} Hz) must be below the high cut-off (${s.highCut} Hz).`;
+  if (sampleRate && s.highCut > sampleRate * 0.45) {
+    return `Pass band high cut-off (${s.highCut} Hz) must be at most 0.45 × the ${sampleRate} Hz sample rate (${+(sampleRate * 0.45).toFixed(2)} Hz).`;
+  }
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: filter one channel according to the preprocessing settings
+// docs: order of operations: linear detrend → notch(es) → band-pass
+// ─────────────────────────────────────────────────────────────
+export function preprocessChannel(data, sampleRate, settings = DEFAULT_PREPROCESSING) {
+  const s = { ...DEFAULT_PREPROCESSING, ...settings };
+  let y = Float64Array.from(data);
+  // docs: about one second of reflected signal absorbs the slowest IIR transients
+  const padlen = Math.round(sampleRate);
+
+  if (s.detrend) y = detrendLinear(y);
+
+  const notches = notchFrequencies(s, sampleRate).map((f) => biquad("notch", f, sampleRate, s.notchQ));
+  if (notches.length) y = filtfilt(notches, y, padlen);
+
+  if (s.bandpass) {
+    const high = Math.min(s.highCut, sampleRate * 0.45);
+    if (s.filterType === "fir") {
+      y = firFilter(y, s.lowCut, high, sampleRate).data;
+    } else {
+      const sections = [
+        ...(s.lowCut > 0 ? butterworth("highpass", s.lowCut, sampleRate, s.order) : []),
+        ...butterworth("lowpass", high, sampleRate, s.order),
+      ];
+      y = filtfilt(sections, y, padlen);
+    }
+  }
+
+  return y;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: human-readable list of the steps actually applied (for reports and audit)
+// ─────────────────────────────────────────────────────────────
+export function describePreprocessing(settings, sampleRate, length) {
+  const s = { ...DEFAULT_PREPROCESSING, ...settings };
+  const steps = [];
+  if (s.detrend) steps.push("linear detrend");
+  const notches = notchFrequencies(s, sampleRate);
+  if (notches.length) steps.push(`notch ${notches.join("/")} Hz (Q ${s.notchQ}, zero-phase)`);
+  if (s.bandpass) {
+    const high = Math.min(s.highCut, sampleRate * 0.45);
+    if (s.filterType === "fir") {
+      const taps = designFIRBandpass(s.lowCut, high, sampleRate, Math.max(3, length || Infinity)).length;
+      steps.push(`band-pass ${s.lowCut}–${high} Hz (FIR Hamming, ${taps} taps, zero-phase)`);
+    } else {
+      steps.push(`band-pass ${s.lowCut}–${high} Hz (IIR Butterworth order ${s.order}, zero-phase)`);
+    }
+  }
+  return steps;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: preprocess every channel of a row-per-sample signal array
+// docs: returns { signal, channelData, preprocessing } — a new signal array (input untouched),
+// docs: the filtered channel arrays, and the settings + applied steps to store with the result
+// ─────────────────────────────────────────────────────────────
+export function preprocessSignal(signal, channels, sampleRate, settings = DEFAULT_PREPROCESSING) {
+  const resolved = { ...DEFAULT_PREPROCESSING, ...settings };
+  const filtered = {};
+  channels.forEach((ch) => {
+    const data = new Float64Array(signal.length);
+    for (let i = 0; i < signal.length; i++) data[i] = signal[i][ch];
+    filtered[ch] = preprocessChannel(data, sampleRate, resolved);
+  });
+
+  const out = signal.map((pt, i) => {
+    const row = { time: pt.time };
+    channels.forEach((ch) => { row[ch] = filtered[ch][i]; });
+    return row;
+  });
+
+  return {
+    signal: out,
+    channelData: filtered,
+    preprocessing: {
+      settings: resolved,
+      steps: describePreprocessing(resolved, sampleRate, signal.length),
+      sampleRate,
+    },
+  };
+}
@@ -0,0 +1,61 @@
+import { preprocessChannel, validatePreprocessing, DEFAULT_PREPROCESSING } from "./filters";
+import { FS, sine } from "../testUtils/signals";
+
+// feat: RMS of the middle half, away from the edges
+function rms(x) {
+  const middle = x.slice(x.length / 4, (3 * x.length) / 4);
+  return Math.sqrt(middle.reduce((a, v) => a + v * v, 0) / middle.length);
+}
+
+const bandOnly = { ...DEFAULT_PREPROCESSING, detrend: false, notch: 0 };
+
+describe("preprocessChannel", () => {
+  it.each(["iir", "fir"])("passes an in-band sine without delay or phase shift (%s)", (filterType) => {
+    const input = sine(10);
+    const output = preprocessChannel(input, FS, { ...bandOnly, filterType });
+    const middle = (x) => Array.from(x.slice(FS * 2, FS * 6));
+    middle(output).forEach((v, i) => expect(v).toBeCloseTo(middle(input)[i], 1));
+    expect(rms(output) / rms(input)).toBeCloseTo(1, 1);
+  });
+
+  it.each(["iir", "fir"])("attenuates sines outside the pass band (%s)", (filterType) => {
+    const settings = { ...bandOnly, filterType, lowCut: 1, highCut: 30 };
+    expect(rms(preprocessChannel(sine(0.1), FS, settings)) / rms(sine(0.1))).toBeLessThan(0.1);
+    expect(rms(preprocessChannel(sine(80), FS, settings)) / rms(sine(80))).toBeLessThan(0.01);
+  });
+
+  it("removes mains interference with the notch", () => {
+    const input = sine(50);
+    const output = preprocessChannel(input, FS, { ...DEFAULT_PREPROCESSING, detrend: false, bandpass: false });
+    expect(rms(output) / rms(input)).toBeLessThan(0.05);
+  });
+});
+
+describe("validatePreprocessing", () => {
+  it("accepts the defaults", () => {
+    expect(validatePreprocessing(DEFAULT_PREPROCESSING, FS)).toBeNull();
+  });
+
+  it.each([
+    [{ highCut: 0 }, /below the high cut-off/],
+    [{ lowCut: 40, highCut: 10 }, /below the high cut-off/],
+    [{ lowCut: -1 }, /0 Hz or more/],
+    [{ highCut: NaN }, /must be numbers/],
+    [{ highCut: 120 }, /0\.45 × the 256 Hz sample rate/],
+    [{ notch: -50 }, /Mains notch/],
+    [{ notchQ: Infinity }, /Notch Q/],
+    [{ order: 3 }, /even whole number/],
+    [{ order: "4" }, /even whole number/],
+  ])("rejects %o", (settings, message) => {
+    expect(validatePreprocessing({ ...DEFAULT_PREPROCESSING, ...settings }, FS)).toMatch(message);
+  });
+
+  it("checks the high cut-off against the sample rate only when it is known", () => {
+    expect(validatePreprocessing({ highCut: 120 })).toBeNull();
+  });
+
+  it("ignores the pass band when band-pass filtering is off", () => {
+    expect(validatePreprocessing({ bandpass: false, lowCut: 40, highCut: 10 }, FS)).toBeNull();
+    expect(validatePreprocessing({ notch: null }, FS)).toBeNull();
+  });
+});
@@ -0,0 +1,47 @@
+// feat: clinical report findings and recommendations derived from an analysis result
+// docs: shared by the clinical report and comparison mode (findings diff between two results)
+// docs: each finding has a stable key so the same abnormality can be matched across results
+
+// chore: z formatting, finding rules and level actions of the scoring profile
+import { formatZ } from "./norms";
+import { DEFAULT_PROFILE, SEVERITY_STYLES } from "./profiles";
+// chore: the profile level a score falls in
+import { classifyRisk } from "./eegUtils";
+
+// ─────────────────────────────────────────────────────────────
+// feat: findings from band power z-scores against the subject's norm group (see norms.js)
+// docs: each finding rule of the profile flags its band at z ≤ −limit ("low") or z ≥ limit ("high")
+// docs: standard profile: alpha low (Severe); delta, theta high (Moderate); gamma high (Mild), all at |z| 2
+// docs: returns [{ key, icon, severity, color, text }] — one "normal" finding when nothing deviates
+// ─────────────────────────────────────────────────────────────
+export function reportFindings(normative, profile = DEFAULT_PROFILE) {
+  const z = normative.bands;
+  const findings = profile.findings
+    .filter((rule) => Number.isFinite(z[rule.band]) && (rule.direction === "low" ? z[rule.band] <= -rule.z : z[rule.band] >= rule.z))
+    .map((rule) => ({
+      key: rule.band,
+      ...SEVERITY_STYLES[rule.severity],
+      severity: rule.severity,
+      text: `${rule.text} z = ${formatZ(z[rule.band])} against the ${normative.group} norm.`,
+    }));
+
+  if (findings.length === 0) {
+    // docs: "±2 SD" when every rule shares one limit, as in the standard profile
+    const limits = [...new Set(profile.findings.map((rule) => rule.z))];
+    const within = limits.length === 1 ? `within ±${limits[0]} SD of` : `within the ${profile.name} finding limits for`;
+    findings.push({
+      key: "normal",
+      icon: "✅",
+      severity: "Normal",
+      color: "#10b981",
+      text: `${profile.normal} All bands ${within} the ${normative.group} norm.`,
+    });
+  }
+
+  return findings;
+}
+
+// feat: action items of the risk level the score falls in
+export function recommendedActions(riskScore, profile = DEFAULT_PROFILE) {
+  return classifyRisk(riskScore, profile).actions;
+}
@@ -0,0 +1,22 @@
+import { reportFindings, recommendedActions } from "./findings";
+import { DEFAULT_PROFILE } from "./profiles";
+import { normative } from "../testUtils/normative";
+
+describe("reportFindings", () => {
+  it("flags each rule's band at its z limit and reports normal otherwise", () => {
+    const findings = reportFindings(normative({ alpha: -2.5, delta: 1, theta: 2, gamma: NaN }));
+    expect(findings.map((f) => [f.key, f.severity])).toEqual([["alpha", "Severe"], ["theta", "Moderate"]]);
+    expect(findings[0].text).toMatch(/z = −2\.5 against the All ages norm\.$/);
+
+    const [normal] = reportFindings(normative({ alpha: 0, delta: 0, theta: 0, gamma: 0 }));
+    expect(normal.key).toBe("normal");
+    expect(normal.text).toMatch(/within ±2 SD of the All ages norm\.$/);
+  });
+});
+
+describe("recommendedActions", () => {
+  it("lists the actions of the level the score falls in", () => {
+    expect(recommendedActions(90)).toEqual(DEFAULT_PROFILE.levels[0].actions);
+    expect(recommendedActions(5)).toContain("Routine annual monitoring");
+  });
+});
@@ -0,0 +1,260 @@
+// feat: persistent analysis history in IndexedDB
+// docs: object stores (the sidebar list and longitudinal view never load full results):
+// docs:   entries   — light summaries for the history list { id, createdAt, source, label, seed,
+// docs:               isSZ, score, level, color, modelName, profileName, fileId, subjectId, metrics }
+// docs:   snapshots — everything needed to reopen an analysis exactly as it was
+// docs:               { id, results, settings, modelSource, normsSource, profileSource, overrides }
+// docs:               (same id as the entry)
+// docs:   files     — uploaded recordings { id, key, name, format, size, source }, shared by all
+// docs:               analyses of the same file and deleted with the last one that uses it
+// docs:   subjects  — local subject registry { id (pseudonymous code), age, sex, handedness,
+// docs:               medication, createdAt } (see subjects.js)
+// docs: when the browser's storage quota is exceeded, the oldest analyses are removed to make room
+
+const DB_NAME = "neuroscan";
+const DB_VERSION = 2;
+const STORES = ["entries", "snapshots", "files", "subjects"];
+
+// ─────────────────────────────────────────────────────────────
+// feat: promise wrappers around IndexedDB requests and transactions
+// ─────────────────────────────────────────────────────────────
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onabort = () => reject(tx.error || new Error("History transaction aborted."));
+  tx.onerror = () => reject(tx.error);
+});
+
+// feat: run fn(tx) in one transaction over all stores; resolves with fn's result once committed
+// docs: a failed request aborts the transaction — the error is reported once, from whichever fails first
+async function withTransaction(db, mode, fn) {
+  const tx = db.transaction(STORES, mode);
+  const done = transactionDone(tx);
+  done.catch(() => {});
+  const result = await fn(tx);
+  await done;
+  return result;
+}
+
+let dbPromise = null;
+
+// feat: open (and on first use create) the history database — cached for the session
+export function openHistory() {
+  if (!dbPromise) {
+    if (typeof indexedDB === "undefined") {
+      return Promise.reject(new Error("This browser doesn't provide IndexedDB — history can't be saved."));
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (evt) => {
+      const db = req.result;
+      // docs: version 1 — history
+      if (evt.oldVersion < 1) {
+        const entries = db.createObjectStore("entries", { keyPath: "id", autoIncrement: true });
+        entries.createIndex("createdAt", "createdAt");
+        entries.createIndex("fileId", "fileId");
+        db.createObjectStore("snapshots", { keyPath: "id" });
+        const files = db.createObjectStore("files", { keyPath: "id", autoIncrement: true });
+        files.createIndex("key", "key", { unique: true });
+      }
+      // docs: version 2 — subject registry, entries indexed by subject
+      if (evt.oldVersion < 2) {
+        db.createObjectStore("subjects", { keyPath: "id" });
+        req.transaction.objectStore("entries").createIndex("subjectId", "subjectId");
+      }
+    };
+    dbPromise = request(req).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+// feat: errors raised when the origin's storage is full
+const isQuotaError = (err) =>
+  !!err && (err.name === "QuotaExceededError" || err.name === "NS_ERROR_DOM_QUOTA_REACHED");
+
+// ─────────────────────────────────────────────────────────────
+// feat: identity of an uploaded file — name, size and an FNV-1a hash of the content
+// docs: the same file uploaded again is stored once
+// ─────────────────────────────────────────────────────────────
+function fileKey(file) {
+  let hash = 0x811c9dc5;
+  let size;
+  if (typeof file.source === "string") {
+    size = file.source.length;
+    for (let i = 0; i < size; i++) hash = Math.imul(hash ^ file.source.charCodeAt(i), 0x01000193);
+  } else {
+    const bytes = new Uint8Array(file.source);
+    size = bytes.length;
+    for (let i = 0; i < size; i++) hash = Math.imul(hash ^ bytes[i], 0x01000193);
+  }
+  return { key: `${file.format}:${file.name}:${size}:${(hash >>> 0).toString(16)}`, size };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: history list — summaries only, newest first
+// ─────────────────────────────────────────────────────────────
+export async function listHistory() {
+  const db = await openHistory();
+  const entries = await request(db.transaction("entries").objectStore("entries").getAll());
+  return entries.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// feat: delete one analysis inside an open transaction (and its file when nothing else uses it)
+async function deleteInTransaction(tx, id) {
+  const entries = tx.objectStore("entries");
+  const entry = await request(entries.get(id));
+  if (!entry) return;
+  entries.delete(id);
+  tx.objectStore("snapshots").delete(id);
+  if (entry.fileId != null) {
+    const users = await request(entries.index("fileId").count(entry.fileId));
+    if (users === 0) tx.objectStore("files").delete(entry.fileId);
+  }
+}
+
+// feat: remove the oldest analysis — returns false when the history is already empty
+function deleteOldest(db) {
+  return withTransaction(db, "readwrite", async (tx) => {
+    const cursor = await request(tx.objectStore("entries").index("createdAt").openCursor());
+    if (!cursor) return false;
+    await deleteInTransaction(tx, cursor.value.id);
+    return true;
+  });
+}
+
+function writeAnalysis(db, { summary, snapshot, file }) {
+  return withTransaction(db, "readwrite", async (tx) => {
+    let fileId = null;
+    if (file) {
+      const { key, size } = fileKey(file);
+      const files = tx.objectStore("files");
+      fileId = await request(files.index("key").getKey(key));
+      if (fileId === undefined) {
+        fileId = await request(files.add({ key, size, name: file.name, format: file.format, source: file.source }));
+      }
+    }
+    const id = await request(tx.objectStore("entries").add({ ...summary, fileId }));
+    tx.objectStore("snapshots").put({ ...snapshot, id });
+    return { ...summary, fileId, id };
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: save one analysis
+// docs: record = { summary, snapshot: { results, settings, modelSource, normsSource, profileSource, overrides },
+// docs:            file: { name, format, source } | null }
+// docs: returns { entry, pruned } — pruned = analyses removed to fit within the storage quota
+// ─────────────────────────────────────────────────────────────
+export async function saveAnalysis(record) {
+  const db = await openHistory();
+  let pruned = 0;
+  for (;;) {
+    try {
+      const entry = await writeAnalysis(db, record);
+      return { entry, pruned };
+    } catch (err) {
+      if (!isQuotaError(err)) throw err;
+      // fix: storage full — make room by dropping the oldest analysis, then retry
+      if (!(await deleteOldest(db))) {
+        throw new Error("Not enough browser storage to save this analysis, even with the history empty.");
+      }
+      pruned++;
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: load everything needed to reopen an analysis
+// docs: returns { entry, snapshot, file } (file is null for simulated runs)
+// ─────────────────────────────────────────────────────────────
+export async function loadAnalysis(id) {
+  const db = await openHistory();
+  const record = await withTransaction(db, "readonly", async (tx) => {
+    const entry = await request(tx.objectStore("entries").get(id));
+    if (!entry) return null;
+    const snapshot = await request(tx.objectStore("snapshots").get(id));
+    const file = entry.fileId != null ? await request(tx.objectStore("files").get(entry.fileId)) : null;
+    return { entry, snapshot, file: file || null };
+  });
+  if (!record || !record.snapshot) throw new Error("This analysis is no longer in the history.");
+  return record;
+}
+
+// feat: delete one analysis
+export async function deleteAnalysis(id) {
+  const db = await openHistory();
+  await withTransaction(db, "readwrite", (tx) => deleteInTransaction(tx, id));
+}
+
+// feat: delete every analysis and stored file — the subject registry is kept
+export async function clearHistory() {
+  const db = await openHistory();
+  await withTransaction(db, "readwrite", async (tx) => {
+    ["entries", "snapshots", "files"].forEach((name) => tx.objectStore(name).clear());
+  });
+}
+
+// feat: storage used by this origin and the browser's quota for it (bytes), when the browser reports them
+export async function storageEstimate() {
+  if (typeof navigator === "undefined" || !navigator.storage || !navigator.storage.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage, quota };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: subject registry
+// ─────────────────────────────────────────────────────────────
+export async function listSubjects() {
+  const db = await openHistory();
+  const subjects = await request(db.transaction("subjects").objectStore("subjects").getAll());
+  return subjects.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+// feat: create or update a subject — isNew refuses to overwrite an existing ID
+export async function saveSubject(subject, isNew = false) {
+  const db = await openHistory();
+  return withTransaction(db, "readwrite", async (tx) => {
+    const store = tx.objectStore("subjects");
+    const existing = await request(store.get(subject.id));
+    if (existing && isNew) throw new Error(`Subject ${subject.id} already exists.`);
+    const record = { ...subject, createdAt: existing ? existing.createdAt : Date.now() };
+    store.put(record);
+    return record;
+  });
+}
+
+// feat: delete a subject — its analyses stay in the history, unassigned
+export async function deleteSubject(id) {
+  const db = await openHistory();
+  await withTransaction(db, "readwrite", async (tx) => {
+    const entries = tx.objectStore("entries");
+    const attached = await request(entries.index("subjectId").getAll(id));
+    attached.forEach((entry) => entries.put({ ...entry, subjectId: null }));
+    tx.objectStore("subjects").delete(id);
+  });
+}
+
+// feat: attach a history entry to a subject (or detach it with subjectId = null)
+export async function assignSubject(entryId, subjectId) {
+  const db = await openHistory();
+  await withTransaction(db, "readwrite", async (tx) => {
+    const entries = tx.objectStore("entries");
+    const entry = await request(entries.get(entryId));
+    if (!entry) throw new Error("This analysis is no longer in the history.");
+    entries.put({ ...entry, subjectId });
+  });
+}
+
+// feat: results of the entries that predate per-visit metrics (longitudinal view backfill)
+export async function loadResults(ids) {
+  const db = await openHistory();
+  return withTransaction(db, "readonly", (tx) =>
+    Promise.all(ids.map((id) => request(tx.objectStore("snapshots").get(id))))
+  ).then((snapshots) => snapshots.map((snapshot) => (snapshot ? snapshot.results : null)));
+}
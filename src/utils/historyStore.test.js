@@ -0,0 +1,154 @@
+import { serialize, deserialize } from "v8";
+import { IDBFactory, IDBObjectStore } from "fake-indexeddb";
+import { openHistory, listHistory, saveAnalysis } from "./historyStore";
+
+// chore: fake-indexeddb clones records with structuredClone, which Jest's jsdom environment doesn't expose (browsers and Node 20 do)
+global.structuredClone = global.structuredClone || ((value) => deserialize(serialize(value)));
+
+// docs: the test environment has no IndexedDB — the store must fail with a message the sidebar can show
+describe("history without IndexedDB", () => {
+  it("rejects every call with a readable error", async () => {
+    expect(typeof indexedDB).toBe("undefined");
+    await expect(openHistory()).rejects.toThrow(/doesn't provide IndexedDB/);
+    await expect(listHistory()).rejects.toThrow(/history can't be saved/);
+    await expect(saveAnalysis({ summary: {}, snapshot: {}, file: null })).rejects.toThrow(/doesn't provide IndexedDB/);
+  });
+});
+
+// docs: the rest runs on fake-indexeddb — a fresh database and a fresh module (its connection is cached) per test
+describe("history on IndexedDB", () => {
+  let store;
+  beforeEach(() => {
+    global.indexedDB = new IDBFactory();
+    jest.resetModules();
+    store = require("./historyStore");
+  });
+  afterEach(() => {
+    delete global.indexedDB;
+    jest.restoreAllMocks();
+  });
+
+  const record = (label, createdAt, file = null) => ({
+    summary: { createdAt, source: file ? "CSV" : "simulated", label, score: 40, level: "Moderate Risk", subjectId: null },
+    snapshot: { results: { riskScore: 40, label }, settings: { spectral: { segmentSeconds: 2 } }, modelSource: null, overrides: {} },
+    file,
+  });
+  const csv = { name: "rec01.csv", format: "CSV", source: "time,Fp1\n0,1.5\n" };
+
+  it("saves, lists, reopens and deletes an analysis", async () => {
+    const { entry, pruned } = await store.saveAnalysis(record("rec01.csv", 1000, csv));
+    expect(pruned).toBe(0);
+    expect(entry).toMatchObject({ id: expect.any(Number), label: "rec01.csv", fileId: expect.any(Number) });
+
+    expect(await store.listHistory()).toEqual([entry]);
+    const { entry: loaded, snapshot, file } = await store.loadAnalysis(entry.id);
+    expect(loaded).toEqual(entry);
+    expect(snapshot).toEqual({ ...record("rec01.csv", 1000, csv).snapshot, id: entry.id });
+    expect(file).toMatchObject({ name: "rec01.csv", format: "CSV", source: csv.source, size: csv.source.length });
+
+    await store.deleteAnalysis(entry.id);
+    expect(await store.listHistory()).toEqual([]);
+    await expect(store.loadAnalysis(entry.id)).rejects.toThrow(/no longer in the history/);
+  });
+
+  it("lists newest first and keeps a shared file until its last analysis is deleted", async () => {
+    const first = (await store.saveAnalysis(record("rec01.csv", 1000, csv))).entry;
+    const second = (await store.saveAnalysis(record("rec01.csv", 3000, csv))).entry;
+    const simulated = (await store.saveAnalysis(record("Seed 7", 2000))).entry;
+    expect(second.fileId).toBe(first.fileId);
+    expect(simulated.fileId).toBeNull();
+    expect((await store.listHistory()).map((e) => e.id)).toEqual([second.id, simulated.id, first.id]);
+    expect((await store.loadAnalysis(simulated.id)).file).toBeNull();
+
+    await store.deleteAnalysis(first.id);
+    expect((await store.loadAnalysis(second.id)).file.source).toBe(csv.source);
+    await store.deleteAnalysis(second.id);
+    const files = await new Promise((resolve) => {
+      const req = global.indexedDB.open("neuroscan");
+      req.onsuccess = () => {
+        const count = req.result.transaction("files").objectStore("files").count();
+        count.onsuccess = () => resolve(count.result);
+      };
+    });
+    expect(files).toBe(0);
+  });
+
+  it("files analyses under subjects and unassigns them when the subject is deleted", async () => {
+    await store.saveSubject({ id: "SZ-014", age: 34, sex: "F" }, true);
+    await expect(store.saveSubject({ id: "SZ-014" }, true)).rejects.toThrow(/already exists/);
+    const { entry } = await store.saveAnalysis(record("Seed 7", 1000));
+    await store.assignSubject(entry.id, "SZ-014");
+    expect((await store.listHistory())[0].subjectId).toBe("SZ-014");
+    expect((await store.listSubjects()).map((s) => s.id)).toEqual(["SZ-014"]);
+
+    await store.deleteSubject("SZ-014");
+    expect(await store.listSubjects()).toEqual([]);
+    expect((await store.listHistory())[0].subjectId).toBeNull();
+  });
+
+  // docs: the next `failures` entry writes fail the way a full origin does — the transaction aborts
+  // docs: (rolling back the file it stored) and the request reports a QuotaExceededError
+  function fillQuota(failures) {
+    const add = IDBObjectStore.prototype.add;
+    let left = failures;
+    return jest.spyOn(IDBObjectStore.prototype, "add").mockImplementation(function addOrFail(...args) {
+      if (this.name !== "entries" || left === 0) return add.apply(this, args);
+      left--;
+      const req = { error: Object.assign(new Error("The quota has been exceeded."), { name: "QuotaExceededError" }) };
+      this.transaction.abort();
+      setTimeout(() => req.onerror());
+      return req;
+    });
+  }
+
+  it("drops the oldest analyses until a new one fits the quota", async () => {
+    const oldest = (await store.saveAnalysis(record("Seed 1", 1000))).entry;
+    const older = (await store.saveAnalysis(record("Seed 2", 2000))).entry;
+    const kept = (await store.saveAnalysis(record("Seed 3", 3000))).entry;
+    fillQuota(2);
+    const { entry, pruned } = await store.saveAnalysis(record("rec01.csv", 4000, csv));
+    expect(pruned).toBe(2);
+    expect((await store.listHistory()).map((e) => e.id)).toEqual([entry.id, kept.id]);
+    await expect(store.loadAnalysis(oldest.id)).rejects.toThrow(/no longer in the history/);
+    await expect(store.loadAnalysis(older.id)).rejects.toThrow(/no longer in the history/);
+    expect((await store.loadAnalysis(entry.id)).file.source).toBe(csv.source);
+  });
+
+  it("gives up with a message when the analysis doesn't fit an empty history", async () => {
+    await store.saveAnalysis(record("Seed 1", 1000));
+    fillQuota(Infinity);
+    await expect(store.saveAnalysis(record("rec01.csv", 2000, csv))).rejects.toThrow(/Not enough browser storage/);
+    expect(await store.listHistory()).toEqual([]);
+  });
+
+  it("upgrades a version 1 history, keeping its analyses", async () => {
+    // docs: the version 1 schema, as the first release created it
+    const v1 = await new Promise((resolve, reject) => {
+      const req = global.indexedDB.open("neuroscan", 1);
+      req.onupgradeneeded = () => {
+        const entries = req.result.createObjectStore("entries", { keyPath: "id", autoIncrement: true });
+        entries.createIndex("createdAt", "createdAt");
+        entries.createIndex("fileId", "fileId");
+        req.result.createObjectStore("snapshots", { keyPath: "id" });
+        const files = req.result.createObjectStore("files", { keyPath: "id", autoIncrement: true });
+        files.createIndex("key", "key", { unique: true });
+        entries.add({ createdAt: 500, label: "Seed 9", fileId: null });
+        req.transaction.objectStore("snapshots").put({ id: 1, results: { riskScore: 12 } });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    v1.close();
+
+    const db = await store.openHistory();
+    expect(db.version).toBe(2);
+    expect([...db.objectStoreNames].sort()).toEqual(["entries", "files", "snapshots", "subjects"]);
+    expect([...db.transaction("entries").objectStore("entries").indexNames].sort()).toEqual(["createdAt", "fileId", "subjectId"]);
+    expect(await store.listHistory()).toEqual([{ id: 1, createdAt: 500, label: "Seed 9", fileId: null }]);
+    expect((await store.loadAnalysis(1)).snapshot.results.riskScore).toBe(12);
+
+    await store.saveSubject({ id: "HC-002" }, true);
+    await store.assignSubject(1, "HC-002");
+    expect((await store.listHistory())[0].subjectId).toBe("HC-002");
+  });
+});
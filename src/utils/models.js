@@ -0,0 +1,314 @@
+// feat: pluggable risk models — built-in formula, XGBoost tree ensembles, logistic regression
+// docs: every model is normalized to { type, name, version, features, info, background, predict }
+// docs: predict(values) takes a { feature: value } object (see features.js) and returns a
+// docs: risk score on the 0–100 scale (100 × predicted probability for loaded classifiers)
+// docs: inference runs locally in the browser — nothing is uploaded
+// docs: loaded models also keep their file as source = { text, fileName }, so the analysis
+// docs: worker can rebuild the same model (functions can't be posted to a worker)
+
+// chore: legacy scoring formula (built-in model) and feature extraction
+import { computeRiskScore } from "./eegUtils";
+// chore: the standard scoring profile the built-in formula is defined on
+import { DEFAULT_PROFILE, BAND_SYMBOLS, profileLabel } from "./profiles";
+import { extractFeatures } from "./features";
+
+// feat: logistic link
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+const logit = (p) => Math.log(p / (1 - p));
+
+// ─────────────────────────────────────────────────────────────
+// feat: the weighted band-deviation formula, wrapped as a model
+// docs: its weights and scale come from the scoring profile (profiles.js) — the pipeline rebuilds it
+// docs: for the active profile (withProfile); bands a profile weights 0 are not features
+// ─────────────────────────────────────────────────────────────
+export function formulaModel(profile) {
+  const weighted = Object.keys(profile.weights).filter((band) => profile.weights[band] !== 0);
+  const byWeight = [...weighted].sort((a, b) => Math.abs(profile.weights[b]) - Math.abs(profile.weights[a]));
+  return {
+    type: "formula",
+    name: "Band-deviation formula",
+    version: profile === DEFAULT_PROFILE ? "built-in" : profileLabel(profile),
+    features: weighted,
+    info: [
+      { label: "Model", value: "Weighted formula" },
+      { label: "Features", value: `${weighted.length} band powers` },
+      { label: "Weights", value: byWeight.map((band) => `${BAND_SYMBOLS[band]} ${Math.abs(profile.weights[band])}`).join(" · ") },
+      { label: "Validation", value: "none (hand-tuned)" },
+    ],
+    background: null,
+    source: null,
+    predict: (values) => computeRiskScore(values, profile).score,
+  };
+}
+
+// docs: used until a model file is loaded
+export const BUILTIN_MODEL = formulaModel(DEFAULT_PROFILE);
+
+// feat: the model that actually scores under a profile — the formula takes the profile's weights,
+// docs: loaded classifiers are used as they are
+export function withProfile(model, profile) {
+  return model.type === "formula" && profile !== DEFAULT_PROFILE ? formulaModel(profile) : model;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: free-form metadata from the model file → MODEL INFO rows
+// docs: "metadata": { "cv_auc": 0.938, "dataset": "100 subjects", ... } — keys are prettified
+// ─────────────────────────────────────────────────────────────
+function metadataRows(metadata) {
+  if (!metadata || typeof metadata !== "object") return [];
+  return Object.entries(metadata).map(([key, value]) => ({
+    label: key.replace(/[_-]+/g, " ").replace(/\b\w/g, (c) => c.toUpperCase()).replace(/\bAuc\b/, "AUC").replace(/\bCv\b/, "CV"),
+    value: typeof value === "number" ? String(parseFloat(value.toFixed(4))) : String(value),
+  }));
+}
+
+// feat: optional background sample shipped with the model ([{ feature: value }] or [[values]])
+function parseBackground(rows, features) {
+  if (!Array.isArray(rows) || rows.length === 0) return null;
+  return rows.map((row) => {
+    if (!Array.isArray(row)) return row;
+    const obj = {};
+    features.forEach((f, i) => { obj[f] = row[i]; });
+    return obj;
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: logistic regression
+// docs: { "type": "logistic", "features": [...], "coefficients": [...] | { name: w },
+// docs:   "intercept": b, "scaler": { "mean": [...], "scale": [...] } (optional, one number per feature) }
+// docs: a missing feature is imputed with its scaler mean (zero contribution)
+// ─────────────────────────────────────────────────────────────
+function fromLogistic(json) {
+  const features = json.features || (json.coefficients && !Array.isArray(json.coefficients) ? Object.keys(json.coefficients) : null);
+  if (!Array.isArray(features) || features.length === 0) throw new Error("Logistic model needs a \"features\" list.");
+  const weights = Array.isArray(json.coefficients) ? json.coefficients : features.map((f) => json.coefficients[f]);
+  if (weights.length !== features.length || weights.some((w) => !Number.isFinite(w))) {
+    throw new Error("Logistic model needs one numeric coefficient per feature.");
+  }
+  // fix: a scaler fitted on another feature list would silently shift every prediction — refuse it
+  const scalerColumn = (key, fill) => {
+    const column = json.scaler?.[key];
+    if (column == null) return features.map(() => fill);
+    if (!Array.isArray(column) || column.length !== features.length || column.some((v) => !Number.isFinite(v))) {
+      const found = Array.isArray(column) ? `${column.length} value${column.length === 1 ? "" : "s"}` : `a ${typeof column}`;
+      throw new Error(`Logistic model's scaler.${key} needs one number per feature (${features.length}), found ${found}.`);
+    }
+    return column;
+  };
+  const mean = scalerColumn("mean", 0);
+  const scale = scalerColumn("scale", 1);
+  const intercept = Number(json.intercept) || 0;
+
+  return {
+    type: "logistic",
+    name: json.name || "Logistic regression",
+    version: String(json.version ?? "—"),
+    features,
+    info: [
+      { label: "Model", value: "Logistic regression" },
+      { label: "Features", value: String(features.length) },
+      ...metadataRows(json.metadata),
+    ],
+    background: parseBackground(json.background, features),
+    predict: (values) => {
+      let z = intercept;
+      features.forEach((f, i) => {
+        const x = Number.isFinite(values[f]) ? values[f] : mean[i];
+        z += (weights[i] * (x - mean[i])) / (scale[i] || 1);
+      });
+      return 100 * sigmoid(z);
+    },
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: XGBoost text dump (Booster.get_dump(dump_format="json")), bare or wrapped
+// docs: wrapped: { "type": "xgboost", "features": [...], "base_score": 0.5,
+// docs:   "objective": "binary:logistic", "trees": [ <dump trees> ], "metadata": { ... } }
+// docs: splits on "f<i>" refer to features[i]; named splits are used as feature names
+// ─────────────────────────────────────────────────────────────
+function compileDumpTree(root, resolveName) {
+  // perf: replace child id lookups with direct references once, at load time
+  const compile = (node) => {
+    if (node.leaf !== undefined) return { leaf: node.leaf };
+    const children = {};
+    (node.children || []).forEach((c) => { children[c.nodeid] = compile(c); });
+    if (!children[node.yes] || !children[node.no]) throw new Error(`Tree node ${node.nodeid} is missing a child.`);
+    return {
+      feature: resolveName(node.split),
+      threshold: node.split_condition,
+      yes: children[node.yes],
+      no: children[node.no],
+      missing: children[node.missing] || children[node.yes],
+    };
+  };
+  return compile(root);
+}
+
+function evalDumpTree(node, values) {
+  while (node.leaf === undefined) {
+    const x = values[node.feature];
+    node = !Number.isFinite(x) ? node.missing : x < node.threshold ? node.yes : node.no;
+  }
+  return node.leaf;
+}
+
+function fromXGBoostDump(json) {
+  const dump = json.trees;
+  if (!Array.isArray(dump) || dump.length === 0) throw new Error("XGBoost dump contains no trees.");
+
+  // docs: features come from the wrapper, or are collected from named splits
+  let features = json.features || json.feature_names;
+  if (!features) {
+    const names = new Set();
+    const walk = (n) => { if (n.split) names.add(n.split); (n.children || []).forEach(walk); };
+    dump.forEach(walk);
+    features = [...names];
+    if (features.some((f) => /^f\d+$/.test(f))) {
+      throw new Error("XGBoost dump uses f0, f1, ... splits — add a \"features\" list naming them.");
+    }
+  }
+  const resolveName = (split) => {
+    const m = /^f(\d+)$/.exec(split);
+    return m && !features.includes(split) ? features[Number(m[1])] : split;
+  };
+  const trees = dump.map((t) => compileDumpTree(t, resolveName));
+  return xgboostModel(json, features, trees.length, (values) => trees.reduce((sum, t) => sum + evalDumpTree(t, values), 0));
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: XGBoost native JSON (Booster.save_model("model.json")), gbtree binary classifiers
+// docs: leaves store their value in split_conditions; missing values follow default_left
+// ─────────────────────────────────────────────────────────────
+function fromXGBoostNative(json) {
+  const { learner } = json;
+  const features = learner.feature_names;
+  if (!Array.isArray(features) || features.length === 0) {
+    throw new Error("XGBoost model has no feature_names — set them before saving the model.");
+  }
+  if (learner.gradient_booster?.name !== "gbtree") {
+    throw new Error(`Unsupported XGBoost booster "${learner.gradient_booster?.name}" (only gbtree).`);
+  }
+  if (Number(learner.learner_model_param?.num_class) > 1) throw new Error("Multi-class XGBoost models are not supported.");
+
+  const trees = learner.gradient_booster.model.trees.map((t) => ({
+    feature: t.split_indices.map((i) => features[i]),
+    threshold: t.split_conditions,
+    left: t.left_children,
+    right: t.right_children,
+    defaultLeft: t.default_left.map(Boolean),
+  }));
+  const evalTree = (t, values) => {
+    let node = 0;
+    while (t.left[node] !== -1) {
+      const x = values[t.feature[node]];
+      const goLeft = !Number.isFinite(x) ? t.defaultLeft[node] : x < t.threshold[node];
+      node = goLeft ? t.left[node] : t.right[node];
+    }
+    return t.threshold[node];
+  };
+
+  // fix: XGBoost 2.x stores base_score as "[5E-1]"
+  const baseScore = parseFloat(String(learner.learner_model_param?.base_score ?? "0.5").replace(/[[\]]/g, ""));
+  const meta = {
+    base_score: baseScore,
+    objective: learner.objective?.name,
+    // docs: attributes set with Booster.set_attr() (e.g. cv_auc) are shown in MODEL INFO
+    metadata: {
+      ...learner.attributes,
+      ...(Array.isArray(json.version) ? { library: `xgboost ${json.version.join(".")}` } : {}),
+    },
+  };
+  return xgboostModel(meta, features, trees.length, (values) => trees.reduce((sum, t) => sum + evalTree(t, values), 0));
+}
+
+// feat: shared XGBoost wrapper — margin = logit(base_score) + Σ leaves → probability
+function xgboostModel(json, features, treeCount, sumLeaves) {
+  const objective = json.objective || "binary:logistic";
+  if (!/^(binary:logistic|binary:logitraw|reg:logistic)$/.test(objective)) {
+    throw new Error(`Unsupported objective "${objective}" — a binary classifier is required.`);
+  }
+  const baseScore = Number.isFinite(json.base_score) ? json.base_score : 0.5;
+  const baseMargin = objective === "binary:logitraw" ? baseScore : logit(baseScore);
+
+  return {
+    type: "xgboost",
+    name: json.name || "XGBoost",
+    version: String(json.version ?? "—"),
+    features,
+    info: [
+      { label: "Model", value: `XGBoost (${treeCount} trees)` },
+      { label: "Features", value: String(features.length) },
+      { label: "Objective", value: objective },
+      ...metadataRows(json.metadata),
+    ],
+    background: parseBackground(json.background, features),
+    predict: (values) => 100 * sigmoid(baseMargin + sumLeaves(values)),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: parse an uploaded model file
+// docs: returns { model, error: null } on success or { model: null, error: "..." }
+// ─────────────────────────────────────────────────────────────
+export function parseModel(text, fileName = "") {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    return { model: null, error: "Model file is not valid JSON." };
+  }
+
+  try {
+    let model;
+    if (Array.isArray(json)) model = fromXGBoostDump({ trees: json });
+    else if (json.learner) model = fromXGBoostNative(json);
+    else if (json.type === "logistic" || json.coefficients) model = fromLogistic(json);
+    else if (json.type === "xgboost" || json.trees) model = fromXGBoostDump(json);
+    else return { model: null, error: "Unrecognized model format — expected an XGBoost JSON model/dump or a logistic JSON." };
+
+    // fix: name the model after its file when the file doesn't carry a name
+    if (!json.name && fileName) model.name = fileName.replace(/\.json$/i, "");
+    model.source = { text, fileName };
+    return { model, error: null };
+  } catch (err) {
+    return { model: null, error: err.message };
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: score one analysed recording with the active model
+// docs: context = { bandPowers, channelBandPowers, coherence, spectral, complexity }; profile = the active scoring profile
+// docs: key marker / band still describe the largest weighted band deviation (model-independent)
+// docs: returns { score, keyMarker, keyBand, features, missing } — the score's uncertainty is
+// docs: estimated afterwards by resampling epochs (uncertainty.js), the same way for every model
+// ─────────────────────────────────────────────────────────────
+export function scoreRecording(model, context, profile = DEFAULT_PROFILE) {
+  const { values, missing } = extractFeatures(context, model.features);
+  const legacy = computeRiskScore(context.bandPowers, profile);
+
+  if (model.type === "formula") {
+    return { ...legacy, features: values, missing };
+  }
+
+  const raw = model.predict(values);
+  return {
+    score: Math.min(100, Math.max(0, Math.round(raw))),
+    keyMarker: legacy.keyMarker,
+    keyBand: legacy.keyBand,
+    features: values,
+    missing,
+  };
+}
+
+// feat: compact model description stored with each result (report, history, exports)
+export function describeModel(model, missing = []) {
+  return {
+    name: model.name,
+    type: model.type,
+    version: model.version,
+    features: model.features.length,
+    missing,
+  };
+}
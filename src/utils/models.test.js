@@ -0,0 +1,88 @@
+import { parseModel, scoreRecording, describeModel, BUILTIN_MODEL } from "./models";
+
+const bandPowers = { delta: 25, theta: 20, alpha: 30, beta: 18, gamma: 7 };
+
+describe("parseModel", () => {
+  it("scores a logistic model with its scaler", () => {
+    const { model, error } = parseModel(JSON.stringify({
+      type: "logistic",
+      features: ["alpha", "theta"],
+      coefficients: [-0.5, 1],
+      intercept: 0.25,
+      scaler: { mean: [30, 20], scale: [10, 5] },
+    }), "risk.json");
+    expect(error).toBeNull();
+    expect(model.name).toBe("risk");
+    // docs: z = 0.25 − 0.5 × (40 − 30) / 10 + (25 − 20) / 5 = 0.75
+    expect(model.predict({ alpha: 40, theta: 25 })).toBeCloseTo(100 / (1 + Math.exp(-0.75)), 10);
+    // docs: a missing feature is imputed with its mean
+    expect(model.predict({ theta: 20 })).toBeCloseTo(100 / (1 + Math.exp(-0.25)), 10);
+  });
+
+  it("walks an XGBoost dump, sending missing values down the missing branch", () => {
+    const tree = {
+      nodeid: 0, split: "f0", split_condition: 25, yes: 1, no: 2, missing: 2,
+      children: [{ nodeid: 1, leaf: -1 }, { nodeid: 2, leaf: 1 }],
+    };
+    const { model, error } = parseModel(JSON.stringify({ type: "xgboost", features: ["alpha"], trees: [tree, tree] }));
+    expect(error).toBeNull();
+    expect(model.features).toEqual(["alpha"]);
+    expect(model.predict({ alpha: 10 })).toBeCloseTo(100 / (1 + Math.exp(2)), 10);
+    expect(model.predict({ alpha: 30 })).toBeCloseTo(100 / (1 + Math.exp(-2)), 10);
+    expect(model.predict({})).toBeCloseTo(model.predict({ alpha: 30 }), 10);
+  });
+
+  it("reads XGBoost native JSON with a bracketed base score", () => {
+    const { model, error } = parseModel(JSON.stringify({
+      version: [2, 0, 3],
+      learner: {
+        feature_names: ["theta"],
+        objective: { name: "binary:logistic" },
+        learner_model_param: { base_score: "[5E-1]", num_class: "0" },
+        attributes: { cv_auc: "0.91" },
+        gradient_booster: {
+          name: "gbtree",
+          model: { trees: [{ split_indices: [0, 0, 0], split_conditions: [20, -0.5, 0.5], left_children: [1, -1, -1], right_children: [2, -1, -1], default_left: [1, 0, 0] }] },
+        },
+      },
+    }));
+    expect(error).toBeNull();
+    expect(model.predict({ theta: 10 })).toBeCloseTo(100 / (1 + Math.exp(0.5)), 10);
+    expect(model.predict({ theta: 30 })).toBeCloseTo(100 / (1 + Math.exp(-0.5)), 10);
+    expect(model.predict({})).toBeCloseTo(model.predict({ theta: 10 }), 10);
+    expect(model.info).toEqual(expect.arrayContaining([{ label: "Library", value: "xgboost 2.0.3" }]));
+  });
+
+  it.each([
+    ["not json", /not valid JSON/],
+    [JSON.stringify({ foo: 1 }), /Unrecognized model format/],
+    [JSON.stringify({ type: "logistic", features: ["alpha"], coefficients: ["x"] }), /one numeric coefficient per feature/],
+    [JSON.stringify({ type: "logistic", features: ["alpha", "theta"], coefficients: [1, 1], scaler: { mean: [30] } }), /scaler\.mean needs one number per feature \(2\), found 1 value\./],
+    [JSON.stringify({ type: "logistic", features: ["alpha"], coefficients: [1], scaler: { mean: [30], scale: [10, 5] } }), /scaler\.scale needs one number per feature \(1\), found 2 values\./],
+    [JSON.stringify({ type: "logistic", features: ["alpha"], coefficients: [1], scaler: { scale: ["10"] } }), /scaler\.scale needs one number per feature/],
+    [JSON.stringify({ type: "logistic", features: ["alpha"], coefficients: [1], scaler: { mean: 30 } }), /scaler\.mean needs one number per feature \(1\), found a number\./],
+    [JSON.stringify([{ nodeid: 0, split: "f0", split_condition: 1, yes: 1, no: 2, children: [{ nodeid: 1, leaf: 0 }, { nodeid: 2, leaf: 1 }] }]), /add a "features" list/],
+    [JSON.stringify({ trees: [{ nodeid: 0, leaf: 0 }], objective: "multi:softmax" }), /binary classifier is required/],
+  ])("rejects %s", (text, message) => {
+    const { model, error } = parseModel(text);
+    expect(model).toBeNull();
+    expect(error).toMatch(message);
+  });
+});
+
+describe("scoreRecording", () => {
+  it("keeps the built-in formula's score and key marker", () => {
+    const result = scoreRecording(BUILTIN_MODEL, { bandPowers });
+    expect(result.features).toEqual(expect.objectContaining({ alpha: 30 }));
+    expect(result.missing).toEqual([]);
+    expect(Number.isFinite(result.score)).toBe(true);
+  });
+
+  it("rounds a loaded model's probability to a whole-number score", () => {
+    const { model } = parseModel(JSON.stringify({ type: "logistic", features: ["alpha"], coefficients: [1], intercept: -30.4 }));
+    const result = scoreRecording(model, { bandPowers });
+    // docs: 100 × σ(−0.4) = 40.13
+    expect(result.score).toBe(40);
+    expect(describeModel(model, result.missing)).toEqual({ name: "Logistic regression", type: "logistic", version: "—", features: 1, missing: [] });
+  });
+});
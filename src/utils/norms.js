@@ -0,0 +1,209 @@
+// feat: normative database — healthy reference band powers by age and sex, and z-scores against them
+// docs: a norm set is { name, version, citation, groups: [{ label, age: [min, max) | null,
+// docs: sex: "F" | "M" | null, bands: { band: { mean, sd } }, channels: { electrode: { band: { mean, sd } } } }] }
+// docs: values are on the app's band power scale (channel average, as in the band power chart)
+// docs: every deviation the app shows (charts, topomaps, findings, key marker, reports) is a z-score
+// docs: against the group matching the subject; the risk model's own inputs don't depend on it
+// docs: loaded norm sets keep their file as source = { text, fileName } so the worker can rebuild them
+
+export const NORM_BANDS = ["delta", "theta", "alpha", "beta", "gamma"];
+
+// docs: |z| at or above this is drawn red and coded high / low in exports — which deviations are
+// docs: reported as findings is up to the scoring profile's rules (the standard profile uses this limit)
+export const FINDING_Z = 2;
+
+// ─────────────────────────────────────────────────────────────
+// feat: built-in reference — the app's original fixed healthy baselines
+// docs: one group for everyone; SD = 25% of the mean, so z = ±2 sits where the old
+// docs: percentage thresholds flagged a band — replace with a published norm set for clinical use
+// ─────────────────────────────────────────────────────────────
+const builtinBand = (mean) => ({ mean, sd: parseFloat((mean * 0.25).toFixed(4)) });
+
+export const BUILTIN_NORMS = {
+  name: "Built-in reference",
+  version: "1",
+  citation: "Fixed healthy adult baselines (SD 25% of mean) — not adjusted for age or sex",
+  groups: [
+    {
+      label: "All ages",
+      age: null,
+      sex: null,
+      bands: {
+        delta: builtinBand(1.2),
+        theta: builtinBand(0.7),
+        alpha: builtinBand(1.8),
+        beta: builtinBand(0.5),
+        gamma: builtinBand(0.2),
+      },
+      channels: null,
+    },
+  ],
+  source: null,
+};
+
+// docs: the built-in group's means — the reference the band-deviation formula and the simulator are defined on
+export const BUILTIN_BAND_MEANS = Object.fromEntries(
+  NORM_BANDS.map((band) => [band, BUILTIN_NORMS.groups[0].bands[band].mean])
+);
+
+const SEX_LABELS = { F: "female", M: "male" };
+
+// feat: "18–29 y, female" — used when a group has no label of its own
+function defaultGroupLabel(group) {
+  const age = group.age ? `${group.age[0]}–${group.age[1] - 1} y` : "all ages";
+  return group.sex ? `${age}, ${SEX_LABELS[group.sex]}` : age;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: parse a norm set file
+// docs: returns { norms, error } — every group needs mean and SD for all five bands,
+// docs: per-electrode values are optional and fall back to the group's band values
+// ─────────────────────────────────────────────────────────────
+function parseStats(stats, where) {
+  if (!stats || !Number.isFinite(stats.mean) || !Number.isFinite(stats.sd) || stats.mean < 0 || stats.sd <= 0) {
+    throw new Error(`${where} needs a mean ≥ 0 and an SD > 0.`);
+  }
+  return { mean: stats.mean, sd: stats.sd };
+}
+
+function parseGroup(json, index) {
+  const where = `Group ${index + 1}`;
+  if (json.age !== undefined && json.age !== null) {
+    const [min, max] = Array.isArray(json.age) ? json.age : [];
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min < 0 || max <= min) {
+      throw new Error(`${where}: "age" must be [min, max) in years with min < max.`);
+    }
+  }
+  if (json.sex !== undefined && json.sex !== null && !SEX_LABELS[json.sex]) {
+    throw new Error(`${where}: "sex" must be "F", "M" or null.`);
+  }
+  if (!json.bands || typeof json.bands !== "object") throw new Error(`${where} needs "bands".`);
+
+  const group = {
+    label: null,
+    age: json.age || null,
+    sex: json.sex || null,
+    bands: Object.fromEntries(NORM_BANDS.map((band) => [band, parseStats(json.bands[band], `${where} ${band}`)])),
+    channels: null,
+  };
+  if (json.channels) {
+    group.channels = {};
+    Object.entries(json.channels).forEach(([electrode, bands]) => {
+      group.channels[electrode] = {};
+      Object.entries(bands || {}).forEach(([band, stats]) => {
+        if (!NORM_BANDS.includes(band)) throw new Error(`${where} ${electrode}: unknown band "${band}".`);
+        group.channels[electrode][band] = parseStats(stats, `${where} ${electrode} ${band}`);
+      });
+    });
+  }
+  group.label = typeof json.label === "string" && json.label.trim() ? json.label.trim() : defaultGroupLabel(group);
+  return group;
+}
+
+export function parseNorms(text, fileName = "") {
+  try {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (err) {
+      return { norms: null, error: "Norm file is not valid JSON." };
+    }
+    if (!Array.isArray(json.groups) || json.groups.length === 0) {
+      return { norms: null, error: "Norm file needs a non-empty \"groups\" list." };
+    }
+    return {
+      norms: {
+        name: json.name || fileName.replace(/\.json$/i, "") || "Unnamed norm set",
+        version: json.version ? String(json.version) : "—",
+        citation: json.citation || json.source || "",
+        groups: json.groups.map(parseGroup),
+        source: { text, fileName },
+      },
+      error: null,
+    };
+  } catch (err) {
+    return { norms: null, error: err.message };
+  }
+}
+
+// feat: age and sex of a subject record (age may be stored as text by the form)
+export function subjectDemographics(subject) {
+  if (!subject) return { age: null, sex: null };
+  const age = subject.age === "" || subject.age === null || subject.age === undefined ? null : Number(subject.age);
+  return {
+    age: Number.isFinite(age) ? age : null,
+    sex: SEX_LABELS[subject.sex] ? subject.sex : null,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: the norm group for a subject
+// docs: the most specific group whose age range and sex both fit; when none fits (age unknown,
+// docs: or outside every range) the group with the nearest age range is used and the reason kept
+// docs: returns { group, fallback: reason | null }
+// ─────────────────────────────────────────────────────────────
+export function selectNormGroup(norms, demographics) {
+  const { age, sex } = demographics || { age: null, sex: null };
+  const sexFits = (g) => !g.sex || g.sex === sex;
+  const ageFits = (g) => !g.age || (age !== null && age >= g.age[0] && age < g.age[1]);
+  const specificity = (g) => (g.age ? 2 : 0) + (g.sex ? 1 : 0);
+
+  const fitting = norms.groups.filter((g) => sexFits(g) && ageFits(g));
+  if (fitting.length) {
+    return { group: fitting.reduce((best, g) => (specificity(g) > specificity(best) ? g : best)), fallback: null };
+  }
+
+  const pool = norms.groups.filter(sexFits).length ? norms.groups.filter(sexFits) : norms.groups;
+  if (age === null) return { group: pool[0], fallback: "age not recorded" };
+  const distance = (g) => (g.age ? Math.max(0, g.age[0] - age, age - g.age[1] + 1) : 0);
+  const nearest = pool.reduce((best, g) => (distance(g) < distance(best) ? g : best));
+  return { group: nearest, fallback: `no group for age ${age}` };
+}
+
+export const zScore = (value, stats) => (value - stats.mean) / stats.sd;
+
+// feat: "+2.4" / "−2.4"
+export const formatZ = (z) => `${z >= 0 ? "+" : "−"}${Math.abs(z).toFixed(1)}`;
+
+// ─────────────────────────────────────────────────────────────
+// feat: z-scores of an analysed recording against the subject's norm group
+// docs: electrodes without norms of their own are compared with the group's band values
+// docs: returns { norms: { name, version, citation }, group, demographics, fallback,
+// docs:   reference: { band: { mean, sd } }, bands: { band: z }, channels: { electrode: { band: z } } }
+// ─────────────────────────────────────────────────────────────
+export function normativeDeviations(norms, demographics, bandPowers, channelBandPowers = {}) {
+  const { group, fallback } = selectNormGroup(norms, demographics);
+  const bands = {};
+  NORM_BANDS.forEach((band) => {
+    if (Number.isFinite(bandPowers[band])) bands[band] = parseFloat(zScore(bandPowers[band], group.bands[band]).toFixed(3));
+  });
+  const channels = {};
+  Object.entries(channelBandPowers || {}).forEach(([electrode, powers]) => {
+    channels[electrode] = {};
+    NORM_BANDS.forEach((band) => {
+      if (!Number.isFinite(powers[band])) return;
+      const stats = (group.channels && group.channels[electrode] && group.channels[electrode][band]) || group.bands[band];
+      channels[electrode][band] = parseFloat(zScore(powers[band], stats).toFixed(3));
+    });
+  });
+
+  return {
+    norms: { name: norms.name, version: norms.version, citation: norms.citation },
+    group: group.label,
+    demographics: demographics || { age: null, sex: null },
+    fallback,
+    reference: group.bands,
+    bands,
+    channels,
+  };
+}
+
+// feat: a result's z-scores — results saved before norm sets existed use the built-in reference
+export function normativeOf(results) {
+  return results.normative || normativeDeviations(BUILTIN_NORMS, null, results.bandPowers || {}, results.channelBandPowers);
+}
+
+// feat: "Built-in reference · All ages" — plus why the group was a fallback
+export function describeNormative(normative) {
+  return `${normative.norms.name} · ${normative.group}${normative.fallback ? ` (${normative.fallback})` : ""}`;
+}
@@ -0,0 +1,71 @@
+import {
+  parseNorms, selectNormGroup, normativeDeviations, subjectDemographics, formatZ, BUILTIN_NORMS,
+} from "./norms";
+
+const bands = (mean) => Object.fromEntries(["delta", "theta", "alpha", "beta", "gamma"].map((b) => [b, { mean, sd: 1 }]));
+
+const NORM_FILE = JSON.stringify({
+  name: "Test norms",
+  version: 2,
+  groups: [
+    { age: [18, 40], bands: bands(1) },
+    { age: [18, 40], sex: "F", bands: bands(2), channels: { O1: { alpha: { mean: 5, sd: 2 } } } },
+    { age: [40, 65], label: "Middle age", bands: bands(3) },
+  ],
+});
+
+describe("parseNorms", () => {
+  it("reads groups and labels the unnamed ones", () => {
+    const { norms, error } = parseNorms(NORM_FILE, "norms.json");
+    expect(error).toBeNull();
+    expect(norms.version).toBe("2");
+    expect(norms.groups.map((g) => g.label)).toEqual(["18–39 y", "18–39 y, female", "Middle age"]);
+  });
+
+  it.each([
+    ["{", /not valid JSON/],
+    [JSON.stringify({ groups: [] }), /non-empty "groups"/],
+    [JSON.stringify({ groups: [{ bands: { ...bands(1), alpha: { mean: 1, sd: 0 } } }] }), /Group 1 alpha needs a mean ≥ 0 and an SD > 0/],
+    [JSON.stringify({ groups: [{ age: [40, 20], bands: bands(1) }] }), /"age" must be \[min, max\)/],
+    [JSON.stringify({ groups: [{ sex: "X", bands: bands(1) }] }), /"sex" must be/],
+    [JSON.stringify({ groups: [{ bands: bands(1), channels: { Cz: { mu: { mean: 1, sd: 1 } } } }] }), /unknown band "mu"/],
+  ])("rejects %s", (text, message) => {
+    expect(parseNorms(text).error).toMatch(message);
+  });
+});
+
+describe("selectNormGroup", () => {
+  const { norms } = parseNorms(NORM_FILE);
+
+  it("picks the most specific fitting group", () => {
+    expect(selectNormGroup(norms, { age: 25, sex: "F" })).toEqual({ group: norms.groups[1], fallback: null });
+    expect(selectNormGroup(norms, { age: 25, sex: "M" }).group).toBe(norms.groups[0]);
+  });
+
+  it("falls back to the nearest age range and says why", () => {
+    expect(selectNormGroup(norms, { age: 80, sex: null })).toEqual({ group: norms.groups[2], fallback: "no group for age 80" });
+    expect(selectNormGroup(norms, { age: null, sex: null }).fallback).toBe("age not recorded");
+  });
+});
+
+describe("normativeDeviations", () => {
+  it("scores bands against the group and electrodes against their own norms", () => {
+    const { norms } = parseNorms(NORM_FILE);
+    const result = normativeDeviations(norms, { age: 30, sex: "F" }, { alpha: 4, theta: NaN }, { O1: { alpha: 8 }, Cz: { alpha: 1 } });
+    expect(result.group).toBe("18–39 y, female");
+    expect(result.bands).toEqual({ alpha: 2 });
+    expect(result.channels).toEqual({ O1: { alpha: 1.5 }, Cz: { alpha: -1 } });
+  });
+
+  it("keeps the built-in reference's SD at 25% of the mean", () => {
+    expect(normativeDeviations(BUILTIN_NORMS, null, { alpha: 0.9 }).bands.alpha).toBe(-2);
+  });
+});
+
+describe("subjectDemographics", () => {
+  it("reads the age from form text and drops unknown sexes", () => {
+    expect(subjectDemographics({ age: "42", sex: "M" })).toEqual({ age: 42, sex: "M" });
+    expect(subjectDemographics({ age: "", sex: "other" })).toEqual({ age: null, sex: null });
+    expect(formatZ(-2.44)).toBe("−2.4");
+  });
+});
@@ -0,0 +1,185 @@
+// feat: end-to-end analysis jobs — the code the analysis worker runs
+// docs: kept free of React and DOM APIs so it runs unchanged in a Web Worker (or on the main thread)
+// docs: every job reports the stage it is entering through onStage(stageId), in ANALYSIS_STAGES order
+
+// chore: EEG simulation utilities
+import {
+  generateEEGSignal,
+  computeBandPowers,
+  computeCoherence,
+  classifyRisk,
+  keyDeviation,
+} from "./eegUtils";
+// chore: CSV parsing and real-data analysis pipeline
+import {
+  parseCSV,
+  analyzeCSV,
+  processSignal,
+  computeChannelBandPowers,
+  makeEpochScorer,
+  simulatedContext,
+  measureComplexity,
+  UNSCORED_ERROR,
+} from "./csvAnalysis";
+// chore: EDF/EDF+ reader for clinical amplifier recordings
+import { parseEDF } from "./edfParser";
+// chore: coherence result format shared with the measured (upload) pipeline
+import { simulatedCoherence } from "./coherence";
+// chore: ratios, relative power, alpha peak, spectral edge and 1/f slope of the measured spectrum
+import { computeSpectralFeatures } from "./spectralFeatures";
+// chore: Shapley attributions of the model score
+import { explainScore } from "./shapley";
+// chore: pluggable risk models (built-in formula, XGBoost, logistic)
+import { BUILTIN_MODEL, withProfile, scoreRecording, describeModel } from "./models";
+// chore: built-in norm set and z-scores against the subject's norm group
+import { BUILTIN_NORMS, normativeDeviations } from "./norms";
+// chore: band edges, weights and cut-offs of the active scoring profile
+import { DEFAULT_PROFILE, profileRecord } from "./profiles";
+// chore: epoch-resampling interval of the risk score
+import { estimateUncertainty } from "./uncertainty";
+// chore: default Welch, preprocessing, artifact, complexity, resampling and Shapley settings
+import { DEFAULT_SPECTRAL_SETTINGS } from "./spectral";
+import { DEFAULT_PREPROCESSING } from "./filters";
+import { DEFAULT_ARTIFACT_SETTINGS } from "./artifacts";
+import { DEFAULT_COMPLEXITY_SETTINGS } from "./complexity";
+import { DEFAULT_UNCERTAINTY_SETTINGS } from "./uncertainty";
+import { DEFAULT_SHAP_SETTINGS } from "./shapley";
+
+// docs: pipeline stages in execution order — shown as progress in the sidebar and dashboard
+export const ANALYSIS_STAGES = [
+  { id: "parse", label: "Reading signal" },
+  { id: "filter", label: "Filtering & artifact rejection" },
+  { id: "psd", label: "Spectra & coherence" },
+  { id: "features", label: "Band features" },
+  { id: "complexity", label: "Complexity features" },
+  { id: "score", label: "Model scoring" },
+  { id: "uncertainty", label: "Score uncertainty" },
+  { id: "explain", label: "Shapley attributions" },
+];
+
+// docs: analysis settings for a fresh session (app) or a batch run without --settings (CLI)
+export const DEFAULT_ANALYSIS_SETTINGS = {
+  spectral: DEFAULT_SPECTRAL_SETTINGS,
+  preprocessing: DEFAULT_PREPROCESSING,
+  artifacts: DEFAULT_ARTIFACT_SETTINGS,
+  complexity: DEFAULT_COMPLEXITY_SETTINGS,
+  uncertainty: DEFAULT_UNCERTAINTY_SETTINGS,
+  explain: DEFAULT_SHAP_SETTINGS,
+};
+
+// feat: partial settings (restored history entry, CLI settings file, API request) merged per group
+// docs: over the defaults — or over another complete settings object (the server's --settings)
+export function mergeAnalysisSettings(settings = {}, base = DEFAULT_ANALYSIS_SETTINGS) {
+  const merged = {};
+  Object.keys(DEFAULT_ANALYSIS_SETTINGS).forEach((group) => {
+    merged[group] = { ...base[group], ...(settings[group] || {}) };
+  });
+  return merged;
+}
+
+// docs: the reference deviations are z-scored against when the job names none —
+// docs: the built-in norms, subject demographics unknown
+export const DEFAULT_REFERENCE = { norms: BUILTIN_NORMS, demographics: null };
+
+// feat: no-op stage callback for callers that don't track progress
+const ignoreStage = () => {};
+
+// ─────────────────────────────────────────────────────────────
+// feat: parse an uploaded recording
+// docs: format = "CSV" (text source) or "EDF" (ArrayBuffer source)
+// docs: returns the parser result: { signal, header, annotations, mapping, error }, plus the
+// docs: amplifier rails for EDF (see parseEDF)
+// ─────────────────────────────────────────────────────────────
+export function parseRecording(format, source, overrides = {}) {
+  return format === "EDF" ? parseEDF(source, overrides) : parseCSV(source, overrides);
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: synthetic simulation pipeline (seed + subject type)
+// docs: runs the same preprocessing, artifact rejection, scoring and attribution as uploads;
+// docs: band powers and coherence come from the simulator rather than the spectrum
+// docs: (the profile's band edges only split the measured spectrum over the electrodes);
+// docs: the score's interval follows the epoch-to-epoch variation of the generated signal
+// docs: returns { error } when the settings don't suit the recording or the model gives no valid score
+// ─────────────────────────────────────────────────────────────
+export function analyzeSimulated(isSZ, seed, settings, model = BUILTIN_MODEL, reference = DEFAULT_REFERENCE, profile = DEFAULT_PROFILE, onStage = ignoreStage) {
+  onStage("parse");
+  const rawSignal = generateEEGSignal(isSZ, seed);
+  const bandPowers = computeBandPowers(isSZ, seed);
+  const coherence = simulatedCoherence(computeCoherence(isSZ, seed));
+
+  // feat: same preprocessing + artifact rejection as uploads, so the displayed waveform/PSD match the settings
+  const processed = processSignal(rawSignal, settings, onStage);
+  if (processed.error) return { error: processed.error };
+  const { trace: eegSignal, channels, psd, preprocessing, artifacts } = processed;
+
+  // feat: spread the simulated band powers over the electrodes by each channel's measured share
+  onStage("features");
+  const channelBandPowers = computeChannelBandPowers(psd, bandPowers, profile.bands);
+  const spectralFeatures = computeSpectralFeatures(psd, bandPowers, channelBandPowers, profile.bands);
+
+  // feat: nonlinear complexity of the preprocessed generated signal, per channel and clean epoch
+  onStage("complexity");
+  const complexity = measureComplexity(processed, settings.complexity);
+
+  // feat: score with the active model, exactly like uploaded recordings
+  onStage("score");
+  const scorer = withProfile(model, profile);
+  const context = { bandPowers, channelBandPowers, coherence, spectral: spectralFeatures, complexity };
+  const { score, keyMarker, keyBand, features, missing } = scoreRecording(scorer, context, profile);
+  if (!Number.isFinite(score)) return { error: UNSCORED_ERROR };
+
+  // feat: 95% interval from resampling the clean epochs — indeterminate when it spans two levels
+  onStage("uncertainty");
+  const epochScorer = makeEpochScorer(processed, settings.spectral, context, scorer, profile);
+  const uncertainty = estimateUncertainty(epochScorer, score, profile, settings.uncertainty, seed);
+  const classification = { ...classifyRisk(score, profile), indeterminate: uncertainty.indeterminate };
+  const normative = normativeDeviations(reference.norms, reference.demographics, bandPowers, channelBandPowers);
+
+  onStage("explain");
+  const cohort = (sz, subject) => simulatedContext(sz, subject, profile.bands);
+  const { shapValues, explanation: shapExplanation } = explainScore(scorer, features, settings.explain, cohort);
+
+  return {
+    riskScore: score,
+    confidence: uncertainty.confidence,
+    uncertainty,
+    keyMarker,
+    keyDeviation: keyDeviation(keyBand, normative),
+    normative,
+    classification,
+    eegSignal,
+    bandPowers,
+    channelBandPowers,
+    spectralFeatures,
+    complexity,
+    shapValues,
+    shapExplanation,
+    coherence,
+    annotations: [],
+    channels,
+    psd,
+    preprocessing,
+    artifacts,
+    model: describeModel(scorer, missing),
+    profile: profileRecord(profile),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: analyse an uploaded recording from its raw source
+// docs: recording = { format, source, overrides } — parsed again here so the worker never
+// docs: has to receive the (much larger) parsed sample array from the main thread
+// docs: returns { error } when the source no longer parses
+// ─────────────────────────────────────────────────────────────
+export function analyzeRecording(recording, settings, model = BUILTIN_MODEL, reference = DEFAULT_REFERENCE, profile = DEFAULT_PROFILE, onStage = ignoreStage) {
+  onStage("parse");
+  const parsed = parseRecording(recording.format, recording.source, recording.overrides);
+  if (parsed.error) return { error: parsed.error };
+
+  return {
+    // docs: EDF headers give the clipping rails; CSV leaves the check to each channel's extremes
+    ...analyzeCSV(parsed.signal, settings, model, reference, profile, onStage, parsed.rails),
+    annotations: parsed.annotations || [],
+  };
+}
@@ -0,0 +1,41 @@
+/**
+ * @jest-environment node
+ */
+import { analyzeSimulated, analyzeRecording, mergeAnalysisSettings, ANALYSIS_STAGES, DEFAULT_ANALYSIS_SETTINGS } from "./pipeline";
+
+// docs: fewer resamples and permutations keep the full pipeline quick
+const settings = mergeAnalysisSettings({ uncertainty: { resamples: 20 }, explain: { permutations: 10 } });
+
+describe("mergeAnalysisSettings", () => {
+  it("merges partial settings per group over the defaults", () => {
+    expect(settings.uncertainty).toEqual({ ...DEFAULT_ANALYSIS_SETTINGS.uncertainty, resamples: 20 });
+    expect(settings.spectral).toEqual(DEFAULT_ANALYSIS_SETTINGS.spectral);
+    expect(Object.keys(mergeAnalysisSettings({ unknown: {} }))).toEqual(Object.keys(DEFAULT_ANALYSIS_SETTINGS));
+  });
+});
+
+describe("analyzeSimulated", () => {
+  it("reports every stage once, in order, and returns a scored result", () => {
+    const stages = [];
+    const results = analyzeSimulated(true, 7, settings, undefined, undefined, undefined, (stage) => stages.push(stage));
+    expect(stages).toEqual(ANALYSIS_STAGES.map((s) => s.id));
+    expect(results.error).toBeUndefined();
+    expect(Number.isFinite(results.riskScore)).toBe(true);
+    expect(results.classification.scored).toBe(true);
+  });
+
+  it("is reproducible for a seed", () => {
+    const a = analyzeSimulated(false, 3, settings);
+    const b = analyzeSimulated(false, 3, settings);
+    expect(a.riskScore).toBe(b.riskScore);
+    expect(a.uncertainty).toEqual(b.uncertainty);
+  });
+});
+
+describe("analyzeRecording", () => {
+  it("returns the parser's error for a source that doesn't parse", () => {
+    const result = analyzeRecording({ format: "CSV", source: "", overrides: {} }, settings);
+    expect(result.riskScore).toBeUndefined();
+    expect(typeof result.error).toBe("string");
+  });
+});
@@ -0,0 +1,237 @@
+// feat: scoring profiles — named, versioned JSON files holding everything that turns band powers into a verdict
+// docs: a profile is { name, version, description, bands: { band: [lo, hi] Hz }, weights: { band: w },
+// docs:   markers: { band: label }, scale, levels: [{ name, min, color, recommendation, alert, actions }],
+// docs:   findings: [{ band, direction: "low" | "high", z, severity, text }], normal }
+// docs: formula component of a band = w × (power / built-in mean − 1) — a negative weight scores suppression;
+// docs: score = clamp(round(scale × Σ components), 0, 100); the level is the highest one whose min the score reaches
+// docs: finding rules test the z-scores against the subject's norm group (norms.js)
+// docs: sections a profile file leaves out are taken from the standard profile, so a file can change just the cut-offs
+// docs: loaded profiles keep their file as source = { text, fileName } so the worker and the server can rebuild them
+
+// chore: band list shared with the norm sets
+import { NORM_BANDS } from "./norms";
+// chore: default band edges
+import { EEG_BANDS } from "./spectral";
+
+export const BAND_SYMBOLS = { delta: "δ", theta: "θ", alpha: "α", beta: "β", gamma: "γ" };
+
+// docs: finding severities a rule may use — icon and colour in the report, chart and PDF
+export const SEVERITY_STYLES = {
+  Severe: { icon: "⚠️", color: "#ef4444" },
+  Moderate: { icon: "⚠️", color: "#f59e0b" },
+  Mild: { icon: "ℹ️", color: "#94a3b8" },
+};
+
+// ─────────────────────────────────────────────────────────────
+// feat: the standard profile — the weights, cut-offs and texts the app has always used
+// ─────────────────────────────────────────────────────────────
+export const DEFAULT_PROFILE = {
+  name: "Standard",
+  version: "1",
+  description: "Band-deviation weights α 35 · δ 20 · θ 15 · γ 10, High Risk from 60, Moderate from 40",
+  bands: EEG_BANDS,
+  weights: { delta: 20, theta: 15, alpha: -35, beta: 0, gamma: 10 },
+  markers: {
+    delta: "δ Elevation",
+    theta: "θ Elevation",
+    alpha: "α Suppression",
+    beta: "β Elevation",
+    gamma: "γ Dysregulation",
+  },
+  scale: 1.2,
+  levels: [
+    {
+      name: "High Risk",
+      min: 60,
+      color: "#ef4444",
+      recommendation: "Immediate psychiatric consultation recommended",
+      alert: "Elevated slow-wave activity and reduced alpha coherence patterns observed. Recommend psychiatric evaluation.",
+      actions: ["Refer for comprehensive psychiatric evaluation", "Administer PANSS symptom scale", "Schedule follow-up EEG in 4 weeks", "Review medication history"],
+    },
+    {
+      name: "Moderate",
+      min: 40,
+      color: "#f59e0b",
+      recommendation: "Schedule follow-up evaluation",
+      alert: "Borderline EEG patterns detected. Some abnormalities present. Monitor and retest in 3 months.",
+      actions: ["Schedule follow-up EEG in 3 months", "Monitor for symptom progression", "Document baseline measurements"],
+    },
+    {
+      name: "Low Risk",
+      min: 0,
+      color: "#10b981",
+      recommendation: "Routine monitoring",
+      alert: "EEG patterns within healthy reference range. No significant abnormalities detected.",
+      actions: ["Routine annual monitoring", "No immediate action required"],
+    },
+  ],
+  findings: [
+    { band: "alpha", direction: "low", z: 2, severity: "Severe", text: "Alpha suppression detected across frontal electrodes." },
+    { band: "delta", direction: "high", z: 2, severity: "Moderate", text: "Elevated delta activity detected." },
+    { band: "theta", direction: "high", z: 2, severity: "Moderate", text: "Elevated theta activity suggesting cognitive slowing." },
+    { band: "gamma", direction: "high", z: 2, severity: "Mild", text: "Gamma band dysregulation observed." },
+  ],
+  normal: "No significant EEG abnormalities detected.",
+  source: null,
+};
+
+// ─────────────────────────────────────────────────────────────
+// feat: parse a profile file
+// docs: returns { profile, error } — every section present in the file is validated in full
+// ─────────────────────────────────────────────────────────────
+const isText = (value) => typeof value === "string" && value.trim() !== "";
+
+function parseBands(bands) {
+  const parsed = {};
+  NORM_BANDS.forEach((band) => {
+    const [lo, hi] = Array.isArray(bands[band]) ? bands[band] : [];
+    if (!Number.isFinite(lo) || !Number.isFinite(hi) || lo < 0 || hi <= lo) {
+      throw new Error(`"bands.${band}" must be [low, high] in Hz with low < high.`);
+    }
+    parsed[band] = [lo, hi];
+  });
+  return parsed;
+}
+
+function parseWeights(weights) {
+  Object.keys(weights).forEach((band) => {
+    if (!NORM_BANDS.includes(band)) throw new Error(`"weights" names an unknown band "${band}".`);
+  });
+  const parsed = Object.fromEntries(NORM_BANDS.map((band) => [band, weights[band] ?? 0]));
+  if (Object.values(parsed).some((w) => !Number.isFinite(w))) throw new Error("Every weight must be a number.");
+  if (Object.values(parsed).every((w) => w === 0)) throw new Error("At least one weight must be non-zero.");
+  return parsed;
+}
+
+function parseLevels(levels) {
+  if (!Array.isArray(levels) || levels.length === 0) throw new Error("\"levels\" must be a non-empty list.");
+  const parsed = levels.map((level, i) => {
+    const where = `Level ${i + 1}`;
+    if (!isText(level.name)) throw new Error(`${where} needs a "name".`);
+    if (!Number.isFinite(level.min) || level.min < 0 || level.min > 100) throw new Error(`${where} needs a "min" score between 0 and 100.`);
+    if (!/^#[0-9a-f]{6}$/i.test(level.color || "")) throw new Error(`${where} needs a "color" like "#ef4444".`);
+    if (level.actions !== undefined && (!Array.isArray(level.actions) || !level.actions.every(isText))) {
+      throw new Error(`${where}: "actions" must be a list of texts.`);
+    }
+    return {
+      name: level.name.trim(),
+      min: level.min,
+      color: level.color,
+      recommendation: level.recommendation || "",
+      alert: level.alert || "",
+      actions: level.actions || [],
+    };
+  }).sort((a, b) => b.min - a.min);
+
+  if (parsed[parsed.length - 1].min !== 0) throw new Error("The lowest level needs \"min\": 0 so every score has a level.");
+  if (new Set(parsed.map((l) => l.min)).size !== parsed.length) throw new Error("Two levels share the same \"min\".");
+  if (new Set(parsed.map((l) => l.name)).size !== parsed.length) throw new Error("Two levels share the same name.");
+  return parsed;
+}
+
+function parseFindingRules(rules) {
+  if (!Array.isArray(rules)) throw new Error("\"findings\" must be a list of rules.");
+  const seen = new Set();
+  return rules.map((rule, i) => {
+    const where = `Finding rule ${i + 1}`;
+    if (!NORM_BANDS.includes(rule.band)) throw new Error(`${where} needs a "band" (one of ${NORM_BANDS.join(", ")}).`);
+    if (rule.direction !== "low" && rule.direction !== "high") throw new Error(`${where}: "direction" must be "low" or "high".`);
+    if (!Number.isFinite(rule.z) || rule.z <= 0) throw new Error(`${where} needs a "z" limit > 0.`);
+    if (!SEVERITY_STYLES[rule.severity]) throw new Error(`${where}: "severity" must be ${Object.keys(SEVERITY_STYLES).join(", ")}.`);
+    if (!isText(rule.text)) throw new Error(`${where} needs a "text".`);
+    // docs: findings are matched across results by band (comparison diff), so one rule per band
+    if (seen.has(rule.band)) throw new Error(`${where}: "${rule.band}" already has a rule.`);
+    seen.add(rule.band);
+    return { band: rule.band, direction: rule.direction, z: rule.z, severity: rule.severity, text: rule.text.trim() };
+  });
+}
+
+export function parseProfile(text, fileName = "") {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    return { profile: null, error: "Profile file is not valid JSON." };
+  }
+  if (!json || typeof json !== "object" || Array.isArray(json)) return { profile: null, error: "Profile file must be a JSON object." };
+
+  try {
+    const has = (key) => json[key] !== undefined && json[key] !== null;
+    if (has("scale") && (!Number.isFinite(json.scale) || json.scale <= 0)) throw new Error("\"scale\" must be a number > 0.");
+    return {
+      profile: {
+        name: isText(json.name) ? json.name.trim() : fileName.replace(/\.json$/i, "") || "Unnamed profile",
+        version: json.version !== undefined ? String(json.version) : "—",
+        description: json.description || "",
+        bands: has("bands") ? parseBands(json.bands) : DEFAULT_PROFILE.bands,
+        weights: has("weights") ? parseWeights(json.weights) : DEFAULT_PROFILE.weights,
+        markers: { ...DEFAULT_PROFILE.markers, ...(json.markers || {}) },
+        scale: has("scale") ? json.scale : DEFAULT_PROFILE.scale,
+        levels: has("levels") ? parseLevels(json.levels) : DEFAULT_PROFILE.levels,
+        findings: has("findings") ? parseFindingRules(json.findings) : DEFAULT_PROFILE.findings,
+        normal: isText(json.normal) ? json.normal.trim() : DEFAULT_PROFILE.normal,
+        source: { text, fileName },
+      },
+      error: null,
+    };
+  } catch (err) {
+    return { profile: null, error: err.message };
+  }
+}
+
+// feat: the profile as stored with a result — everything but the file, so old results keep their own rules
+export function profileRecord(profile) {
+  const { source, ...record } = profile;
+  return record;
+}
+
+// feat: the profile a result was scored with — results saved before profiles existed used the standard one
+export function profileOf(results) {
+  return (results && results.profile) || DEFAULT_PROFILE;
+}
+
+// feat: "Standard v1"
+export const profileLabel = (profile) => `${profile.name} v${profile.version}`;
+
+// feat: "δ 0.5–4 · θ 4–8 · α 8–13 · β 13–30 · γ 30–50 Hz"
+export function describeBands(bands) {
+  return `${NORM_BANDS.map((band) => `${BAND_SYMBOLS[band]} ${bands[band][0]}–${bands[band][1]}`).join(" · ")} Hz`;
+}
+
+// feat: score cut-offs in ascending order (every level's min but the lowest) — validation thresholds
+export function riskThresholds(profile) {
+  return profile.levels.map((l) => l.min).filter((min) => min > 0).sort((a, b) => a - b);
+}
+
+// feat: level names lowest first — validation confusion matrix columns
+export function levelNames(profile) {
+  return profile.levels.map((l) => l.name).reverse();
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: loaded profile files remembered across reloads (a preference, not patient data — so localStorage)
+// docs: only the files are stored; they are parsed again on load and dropped if they no longer parse
+// ─────────────────────────────────────────────────────────────
+const PROFILES_KEY = "neuroscan.profiles";
+
+export function loadSavedProfiles() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROFILES_KEY));
+    if (!Array.isArray(saved.sources)) return { profiles: [], active: null };
+    const profiles = saved.sources
+      .map((source) => parseProfile(source.text, source.fileName).profile)
+      .filter(Boolean);
+    return { profiles, active: typeof saved.active === "string" ? saved.active : null };
+  } catch (err) {
+    return { profiles: [], active: null };
+  }
+}
+
+// docs: active = profileLabel() of the selected profile (null for the standard one)
+export function saveProfiles(profiles, active) {
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify({ sources: profiles.map((p) => p.source), active }));
+  } catch (err) {
+    // docs: private browsing / storage disabled — the profiles just aren't remembered
+  }
+}
@@ -0,0 +1,77 @@
+import {
+  parseProfile, riskThresholds, levelNames, describeBands, profileLabel, saveProfiles, loadSavedProfiles, DEFAULT_PROFILE,
+} from "./profiles";
+import { computeRiskScore } from "./eegUtils";
+import { BUILTIN_BAND_MEANS } from "./norms";
+
+const LEVELS = [
+  { name: "Low", min: 0, color: "#10b981" },
+  { name: "High", min: 70, color: "#ef4444", actions: ["Refer"] },
+  { name: "Borderline", min: 30, color: "#f59e0b" },
+];
+
+describe("parseProfile", () => {
+  it("takes the sections a file leaves out from the standard profile", () => {
+    const { profile, error } = parseProfile(JSON.stringify({ version: 3, weights: { theta: 2 } }), "slowing.json");
+    expect(error).toBeNull();
+    expect(profileLabel(profile)).toBe("slowing v3");
+    expect(profile.weights).toEqual({ delta: 0, theta: 2, alpha: 0, beta: 0, gamma: 0 });
+    expect(profile.levels).toBe(DEFAULT_PROFILE.levels);
+    expect(profile.findings).toBe(DEFAULT_PROFILE.findings);
+  });
+
+  it("sorts levels highest first and derives the validation cut-offs", () => {
+    const { profile } = parseProfile(JSON.stringify({ levels: LEVELS }));
+    expect(profile.levels.map((l) => l.name)).toEqual(["High", "Borderline", "Low"]);
+    expect(riskThresholds(profile)).toEqual([30, 70]);
+    expect(levelNames(profile)).toEqual(["Low", "Borderline", "High"]);
+  });
+
+  it("reads custom band edges", () => {
+    const bands = { delta: [1, 4], theta: [4, 8], alpha: [8, 12], beta: [12, 30], gamma: [30, 45] };
+    const { profile } = parseProfile(JSON.stringify({ bands }));
+    expect(describeBands(profile.bands)).toBe("δ 1–4 · θ 4–8 · α 8–12 · β 12–30 · γ 30–45 Hz");
+  });
+
+  it.each([
+    ["[]", /must be a JSON object/],
+    [JSON.stringify({ scale: 0 }), /"scale" must be a number > 0/],
+    [JSON.stringify({ weights: { mu: 1 } }), /unknown band "mu"/],
+    [JSON.stringify({ weights: { alpha: 0 } }), /At least one weight must be non-zero/],
+    [JSON.stringify({ bands: { ...DEFAULT_PROFILE.bands, alpha: [13, 8] } }), /"bands.alpha" must be \[low, high\]/],
+    [JSON.stringify({ levels: LEVELS.slice(1) }), /lowest level needs "min": 0/],
+    [JSON.stringify({ levels: [...LEVELS, { name: "Other", min: 30, color: "#000000" }] }), /share the same "min"/],
+    [JSON.stringify({ levels: [{ name: "Low", min: 0, color: "red" }] }), /"color" like/],
+    [JSON.stringify({ findings: [{ band: "alpha", direction: "down", z: 2, severity: "Mild", text: "x" }] }), /"direction" must be/],
+    [JSON.stringify({ findings: [...DEFAULT_PROFILE.findings, DEFAULT_PROFILE.findings[0]] }), /"alpha" already has a rule/],
+  ])("rejects %s", (text, message) => {
+    const { profile, error } = parseProfile(text);
+    expect(profile).toBeNull();
+    expect(error).toMatch(message);
+  });
+});
+
+describe("computeRiskScore with a profile", () => {
+  it("scales the weighted deviation from the built-in means", () => {
+    const { profile } = parseProfile(JSON.stringify({ weights: { theta: 1, alpha: -1 }, scale: 10 }));
+    const bandPowers = { ...BUILTIN_BAND_MEANS, theta: BUILTIN_BAND_MEANS.theta * 3, alpha: BUILTIN_BAND_MEANS.alpha / 2 };
+    // docs: theta (3 − 1) × 1 + alpha (1 − 0.5) × 1 = 2.5 → 25
+    expect(computeRiskScore(bandPowers, profile)).toMatchObject({ score: 25, keyBand: "theta", components: { theta: 2, alpha: 0.5 } });
+  });
+});
+
+describe("saved profiles", () => {
+  afterEach(() => localStorage.clear());
+
+  it("remembers the loaded files and the active profile", () => {
+    const { profile } = parseProfile(JSON.stringify({ name: "Slowing", weights: { theta: 2 } }), "slowing.json");
+    saveProfiles([profile], profileLabel(profile));
+    const { profiles, active } = loadSavedProfiles();
+    expect(profiles.map(profileLabel)).toEqual(["Slowing v—"]);
+    expect(active).toBe("Slowing v—");
+  });
+
+  it("starts empty when nothing is stored", () => {
+    expect(loadSavedProfiles()).toEqual({ profiles: [], active: null });
+  });
+});
@@ -0,0 +1,518 @@
+// feat: print-ready PDF of the clinical report, generated in the browser (jsPDF, no server)
+// docs: A4 portrait, paginated: subject and recording metadata, risk metrics, band power chart,
+// docs: per-band topomaps, SHAP chart, findings and recommendations, analysis parameters,
+// docs: and on every page the software version, page number and disclaimer
+// docs: charts are drawn as vector graphics from the result data, not screenshots of the page
+// docs: jsPDF is loaded on first export, so it stays out of the main bundle
+// docs: the analysis server (server/analysisServer.mjs) builds the same document in Node for GET /analyses/:id/report
+// chore: findings and recommendations shared with the on-screen report
+import { reportFindings, recommendedActions } from "./findings";
+// chore: scalp positions and the topomap severity scale
+import { getElectrode } from "./channelMapping";
+import { interpolateGrid, HEAD, bandSeverity, severityToRGB, SEVERITY_FULL_Z } from "./topography";
+// chore: z-scores against the subject's norm group
+import { formatZ, normativeOf, describeNormative } from "./norms";
+// chore: the result's scoring profile
+import { profileOf, profileLabel, describeBands } from "./profiles";
+// chore: the score's epoch-resampling interval
+import { formatInterval, describeUncertainty, indeterminateNote } from "./uncertainty";
+// chore: subject summary line and recording duration
+import { describeSubject } from "./subjects";
+import { traceDuration } from "./traces";
+import { SHAP_BACKGROUNDS } from "./shapley";
+import { COMPLEXITY_MEASURES } from "./complexity";
+import { APP_NAME, APP_VERSION } from "./version";
+import { exportFileName } from "./download";
+
+// docs: page geometry in millimetres
+// docs: geometry, palette, layout cursor and footers are shared with the validation report (validationReport.js)
+export const PAGE = { width: 210, height: 297, margin: 15, footer: 14 };
+export const CONTENT_WIDTH = PAGE.width - 2 * PAGE.margin;
+
+const BANDS = ["delta", "theta", "alpha", "beta", "gamma"];
+const BAND_NAMES = { delta: "Delta", theta: "Theta", alpha: "Alpha", beta: "Beta", gamma: "Gamma" };
+
+// style: print palette (dark text on white)
+export const COLORS = {
+  text: [15, 23, 42],
+  muted: [71, 85, 105],
+  rule: [203, 213, 225],
+  purple: [124, 58, 237],
+  baseline: [148, 163, 184],
+  red: [239, 68, 68],
+  blue: [37, 99, 235],
+};
+
+const DISCLAIMER =
+  "This system is a research decision-support tool only. Not a substitute for qualified psychiatric assessment.";
+
+// ─────────────────────────────────────────────────────────────
+// feat: text the standard PDF fonts can print
+// docs: Helvetica only covers Latin-1 — Greek band symbols become their names, typographic
+// docs: signs become ASCII, anything else (emoji) is dropped
+// ─────────────────────────────────────────────────────────────
+const REPLACEMENTS = {
+  "δ": "delta", "θ": "theta", "α": "alpha", "β": "beta", "γ": "gamma",
+  "−": "-", "–": "-", "—": "-", "≥": ">=", "≤": "<=", "→": "->", "Σ": "sum", "Δ": "d",
+  "“": "\"", "”": "\"", "‘": "'", "’": "'", "…": "...",
+};
+
+export function pdfText(value) {
+  return String(value ?? "")
+    .replace(/[δθαβγ−–—≥≤→ΣΔ“”‘’…]/g, (ch) => REPLACEMENTS[ch])
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, "")
+    .replace(/\s{2,}/g, " ")
+    .trim();
+}
+
+// feat: "#ef4444" → [239, 68, 68]
+function hexToRGB(hex, fallback = COLORS.text) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(hex || "");
+  if (!m) return fallback;
+  const n = parseInt(m[1], 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+export const formatDateTime = (ms) =>
+  new Date(ms).toLocaleString(undefined, { year: "numeric", month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+
+// ─────────────────────────────────────────────────────────────
+// feat: top-to-bottom layout cursor with automatic page breaks
+// ─────────────────────────────────────────────────────────────
+export function createLayout(doc) {
+  const bottom = PAGE.height - PAGE.margin - PAGE.footer;
+  const layout = {
+    y: PAGE.margin,
+    // docs: start a new page unless `height` mm still fit on this one
+    ensure(height) {
+      if (layout.y + height > bottom) {
+        doc.addPage();
+        layout.y = PAGE.margin;
+      }
+    },
+    // feat: section heading with a rule underneath — kept together with `keep` mm of its content
+    heading(text, keep = 20) {
+      layout.ensure(10 + keep);
+      layout.y += 3;
+      doc.setFont("helvetica", "bold");
+      doc.setFontSize(11);
+      doc.setTextColor(...COLORS.purple);
+      doc.text(pdfText(text).toUpperCase(), PAGE.margin, layout.y);
+      doc.setDrawColor(...COLORS.rule);
+      doc.setLineWidth(0.3);
+      doc.line(PAGE.margin, layout.y + 1.5, PAGE.width - PAGE.margin, layout.y + 1.5);
+      layout.y += 6;
+    },
+    // feat: wrapped paragraph
+    paragraph(text, { size = 9, color = COLORS.text, bold = false, indent = 0 } = {}) {
+      doc.setFont("helvetica", bold ? "bold" : "normal");
+      doc.setFontSize(size);
+      doc.setTextColor(...color);
+      const lines = doc.splitTextToSize(pdfText(text), CONTENT_WIDTH - indent);
+      const lineHeight = size * 0.42;
+      lines.forEach((line) => {
+        layout.ensure(lineHeight);
+        doc.text(line, PAGE.margin + indent, layout.y + lineHeight * 0.8);
+        layout.y += lineHeight;
+      });
+      layout.y += 1;
+    },
+    // feat: two-column label / value rows
+    keyValues(rows) {
+      rows.forEach(([label, value]) => {
+        doc.setFontSize(9);
+        const lines = doc.splitTextToSize(pdfText(value), CONTENT_WIDTH - 45);
+        const height = lines.length * 3.8 + 0.8;
+        layout.ensure(height);
+        doc.setFont("helvetica", "bold");
+        doc.setTextColor(...COLORS.muted);
+        doc.text(pdfText(label), PAGE.margin, layout.y + 3);
+        doc.setFont("helvetica", "normal");
+        doc.setTextColor(...COLORS.text);
+        doc.text(lines, PAGE.margin + 45, layout.y + 3);
+        layout.y += height;
+      });
+      layout.y += 1;
+    },
+  };
+  return layout;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: risk metric boxes — the four MetricCards of the dashboard
+// ─────────────────────────────────────────────────────────────
+function drawMetrics(doc, layout, results) {
+  const color = hexToRGB(results.classification?.color);
+  const boxes = [
+    { title: "RISK SCORE", value: `${results.riskScore}/100`, sub: formatInterval(results.uncertainty), color },
+    { title: "CONFIDENCE", value: results.confidence === null ? null : `${results.confidence}%`, color: COLORS.purple },
+    {
+      title: "CLASSIFICATION",
+      value: results.classification?.level,
+      sub: indeterminateNote(results.uncertainty) || results.classification?.recommendation,
+      color,
+    },
+    { title: "KEY MARKER", value: results.keyMarker, sub: results.keyDeviation, color: [245, 158, 11] },
+  ];
+  const gap = 4;
+  const width = (CONTENT_WIDTH - gap * 3) / 4;
+  const height = 24;
+  layout.ensure(height);
+
+  boxes.forEach((box, i) => {
+    const x = PAGE.margin + i * (width + gap);
+    doc.setDrawColor(...COLORS.rule);
+    doc.setLineWidth(0.3);
+    doc.roundedRect(x, layout.y, width, height, 2, 2, "S");
+    doc.setFillColor(...box.color);
+    doc.rect(x, layout.y, 1.2, height, "F");
+
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(7);
+    doc.setTextColor(...COLORS.muted);
+    doc.text(box.title, x + 4, layout.y + 5);
+    doc.setFontSize(12);
+    doc.setTextColor(...box.color);
+    doc.text(doc.splitTextToSize(pdfText(box.value ?? "—"), width - 6)[0] || "", x + 4, layout.y + 12);
+    if (box.sub) {
+      doc.setFont("helvetica", "normal");
+      doc.setFontSize(7);
+      doc.setTextColor(...COLORS.muted);
+      doc.text(doc.splitTextToSize(pdfText(box.sub), width - 6).slice(0, 2), x + 4, layout.y + 17);
+    }
+  });
+  layout.y += height + 4;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: band power bars — patient vs norm group mean, z-score printed above each pair
+// ─────────────────────────────────────────────────────────────
+function drawBandPowerChart(doc, layout, bandPowers, normative) {
+  const height = 55;
+  layout.ensure(height + 8);
+  const top = layout.y;
+  const left = PAGE.margin + 12;
+  const plotWidth = CONTENT_WIDTH - 12;
+  const plotHeight = height - 12;
+  const max = Math.max(...BANDS.map((b) => Math.max(bandPowers[b] || 0, normative.reference[b].mean))) * 1.15;
+  const yOf = (v) => top + plotHeight - (v / max) * plotHeight;
+
+  // style: axis with four gridlines
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(7);
+  doc.setLineWidth(0.2);
+  for (let i = 0; i <= 4; i++) {
+    const v = (max * i) / 4;
+    doc.setDrawColor(...COLORS.rule);
+    doc.line(left, yOf(v), left + plotWidth, yOf(v));
+    doc.setTextColor(...COLORS.muted);
+    doc.text(v.toFixed(1), left - 2, yOf(v) + 1, { align: "right" });
+  }
+
+  const slot = plotWidth / BANDS.length;
+  const barWidth = slot * 0.28;
+  BANDS.forEach((band, i) => {
+    const x = left + i * slot + slot / 2;
+    const patient = bandPowers[band] || 0;
+    const base = normative.reference[band].mean;
+    doc.setFillColor(...COLORS.purple);
+    doc.rect(x - barWidth - 0.5, yOf(patient), barWidth, top + plotHeight - yOf(patient), "F");
+    doc.setFillColor(...COLORS.baseline);
+    doc.rect(x + 0.5, yOf(base), barWidth, top + plotHeight - yOf(base), "F");
+
+    doc.setFontSize(7);
+    doc.setTextColor(...COLORS.text);
+    const z = normative.bands[band];
+    doc.text(Number.isFinite(z) ? `z ${pdfText(formatZ(z))}` : "", x, Math.min(yOf(patient), yOf(base)) - 1.5, { align: "center" });
+    doc.setFontSize(8);
+    doc.text(BAND_NAMES[band], x, top + plotHeight + 4.5, { align: "center" });
+  });
+
+  // style: legend
+  const legendY = top + height - 2;
+  doc.setFillColor(...COLORS.purple);
+  doc.rect(left, legendY - 2.2, 3, 2.5, "F");
+  doc.setFillColor(...COLORS.baseline);
+  doc.rect(left + 30, legendY - 2.2, 3, 2.5, "F");
+  doc.setFontSize(7);
+  doc.setTextColor(...COLORS.muted);
+  doc.text("Patient (µV²/Hz)", left + 4.5, legendY);
+  doc.text(pdfText(`Norm mean · ${describeNormative(normative)}`), left + 34.5, legendY);
+  layout.y += height + 4;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: one small topomap per band on the dashboard's severity scale
+// docs: uses the same inverse-distance interpolation of electrode z-scores as the on-screen map, on a coarser grid
+// ─────────────────────────────────────────────────────────────
+function drawTopomaps(doc, layout, channelZ) {
+  const size = 30;
+  const gap = (CONTENT_WIDTH - size * BANDS.length) / (BANDS.length - 1);
+  const scale = size / (HEAD.r * 2);
+  layout.ensure(size + 16);
+  const top = layout.y;
+
+  BANDS.forEach((band, i) => {
+    const ox = PAGE.margin + i * (size + gap);
+    const toX = (x) => ox + (x - (HEAD.cx - HEAD.r)) * scale;
+    const toY = (y) => top + (y - (HEAD.cy - HEAD.r)) * scale;
+    const measured = Object.entries(channelZ)
+      .map(([name, zs]) => ({ ...getElectrode(name), value: zs[band] }))
+      .filter((el) => el.name && Number.isFinite(el.value));
+
+    interpolateGrid(measured, { cells: 30 }).forEach((cell) => {
+      doc.setFillColor(...severityToRGB(bandSeverity(band, cell.value)));
+      doc.rect(toX(cell.x), toY(cell.y), cell.size * scale + 0.05, cell.size * scale + 0.05, "F");
+    });
+
+    // style: head outline and nose
+    doc.setDrawColor(...COLORS.muted);
+    doc.setLineWidth(0.4);
+    doc.circle(toX(HEAD.cx), toY(HEAD.cy), HEAD.r * scale, "S");
+    doc.triangle(toX(94), toY(18), toX(106), toY(18), toX(100), toY(8), "S");
+
+    // feat: recorded electrodes
+    doc.setFillColor(255, 255, 255);
+    doc.setLineWidth(0.15);
+    measured.forEach((el) => doc.circle(toX(el.x), toY(el.y), 0.6, "FD"));
+
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(8);
+    doc.setTextColor(...COLORS.text);
+    doc.text(BAND_NAMES[band], ox + size / 2, top + size + 4, { align: "center" });
+  });
+
+  // style: color scale legend
+  const legendY = top + size + 9;
+  const stops = 40;
+  for (let i = 0; i < stops; i++) {
+    doc.setFillColor(...severityToRGB(i / (stops - 1)));
+    doc.rect(PAGE.margin + 22 + i, legendY - 2.2, 1.05, 2.5, "F");
+  }
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(7);
+  doc.setTextColor(...COLORS.muted);
+  doc.text("Normal", PAGE.margin, legendY);
+  doc.text(`z-score up to ${SEVERITY_FULL_Z} SD (alpha: suppressed, other bands: elevated) · ${Object.keys(channelZ).length} electrodes`, PAGE.margin + 22 + stops + 3, legendY);
+  layout.y += size + 14;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: SHAP bars — top 12 contributions, red raises the score, blue lowers it
+// ─────────────────────────────────────────────────────────────
+function drawSHAPChart(doc, layout, shapValues, explanation) {
+  const rows = shapValues.slice(0, 12);
+  if (rows.length === 0) return;
+  const rowHeight = 5;
+  const labelWidth = 45;
+  const height = rows.length * rowHeight + 4;
+  layout.ensure(height);
+
+  const axisX = PAGE.margin + labelWidth + (CONTENT_WIDTH - labelWidth) / 2;
+  const half = (CONTENT_WIDTH - labelWidth) / 2 - 12;
+  const max = Math.max(...rows.map((r) => Math.abs(r.value)), 1e-9);
+
+  rows.forEach((row, i) => {
+    const y = layout.y + i * rowHeight;
+    const width = (Math.abs(row.value) / max) * half;
+    doc.setFillColor(...(row.value > 0 ? COLORS.red : COLORS.blue));
+    doc.rect(row.value > 0 ? axisX : axisX - width, y + 0.8, width, rowHeight - 1.6, "F");
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(7.5);
+    doc.setTextColor(...COLORS.text);
+    doc.text(doc.splitTextToSize(pdfText(row.name), labelWidth - 2)[0], PAGE.margin, y + 3.5);
+    const label = `${row.value >= 0 ? "+" : "-"}${Math.abs(row.value).toFixed(2)}`;
+    doc.setTextColor(...COLORS.muted);
+    doc.text(label, row.value > 0 ? axisX + width + 1 : axisX - width - 1, y + 3.5, { align: row.value > 0 ? "left" : "right" });
+  });
+  doc.setDrawColor(...COLORS.muted);
+  doc.setLineWidth(0.3);
+  doc.line(axisX, layout.y, axisX, layout.y + rows.length * rowHeight);
+  layout.y += height;
+
+  if (explanation) {
+    layout.paragraph(
+      `Expected score over the background ${explanation.expected.toFixed(2)} + sum of contributions ` +
+      `${explanation.sum >= 0 ? "+" : "-"}${Math.abs(explanation.sum).toFixed(2)} = risk score ${explanation.prediction.toFixed(2)}. ` +
+      `Shapley values (${explanation.method}) vs ${SHAP_BACKGROUNDS[explanation.background] || explanation.background}` +
+      `${explanation.backgroundSize > 1 ? `, n = ${explanation.backgroundSize}` : ""}.` +
+      (explanation.approximate ? " Approximate: each contribution is estimated from sampled permutations." : ""),
+      { size: 8, color: COLORS.muted }
+    );
+  }
+}
+
+// feat: findings with their severity, then the recommendation and action items — by the result's profile
+function drawFindings(doc, layout, results) {
+  const profile = profileOf(results);
+  reportFindings(normativeOf(results), profile).forEach((f) => {
+    layout.ensure(5);
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(8);
+    doc.setTextColor(...hexToRGB(f.color, COLORS.muted));
+    doc.text(f.severity.toUpperCase(), PAGE.margin, layout.y + 3.4);
+    layout.paragraph(f.text, { indent: 20 });
+  });
+
+  const classification = results.classification || {};
+  layout.y += 2;
+  layout.paragraph(`Recommendation: ${classification.level || ""}`, { bold: true, color: hexToRGB(classification.color) });
+  if (indeterminateNote(results.uncertainty)) layout.paragraph(`${indeterminateNote(results.uncertainty)} — interpret the level with caution.`);
+  if (classification.alert) layout.paragraph(classification.alert);
+  recommendedActions(results.riskScore, profile).forEach((action) => layout.paragraph(`[  ]  ${action}`, { indent: 4 }));
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: analysis parameters — everything needed to reproduce the result
+// ─────────────────────────────────────────────────────────────
+function parameterRows(results) {
+  const rows = [];
+  const { preprocessing, psd, artifacts, model, coherence, complexity, uncertainty } = results;
+  if (preprocessing) {
+    rows.push(["Preprocessing", preprocessing.steps.length ? preprocessing.steps.join(" · ") : "none (raw signal)"]);
+  }
+  if (psd && psd.settings) {
+    rows.push([
+      "Spectral estimate",
+      `Welch, ${psd.settings.segmentSeconds} s ${psd.settings.window} segments, ${Math.round(psd.settings.overlap * 100)}% overlap · ` +
+      `${psd.segments} segments averaged · resolution ${(psd.sampleRate / psd.nfft).toFixed(2)} Hz`,
+    ]);
+  }
+  if (artifacts) {
+    rows.push([
+      "Artifact rejection",
+      artifacts.settings.enabled
+        ? `${artifacts.kept}/${artifacts.total} epochs kept`
+        : "off",
+    ]);
+  }
+  if (coherence && coherence.pairs) rows.push(["Coherence", `${coherence.pairs.length} channel pairs`]);
+  if (complexity) {
+    const { settings } = complexity;
+    rows.push([
+      "Complexity",
+      `${complexity.times.length} epochs at ${complexity.sampleRate} Hz · Higuchi kmax ${settings.kmax} · ` +
+      `sample entropy m ${settings.m}, r ${settings.r} SD · permutation order ${settings.order}, lag ${settings.delay}`,
+    ]);
+    rows.push([
+      "Complexity (head mean)",
+      Object.entries(COMPLEXITY_MEASURES)
+        .map(([measure, { label, digits }]) => `${label} ${complexity.global[measure] === null ? "n/a" : complexity.global[measure].toFixed(digits)}`)
+        .join(" · "),
+    ]);
+  }
+  if (uncertainty) rows.push(["Score uncertainty", describeUncertainty(uncertainty)]);
+  const normative = normativeOf(results);
+  rows.push([
+    "Normative reference",
+    `${describeNormative(normative)} · version ${normative.norms.version}${normative.norms.citation ? ` · ${normative.norms.citation}` : ""}`,
+  ]);
+  const profile = profileOf(results);
+  rows.push(["Scoring profile", `${profileLabel(profile)} · bands ${describeBands(profile.bands)}`]);
+  if (model) {
+    rows.push(["Model", `${model.name} (${model.type}, version ${model.version}) · ${model.features} features`]);
+    if (model.missing.length) rows.push(["Missing features", model.missing.join(", ")]);
+  }
+  return rows;
+}
+
+// feat: software version, page number and disclaimer on every page
+export function drawFooters(doc, generatedAt) {
+  const pages = doc.getNumberOfPages();
+  for (let page = 1; page <= pages; page++) {
+    doc.setPage(page);
+    const y = PAGE.height - PAGE.margin;
+    doc.setDrawColor(...COLORS.rule);
+    doc.setLineWidth(0.3);
+    doc.line(PAGE.margin, y - 8, PAGE.width - PAGE.margin, y - 8);
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(7);
+    doc.setTextColor(...COLORS.muted);
+    doc.text(DISCLAIMER, PAGE.margin, y - 4.5);
+    doc.text(`${APP_NAME} v${APP_VERSION} · generated ${formatDateTime(generatedAt)}`, PAGE.margin, y - 1);
+    doc.text(`Page ${page} of ${pages}`, PAGE.width - PAGE.margin, y - 1, { align: "right" });
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: build the report document
+// docs: report = { results, subject (or null), recording: { label, source, isSZ, analyzedAt } }
+// docs: returns the jsPDF document (call .save() or .output())
+// ─────────────────────────────────────────────────────────────
+export async function buildReportPdf({ results, subject = null, recording }) {
+  const { jsPDF } = await import("jspdf");
+  const doc = new jsPDF({ unit: "mm", format: "a4", orientation: "portrait", compress: true });
+  const generatedAt = Date.now();
+  const layout = createLayout(doc);
+
+  doc.setProperties({
+    title: `EEG clinical report - ${pdfText(subject ? subject.id : recording.label)}`,
+    subject: "EEG-based schizophrenia risk assessment",
+    creator: `${APP_NAME} ${APP_VERSION}`,
+  });
+
+  // feat: title block
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(16);
+  doc.setTextColor(...COLORS.text);
+  doc.text(`${APP_NAME} - EEG Clinical Report`, PAGE.margin, layout.y + 6);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(9);
+  doc.setTextColor(...COLORS.muted);
+  doc.text("AI decision support - not a clinical diagnosis", PAGE.margin, layout.y + 11);
+  layout.y += 14;
+
+  // feat: subject and recording metadata
+  layout.heading("Subject and recording");
+  const trace = results.eegSignal;
+  layout.keyValues([
+    ["Subject", subject ? [subject.id, describeSubject(subject)].filter(Boolean).join(" · ") : "Not assigned"],
+    ...(subject && subject.medication ? [["Medication", subject.medication]] : []),
+    ["Recording", recording.source === "simulated"
+      ? `Simulated ${recording.isSZ ? "schizophrenia" : "healthy control"} EEG · ${recording.label}`
+      : `${recording.label} (${recording.source})`],
+    ["Channels", `${(results.channels || []).length}: ${(results.channels || []).join(", ")}`],
+    ...(trace ? [["Sampling", `${trace.sampleRate} Hz · ${traceDuration(trace).toFixed(1)} s`]] : []),
+    ...(results.annotations && results.annotations.length ? [["Annotations", `${results.annotations.length} EDF+ annotations`]] : []),
+    ["Analysed", recording.analyzedAt ? formatDateTime(recording.analyzedAt) : "not saved to history"],
+  ]);
+
+  // feat: risk assessment
+  layout.heading("Risk assessment", 28);
+  drawMetrics(doc, layout, results);
+
+  // feat: static chart renders
+  layout.heading("Frequency band power", 62);
+  const normative = normativeOf(results);
+  drawBandPowerChart(doc, layout, results.bandPowers, normative);
+  if (Object.keys(normative.channels).length) {
+    layout.heading("Cortical activity map", 46);
+    drawTopomaps(doc, layout, normative.channels);
+  }
+  if (results.shapValues.length) {
+    layout.heading("AI explainability — SHAP", Math.min(12, results.shapValues.length) * 5 + 4);
+    drawSHAPChart(doc, layout, results.shapValues, results.shapExplanation);
+  }
+
+  // feat: findings and recommendations
+  layout.heading("Clinical findings and recommendations");
+  drawFindings(doc, layout, results);
+
+  // feat: analysis parameters
+  layout.heading("Analysis parameters");
+  layout.keyValues(parameterRows(results));
+
+  // chore: always print the clinical disclaimer
+  layout.ensure(12);
+  layout.y += 2;
+  layout.paragraph(DISCLAIMER, { bold: true, color: COLORS.muted });
+
+  drawFooters(doc, generatedAt);
+  return doc;
+}
+
+// feat: build the report and download it
+export async function exportReportPdf(report) {
+  const doc = await buildReportPdf(report);
+  doc.save(exportFileName(report, "report", "pdf"));
+}
@@ -0,0 +1,39 @@
+/**
+ * @jest-environment node
+ */
+import { buildReportPdf, createLayout, pdfText, PAGE } from "./reportPdf";
+import { analyzeSimulated, mergeAnalysisSettings } from "./pipeline";
+
+describe("pdfText", () => {
+  it("spells out characters the standard PDF fonts lack", () => {
+    expect(pdfText("α power − 2.4 SD → ≥ 60 “high”")).toBe("alpha power - 2.4 SD -> >= 60 \"high\"");
+    expect(pdfText("µV² ± 3 · 🧠  note")).toBe("µV² ± 3 · note");
+    expect(pdfText(null)).toBe("");
+  });
+});
+
+describe("createLayout", () => {
+  it("breaks the page before content that no longer fits", () => {
+    const doc = { addPage: jest.fn() };
+    const layout = createLayout(doc);
+    layout.ensure(100);
+    expect(doc.addPage).not.toHaveBeenCalled();
+    layout.y = PAGE.height - PAGE.margin - PAGE.footer - 5;
+    layout.ensure(10);
+    expect(doc.addPage).toHaveBeenCalledTimes(1);
+    expect(layout.y).toBe(PAGE.margin);
+  });
+});
+
+describe("buildReportPdf", () => {
+  it("lays out a full analysis over several A4 pages", async () => {
+    const results = analyzeSimulated(true, 11, mergeAnalysisSettings({ uncertainty: { resamples: 20 }, explain: { permutations: 10 } }));
+    const doc = await buildReportPdf({
+      results,
+      subject: { id: "SZ-014", age: 34, sex: "F", medication: "none" },
+      recording: { label: "Seed 11", source: "simulated", isSZ: true, analyzedAt: Date.UTC(2025, 2, 12) },
+    });
+    expect(doc.getNumberOfPages()).toBeGreaterThan(1);
+    expect(doc.internal.pageSize.getWidth()).toBeCloseTo(PAGE.width, 0);
+  });
+});
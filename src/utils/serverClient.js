@@ -0,0 +1,122 @@
+// feat: analysis jobs sent to the local REST analysis service (`neuroscan serve`, see server/)
+// docs: same run/cancel/dispose interface as the worker client (analysisClient.js), for "analyze"
+// docs: jobs only — uploads are still parsed in the browser worker for the channel mapping UI
+// docs: the server returns the same result object, with the display trace base64-encoded (transport.js)
+
+// chore: cancelled-job rejection shared with the worker client
+import { cancelledError } from "./analysisClient";
+// chore: binary uploads and traces over JSON
+import { bytesToBase64, decodeTrace } from "./transport";
+
+// docs: `neuroscan serve` default; REACT_APP_ANALYSIS_SERVER at build time makes the server the default backend
+export const DEFAULT_SERVER_URL = process.env.REACT_APP_ANALYSIS_SERVER || "http://localhost:8787";
+
+export const BACKENDS = { browser: "This browser", server: "Local server" };
+
+// ─────────────────────────────────────────────────────────────
+// feat: backend choice remembered across reloads (a preference, not patient data — so localStorage)
+// ─────────────────────────────────────────────────────────────
+const BACKEND_KEY = "neuroscan.backend";
+
+export function loadBackendPreference() {
+  const fallback = { mode: process.env.REACT_APP_ANALYSIS_SERVER ? "server" : "browser", url: DEFAULT_SERVER_URL };
+  try {
+    const saved = JSON.parse(localStorage.getItem(BACKEND_KEY));
+    return saved && BACKENDS[saved.mode] && typeof saved.url === "string" ? saved : fallback;
+  } catch (err) {
+    return fallback;
+  }
+}
+
+export function saveBackendPreference(backend) {
+  try {
+    localStorage.setItem(BACKEND_KEY, JSON.stringify(backend));
+  } catch (err) {
+    // docs: private browsing / storage disabled — the choice just isn't remembered
+  }
+}
+
+const endpoint = (baseUrl, path) => `${baseUrl.replace(/\/+$/, "")}${path}`;
+
+// feat: fetch + JSON body; a network failure names the server instead of "Failed to fetch"
+async function request(baseUrl, path, init = {}) {
+  let res;
+  try {
+    res = await fetch(endpoint(baseUrl, path), init);
+  } catch (err) {
+    if (err.name === "AbortError") throw cancelledError();
+    throw new Error(`Analysis server not reachable at ${baseUrl} — is \`neuroscan serve\` running?`);
+  }
+  const body = await res.json().catch(() => null);
+  return { res, body };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: GET /health — returns { ok, software, error }
+// ─────────────────────────────────────────────────────────────
+export async function checkServer(baseUrl) {
+  try {
+    const { res, body } = await request(baseUrl, "/health");
+    if (!res.ok || !body || body.status !== "ok") return { ok: false, software: null, error: `Unexpected reply (HTTP ${res.status}) — is this a NeuroScan server?` };
+    return { ok: true, software: body.software, error: null };
+  } catch (err) {
+    return { ok: false, software: null, error: err.message };
+  }
+}
+
+// feat: recording as the AnalysisRequest schema expects it — EDF bytes base64, CSV as text
+function encodeRecording({ format, source, overrides, fileName }) {
+  return format === "EDF"
+    ? { fileName, format, encoding: "base64", data: bytesToBase64(source), overrides }
+    : { fileName, format, encoding: "utf8", data: source, overrides };
+}
+
+export function createServerClient(baseUrl) {
+  const controllers = new Set();
+
+  const abortAll = () => {
+    controllers.forEach((controller) => controller.abort());
+    controllers.clear();
+  };
+
+  return {
+    // docs: POST /analyses waits for the finished analysis, so progress is a single stage
+    async run(job, onProgress = () => {}) {
+      if (job.type !== "analyze") throw new Error(`The analysis server does not run "${job.type}" jobs.`);
+      onProgress({ stage: "server", label: "Analysing on server", index: 0, total: 1 });
+
+      const controller = new AbortController();
+      controllers.add(controller);
+      try {
+        const { res, body } = await request(baseUrl, "/analyses?trace=true", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            ...(job.recording ? { recording: encodeRecording(job.recording) } : { simulation: { isSZ: job.isSZ, seed: job.seed } }),
+            settings: job.settings,
+            model: job.modelSource || undefined,
+            norms: job.normsSource || undefined,
+            profile: job.profileSource || undefined,
+            subject: job.subject || undefined,
+          }),
+          signal: controller.signal,
+        });
+        // docs: 422 = the recording didn't parse — same { error } the worker pipeline returns
+        if (res.status === 422 && body) return { error: body.error };
+        if (!res.ok) throw new Error(body && body.error ? `Analysis server: ${body.error.message}` : `Analysis server error (HTTP ${res.status}).`);
+        return { ...body.results, eegSignal: decodeTrace(body.results.eegSignal) };
+      } finally {
+        controllers.delete(controller);
+      }
+    },
+
+    // docs: abandons the request — the server still finishes (and stores) the analysis
+    cancel() {
+      abortAll();
+    },
+
+    dispose() {
+      abortAll();
+    },
+  };
+}
@@ -0,0 +1,230 @@
+// feat: Shapley value attribution engine for the active risk model
+// docs: explains f(x) relative to a background distribution B (interventional Shapley values):
+// docs:   v(S) = mean over b ∈ B of f(x on features in S, b elsewhere)
+// docs:   φ_i  = Σ_{S ⊆ N∖{i}} |S|!(n−|S|−1)!/n! · (v(S ∪ {i}) − v(S))
+// docs: efficiency holds exactly: Σ φ_i = f(x) − E_B[f(b)]
+// docs: above MAX_EXACT_FEATURES features the values are estimated from sampled permutations — still
+// docs: exactly additive, but each φ_i carries sampling error, so they are flagged approximate
+// docs: the model is treated as a black box, so clamping and rounding in the scorer are explained too
+// docs: the cost is coalitions (or permutations × features) × background rows model calls — it runs with
+// docs: the rest of the pipeline in the analysis worker (analysisWorker.js, server/analysisWorker.mjs),
+// docs: and MAX_PERMUTATIONS / MAX_BACKGROUND_ROWS bound it whatever the settings ask for
+
+// chore: seeded RNG and simulated cohort band powers
+import { mulberry32, computeBandPowers } from "./eegUtils";
+// chore: the built-in healthy reference ("Healthy baseline" background)
+import { BUILTIN_BAND_MEANS } from "./norms";
+// chore: model feature vectors and their display labels
+import { extractFeatures, featureLabel } from "./features";
+
+// docs: exact enumeration visits 2^n coalitions — above this many features, sample permutations
+export const MAX_EXACT_FEATURES = 12;
+// docs: fewest and most sampled permutations accepted from the settings
+const MIN_PERMUTATIONS = 10;
+export const MAX_PERMUTATIONS = 5000;
+// docs: most background rows averaged over — larger cohorts and model samples are thinned evenly
+export const MAX_BACKGROUND_ROWS = 100;
+
+// docs: background distributions selectable in the sidebar (cohorts are simulated subjects)
+export const SHAP_BACKGROUNDS = {
+  baseline: "Healthy baseline",
+  healthy: "Healthy cohort",
+  mixed: "Mixed cohort (50% SZ)",
+  model: "Model's own sample",
+};
+
+// docs: default attribution settings — recorded with every result
+export const DEFAULT_SHAP_SETTINGS = {
+  background: "healthy",
+  backgroundSize: 64,
+  permutations: 200, // docs: sampled when the model reads more than MAX_EXACT_FEATURES features
+};
+
+// ─────────────────────────────────────────────────────────────
+// feat: background samples for the chosen distribution
+// docs: cohorts are generated with the simulator's band power model (seeds 1..size),
+// docs: so the same settings always give the same background
+// ─────────────────────────────────────────────────────────────
+export function buildBackground(settings = DEFAULT_SHAP_SETTINGS) {
+  const { background, backgroundSize } = { ...DEFAULT_SHAP_SETTINGS, ...settings };
+  if (background === "baseline") {
+    return [{ ...BUILTIN_BAND_MEANS }];
+  }
+  return Array.from({ length: backgroundSize }, (_, i) =>
+    computeBandPowers(background === "mixed" && i % 2 === 1, i + 1)
+  );
+}
+
+// feat: factorials up to n (Shapley coalition weights)
+function factorials(n) {
+  const f = [1];
+  for (let i = 1; i <= n; i++) f.push(f[i - 1] * i);
+  return f;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: Shapley values of any model over any feature set
+// docs: model(instance) → number; instance and background rows are plain { feature: value } objects
+// docs: features = keys to attribute (default: all keys of the instance)
+// docs: permutations = how many are sampled above MAX_EXACT_FEATURES features (each one is exactly additive),
+// docs: at most MAX_PERMUTATIONS
+// docs: the model is called on one scratch row rewritten between calls — it must read its argument, not keep it
+// docs: returns { values: { [feature]: φ }, expected, prediction, method, approximate }
+// ─────────────────────────────────────────────────────────────
+export function shapleyValues(model, instance, background, features = Object.keys(instance), permutations = DEFAULT_SHAP_SETTINGS.permutations) {
+  const n = features.length;
+  const rows = background.length ? background : [instance];
+  const sampled = Math.min(permutations, MAX_PERMUTATIONS);
+
+  // perf: a coalition is a 0/1 flag per feature index, and every call reuses the same row —
+  // perf: the permutation path makes permutations × n × rows calls, too many to allocate for
+  const inCoalition = new Uint8Array(n);
+  const mixed = {};
+  // docs: keys a background row has beyond the attributed features keep the row's values
+  const attributed = new Set(features);
+  const rest = rows.map((row) => Object.keys(row).filter((key) => !attributed.has(key)));
+
+  // docs: value of the coalition currently flagged in inCoalition
+  const coalitionValue = () => {
+    let sum = 0;
+    for (let r = 0; r < rows.length; r++) {
+      const row = rows[r];
+      for (const key of rest[r]) mixed[key] = row[key];
+      for (let i = 0; i < n; i++) {
+        const f = features[i];
+        mixed[f] = inCoalition[i] ? instance[f] : row[f];
+      }
+      sum += model(mixed);
+    }
+    return sum / rows.length;
+  };
+
+  const phi = new Array(n).fill(0);
+  let expected;
+  let prediction;
+  let method;
+
+  if (n <= MAX_EXACT_FEATURES) {
+    // feat: exact — evaluate every coalition once, then weight the marginal contributions
+    const size = 1 << n;
+    const v = new Float64Array(size);
+    for (let mask = 0; mask < size; mask++) {
+      for (let i = 0; i < n; i++) inCoalition[i] = (mask >> i) & 1;
+      v[mask] = coalitionValue();
+    }
+
+    const fact = factorials(n);
+    for (let mask = 0; mask < size; mask++) {
+      let members = 0;
+      for (let m = mask; m; m &= m - 1) members++;
+      const weight = (fact[members] * fact[n - members - 1]) / fact[n];
+      for (let i = 0; i < n; i++) {
+        if (!((mask >> i) & 1)) phi[i] += weight * (v[mask | (1 << i)] - v[mask]);
+      }
+    }
+    expected = v[0];
+    prediction = v[size - 1];
+    method = "exact";
+  } else {
+    // feat: permutation sampling — every permutation's contributions telescope to f(x) − E[f]
+    const rng = mulberry32(n * 7919);
+    expected = coalitionValue();
+    inCoalition.fill(1);
+    prediction = coalitionValue();
+    const order = features.map((_, i) => i);
+    for (let p = 0; p < sampled; p++) {
+      for (let i = n - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+      inCoalition.fill(0);
+      let previous = expected;
+      order.forEach((i, k) => {
+        inCoalition[i] = 1;
+        const current = k === n - 1 ? prediction : coalitionValue();
+        phi[i] += (current - previous) / sampled;
+        previous = current;
+      });
+    }
+    method = `${sampled} sampled permutations`;
+  }
+
+  const values = {};
+  features.forEach((f, i) => { values[f] = phi[i]; });
+  return { values, expected, prediction, method, approximate: n > MAX_EXACT_FEATURES };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: background feature rows for a model
+// docs: "model" uses the sample shipped in the model file (falls back to the healthy cohort);
+// docs: simulated cohorts carry band powers — for models that also read electrodes, regions,
+// docs: coherence, spectral or complexity features, cohort(isSZ, seed) supplies each subject's whole analysis
+// docs: context (simulatedContext, csvAnalysis.js); features a row still cannot supply are held at
+// docs: the subject's own value and therefore get zero attribution
+// docs: at most MAX_BACKGROUND_ROWS rows — cohorts are generated no larger, a model's sample is thinned evenly
+// ─────────────────────────────────────────────────────────────
+function modelBackground(model, instance, settings, cohort) {
+  const useModel = settings.background === "model" && model.background;
+  const backgroundSize = Math.min(settings.backgroundSize, MAX_BACKGROUND_ROWS);
+  const resolved = { ...settings, backgroundSize, background: settings.background === "model" ? "healthy" : settings.background };
+  const bandOnly = model.features.every((f) => Number.isFinite(extractFeatures({ bandPowers: BUILTIN_BAND_MEANS }, [f]).values[f]));
+
+  let rows;
+  if (useModel) {
+    const step = Math.ceil(model.background.length / MAX_BACKGROUND_ROWS);
+    rows = model.background.filter((_, i) => i % step === 0);
+  } else if (cohort && !bandOnly && resolved.background !== "baseline") {
+    rows = Array.from({ length: resolved.backgroundSize }, (_, i) =>
+      extractFeatures(cohort(resolved.background === "mixed" && i % 2 === 1, i + 1), model.features).values
+    );
+  } else {
+    rows = buildBackground(resolved).map((bandPowers) => extractFeatures({ bandPowers }, model.features).values);
+  }
+
+  return {
+    name: useModel ? "model" : resolved.background,
+    rows: rows.map((row) => {
+      const filled = { ...row };
+      model.features.forEach((f) => { if (!Number.isFinite(filled[f])) filled[f] = instance[f]; });
+      return filled;
+    }),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: explain a model's score for one recording
+// docs: features = the { feature: value } vector the model was scored on (scoreRecording)
+// docs: cohort (optional) = (isSZ, seed) → simulated analysis context, see modelBackground
+// docs: returns { shapValues: [{ name, feature, value }] sorted by |value|, explanation }
+// docs: explanation = { expected, prediction, sum, method, approximate, background, backgroundSize, model }
+// ─────────────────────────────────────────────────────────────
+export function explainScore(model, features, settings = DEFAULT_SHAP_SETTINGS, cohort = null) {
+  const resolved = { ...DEFAULT_SHAP_SETTINGS, ...settings };
+  const background = modelBackground(model, features, resolved, cohort);
+  // docs: the count actually used is part of explanation.method
+  const permutations = Number.isFinite(resolved.permutations)
+    ? Math.min(MAX_PERMUTATIONS, Math.max(MIN_PERMUTATIONS, Math.round(resolved.permutations)))
+    : DEFAULT_SHAP_SETTINGS.permutations;
+
+  const { values, expected, prediction, method, approximate } = shapleyValues(
+    model.predict, features, background.rows, model.features, permutations
+  );
+
+  const shapValues = model.features
+    .map((f) => ({ name: featureLabel(f), feature: f, value: parseFloat(values[f].toFixed(4)) }))
+    .sort((a, b) => Math.abs(b.value) - Math.abs(a.value));
+
+  return {
+    shapValues,
+    explanation: {
+      expected,
+      prediction,
+      sum: model.features.reduce((acc, f) => acc + values[f], 0),
+      method,
+      approximate,
+      background: background.name,
+      backgroundSize: background.rows.length,
+      model: model.name,
+    },
+  };
+}
@@ -0,0 +1,76 @@
+import { shapleyValues, explainScore, MAX_EXACT_FEATURES, MAX_PERMUTATIONS, MAX_BACKGROUND_ROWS, DEFAULT_SHAP_SETTINGS } from "./shapley";
+import { BUILTIN_MODEL, scoreRecording } from "./models";
+import { computeBandPowers } from "./eegUtils";
+
+const sum = (values) => Object.values(values).reduce((a, b) => a + b, 0);
+
+// feat: a nonlinear model over n features — pairwise interactions and a clamp
+const features = (n) => Array.from({ length: n }, (_, i) => `f${i}`);
+const interacting = (names) => (x) => Math.min(50, names.reduce((acc, f, i) => acc + (i + 1) * x[f] + (i % 2 ? x[f] * x[names[i - 1]] : 0), 0));
+const row = (names, offset) => Object.fromEntries(names.map((f, i) => [f, ((i * 7 + offset) % 5) / 2]));
+
+describe("shapleyValues", () => {
+  it("sums to the prediction minus the background expectation (exact)", () => {
+    const names = features(6);
+    const model = interacting(names);
+    const background = [row(names, 1), row(names, 2), row(names, 3)];
+    const result = shapleyValues(model, row(names, 4), background);
+    expect(result.approximate).toBe(false);
+    expect(result.method).toBe("exact");
+    expect(result.prediction).toBeCloseTo(model(row(names, 4)), 10);
+    expect(sum(result.values)).toBeCloseTo(result.prediction - result.expected, 10);
+  });
+
+  it("gives a linear model's weight × distance from the background mean", () => {
+    const model = (x) => 2 * x.a - 3 * x.b + 0.5 * x.c;
+    const result = shapleyValues(model, { a: 1, b: 1, c: 1 }, [{ a: 0, b: 2, c: 1 }, { a: 2, b: 0, c: 3 }]);
+    expect(result.values.a).toBeCloseTo(0, 10);
+    expect(result.values.b).toBeCloseTo(0, 10);
+    expect(result.values.c).toBeCloseTo(-0.5, 10);
+  });
+
+  it("samples permutations above the exact limit — still additive, flagged approximate", () => {
+    const names = features(MAX_EXACT_FEATURES + 2);
+    const model = interacting(names);
+    const instance = row(names, 4);
+    const result = shapleyValues(model, instance, [row(names, 1), row(names, 2)], names, 30);
+    expect(result.approximate).toBe(true);
+    expect(result.method).toBe("30 sampled permutations");
+    expect(sum(result.values)).toBeCloseTo(result.prediction - result.expected, 8);
+    expect(shapleyValues(model, instance, [row(names, 1), row(names, 2)], names, 30).values).toEqual(result.values);
+  });
+
+  it("samples at most MAX_PERMUTATIONS permutations", () => {
+    const names = features(MAX_EXACT_FEATURES + 1);
+    const result = shapleyValues(interacting(names), row(names, 4), [row(names, 1)], names, 10 * MAX_PERMUTATIONS);
+    expect(result.method).toBe(`${MAX_PERMUTATIONS} sampled permutations`);
+    expect(sum(result.values)).toBeCloseTo(result.prediction - result.expected, 8);
+  });
+
+  it("keeps a background row's unattributed keys", () => {
+    const model = (x) => x.a * x.scale;
+    const result = shapleyValues(model, { a: 2, scale: 1 }, [{ a: 0, scale: 3 }], ["a"]);
+    expect(result.values.a).toBeCloseTo(6, 10);
+  });
+});
+
+describe("explainScore", () => {
+  it("explains the built-in model's score exactly", () => {
+    const context = { bandPowers: computeBandPowers(true, 3) };
+    const { score, features: values } = scoreRecording(BUILTIN_MODEL, context);
+    const { shapValues, explanation } = explainScore(BUILTIN_MODEL, values, { ...DEFAULT_SHAP_SETTINGS, backgroundSize: 8 });
+    expect(explanation.approximate).toBe(false);
+    expect(explanation.prediction).toBeCloseTo(score, 6);
+    expect(shapValues.reduce((acc, s) => acc + s.value, 0)).toBeCloseTo(score - explanation.expected, 2);
+  });
+
+  it("averages over at most MAX_BACKGROUND_ROWS background rows", () => {
+    const { features: values } = scoreRecording(BUILTIN_MODEL, { bandPowers: computeBandPowers(true, 3) });
+    const cohort = explainScore(BUILTIN_MODEL, values, { ...DEFAULT_SHAP_SETTINGS, backgroundSize: 10 * MAX_BACKGROUND_ROWS });
+    expect(cohort.explanation.backgroundSize).toBe(MAX_BACKGROUND_ROWS);
+
+    const sample = Array.from({ length: 250 }, (_, i) => scoreRecording(BUILTIN_MODEL, { bandPowers: computeBandPowers(i % 2 === 1, i + 1) }).features);
+    const own = explainScore({ ...BUILTIN_MODEL, background: sample }, values, { ...DEFAULT_SHAP_SETTINGS, background: "model" });
+    expect(own.explanation).toMatchObject({ background: "model", backgroundSize: 84 });
+  });
+});
@@ -0,0 +1,229 @@
+// feat: Welch power spectral density engine
+// docs: splits each channel into overlapping windowed segments, FFTs them and averages
+// docs: the periodograms — variance drops with the number of segments and the estimate
+// docs: no longer depends on recording length like single-bin Goertzel sums did
+// docs: band power = trapezoidal integral of the PSD between the exact band edges
+
+// docs: standard EEG frequency band definitions (Hz)
+export const EEG_BANDS = {
+  delta: [0.5, 4],
+  theta: [4, 8],
+  alpha: [8, 13],
+  beta: [13, 30],
+  gamma: [30, 50],
+};
+
+// docs: default Welch settings — 2 s Hann segments with 50% overlap (0.5 Hz resolution)
+export const DEFAULT_SPECTRAL_SETTINGS = {
+  segmentSeconds: 2,
+  overlap: 0.5,
+  window: "hann",
+};
+
+// ─────────────────────────────────────────────────────────────
+// feat: window functions (periodic form, as used for spectral estimation)
+// ─────────────────────────────────────────────────────────────
+const WINDOWS = {
+  hann: (i, n) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / n),
+  hamming: (i, n) => 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / n),
+  boxcar: () => 1,
+};
+
+export function makeWindow(type, length) {
+  const fn = WINDOWS[type] || WINDOWS.hann;
+  const w = new Float64Array(length);
+  for (let i = 0; i < length; i++) w[i] = fn(i, length);
+  return w;
+}
+
+// feat: smallest power of two ≥ n (FFT length)
+export function nextPow2(n) {
+  let p = 1;
+  while (p < n) p <<= 1;
+  return p;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: in-place iterative radix-2 FFT
+// docs: re/im are Float64Arrays whose length is a power of two
+// ─────────────────────────────────────────────────────────────
+export function fft(re, im) {
+  const n = re.length;
+
+  // docs: bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+
+  // docs: butterfly passes
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const wr = Math.cos(step * k);
+        const wi = Math.sin(step * k);
+        const a = start + k;
+        const b = a + half;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: segment plan shared by PSD and cross-spectral estimators
+// docs: returns segment start indices, segment length and FFT length
+// docs: ranges (optional) = [[start, end), ...] sample ranges segments must stay inside
+// ─────────────────────────────────────────────────────────────
+export function planSegments(length, sampleRate, settings = {}, ranges = null) {
+  const { segmentSeconds, overlap } = { ...DEFAULT_SPECTRAL_SETTINGS, ...settings };
+  const spans = ranges && ranges.length ? ranges : [[0, length]];
+  const longest = Math.max(...spans.map(([s, e]) => e - s));
+
+  // fix: short recordings fall back to a single segment spanning the longest range
+  const segmentLength = Math.max(8, Math.min(Math.round(segmentSeconds * sampleRate), longest));
+  const stepSize = Math.max(1, Math.round(segmentLength * (1 - overlap)));
+
+  const starts = [];
+  spans.forEach(([s, e]) => {
+    for (let start = s; start + segmentLength <= e; start += stepSize) starts.push(start);
+  });
+
+  return { starts, segmentLength, nfft: nextPow2(segmentLength) };
+}
+
+// feat: windowed, mean-removed FFT of one segment
+// docs: returns { re, im } of length nfft
+export function segmentFFT(data, start, segmentLength, nfft, window) {
+  const re = new Float64Array(nfft);
+  const im = new Float64Array(nfft);
+  let mean = 0;
+  for (let i = 0; i < segmentLength; i++) mean += data[start + i];
+  mean /= segmentLength;
+  for (let i = 0; i < segmentLength; i++) re[i] = (data[start + i] - mean) * window[i];
+  fft(re, im);
+  return { re, im };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: Welch PSD of a single channel
+// docs: one-sided density in (input units)²/Hz, scaled like scipy.signal.welch
+// docs: returns { freqs, psd, segments, segmentLength, nfft }
+// ─────────────────────────────────────────────────────────────
+export function welchPSD(data, sampleRate, settings = {}, ranges = null) {
+  const { window: windowType } = { ...DEFAULT_SPECTRAL_SETTINGS, ...settings };
+  const { starts, segmentLength, nfft } = planSegments(data.length, sampleRate, settings, ranges);
+  const window = makeWindow(windowType, segmentLength);
+  const windowPower = window.reduce((sum, w) => sum + w * w, 0);
+  const bins = nfft / 2 + 1;
+  const psd = new Float64Array(bins);
+
+  starts.forEach((start) => {
+    const { re, im } = segmentFFT(data, start, segmentLength, nfft, window);
+    for (let k = 0; k < bins; k++) psd[k] += re[k] * re[k] + im[k] * im[k];
+  });
+
+  // docs: average segments, normalize to density and fold negative frequencies
+  const scale = 1 / (sampleRate * windowPower * Math.max(1, starts.length));
+  for (let k = 0; k < bins; k++) {
+    psd[k] *= scale;
+    if (k > 0 && k < bins - 1) psd[k] *= 2;
+  }
+
+  const freqs = Array.from({ length: bins }, (_, k) => (k * sampleRate) / nfft);
+  return { freqs, psd: Array.from(psd), segments: starts.length, segmentLength, nfft };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: integrate PSD over [fLow, fHigh] with exact (interpolated) band edges
+// docs: trapezoidal rule; edge values are linearly interpolated between bins
+// ─────────────────────────────────────────────────────────────
+export function integrateBand(freqs, psd, fLow, fHigh) {
+  const hi = Math.min(fHigh, freqs[freqs.length - 1]);
+  if (hi <= fLow) return 0;
+
+  const valueAt = (f) => {
+    let k = 1;
+    while (k < freqs.length - 1 && freqs[k] < f) k++;
+    const t = (f - freqs[k - 1]) / (freqs[k] - freqs[k - 1]);
+    return psd[k - 1] + (psd[k] - psd[k - 1]) * t;
+  };
+
+  // docs: knots = band edges + every bin strictly inside the band
+  const xs = [fLow];
+  const ys = [valueAt(fLow)];
+  for (let k = 0; k < freqs.length; k++) {
+    if (freqs[k] > fLow && freqs[k] < hi) {
+      xs.push(freqs[k]);
+      ys.push(psd[k]);
+    }
+  }
+  xs.push(hi);
+  ys.push(valueAt(hi));
+
+  let area = 0;
+  for (let i = 1; i < xs.length; i++) area += ((ys[i] + ys[i - 1]) / 2) * (xs[i] - xs[i - 1]);
+  return area;
+}
+
+// feat: absolute band powers of one spectrum
+export function bandPowersFromPSD(freqs, psd, bands = EEG_BANDS) {
+  const powers = {};
+  Object.entries(bands).forEach(([band, [lo, hi]]) => {
+    powers[band] = integrateBand(freqs, psd, lo, hi);
+  });
+  return powers;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: per-channel Welch spectrum of channel arrays ({ [ch]: Float64Array })
+// docs: ranges (optional) restrict segments to clean sample ranges (artifact rejection)
+// docs: returns { freqs, channels: { [ch]: psd[] }, sampleRate, settings, segments, ... }
+// docs: this is the object attached to results as `psd` for charting and auditing
+// ─────────────────────────────────────────────────────────────
+export function computeSpectrumFromData(channelData, sampleRate, settings = {}, ranges = null) {
+  const resolved = { ...DEFAULT_SPECTRAL_SETTINGS, ...settings };
+  const spectrum = {
+    freqs: [],
+    channels: {},
+    sampleRate,
+    settings: resolved,
+    segments: 0,
+    segmentLength: 0,
+    nfft: 0,
+  };
+
+  Object.entries(channelData).forEach(([ch, data]) => {
+    const result = welchPSD(data, sampleRate, resolved, ranges);
+    spectrum.freqs = result.freqs;
+    spectrum.channels[ch] = result.psd;
+    spectrum.segments = result.segments;
+    spectrum.segmentLength = result.segmentLength;
+    spectrum.nfft = result.nfft;
+  });
+
+  return spectrum;
+}
+
+// feat: per-channel Welch spectrum of a row-per-sample signal array
+export function computeSpectrum(signal, channels, sampleRate, settings = {}, ranges = null) {
+  const channelData = {};
+  channels.forEach((ch) => {
+    const data = new Float64Array(signal.length);
+    for (let i = 0; i < signal.length; i++) data[i] = signal[i][ch];
+    channelData[ch] = data;
+  });
+  return computeSpectrumFromData(channelData, sampleRate, settings, ranges);
+}
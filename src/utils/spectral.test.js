@@ -0,0 +1,58 @@
+import { fft, welchPSD, integrateBand, planSegments } from "./spectral";
+import { FS, noise, sine } from "../testUtils/signals";
+
+describe("fft", () => {
+  it("matches a direct DFT", () => {
+    const x = [1, -2, 3.5, 0, 0.25, 4, -1, 2];
+    const re = Float64Array.from(x);
+    const im = new Float64Array(8);
+    fft(re, im);
+    for (let k = 0; k < 8; k++) {
+      let sr = 0;
+      let si = 0;
+      x.forEach((v, n) => {
+        sr += v * Math.cos((-2 * Math.PI * k * n) / 8);
+        si += v * Math.sin((-2 * Math.PI * k * n) / 8);
+      });
+      expect(re[k]).toBeCloseTo(sr, 10);
+      expect(im[k]).toBeCloseTo(si, 10);
+    }
+  });
+});
+
+describe("welchPSD", () => {
+  it("puts a sine's power A²/2 at its frequency", () => {
+    const { freqs, psd } = welchPSD(sine(10, 20, 4), FS);
+    const peak = psd.indexOf(Math.max(...psd));
+    expect(freqs[peak]).toBeCloseTo(10, 6);
+    expect(integrateBand(freqs, psd, 8, 12)).toBeCloseTo(8, 1);
+    expect(integrateBand(freqs, psd, 20, 40)).toBeLessThan(0.01);
+  });
+
+  it("gives white noise a flat density of 2σ²/fs", () => {
+    const variance = 1 / 12;
+    const { freqs, psd } = welchPSD(noise(FS * 60, 5), FS);
+    expect(integrateBand(freqs, psd, 0, FS / 2)).toBeCloseTo(variance, 2);
+    const mid = psd.slice(10, 200);
+    expect(mid.reduce((a, b) => a + b, 0) / mid.length).toBeCloseTo((2 * variance) / FS, 3);
+  });
+
+  it("only takes segments from the given ranges", () => {
+    const data = sine(10, 20, 1);
+    // docs: a huge artifact outside the kept ranges must not reach the spectrum
+    data.fill(1000, FS * 8, FS * 12);
+    const ranges = [[0, FS * 8], [FS * 12, FS * 20]];
+    expect(planSegments(data.length, FS, {}, ranges).starts.every((s) => s + 2 * FS <= FS * 8 || s >= FS * 12)).toBe(true);
+    const { freqs, psd } = welchPSD(data, FS, {}, ranges);
+    expect(integrateBand(freqs, psd, 0.5, 128)).toBeCloseTo(0.5, 1);
+  });
+});
+
+describe("integrateBand", () => {
+  it("integrates exactly between bins", () => {
+    const freqs = [0, 1, 2, 3, 4];
+    const psd = [0, 1, 2, 3, 4];
+    expect(integrateBand(freqs, psd, 0.5, 2.5)).toBeCloseTo(3, 12);
+    expect(integrateBand(freqs, psd, 3, 10)).toBeCloseTo(3.5, 12);
+  });
+});
@@ -0,0 +1,180 @@
+// feat: extended spectral features — the literature markers beyond the five absolute band powers
+// docs: computed for every channel, every scalp region (the mean spectrum of its electrodes) and the
+// docs: whole head (the mean spectrum of all channels):
+// docs:   tbr        θ/β ratio of the band powers
+// docs:   rel        band power / total power, per band
+// docs:   iaf        individual alpha frequency — the largest local maximum of the spectrum in ALPHA_SEARCH
+// docs:   alphapeak  PSD at that peak (µV²/Hz); iaf and alphapeak are null when the spectrum has no alpha peak
+// docs:   sef        spectral edge frequency — below it lies SEF_EDGE of the power in the profile's band range
+// docs:   slope      1/f aperiodic slope — least-squares line of log10 PSD over log10 f in APERIODIC_FIT,
+// docs:              leaving out ALPHA_SEARCH so the alpha peak doesn't flatten it
+// docs: tbr and rel come from the app's band powers (so they agree with the band power chart and the
+// docs: topomap); iaf, alphapeak, sef and slope from the Welch spectrum
+
+// chore: scalp region of an electrode
+import { getElectrode } from "./channelMapping";
+// chore: band power integration and default band edges
+import { integrateBand, EEG_BANDS } from "./spectral";
+
+// docs: regions from front to back — the table and feature names use these ids
+export const REGIONS = ["prefrontal", "frontal", "central", "temporal", "parietal", "occipital"];
+
+// docs: the spectral measures a model can name, with their table heading and unit
+export const SPECTRAL_MEASURES = {
+  iaf: { label: "IAF", unit: "Hz", digits: 2 },
+  alphapeak: { label: "α peak", unit: "µV²/Hz", digits: 2 },
+  sef: { label: "SEF95", unit: "Hz", digits: 1 },
+  slope: { label: "1/f slope", unit: "", digits: 2 },
+};
+
+// docs: alpha peak search window (Hz) — wider than the alpha band so slow and fast peaks are found
+export const ALPHA_SEARCH = [7, 14];
+// docs: share of power below the spectral edge frequency
+export const SEF_EDGE = 0.95;
+// docs: frequency range (Hz) of the aperiodic fit
+export const APERIODIC_FIT = [2, 40];
+
+const round = (value, digits) => (value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(digits)));
+
+// feat: scalp region of a channel — null for electrodes outside the catalogue
+export function regionOf(channel) {
+  const electrode = getElectrode(channel);
+  return electrode ? electrode.region : null;
+}
+
+// feat: mean of several spectra on the same frequency grid
+function meanSpectrum(spectra) {
+  return spectra[0].map((_, k) => spectra.reduce((sum, psd) => sum + psd[k], 0) / spectra.length);
+}
+
+// feat: mean band powers of several { band: power } objects
+function meanBandPowers(list) {
+  const bands = Object.keys(list[0]);
+  return Object.fromEntries(bands.map((band) => [band, list.reduce((sum, p) => sum + p[band], 0) / list.length]));
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: band powers of a location — an electrode, a region (mean of its electrodes) or null for the head
+// docs: channelBandPowers = { electrode: { band: power } }; returns null when nothing was recorded there
+// ─────────────────────────────────────────────────────────────
+export function locationBandPowers(bandPowers, channelBandPowers, location) {
+  if (!location) return bandPowers;
+  if (channelBandPowers && channelBandPowers[location]) return channelBandPowers[location];
+  if (!REGIONS.includes(location)) return null;
+  const members = Object.keys(channelBandPowers || {}).filter((ch) => regionOf(ch) === location);
+  return members.length ? meanBandPowers(members.map((ch) => channelBandPowers[ch])) : null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: individual alpha frequency and peak amplitude of one spectrum
+// docs: the highest interior local maximum in ALPHA_SEARCH, refined by a parabola through it and its neighbours
+// ─────────────────────────────────────────────────────────────
+function alphaPeak(freqs, psd) {
+  let best = -1;
+  for (let k = 1; k < freqs.length - 1; k++) {
+    if (freqs[k] < ALPHA_SEARCH[0] || freqs[k] > ALPHA_SEARCH[1]) continue;
+    if (psd[k] > psd[k - 1] && psd[k] >= psd[k + 1] && (best < 0 || psd[k] > psd[best])) best = k;
+  }
+  if (best < 0) return { iaf: null, alphapeak: null };
+
+  const [a, b, c] = [psd[best - 1], psd[best], psd[best + 1]];
+  const denom = a - 2 * b + c;
+  const offset = denom < 0 ? (0.5 * (a - c)) / denom : 0;
+  const step = freqs[1] - freqs[0];
+  return { iaf: freqs[best] + offset * step, alphapeak: b - 0.25 * (a - c) * offset };
+}
+
+// feat: spectral edge frequency — cumulative trapezoidal power over [lo, hi] reaching SEF_EDGE of the total
+function spectralEdge(freqs, psd, lo, hi) {
+  const total = integrateBand(freqs, psd, lo, hi);
+  if (!(total > 0)) return null;
+  let below = 0;
+  let previous = lo;
+  for (let k = 0; k < freqs.length && freqs[k] <= hi; k++) {
+    if (freqs[k] <= lo) continue;
+    const slice = integrateBand(freqs, psd, previous, freqs[k]);
+    if (below + slice >= SEF_EDGE * total) {
+      // docs: linear within the bin that crosses the edge
+      return previous + ((SEF_EDGE * total - below) / slice) * (freqs[k] - previous);
+    }
+    below += slice;
+    previous = freqs[k];
+  }
+  return hi;
+}
+
+// feat: aperiodic slope — ordinary least squares in log–log space
+function aperiodicSlope(freqs, psd) {
+  const xs = [];
+  const ys = [];
+  freqs.forEach((f, k) => {
+    if (f < APERIODIC_FIT[0] || f > APERIODIC_FIT[1] || psd[k] <= 0) return;
+    if (f >= ALPHA_SEARCH[0] && f <= ALPHA_SEARCH[1]) return;
+    xs.push(Math.log10(f));
+    ys.push(Math.log10(psd[k]));
+  });
+  if (xs.length < 3) return null;
+  const mx = xs.reduce((a, b) => a + b, 0) / xs.length;
+  const my = ys.reduce((a, b) => a + b, 0) / ys.length;
+  let sxy = 0;
+  let sxx = 0;
+  xs.forEach((x, i) => { sxy += (x - mx) * (ys[i] - my); sxx += (x - mx) * (x - mx); });
+  return sxx > 0 ? sxy / sxx : null;
+}
+
+// feat: every measure of one location — band powers for tbr / rel, its spectrum for the rest
+function measure(bandPowers, freqs, psd, range) {
+  const total = Object.values(bandPowers).reduce((a, b) => a + b, 0);
+  const { iaf, alphapeak } = alphaPeak(freqs, psd);
+  return {
+    tbr: round(bandPowers.beta > 0 ? bandPowers.theta / bandPowers.beta : null, 3),
+    rel: Object.fromEntries(Object.keys(bandPowers).map((band) => [band, round(total > 0 ? bandPowers[band] / total : null, 4)])),
+    iaf: round(iaf, SPECTRAL_MEASURES.iaf.digits),
+    alphapeak: round(alphapeak, 4),
+    sef: round(spectralEdge(freqs, psd, range[0], range[1]), SPECTRAL_MEASURES.sef.digits),
+    slope: round(aperiodicSlope(freqs, psd), 3),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: spectral features of an analysed recording
+// docs: psd = the Welch spectrum attached to results; bands = the profile's band edges
+// docs: returns { global, channels: { electrode: features }, regions: { region: features + electrodes },
+// docs:   settings: { alphaSearch, sefEdge, sefRange, aperiodicFit } } — null without a spectrum
+// ─────────────────────────────────────────────────────────────
+export function computeSpectralFeatures(psd, bandPowers, channelBandPowers, bands = EEG_BANDS) {
+  if (!psd || !psd.freqs || !psd.freqs.length) return null;
+  const { freqs } = psd;
+  const names = Object.keys(psd.channels).filter((ch) => channelBandPowers && channelBandPowers[ch]);
+  if (!names.length) return null;
+  const edges = Object.values(bands);
+  const range = [Math.min(...edges.map((e) => e[0])), Math.max(...edges.map((e) => e[1]))];
+
+  const channels = {};
+  names.forEach((ch) => {
+    channels[ch] = measure(channelBandPowers[ch], freqs, psd.channels[ch], range);
+  });
+
+  const regions = {};
+  REGIONS.forEach((region) => {
+    const electrodes = names.filter((ch) => regionOf(ch) === region);
+    if (!electrodes.length) return;
+    regions[region] = {
+      ...measure(locationBandPowers(bandPowers, channelBandPowers, region), freqs, meanSpectrum(electrodes.map((ch) => psd.channels[ch])), range),
+      electrodes,
+    };
+  });
+
+  return {
+    global: measure(bandPowers, freqs, meanSpectrum(names.map((ch) => psd.channels[ch])), range),
+    channels,
+    regions,
+    settings: { alphaSearch: ALPHA_SEARCH, sefEdge: SEF_EDGE, sefRange: range, aperiodicFit: APERIODIC_FIT },
+  };
+}
+
+// feat: a result's spectral features — results saved before they existed are computed from the stored spectrum
+export function spectralFeaturesOf(results) {
+  if (results.spectralFeatures !== undefined) return results.spectralFeatures;
+  return computeSpectralFeatures(results.psd, results.bandPowers || {}, results.channelBandPowers, results.profile ? results.profile.bands : EEG_BANDS);
+}
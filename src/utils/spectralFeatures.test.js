@@ -0,0 +1,60 @@
+import { computeSpectralFeatures, locationBandPowers, regionOf, spectralFeaturesOf } from "./spectralFeatures";
+
+// docs: 0–50 Hz in 0.25 Hz bins
+const freqs = Array.from({ length: 201 }, (_, k) => k * 0.25);
+// docs: 1/f² background plus an optional Gaussian alpha peak
+const spectrum = (peakHz = null, height = 0.05) =>
+  freqs.map((f) => (f > 0 ? 1 / (f * f) : 1) + (peakHz ? height * Math.exp(-((f - peakHz) ** 2) / 0.5) : 0));
+const flat = freqs.map(() => 1);
+
+const powers = (theta, beta) => ({ delta: 1, theta, alpha: 2, beta, gamma: 1 });
+
+describe("regionOf / locationBandPowers", () => {
+  const channelBandPowers = { O1: powers(1, 1), O2: powers(3, 1), Cz: powers(2, 2) };
+
+  it("maps electrodes to scalp regions", () => {
+    expect(["Fp1", "F3", "C3", "T7", "P3", "O1", "X1"].map(regionOf)).toEqual(
+      ["prefrontal", "frontal", "central", "temporal", "parietal", "occipital", null],
+    );
+  });
+
+  it("averages a region's electrodes and returns null where nothing was recorded", () => {
+    expect(locationBandPowers(null, channelBandPowers, "occipital").theta).toBe(2);
+    expect(locationBandPowers(null, channelBandPowers, "Cz")).toBe(channelBandPowers.Cz);
+    expect(locationBandPowers(null, channelBandPowers, "frontal")).toBeNull();
+    expect(locationBandPowers(powers(1, 1), channelBandPowers, null)).toEqual(powers(1, 1));
+  });
+});
+
+describe("computeSpectralFeatures", () => {
+  it("finds the alpha peak and the 1/f slope", () => {
+    const psd = { freqs, channels: { O1: spectrum(10.3), O2: spectrum(9.7) } };
+    const features = computeSpectralFeatures(psd, powers(1, 2), { O1: powers(1, 2), O2: powers(1, 2) });
+    expect(features.channels.O1.iaf).toBeCloseTo(10.3, 1);
+    expect(features.channels.O2.iaf).toBeCloseTo(9.7, 1);
+    expect(features.channels.O1.slope).toBeCloseTo(-2, 1);
+    expect(features.regions.occipital.electrodes).toEqual(["O1", "O2"]);
+    expect(features.global.tbr).toBe(0.5);
+    expect(features.global.rel.alpha).toBeCloseTo(2 / 7, 4);
+    expect(Object.values(features.global.rel).reduce((a, b) => a + b, 0)).toBeCloseTo(1, 3);
+  });
+
+  it("has no alpha peak on a featureless spectrum", () => {
+    const features = computeSpectralFeatures({ freqs, channels: { Cz: spectrum() } }, powers(1, 1), { Cz: powers(1, 1) });
+    expect(features.global.iaf).toBeNull();
+    expect(features.global.alphapeak).toBeNull();
+  });
+
+  it("puts the spectral edge of a flat spectrum at 95% of the band range", () => {
+    const features = computeSpectralFeatures({ freqs, channels: { Cz: flat } }, powers(1, 1), { Cz: powers(1, 1) });
+    // docs: default bands span 0.5–50 Hz → 0.5 + 0.95 × 49.5
+    expect(features.settings.sefRange).toEqual([0.5, 50]);
+    expect(features.global.sef).toBeCloseTo(47.5, 1);
+  });
+
+  it("is null without a spectrum or without scored channels", () => {
+    expect(computeSpectralFeatures(null, {}, {})).toBeNull();
+    expect(computeSpectralFeatures({ freqs, channels: { Cz: flat } }, {}, {})).toBeNull();
+    expect(spectralFeaturesOf({ spectralFeatures: null, psd: { freqs, channels: { Cz: flat } } })).toBeNull();
+  });
+});
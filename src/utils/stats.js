@@ -0,0 +1,9 @@
+// feat: numeric helpers shared by the score interval (uncertainty.js) and model validation (validation.js)
+
+// feat: percentile of a sorted array (linear interpolation)
+export function percentile(sorted, p) {
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
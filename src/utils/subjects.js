@@ -0,0 +1,114 @@
+// feat: subject registry helpers and longitudinal change tracking
+// docs: a subject is { id, age, sex, handedness, medication, createdAt } — id is a pseudonymous
+// docs: code (e.g. "SZ-014"), never a name; records are stored locally (see historyStore.js)
+// docs: each visit (history entry) keeps compact metrics so the longitudinal view needs no full results
+
+// chore: Greek symbols for metric labels
+import { BAND_SYMBOLS } from "./profiles";
+
+// docs: allowed values for the registry form
+export const SEX_OPTIONS = { "": "—", F: "Female", M: "Male", X: "Other / not stated" };
+export const HANDEDNESS_OPTIONS = { "": "—", right: "Right", left: "Left", ambidextrous: "Ambidextrous" };
+
+// docs: codes only — letters, digits, dot, dash, underscore (no spaces, so full names are rejected)
+const SUBJECT_ID_PATTERN = /^[A-Za-z0-9._-]{1,32}$/;
+
+// ─────────────────────────────────────────────────────────────
+// feat: validate a subject record before it is saved
+// docs: returns an error message, or null when the record is valid
+// ─────────────────────────────────────────────────────────────
+export function validateSubject(subject) {
+  if (!SUBJECT_ID_PATTERN.test(subject.id || "")) {
+    return "Subject ID must be a pseudonymous code of up to 32 letters, digits, '.', '-' or '_' (no names or spaces).";
+  }
+  if (subject.age !== null && subject.age !== "" && subject.age !== undefined) {
+    const age = Number(subject.age);
+    if (!Number.isFinite(age) || age < 0 || age > 120) return "Age must be between 0 and 120 years.";
+  }
+  return null;
+}
+
+// feat: one-line description — "34 y · Female · Right-handed"
+export function describeSubject(subject) {
+  if (!subject) return "";
+  const parts = [];
+  if (subject.age !== null && subject.age !== "" && subject.age !== undefined) parts.push(`${subject.age} y`);
+  if (subject.sex) parts.push(SEX_OPTIONS[subject.sex]);
+  if (subject.handedness) parts.push(`${HANDEDNESS_OPTIONS[subject.handedness]}-handed`);
+  return parts.join(" · ");
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: compact per-visit metrics stored with every history entry
+// docs: coherence is averaged over the long-range (preferred) pairs per band, or all pairs
+// docs: returns { riskScore, bandPowers: { band: power }, coherence: { band: MSC } }
+// ─────────────────────────────────────────────────────────────
+export function visitMetrics(results) {
+  const coherence = {};
+  if (results.coherence && results.coherence.pairs.length) {
+    const preferred = results.coherence.pairs.filter((p) => results.coherence.preferred.includes(p.pair));
+    const pairs = preferred.length ? preferred : results.coherence.pairs;
+    results.coherence.bands.forEach((band) => {
+      const values = pairs.map((p) => p.bands[band]).filter(Number.isFinite);
+      if (values.length) coherence[band] = values.reduce((a, b) => a + b, 0) / values.length;
+    });
+  }
+  return {
+    riskScore: results.riskScore,
+    bandPowers: { ...results.bandPowers },
+    coherence,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: minimal change from baseline that is flagged as significant
+// docs: riskScore in score points, band powers as a fraction of the baseline power,
+// docs: coherence in absolute MSC — roughly above test-retest variability of resting EEG
+// ─────────────────────────────────────────────────────────────
+export const CHANGE_THRESHOLDS = {
+  riskScore: 15,
+  bandPower: 0.25,
+  coherence: 0.1,
+};
+
+// feat: compare one metric with its baseline value
+function compareMetric(key, label, value, base, kind) {
+  if (!Number.isFinite(value) || !Number.isFinite(base)) return null;
+  const delta = value - base;
+  const relative = base !== 0 ? delta / Math.abs(base) : null;
+  const significant = kind === "relative"
+    ? relative !== null && Math.abs(relative) >= CHANGE_THRESHOLDS.bandPower
+    : Math.abs(delta) >= (kind === "score" ? CHANGE_THRESHOLDS.riskScore : CHANGE_THRESHOLDS.coherence);
+  return { key, label, value, baseline: base, delta, relative, kind, significant };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: longitudinal series for one subject
+// docs: visits = [{ id, createdAt, label, metrics }] in any order; the baseline is the visit with
+// docs: baselineId, or the first visit; every later visit is compared with it metric by metric
+// docs: returns { baseline, visits: [{ ...visit, changes: [...], flagged: [...] }] } oldest first
+// ─────────────────────────────────────────────────────────────
+export function buildLongitudinal(visits, baselineId = null) {
+  const ordered = [...visits].sort((a, b) => a.createdAt - b.createdAt);
+  if (ordered.length === 0) return { baseline: null, visits: [] };
+  const baseline = ordered.find((v) => v.id === baselineId) || ordered[0];
+  const base = baseline.metrics;
+
+  return {
+    baseline,
+    visits: ordered.map((visit) => {
+      if (visit === baseline) return { ...visit, changes: [], flagged: [] };
+      const m = visit.metrics;
+      const changes = [
+        compareMetric("riskScore", "Risk score", m.riskScore, base.riskScore, "score"),
+        ...Object.keys(BAND_SYMBOLS).map((band) =>
+          compareMetric(`power.${band}`, `${BAND_SYMBOLS[band]} power`, m.bandPowers[band], base.bandPowers[band], "relative")
+        ),
+        ...Object.keys(BAND_SYMBOLS).map((band) =>
+          compareMetric(`coh.${band}`, `${BAND_SYMBOLS[band]} coherence`, m.coherence[band], base.coherence[band], "absolute")
+        ),
+      ].filter(Boolean);
+      return { ...visit, changes, flagged: changes.filter((c) => c.significant) };
+    }),
+  };
+}
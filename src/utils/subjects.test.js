@@ -0,0 +1,41 @@
+import { validateSubject, describeSubject, buildLongitudinal } from "./subjects";
+
+const metrics = (riskScore, alpha, alphaCoherence) => ({
+  riskScore,
+  bandPowers: { delta: 1.2, theta: 0.7, alpha, beta: 0.5, gamma: 0.2 },
+  coherence: { alpha: alphaCoherence },
+});
+
+describe("validateSubject", () => {
+  it("accepts pseudonymous codes and rejects names and impossible ages", () => {
+    expect(validateSubject({ id: "SZ-014", age: 34 })).toBeNull();
+    expect(validateSubject({ id: "Jane Doe" })).toMatch(/pseudonymous code/);
+    expect(validateSubject({ id: "SZ-014", age: 140 })).toMatch(/Age/);
+  });
+
+  it("describes a subject in one line", () => {
+    expect(describeSubject({ id: "SZ-014", age: 34, sex: "F", handedness: "right" })).toBe("34 y · Female · Right-handed");
+  });
+});
+
+describe("buildLongitudinal", () => {
+  const visits = [
+    { id: "b", createdAt: 2, metrics: metrics(60, 1.2, 0.45) },
+    { id: "a", createdAt: 1, metrics: metrics(40, 1.8, 0.5) },
+    { id: "c", createdAt: 3, metrics: metrics(45, 1.7, 0.48) },
+  ];
+
+  it("compares every later visit with the first one and flags changes beyond the thresholds", () => {
+    const { baseline, visits: series } = buildLongitudinal(visits);
+    expect(baseline.id).toBe("a");
+    expect(series.map((v) => v.id)).toEqual(["a", "b", "c"]);
+    expect(series[1].flagged.map((c) => c.label)).toEqual(["Risk score", "α power"]);
+    expect(series[2].flagged).toEqual([]);
+  });
+
+  it("uses the chosen baseline visit", () => {
+    const { visits: series } = buildLongitudinal(visits, "b");
+    expect(series[1].changes).toEqual([]);
+    expect(series[0].flagged.map((c) => c.key)).toEqual(["riskScore", "power.alpha"]);
+  });
+});
@@ -0,0 +1,90 @@
+// feat: scalp topography interpolation for the BrainMap
+// docs: inverse-distance weighting (Shepard) of the measured electrodes onto a square grid
+// docs: clipped to the head circle — every pixel is a weighted mean of the recorded values,
+// docs: so the map never over- or undershoots the measured range (unlike splines)
+// docs: also holds the severity color scale, shared by the on-screen map and the PDF report
+
+// docs: head outline in BrainMap viewbox coordinates (see channelMapping EQUATOR_RADIUS)
+export const HEAD = { cx: 100, cy: 100, r: 88 };
+
+// ─────────────────────────────────────────────────────────────
+// feat: interpolate point values onto a grid of square cells covering the head
+// docs: points = [{ x, y, value }] in viewbox coordinates
+// docs: options.cells = cells per side, options.power = IDW exponent (2 = classic Shepard)
+// docs: returns [{ x, y, size, value }] — top-left corner and size of every cell inside the head
+// ─────────────────────────────────────────────────────────────
+export function interpolateGrid(points, { cells = 44, power = 2 } = {}) {
+  if (points.length === 0) return [];
+  const size = (HEAD.r * 2) / cells;
+  const grid = [];
+
+  for (let row = 0; row < cells; row++) {
+    for (let col = 0; col < cells; col++) {
+      const x = HEAD.cx - HEAD.r + col * size;
+      const y = HEAD.cy - HEAD.r + row * size;
+      const px = x + size / 2;
+      const py = y + size / 2;
+      if (Math.hypot(px - HEAD.cx, py - HEAD.cy) > HEAD.r) continue;
+
+      let weighted = 0;
+      let total = 0;
+      let exact = null;
+      for (const p of points) {
+        const d = Math.hypot(px - p.x, py - p.y);
+        if (d < 1e-6) {
+          exact = p.value;
+          break;
+        }
+        const w = 1 / d ** power;
+        weighted += w * p.value;
+        total += w;
+      }
+
+      grid.push({ x, y, size, value: exact ?? weighted / total });
+    }
+  }
+
+  return grid;
+}
+
+// docs: z-score drawn at full severity (red) — with the built-in norms (SD 25% of the mean)
+// docs: this is the old scale: fully suppressed alpha, doubled power in the other bands
+export const SEVERITY_FULL_Z = 4;
+
+// feat: severity 0–1 of a band power z-score against the subject's norm group
+// docs: alpha: deficit (negative z); other bands: excess (positive z)
+export function bandSeverity(band, z) {
+  const severity = (band === "alpha" ? -z : z) / SEVERITY_FULL_Z;
+  return Math.max(0, Math.min(1, severity));
+}
+
+// feat: interpolate color green→yellow→red based on severity
+// docs: severity 0.0 = healthy (green), severity 1.0 = severe deviation (red); returns [r, g, b]
+export function severityToRGB(severity) {
+  // feat: three-stop gradient: green(0) → yellow(0.4) → orange(0.7) → red(1.0)
+  let r, g, b;
+  if (severity < 0.4) {
+    // green → yellow
+    const t = severity / 0.4;
+    r = Math.round(16 + t * (245 - 16));
+    g = Math.round(185 + t * (200 - 185));
+    b = Math.round(129 - t * 80);
+  } else if (severity < 0.7) {
+    // yellow → orange
+    const t = (severity - 0.4) / 0.3;
+    r = Math.round(245 - t * 6);
+    g = Math.round(200 - t * 60);
+    b = Math.round(49 + t * 19);
+  } else {
+    // orange → red
+    const t = (severity - 0.7) / 0.3;
+    r = 239;
+    g = Math.round(140 - t * 96);
+    b = Math.round(68 - t * 0);
+  }
+
+  return [r, g, b];
+}
+
+// feat: CSS color of a severity
+export const severityToColor = (severity) => `rgb(${severityToRGB(severity).join(", ")})`;
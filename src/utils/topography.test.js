@@ -0,0 +1,57 @@
+import { interpolateGrid, bandSeverity, severityToRGB, severityToColor, HEAD, SEVERITY_FULL_Z } from "./topography";
+
+describe("interpolateGrid", () => {
+  const points = [
+    { x: 70, y: 80, value: 1 },
+    { x: 130, y: 80, value: 3 },
+    { x: 100, y: 150, value: -2 },
+  ];
+
+  it("covers only cells whose centre lies inside the head", () => {
+    const grid = interpolateGrid(points, { cells: 20 });
+    expect(grid.length).toBeGreaterThan(0);
+    expect(grid.length).toBeLessThan(400);
+    grid.forEach(({ x, y, size }) => {
+      expect(Math.hypot(x + size / 2 - HEAD.cx, y + size / 2 - HEAD.cy)).toBeLessThanOrEqual(HEAD.r);
+    });
+  });
+
+  it("never leaves the measured range", () => {
+    interpolateGrid(points).forEach(({ value }) => {
+      expect(value).toBeGreaterThanOrEqual(-2);
+      expect(value).toBeLessThanOrEqual(3);
+    });
+  });
+
+  it("returns the measured value at an electrode on a cell centre", () => {
+    // docs: 2 cells of 88 → centres at 56 and 144
+    const grid = interpolateGrid([{ x: 56, y: 56, value: 5 }, { x: 144, y: 144, value: 1 }], { cells: 2 });
+    expect(grid.find((c) => c.x === 12 && c.y === 12).value).toBe(5);
+  });
+
+  it("is empty without points", () => {
+    expect(interpolateGrid([])).toEqual([]);
+  });
+});
+
+describe("bandSeverity", () => {
+  it("scores an alpha deficit and an excess in the other bands", () => {
+    expect(bandSeverity("alpha", -SEVERITY_FULL_Z / 2)).toBeCloseTo(0.5);
+    expect(bandSeverity("alpha", 2)).toBe(0);
+    expect(bandSeverity("theta", SEVERITY_FULL_Z / 2)).toBeCloseTo(0.5);
+    expect(bandSeverity("theta", -2)).toBe(0);
+  });
+
+  it("clamps to 1 beyond the full-severity z-score", () => {
+    expect(bandSeverity("beta", 10 * SEVERITY_FULL_Z)).toBe(1);
+  });
+});
+
+describe("severityToRGB", () => {
+  it("runs from green through yellow to red", () => {
+    expect(severityToRGB(0)).toEqual([16, 185, 129]);
+    expect(severityToRGB(0.4)).toEqual([245, 200, 49]);
+    expect(severityToRGB(1)).toEqual([239, 44, 68]);
+    expect(severityToColor(0)).toBe("rgb(16, 185, 129)");
+  });
+});
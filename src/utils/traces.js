@@ -0,0 +1,56 @@
+// feat: compact multichannel traces for the EEG viewer
+// docs: the analysis result keeps the whole preprocessed recording as one Float32Array per channel
+// docs: (a fraction of the row-per-sample objects, and cheap to post back from the analysis worker)
+// docs: trace = { sampleRate, startTime, length, channels: [names], data: { [ch]: Float32Array } }
+
+// ─────────────────────────────────────────────────────────────
+// feat: pack per-channel sample arrays into a display trace
+// ─────────────────────────────────────────────────────────────
+export function packTrace(channelData, channels, sampleRate, startTime = 0) {
+  const data = {};
+  channels.forEach((ch) => { data[ch] = Float32Array.from(channelData[ch]); });
+  return {
+    sampleRate,
+    startTime,
+    length: channels.length ? data[channels[0]].length : 0,
+    channels: [...channels],
+    data,
+  };
+}
+
+// feat: recording duration in seconds
+export function traceDuration(trace) {
+  return trace && trace.sampleRate ? trace.length / trace.sampleRate : 0;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: peak-preserving (min/max) decimation
+// docs: splits samples [start, end) into `buckets` equal runs and keeps each run's minimum and
+// docs: maximum, so spikes and blinks survive at any zoom level (keeping every n-th sample drops them)
+// docs: returns Float32Array [min0, max0, min1, max1, ...]; empty runs repeat the previous pair
+// ─────────────────────────────────────────────────────────────
+export function minMaxDecimate(values, start, end, buckets) {
+  const out = new Float32Array(buckets * 2);
+  const span = (end - start) / buckets;
+  let last = values[start] ?? 0;
+
+  for (let b = 0; b < buckets; b++) {
+    const from = start + Math.floor(b * span);
+    const to = Math.min(end, start + Math.floor((b + 1) * span));
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = from; i < to; i++) {
+      const v = values[i];
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+    if (min === Infinity) {
+      min = last;
+      max = last;
+    }
+    out[b * 2] = min;
+    out[b * 2 + 1] = max;
+    last = max;
+  }
+  return out;
+}
@@ -0,0 +1,43 @@
+import { packTrace, traceDuration, minMaxDecimate } from "./traces";
+
+describe("packTrace", () => {
+  it("keeps the listed channels as Float32Arrays", () => {
+    const trace = packTrace({ Cz: [1, 2, 3, 4], Pz: [5, 6, 7, 8], ECG: [0, 0, 0, 0] }, ["Cz", "Pz"], 2, 10);
+    expect(trace).toEqual({
+      sampleRate: 2,
+      startTime: 10,
+      length: 4,
+      channels: ["Cz", "Pz"],
+      data: { Cz: Float32Array.from([1, 2, 3, 4]), Pz: Float32Array.from([5, 6, 7, 8]) },
+    });
+    expect(traceDuration(trace)).toBe(2);
+  });
+
+  it("is empty without channels", () => {
+    expect(packTrace({}, [], 256).length).toBe(0);
+    expect(traceDuration(null)).toBe(0);
+  });
+});
+
+describe("minMaxDecimate", () => {
+  it("keeps a one-sample spike at any bucket count", () => {
+    const values = new Float32Array(1000);
+    values[637] = 250;
+    values[638] = -80;
+    [1, 7, 50, 333].forEach((buckets) => {
+      const out = Array.from(minMaxDecimate(values, 0, values.length, buckets));
+      expect(Math.max(...out)).toBe(250);
+      expect(Math.min(...out)).toBe(-80);
+    });
+  });
+
+  it("returns each bucket's minimum and maximum within the window", () => {
+    const values = Float32Array.from([9, 1, 2, 3, 4, 5, 6, 7, 9]);
+    expect(Array.from(minMaxDecimate(values, 1, 7, 3))).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  it("fills empty buckets when zoomed in past one sample per bucket", () => {
+    const out = Array.from(minMaxDecimate(Float32Array.from([1, 3]), 0, 2, 4));
+    expect(out).toEqual([1, 1, 1, 1, 1, 1, 3, 3]);
+  });
+});
@@ -0,0 +1,52 @@
+// feat: JSON transport of binary data between the app and the local analysis server
+// docs: EDF uploads and display traces are binary; JSON carries them as base64 strings
+// docs: uses btoa/atob, so the same code runs in the browser and in Node (≥ 16)
+
+// docs: bytes per btoa call — String.fromCharCode(...chunk) overflows the stack on large arrays
+const CHUNK = 0x8000;
+
+// feat: Uint8Array / ArrayBuffer → base64
+export function bytesToBase64(bytes) {
+  const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  let binary = "";
+  for (let i = 0; i < view.length; i += CHUNK) {
+    binary += String.fromCharCode.apply(null, view.subarray(i, i + CHUNK));
+  }
+  return btoa(binary);
+}
+
+// feat: base64 → Uint8Array
+export function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: display trace (see traces.js) ↔ JSON
+// docs: each channel's Float32Array is sent as base64 of its little-endian bytes
+// docs: encoded = { sampleRate, startTime, length, channels, encoding: "float32-base64", data: { [ch]: string } }
+// ─────────────────────────────────────────────────────────────
+export const TRACE_ENCODING = "float32-base64";
+
+export function encodeTrace(trace) {
+  const data = {};
+  trace.channels.forEach((ch) => {
+    const values = trace.data[ch];
+    data[ch] = bytesToBase64(new Uint8Array(values.buffer, values.byteOffset, values.byteLength));
+  });
+  return { ...trace, encoding: TRACE_ENCODING, data };
+}
+
+export function decodeTrace(encoded) {
+  if (!encoded || encoded.encoding !== TRACE_ENCODING) return encoded;
+  const { encoding, ...trace } = encoded;
+  const data = {};
+  trace.channels.forEach((ch) => {
+    // docs: a fresh buffer, so the Float32Array view starts at offset 0 (views need 4-byte alignment)
+    const bytes = base64ToBytes(encoded.data[ch]);
+    data[ch] = new Float32Array(bytes.buffer, 0, bytes.length / 4);
+  });
+  return { ...trace, data };
+}
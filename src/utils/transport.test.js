@@ -0,0 +1,37 @@
+import { bytesToBase64, base64ToBytes, encodeTrace, decodeTrace, TRACE_ENCODING } from "./transport";
+import { packTrace } from "./traces";
+
+describe("base64", () => {
+  it("round-trips every byte value", () => {
+    const bytes = Uint8Array.from({ length: 256 }, (_, i) => i);
+    expect(base64ToBytes(bytesToBase64(bytes))).toEqual(bytes);
+    expect(bytesToBase64(Uint8Array.from([69, 68, 70]).buffer)).toBe("RURG");
+  });
+
+  it("encodes arrays larger than one chunk", () => {
+    const bytes = Uint8Array.from({ length: 100000 }, (_, i) => (i * 31) % 256);
+    expect(base64ToBytes(bytesToBase64(bytes))).toEqual(bytes);
+  });
+});
+
+describe("trace encoding", () => {
+  it("round-trips a trace through JSON", () => {
+    const trace = packTrace({ Cz: [0.5, -12.25, 3e-4], Pz: [1, 2, 3] }, ["Cz", "Pz"], 256, 4);
+    const encoded = JSON.parse(JSON.stringify(encodeTrace(trace)));
+    expect(encoded.encoding).toBe(TRACE_ENCODING);
+    expect(typeof encoded.data.Cz).toBe("string");
+    expect(decodeTrace(encoded)).toEqual(trace);
+  });
+
+  it("encodes a channel viewing part of a larger buffer", () => {
+    const buffer = Float32Array.from([9, 1, 2, 9]);
+    const trace = { sampleRate: 1, startTime: 0, length: 2, channels: ["Cz"], data: { Cz: buffer.subarray(1, 3) } };
+    expect(Array.from(decodeTrace(encodeTrace(trace)).data.Cz)).toEqual([1, 2]);
+  });
+
+  it("passes an unencoded trace through", () => {
+    const trace = packTrace({ Cz: [1] }, ["Cz"], 1);
+    expect(decodeTrace(trace)).toBe(trace);
+    expect(decodeTrace(null)).toBeNull();
+  });
+});
@@ -0,0 +1,163 @@
+// feat: data-driven uncertainty of the risk score — resampling the recording's own clean epochs
+// docs: a resample re-weights the epochs, pools their band powers and scores the pool with the
+// docs: active model and scoring profile (makeEpochScorer, csvAnalysis.js):
+// docs:   bootstrap — `resamples` draws of n epochs with replacement, 95% percentile interval
+// docs:   jackknife — the n leave-one-out pools, score ± 1.96 × jackknife standard error
+// docs: the classification is indeterminate when the interval reaches into another risk level
+// docs: confidence = how often the resampled score lands in the reported level
+
+// chore: seeded resampling and the profile's risk levels
+import { mulberry32, classifyRisk } from "./eegUtils";
+// chore: percentile interval bounds
+import { percentile } from "./stats";
+
+export const UNCERTAINTY_METHODS = {
+  bootstrap: "Epoch bootstrap",
+  jackknife: "Epoch jackknife",
+};
+
+// docs: default resampling settings — recorded with every result
+export const DEFAULT_UNCERTAINTY_SETTINGS = {
+  method: "bootstrap",
+  resamples: 200,
+};
+
+// docs: interval coverage and its two-sided normal quantile (jackknife)
+export const INTERVAL_LEVEL = 0.95;
+const Z = 1.96;
+
+// docs: resampling needs at least this many clean epochs; fewer bootstrap draws give no stable tails
+const MIN_EPOCHS = 2;
+const MIN_RESAMPLES = 50;
+
+// feat: standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+function normalCdf(x) {
+  const t = 1 / (1 + (0.3275911 * Math.abs(x)) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// feat: score range [lo, hi) of the level a score falls in — open-ended at the top and bottom levels
+function levelRange(score, profile) {
+  const index = profile.levels.findIndex((l) => score >= l.min);
+  return {
+    lo: index === profile.levels.length - 1 ? -Infinity : profile.levels[index].min,
+    hi: index === 0 ? Infinity : profile.levels[index - 1].min,
+  };
+}
+
+const standardDeviation = (values) => {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (values.length - 1));
+};
+
+// ─────────────────────────────────────────────────────────────
+// feat: interval, standard error and level agreement of a reported score
+// docs: scorer = { epochs, score(counts) } — counts[i] = copies of epoch i in the pool
+// docs: seeded — the same recording and settings give the same interval
+// docs: returns { method, level, epochs, resamples, lower, upper, se, confidence, levels, indeterminate, reason }
+// docs: lower / upper / se / confidence are null (with the reason) when there are too few clean epochs
+// ─────────────────────────────────────────────────────────────
+export function estimateUncertainty(scorer, score, profile, settings = DEFAULT_UNCERTAINTY_SETTINGS, seed = 0) {
+  const { method, resamples: requested } = { ...DEFAULT_UNCERTAINTY_SETTINGS, ...settings };
+  const resamples = Number.isFinite(requested) ? Math.max(MIN_RESAMPLES, Math.round(requested)) : DEFAULT_UNCERTAINTY_SETTINGS.resamples;
+  const n = scorer.epochs;
+  const reported = classifyRisk(score, profile).level;
+  const base = { method, level: INTERVAL_LEVEL, epochs: n };
+
+  // fix: nothing to put an interval around
+  if (!Number.isFinite(score)) {
+    return {
+      ...base,
+      resamples: 0,
+      lower: null,
+      upper: null,
+      se: null,
+      confidence: null,
+      levels: [reported, reported],
+      indeterminate: true,
+      reason: "no valid risk score",
+    };
+  }
+
+  if (n < MIN_EPOCHS) {
+    return {
+      ...base,
+      resamples: 0,
+      lower: null,
+      upper: null,
+      se: null,
+      confidence: null,
+      levels: [reported, reported],
+      indeterminate: false,
+      reason: `only ${n} clean epoch${n === 1 ? "" : "s"}, at least ${MIN_EPOCHS} are needed to resample`,
+    };
+  }
+
+  let lower;
+  let upper;
+  let se;
+  let confidence;
+  if (method === "jackknife") {
+    // docs: pseudo-replicates leave one epoch out; SE² = (n − 1)/n · Σ (θ₍ᵢ₎ − θ̄)²
+    const scores = Array.from({ length: n }, (_, i) => scorer.score(Array.from({ length: n }, (__, j) => (j === i ? 0 : 1))));
+    const mean = scores.reduce((a, b) => a + b, 0) / n;
+    se = Math.sqrt(((n - 1) / n) * scores.reduce((sum, s) => sum + (s - mean) * (s - mean), 0));
+    lower = score - Z * se;
+    upper = score + Z * se;
+    // docs: leave-one-out scores barely move, so agreement comes from the normal approximation
+    const { lo, hi } = levelRange(score, profile);
+    confidence = se > 0 ? normalCdf((hi - 0.5 - score) / se) - normalCdf((lo - 0.5 - score) / se) : 1;
+  } else {
+    const rng = mulberry32(seed + 5000);
+    const scores = [];
+    for (let r = 0; r < resamples; r++) {
+      const counts = new Array(n).fill(0);
+      for (let k = 0; k < n; k++) counts[Math.floor(rng() * n)]++;
+      scores.push(scorer.score(counts));
+    }
+    scores.sort((a, b) => a - b);
+    const alpha = (1 - INTERVAL_LEVEL) / 2;
+    lower = percentile(scores, alpha);
+    upper = percentile(scores, 1 - alpha);
+    se = standardDeviation(scores);
+    confidence = scores.filter((s) => classifyRisk(s, profile).level === reported).length / resamples;
+  }
+
+  // docs: scores are whole numbers on 0–100, so is their interval
+  lower = Math.max(0, Math.floor(lower));
+  upper = Math.min(100, Math.ceil(upper));
+  const levels = [classifyRisk(lower, profile).level, classifyRisk(upper, profile).level];
+  return {
+    ...base,
+    resamples: method === "jackknife" ? n : resamples,
+    lower,
+    upper,
+    se: parseFloat(se.toFixed(2)),
+    confidence: Math.round(confidence * 100),
+    levels,
+    indeterminate: levels[0] !== levels[1],
+    reason: null,
+  };
+}
+
+// feat: "95% CI 48–71" — null when the interval couldn't be estimated
+export function formatInterval(uncertainty) {
+  if (!uncertainty || uncertainty.lower === null) return null;
+  return `${Math.round(uncertainty.level * 100)}% CI ${uncertainty.lower}–${uncertainty.upper}`;
+}
+
+// feat: "95% CI 48–71 · epoch bootstrap, 200 resamples of 15 epochs · SE 5.8" — report audit line
+export function describeUncertainty(uncertainty) {
+  const method = UNCERTAINTY_METHODS[uncertainty.method] || uncertainty.method;
+  if (uncertainty.lower === null) return `not estimated — ${uncertainty.reason}`;
+  const draws = uncertainty.method === "jackknife" ? `${uncertainty.epochs} leave-one-out pools` : `${uncertainty.resamples} resamples of ${uncertainty.epochs} epochs`;
+  return `${formatInterval(uncertainty)} · ${method.toLowerCase()}, ${draws} · SE ${uncertainty.se}`;
+}
+
+// feat: "Indeterminate — the 95% interval spans Moderate to High Risk" — null for a determinate level
+export function indeterminateNote(uncertainty) {
+  if (!uncertainty || !uncertainty.indeterminate) return null;
+  return `Indeterminate — the ${Math.round(uncertainty.level * 100)}% interval spans ${uncertainty.levels.join(" to ")}`;
+}
@@ -0,0 +1,52 @@
+import { estimateUncertainty } from "./uncertainty";
+import { percentile } from "./stats";
+import { DEFAULT_PROFILE } from "./profiles";
+
+// feat: scorer whose pool score is the mean of per-epoch scores
+const meanScorer = (epochScores) => ({
+  epochs: epochScores.length,
+  score: (counts) => {
+    const total = counts.reduce((a, b) => a + b, 0);
+    return counts.reduce((sum, c, i) => sum + c * epochScores[i], 0) / total;
+  },
+});
+
+const EPOCHS = [30, 35, 42, 38, 50, 45, 33, 41, 47, 39];
+
+describe("percentile", () => {
+  it("interpolates between sorted values", () => {
+    expect(percentile([0, 10, 20, 30], 0)).toBe(0);
+    expect(percentile([0, 10, 20, 30], 0.5)).toBe(15);
+    expect(percentile([0, 10, 20, 30], 1)).toBe(30);
+  });
+});
+
+describe("estimateUncertainty", () => {
+  it("gives the same bootstrap interval for the same seed", () => {
+    const a = estimateUncertainty(meanScorer(EPOCHS), 40, DEFAULT_PROFILE, { method: "bootstrap", resamples: 300 }, 7);
+    const b = estimateUncertainty(meanScorer(EPOCHS), 40, DEFAULT_PROFILE, { method: "bootstrap", resamples: 300 }, 7);
+    expect(a).toEqual(b);
+    expect(a.lower).toBeLessThanOrEqual(40);
+    expect(a.upper).toBeGreaterThanOrEqual(40);
+  });
+
+  it("draws different resamples for another seed", () => {
+    const a = estimateUncertainty(meanScorer(EPOCHS), 40, DEFAULT_PROFILE, { method: "bootstrap", resamples: 300 }, 7);
+    const b = estimateUncertainty(meanScorer(EPOCHS), 40, DEFAULT_PROFILE, { method: "bootstrap", resamples: 300 }, 8);
+    expect(a.se).not.toBe(b.se);
+  });
+
+  it("matches the textbook jackknife standard error of a mean", () => {
+    const n = EPOCHS.length;
+    const mean = EPOCHS.reduce((a, b) => a + b, 0) / n;
+    const sd = Math.sqrt(EPOCHS.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1));
+    const result = estimateUncertainty(meanScorer(EPOCHS), mean, DEFAULT_PROFILE, { method: "jackknife" });
+    expect(result.se).toBeCloseTo(sd / Math.sqrt(n), 2);
+  });
+
+  it("gives no interval with a single clean epoch", () => {
+    const result = estimateUncertainty(meanScorer([40]), 40, DEFAULT_PROFILE);
+    expect(result.lower).toBeNull();
+    expect(result.reason).toMatch(/only 1 clean epoch/);
+  });
+});
@@ -0,0 +1,277 @@
+// feat: model validation on a labeled set of recordings
+// docs: every recording in a manifest is run through the full pipeline (preprocessing → scoring),
+// docs: then the risk scores are compared with the labels: ROC/AUC with a bootstrap confidence
+// docs: interval, sensitivity/specificity at the scoring profile's cut-offs, confusion matrix, calibration
+// docs: case = { file, label: 0 (healthy) | 1 (SZ), score: 0–100 | null, error } — failed cases are
+// docs: listed in the report but left out of every metric
+// chore: seeded resampling and the risk levels the app reports
+import { mulberry32, classifyRisk } from "./eegUtils";
+// chore: cut-offs and level names of the scoring profile
+import { DEFAULT_PROFILE, profileRecord, riskThresholds, levelNames } from "./profiles";
+// chore: bootstrap interval bounds
+import { percentile } from "./stats";
+
+export const CLASS_NAMES = { 0: "Healthy", 1: "SZ" };
+
+export const DEFAULT_VALIDATION_SETTINGS = {
+  iterations: 2000,
+  confidence: 0.95,
+  calibrationBins: 10,
+  seed: 1,
+};
+
+// ─────────────────────────────────────────────────────────────
+// feat: manifest — one recording per line, "file,label" (header optional, "#" comments allowed)
+// docs: labels: healthy / control / hc / 0 and sz / schizophrenia / patient / 1 (any case)
+// docs: returns { entries: [{ file, label }], error }
+// ─────────────────────────────────────────────────────────────
+const LABEL_VALUES = {
+  healthy: 0, control: 0, hc: 0, negative: 0, 0: 0,
+  sz: 1, schizophrenia: 1, patient: 1, positive: 1, 1: 1,
+};
+const FILE_COLUMNS = ["file", "filename", "file_name", "path", "recording"];
+const LABEL_COLUMNS = ["label", "group", "class", "diagnosis"];
+
+const labelValue = (text) => LABEL_VALUES[String(text).trim().toLowerCase()];
+
+export function parseManifest(text) {
+  const rows = String(text)
+    .split(/\r?\n/)
+    .map((line, i) => ({ line: i + 1, cells: line.split(/[,;\t]/).map((c) => c.trim().replace(/^"(.*)"$/, "$1")) }))
+    .filter((row) => row.cells[0] && !row.cells[0].startsWith("#"));
+  if (rows.length === 0) return { entries: [], error: "Manifest is empty." };
+
+  // docs: a header row names the columns; without one the first two columns are file, label
+  let fileCol = 0;
+  let labelCol = 1;
+  const header = rows[0].cells.map((c) => c.toLowerCase());
+  if (labelValue(rows[0].cells[1]) === undefined && header.some((c) => LABEL_COLUMNS.includes(c))) {
+    fileCol = header.findIndex((c) => FILE_COLUMNS.includes(c));
+    labelCol = header.findIndex((c) => LABEL_COLUMNS.includes(c));
+    if (fileCol < 0) return { entries: [], error: `Manifest header needs a file column (${FILE_COLUMNS.join(", ")}).` };
+    rows.shift();
+  }
+
+  const entries = [];
+  const seen = new Set();
+  for (const row of rows) {
+    const file = row.cells[fileCol];
+    const label = labelValue(row.cells[labelCol] ?? "");
+    if (label === undefined) {
+      return { entries: [], error: `Line ${row.line}: label "${row.cells[labelCol] ?? ""}" is not healthy/control/0 or sz/schizophrenia/1.` };
+    }
+    if (seen.has(file)) return { entries: [], error: `Line ${row.line}: ${file} is listed twice.` };
+    seen.add(file);
+    entries.push({ file, label });
+  }
+  if (entries.length === 0) return { entries: [], error: "Manifest lists no recordings." };
+  return { entries, error: null };
+}
+
+// feat: "data/sz/rec01.edf" → "rec01.edf" — uploads are matched to manifest lines by file name
+export const manifestFileName = (file) => String(file).split(/[\\/]/).pop();
+
+// ─────────────────────────────────────────────────────────────
+// feat: ROC curve — one point per distinct score, "SZ" when score ≥ threshold
+// docs: returns [{ threshold, fpr, tpr }] from (0, 0) to (1, 1)
+// ─────────────────────────────────────────────────────────────
+export function rocCurve(cases) {
+  const positives = cases.filter((c) => c.label === 1).length;
+  const negatives = cases.length - positives;
+  const thresholds = [...new Set(cases.map((c) => c.score))].sort((a, b) => b - a);
+  const points = [{ threshold: Infinity, fpr: 0, tpr: 0 }];
+  thresholds.forEach((threshold) => {
+    const called = cases.filter((c) => c.score >= threshold);
+    const tp = called.filter((c) => c.label === 1).length;
+    points.push({ threshold, fpr: (called.length - tp) / negatives, tpr: tp / positives });
+  });
+  return points;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: area under the ROC curve (Mann–Whitney U, ties count half)
+// docs: the probability that a random SZ recording scores higher than a random healthy one
+// ─────────────────────────────────────────────────────────────
+export function areaUnderCurve(cases) {
+  const sorted = [...cases].sort((a, b) => a.score - b.score);
+  // docs: mid-ranks, so tied scores share their average rank
+  let rankSum = 0;
+  for (let i = 0; i < sorted.length;) {
+    let j = i;
+    while (j < sorted.length && sorted[j].score === sorted[i].score) j++;
+    const midRank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) if (sorted[k].label === 1) rankSum += midRank;
+    i = j;
+  }
+  const positives = cases.filter((c) => c.label === 1).length;
+  const negatives = cases.length - positives;
+  return (rankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: AUC with a stratified percentile-bootstrap confidence interval
+// docs: healthy and SZ recordings are resampled separately, so every resample has both classes
+// docs: seeded — the same cases give the same interval
+// ─────────────────────────────────────────────────────────────
+export function bootstrapAuc(cases, { iterations, confidence, seed } = DEFAULT_VALIDATION_SETTINGS) {
+  const rng = mulberry32(seed);
+  const pos = cases.filter((c) => c.label === 1);
+  const neg = cases.filter((c) => c.label === 0);
+  const draw = (group) => Array.from({ length: group.length }, () => group[Math.floor(rng() * group.length)]);
+
+  const aucs = [];
+  for (let i = 0; i < iterations; i++) aucs.push(areaUnderCurve([...draw(pos), ...draw(neg)]));
+  aucs.sort((a, b) => a - b);
+  const alpha = (1 - confidence) / 2;
+  return {
+    value: areaUnderCurve(cases),
+    lower: percentile(aucs, alpha),
+    upper: percentile(aucs, 1 - alpha),
+    confidence,
+    iterations,
+  };
+}
+
+// feat: Wilson score interval for a proportion (well-behaved at 0 %, 100 % and small n)
+function wilson(successes, n, confidence) {
+  if (n === 0) return { value: null, lower: null, upper: null };
+  // docs: two-sided normal quantile for the usual levels
+  const z = { 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 }[confidence] || 1.96;
+  const p = successes / n;
+  const denom = 1 + (z * z) / n;
+  const centre = (p + (z * z) / (2 * n)) / denom;
+  const half = (z * Math.sqrt((p * (1 - p)) / n + (z * z) / (4 * n * n))) / denom;
+  return { value: p, lower: Math.max(0, centre - half), upper: Math.min(1, centre + half) };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: 2 × 2 table at one threshold — "SZ" when score ≥ threshold
+// docs: sensitivity / specificity carry Wilson intervals; PPV / NPV are null when nothing is called
+// ─────────────────────────────────────────────────────────────
+export function thresholdMetrics(cases, threshold, confidence = DEFAULT_VALIDATION_SETTINGS.confidence) {
+  let tp = 0; let fp = 0; let tn = 0; let fn = 0;
+  cases.forEach((c) => {
+    const called = c.score >= threshold;
+    if (c.label === 1) called ? tp++ : fn++;
+    else called ? fp++ : tn++;
+  });
+  return {
+    threshold,
+    tp, fp, tn, fn,
+    sensitivity: wilson(tp, tp + fn, confidence),
+    specificity: wilson(tn, tn + fp, confidence),
+    ppv: tp + fp ? tp / (tp + fp) : null,
+    npv: tn + fn ? tn / (tn + fn) : null,
+    accuracy: (tp + tn) / cases.length,
+  };
+}
+
+// feat: true class × reported risk level (the profile's levels, lowest first — Low / Moderate / High)
+export function confusionMatrix(cases, profile = DEFAULT_PROFILE) {
+  const levels = levelNames(profile);
+  return [0, 1].map((label) => {
+    const counts = levels.map(() => 0);
+    cases
+      .filter((c) => c.label === label)
+      .forEach((c) => { counts[levels.indexOf(classifyRisk(c.score, profile).level)]++; });
+    return { label, name: CLASS_NAMES[label], counts };
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: calibration — scores read as probabilities (score / 100)
+// docs: equal-width bins; each non-empty bin reports mean predicted vs observed SZ rate
+// docs: brier = mean squared error of the probabilities; ece = count-weighted |predicted − observed|
+// ─────────────────────────────────────────────────────────────
+export function calibration(cases, binCount = DEFAULT_VALIDATION_SETTINGS.calibrationBins) {
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    lower: i / binCount,
+    upper: (i + 1) / binCount,
+    count: 0,
+    predicted: 0,
+    observed: 0,
+  }));
+  let brier = 0;
+  cases.forEach((c) => {
+    const p = Math.min(1, Math.max(0, c.score / 100));
+    brier += (p - c.label) ** 2;
+    const bin = bins[Math.min(binCount - 1, Math.floor(p * binCount))];
+    bin.count++;
+    bin.predicted += p;
+    bin.observed += c.label;
+  });
+
+  const filled = bins
+    .filter((b) => b.count > 0)
+    .map((b) => ({ ...b, predicted: b.predicted / b.count, observed: b.observed / b.count }));
+  const ece = filled.reduce((sum, b) => sum + (b.count / cases.length) * Math.abs(b.predicted - b.observed), 0);
+  return { bins: filled, brier: brier / cases.length, ece };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: full evaluation of a labeled run
+// docs: returns { n, positives, negatives, failed, auc, roc, levels, thresholds, confusion, calibration, error }
+// docs: levels = the profile's level names (confusion matrix columns), thresholds = metrics at its cut-offs
+// docs: error (metrics null) when the analysed cases don't include both classes
+// ─────────────────────────────────────────────────────────────
+export function evaluateCases(cases, settings = DEFAULT_VALIDATION_SETTINGS, profile = DEFAULT_PROFILE) {
+  const scored = cases.filter((c) => !c.error && Number.isFinite(c.score));
+  const positives = scored.filter((c) => c.label === 1).length;
+  const negatives = scored.length - positives;
+  const summary = { n: scored.length, positives, negatives, failed: cases.length - scored.length, levels: levelNames(profile) };
+
+  if (positives === 0 || negatives === 0) {
+    return {
+      ...summary,
+      auc: null, roc: [], thresholds: [], confusion: [], calibration: null,
+      error: "Validation needs at least one healthy and one SZ recording that analysed successfully.",
+    };
+  }
+
+  return {
+    ...summary,
+    auc: bootstrapAuc(scored, settings),
+    roc: rocCurve(scored),
+    thresholds: riskThresholds(profile).map((t) => thresholdMetrics(scored, t, settings.confidence)),
+    confusion: confusionMatrix(scored, profile),
+    calibration: calibration(scored, settings.calibrationBins),
+    error: null,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: one validation case from a manifest entry and its analysis result (or { error })
+// ─────────────────────────────────────────────────────────────
+export function validationCase(entry, results) {
+  if (!results || results.error) {
+    return { file: entry.file, label: entry.label, score: null, confidence: null, level: null, error: results ? results.error : "not analysed" };
+  }
+  // fix: an unscored result is a failed case, not a silent gap in the metrics
+  if (!Number.isFinite(results.riskScore)) {
+    return { file: entry.file, label: entry.label, score: null, confidence: null, level: null, error: "no valid risk score" };
+  }
+  return {
+    file: entry.file,
+    label: entry.label,
+    score: results.riskScore,
+    confidence: results.confidence,
+    level: results.classification.level,
+    error: null,
+  };
+}
+
+// feat: a finished validation run — what the view shows and the exports save
+// docs: model = describeModel() of the model that scored the cases; settings = the analysis settings used
+// docs: profile = the scoring profile the cases were analysed with — its cut-offs are the ones evaluated
+export function buildValidation({ manifestName, model, profile = DEFAULT_PROFILE, settings, cases }, validationSettings = DEFAULT_VALIDATION_SETTINGS) {
+  return {
+    createdAt: Date.now(),
+    manifestName,
+    model,
+    profile: profileRecord(profile),
+    settings,
+    validationSettings,
+    cases,
+    metrics: evaluateCases(cases, validationSettings, profile),
+  };
+}
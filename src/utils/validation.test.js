@@ -0,0 +1,71 @@
+import { parseManifest, rocCurve, areaUnderCurve, bootstrapAuc, thresholdMetrics } from "./validation";
+
+const cases = (healthy, sz) => [
+  ...healthy.map((score) => ({ score, label: 0 })),
+  ...sz.map((score) => ({ score, label: 1 })),
+];
+
+// feat: AUC by brute force — share of (SZ, healthy) pairs ranked correctly, ties counting half
+function pairwiseAuc(list) {
+  const pos = list.filter((c) => c.label === 1);
+  const neg = list.filter((c) => c.label === 0);
+  let wins = 0;
+  pos.forEach((p) => neg.forEach((n) => { wins += p.score > n.score ? 1 : p.score === n.score ? 0.5 : 0; }));
+  return wins / (pos.length * neg.length);
+}
+
+describe("areaUnderCurve", () => {
+  it("is 1 for perfect separation and 0 when reversed", () => {
+    expect(areaUnderCurve(cases([10, 20, 30], [40, 50]))).toBe(1);
+    expect(areaUnderCurve(cases([40, 50], [10, 20, 30]))).toBe(0);
+  });
+
+  it("equals the Mann–Whitney pair count, ties counting half", () => {
+    const list = cases([12, 35, 35, 50, 61, 20], [35, 70, 44, 50, 18]);
+    expect(areaUnderCurve(list)).toBeCloseTo(pairwiseAuc(list), 12);
+    expect(areaUnderCurve(cases([30, 30], [30, 30]))).toBe(0.5);
+  });
+
+  it("matches the area under the ROC curve", () => {
+    const list = cases([12, 35, 47, 50, 61, 20], [35, 70, 44, 58, 18, 90]);
+    const points = rocCurve(list).sort((a, b) => a.fpr - b.fpr || a.tpr - b.tpr);
+    let area = 0;
+    for (let i = 1; i < points.length; i++) area += (points[i].fpr - points[i - 1].fpr) * (points[i].tpr + points[i - 1].tpr) / 2;
+    expect(areaUnderCurve(list)).toBeCloseTo(area, 12);
+  });
+});
+
+describe("bootstrapAuc", () => {
+  const list = cases([12, 35, 47, 50, 61, 20, 33, 41], [35, 70, 44, 58, 18, 90, 66, 52]);
+
+  it("is reproducible for a seed and brackets the AUC", () => {
+    const settings = { iterations: 300, confidence: 0.95, seed: 7 };
+    const a = bootstrapAuc(list, settings);
+    expect(bootstrapAuc(list, settings)).toEqual(a);
+    expect(a.lower).toBeLessThanOrEqual(a.value);
+    expect(a.upper).toBeGreaterThanOrEqual(a.value);
+    expect(bootstrapAuc(list, { ...settings, seed: 8 })).not.toEqual(a);
+  });
+});
+
+describe("thresholdMetrics", () => {
+  it("counts the 2 × 2 table with SZ called at score ≥ threshold", () => {
+    const m = thresholdMetrics(cases([10, 40, 60], [50, 70, 30]), 50);
+    expect([m.tp, m.fp, m.tn, m.fn]).toEqual([2, 1, 2, 1]);
+    expect(m.sensitivity.value).toBeCloseTo(2 / 3, 12);
+    expect(m.sensitivity.lower).toBeLessThan(2 / 3);
+  });
+});
+
+describe("parseManifest", () => {
+  it("reads a headed manifest with any label spelling", () => {
+    const { entries, error } = parseManifest("group,path\nSZ,data/a.edf\n# skipped\ncontrol,data/b.csv\n");
+    expect(error).toBeNull();
+    expect(entries).toEqual([{ file: "data/a.edf", label: 1 }, { file: "data/b.csv", label: 0 }]);
+  });
+
+  it("rejects unknown labels and duplicate files", () => {
+    expect(parseManifest("a.edf,maybe").error).toMatch(/Line 1/);
+    expect(parseManifest("a.edf,sz\na.edf,hc").error).toMatch(/listed twice/);
+  });
+});
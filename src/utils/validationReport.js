@@ -0,0 +1,278 @@
+// feat: exportable model validation report — PDF (jsPDF), JSON and a per-recording CSV
+// docs: validation = buildValidation() result (validation.js); the PDF reuses the clinical report's
+// docs: page layout and footers and draws the ROC curve and calibration plot as vector graphics
+// chore: shared PDF layout from the clinical report
+import { PAGE, CONTENT_WIDTH, COLORS, createLayout, drawFooters, pdfText, formatDateTime } from "./reportPdf";
+import { CLASS_NAMES } from "./validation";
+import { profileLabel } from "./profiles";
+import { APP_NAME, APP_VERSION } from "./version";
+import { downloadBlob, downloadJson, exportFileName } from "./download";
+
+const percent = (v) => (v === null || v === undefined ? "—" : `${(v * 100).toFixed(1)}%`);
+const interval = (m) => (m.value === null ? "—" : `${percent(m.value)} (${percent(m.lower)}–${percent(m.upper)})`);
+
+// feat: "0.912 (95% CI 0.861–0.954)"
+export function formatAuc(auc) {
+  return `${auc.value.toFixed(3)} (${Math.round(auc.confidence * 100)}% CI ${auc.lower.toFixed(3)}–${auc.upper.toFixed(3)})`;
+}
+
+// feat: file names follow the clinical exports — "neuroscan-validation-cohort-2025-03-12.pdf"
+const fileNameFor = (validation, extension) =>
+  exportFileName({ subject: null, recording: { label: validation.manifestName || "manifest" } }, "validation", extension);
+
+// ─────────────────────────────────────────────────────────────
+// feat: simple ruled table; columns = [{ title, width, align }], rows = [[cell, ...]]
+// ─────────────────────────────────────────────────────────────
+function drawTable(doc, layout, columns, rows) {
+  const rowHeight = 5;
+  const header = () => {
+    layout.ensure(rowHeight * 2);
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(7.5);
+    doc.setTextColor(...COLORS.muted);
+    let x = PAGE.margin;
+    columns.forEach((col) => {
+      doc.text(pdfText(col.title), col.align === "right" ? x + col.width - 1 : x + 1, layout.y + 3.5, { align: col.align || "left" });
+      x += col.width;
+    });
+    doc.setDrawColor(...COLORS.rule);
+    doc.setLineWidth(0.3);
+    doc.line(PAGE.margin, layout.y + rowHeight, PAGE.margin + CONTENT_WIDTH, layout.y + rowHeight);
+    layout.y += rowHeight;
+  };
+
+  header();
+  rows.forEach((row) => {
+    // docs: repeat the header on every page the table continues on
+    if (layout.y + rowHeight > PAGE.height - PAGE.margin - PAGE.footer) {
+      layout.ensure(PAGE.height);
+      header();
+    }
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(7.5);
+    doc.setTextColor(...COLORS.text);
+    let x = PAGE.margin;
+    row.forEach((cell, i) => {
+      const col = columns[i];
+      const text = doc.splitTextToSize(pdfText(cell), col.width - 2)[0] || "";
+      doc.text(text, col.align === "right" ? x + col.width - 1 : x + 1, layout.y + 3.5, { align: col.align || "left" });
+      x += col.width;
+    });
+    layout.y += rowHeight;
+  });
+  layout.y += 3;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: unit-square plot frame (0–1 on both axes) with the diagonal — ROC and calibration
+// docs: returns the mapping from data to page coordinates
+// ─────────────────────────────────────────────────────────────
+function drawUnitPlot(doc, left, top, size, { xLabel, yLabel, title }) {
+  const toX = (v) => left + v * size;
+  const toY = (v) => top + size - v * size;
+
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(8);
+  doc.setTextColor(...COLORS.text);
+  doc.text(title, left, top - 3);
+
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(6.5);
+  doc.setLineWidth(0.2);
+  for (let i = 0; i <= 4; i++) {
+    const v = i / 4;
+    doc.setDrawColor(...COLORS.rule);
+    doc.line(toX(0), toY(v), toX(1), toY(v));
+    doc.line(toX(v), toY(0), toX(v), toY(1));
+    doc.setTextColor(...COLORS.muted);
+    doc.text(v.toFixed(2), toX(0) - 1.5, toY(v) + 1, { align: "right" });
+    doc.text(v.toFixed(2), toX(v), toY(0) + 3.5, { align: "center" });
+  }
+  doc.setFontSize(7);
+  doc.text(xLabel, toX(0.5), toY(0) + 7.5, { align: "center" });
+  // docs: rotated text runs upwards from its anchor, so centre it by hand
+  doc.text(yLabel, toX(0) - 9, toY(0.5) + doc.getTextWidth(yLabel) / 2, { angle: 90 });
+
+  // style: chance / perfect-calibration diagonal
+  doc.setDrawColor(...COLORS.baseline);
+  doc.setLineDashPattern([1, 1], 0);
+  doc.line(toX(0), toY(0), toX(1), toY(1));
+  doc.setLineDashPattern([], 0);
+  return { toX, toY };
+}
+
+function drawRoc(doc, left, top, size, metrics) {
+  const { toX, toY } = drawUnitPlot(doc, left, top, size, {
+    title: `ROC - AUC ${metrics.auc.value.toFixed(3)}`,
+    xLabel: "1 - specificity",
+    yLabel: "Sensitivity",
+  });
+  doc.setDrawColor(...COLORS.purple);
+  doc.setLineWidth(0.6);
+  for (let i = 1; i < metrics.roc.length; i++) {
+    const a = metrics.roc[i - 1];
+    const b = metrics.roc[i];
+    doc.line(toX(a.fpr), toY(a.tpr), toX(b.fpr), toY(b.tpr));
+  }
+  // style: the scoring profile's cut-offs as labelled points
+  metrics.thresholds.forEach((t) => {
+    const x = toX(1 - t.specificity.value);
+    const y = toY(t.sensitivity.value);
+    doc.setFillColor(...COLORS.red);
+    doc.circle(x, y, 0.9, "F");
+    doc.setFontSize(6.5);
+    doc.setTextColor(...COLORS.red);
+    doc.text(`>= ${t.threshold}`, x + 1.5, y + 2.5);
+  });
+}
+
+function drawCalibration(doc, left, top, size, metrics) {
+  const { toX, toY } = drawUnitPlot(doc, left, top, size, {
+    title: `Calibration - Brier ${metrics.calibration.brier.toFixed(3)}`,
+    xLabel: "Predicted (score / 100)",
+    yLabel: "Observed SZ rate",
+  });
+  const bins = metrics.calibration.bins;
+  const maxCount = Math.max(...bins.map((b) => b.count));
+  doc.setDrawColor(...COLORS.blue);
+  doc.setLineWidth(0.5);
+  for (let i = 1; i < bins.length; i++) {
+    doc.line(toX(bins[i - 1].predicted), toY(bins[i - 1].observed), toX(bins[i].predicted), toY(bins[i].observed));
+  }
+  // style: point area follows the bin's recording count
+  bins.forEach((b) => {
+    doc.setFillColor(...COLORS.blue);
+    doc.circle(toX(b.predicted), toY(b.observed), 0.7 + 1.3 * Math.sqrt(b.count / maxCount), "F");
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: build the validation report document
+// docs: returns the jsPDF document (call .save() or .output())
+// ─────────────────────────────────────────────────────────────
+export async function buildValidationPdf(validation) {
+  const { jsPDF } = await import("jspdf");
+  const doc = new jsPDF({ unit: "mm", format: "a4", orientation: "portrait", compress: true });
+  const layout = createLayout(doc);
+  const { metrics, model, settings } = validation;
+
+  doc.setProperties({
+    title: `Model validation - ${pdfText(validation.manifestName)}`,
+    subject: "EEG risk model validation on a labeled dataset",
+    creator: `${APP_NAME} ${APP_VERSION}`,
+  });
+
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(16);
+  doc.setTextColor(...COLORS.text);
+  doc.text(`${APP_NAME} - Model Validation Report`, PAGE.margin, layout.y + 6);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(9);
+  doc.setTextColor(...COLORS.muted);
+  doc.text("Measured on the labeled recordings listed below - not a regulatory performance claim", PAGE.margin, layout.y + 11);
+  layout.y += 14;
+
+  layout.heading("Dataset and model");
+  layout.keyValues([
+    ["Manifest", validation.manifestName],
+    ["Recordings", `${metrics.n} analysed (${metrics.positives} SZ, ${metrics.negatives} healthy)` +
+      (metrics.failed ? ` · ${metrics.failed} failed and excluded` : "")],
+    ["Model", `${model.name} (${model.type}, version ${model.version}) · ${model.features} features`],
+    ["Scoring profile", `${profileLabel(validation.profile)} · levels ${validation.profile.levels.map((l) => `${l.name} >= ${l.min}`).join(", ")}`],
+    ["Preprocessing", `notch ${settings.preprocessing.notch ? `${settings.preprocessing.notch} Hz` : "off"} · ` +
+      (settings.preprocessing.bandpass ? `band-pass ${settings.preprocessing.lowCut}-${settings.preprocessing.highCut} Hz` : "no band-pass")],
+    ["Spectral estimate", `Welch, ${settings.spectral.segmentSeconds} s ${settings.spectral.window} segments, ${Math.round(settings.spectral.overlap * 100)}% overlap`],
+    ["Artifact rejection", settings.artifacts.enabled ? `${settings.artifacts.epochSeconds} s epochs, > ${settings.artifacts.maxAmplitude} uV p-p rejected` : "off"],
+    ["Run", formatDateTime(validation.createdAt)],
+  ]);
+
+  if (metrics.error) {
+    layout.heading("Result");
+    layout.paragraph(metrics.error, { bold: true, color: COLORS.red });
+  } else {
+    layout.heading("Discrimination", 16);
+    layout.keyValues([
+      ["AUC", `${formatAuc(metrics.auc)} · stratified bootstrap, ${metrics.auc.iterations} resamples`],
+    ]);
+
+    // feat: ROC and calibration side by side
+    const size = 62;
+    layout.ensure(size + 18);
+    const top = layout.y + 6;
+    drawRoc(doc, PAGE.margin + 12, top, size, metrics);
+    drawCalibration(doc, PAGE.margin + CONTENT_WIDTH / 2 + 12, top, size, metrics);
+    layout.y = top + size + 12;
+    layout.paragraph(
+      `Calibration reads each risk score as a probability (score / 100) in ${validation.validationSettings.calibrationBins} equal bins; ` +
+      `expected calibration error ${metrics.calibration.ece.toFixed(3)}. Point size follows the number of recordings in the bin.`,
+      { size: 7.5, color: COLORS.muted }
+    );
+
+    layout.heading("Sensitivity and specificity at the risk cut-offs", 22);
+    drawTable(doc, layout, [
+      { title: "Called SZ at", width: 24 },
+      { title: "TP", width: 10, align: "right" },
+      { title: "FP", width: 10, align: "right" },
+      { title: "TN", width: 10, align: "right" },
+      { title: "FN", width: 10, align: "right" },
+      { title: "Sensitivity (95% CI)", width: 38, align: "right" },
+      { title: "Specificity (95% CI)", width: 38, align: "right" },
+      { title: "PPV", width: 15, align: "right" },
+      { title: "NPV", width: 15, align: "right" },
+    ], metrics.thresholds.map((t) => [
+      `score >= ${t.threshold}`, t.tp, t.fp, t.tn, t.fn, interval(t.sensitivity), interval(t.specificity), percent(t.ppv), percent(t.npv),
+    ]));
+
+    layout.heading("Confusion matrix - true class x reported risk level", 18);
+    drawTable(doc, layout, [
+      { title: "True class", width: 30 },
+      // style: narrower columns when a profile defines more than four levels
+      ...metrics.levels.map((level) => ({ title: level, width: Math.min(30, 130 / metrics.levels.length), align: "right" })),
+      { title: "Total", width: 20, align: "right" },
+    ], metrics.confusion.map((row) => [row.name, ...row.counts, row.counts.reduce((a, b) => a + b, 0)]));
+  }
+
+  layout.heading("Recordings", 14);
+  drawTable(doc, layout, [
+    { title: "File", width: 70 },
+    { title: "Label", width: 18 },
+    { title: "Score", width: 14, align: "right" },
+    { title: "Level", width: 24 },
+    { title: "Error", width: 54 },
+  ], validation.cases.map((c) => [c.file, CLASS_NAMES[c.label], c.score ?? "—", c.level || "—", c.error || ""]));
+
+  drawFooters(doc, validation.createdAt);
+  return doc;
+}
+
+// ─────────────────────────────────────────────────────────────
+// feat: plain exports
+// ─────────────────────────────────────────────────────────────
+export function validationToJson(validation) {
+  return {
+    software: { name: APP_NAME, version: APP_VERSION },
+    exportedAt: new Date().toISOString(),
+    ...validation,
+    createdAt: new Date(validation.createdAt).toISOString(),
+  };
+}
+
+// feat: one row per recording — for re-analysis in R / Python
+export function validationCasesCsv(validation) {
+  const cell = (v) => (v === null || v === undefined ? "" : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+  const rows = validation.cases.map((c) => [c.file, c.label, CLASS_NAMES[c.label], c.score, c.confidence, c.level, c.error]);
+  return [["file", "label", "class", "riskScore", "confidence", "level", "error"], ...rows].map((r) => r.map(cell).join(",")).join("\n") + "\n";
+}
+
+export async function exportValidationPdf(validation) {
+  const doc = await buildValidationPdf(validation);
+  doc.save(fileNameFor(validation, "pdf"));
+}
+
+export function exportValidationJson(validation) {
+  downloadJson(validationToJson(validation), fileNameFor(validation, "json"));
+}
+
+export function exportValidationCsv(validation) {
+  downloadBlob(new Blob([validationCasesCsv(validation)], { type: "text/csv" }), fileNameFor(validation, "csv"));
+}
@@ -0,0 +1,54 @@
+/**
+ * @jest-environment node
+ */
+import { formatAuc, validationCasesCsv, validationToJson, buildValidationPdf } from "./validationReport";
+import { buildValidation } from "./validation";
+import { DEFAULT_ANALYSIS_SETTINGS } from "./pipeline";
+import { BUILTIN_MODEL, describeModel } from "./models";
+
+const cases = [
+  { file: "hc01.edf", label: 0, score: 12, confidence: 8, level: "Low Risk", error: null },
+  { file: "hc02.edf", label: 0, score: 45, confidence: 10, level: "Moderate", error: null },
+  { file: "sz01.edf", label: 1, score: 72, confidence: 9, level: "High Risk", error: null },
+  { file: "sz02.edf", label: 1, score: 38, confidence: 11, level: "Low Risk", error: null },
+  { file: "sz, \"night\".edf", label: 1, score: null, confidence: null, level: null, error: "All 4 epochs failed the artifact checks" },
+];
+const validation = (list) => buildValidation({
+  manifestName: "cohort.csv",
+  model: describeModel(BUILTIN_MODEL),
+  settings: DEFAULT_ANALYSIS_SETTINGS,
+  cases: list,
+});
+
+describe("formatAuc", () => {
+  it("prints the AUC with its interval", () => {
+    expect(formatAuc({ value: 0.9125, lower: 0.861, upper: 0.9544, confidence: 0.95 })).toBe("0.912 (95% CI 0.861–0.954)");
+  });
+});
+
+describe("validationCasesCsv", () => {
+  it("writes one row per recording, quoting cells that need it", () => {
+    const lines = validationCasesCsv(validation(cases)).trimEnd().split("\n");
+    expect(lines[0]).toBe("file,label,class,riskScore,confidence,level,error");
+    expect(lines[1]).toBe("hc01.edf,0,Healthy,12,8,Low Risk,");
+    expect(lines[5]).toBe("\"sz, \"\"night\"\".edf\",1,SZ,,,,All 4 epochs failed the artifact checks");
+  });
+});
+
+describe("validationToJson", () => {
+  it("stamps the software and stores dates as ISO text", () => {
+    const json = validationToJson(validation(cases));
+    expect(json.software.name).toBeTruthy();
+    expect(json.createdAt).toMatch(/^\d{4}-\d\d-\d\dT/);
+    expect(json.metrics.failed).toBe(1);
+  });
+});
+
+describe("buildValidationPdf", () => {
+  it("builds the report with metrics and without them", async () => {
+    expect((await buildValidationPdf(validation(cases))).getNumberOfPages()).toBeGreaterThanOrEqual(1);
+    const oneClass = validation(cases.filter((c) => c.label === 0));
+    expect(oneClass.metrics.error).toMatch(/at least one healthy and one SZ/);
+    expect((await buildValidationPdf(oneClass)).getNumberOfPages()).toBe(1);
+  });
+});
@@ -0,0 +1,4 @@
+// docs: application name and version — shown in the top bar and printed on exported reports
+// docs: keep APP_VERSION in step with "version" in package.json
+export const APP_NAME = "NeuroScan AI";
+export const APP_VERSION = "1.0.0";